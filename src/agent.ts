@@ -4,14 +4,36 @@
  */
 
 import { STATE } from './state';
-import { UPSCALE_PROMPT } from './prompt';
-import { fetchModels, fetchBalance, generateImage, getGenerationInfo } from './openrouter';
-import { savePreference, getPreference, listConversations, createConversation, loadConversation, saveConversation, deletePreference, getImage, saveImage, saveSummary, loadSummary, saveProject } from './storage';
+import { UPSCALE_PROMPT, INPAINT_INSTRUCTIONS, AUTO_TAG_SYSTEM_PROMPT } from './prompt';
+import { getActiveProvider, getProvider, hasUsableApiKey } from './providers';
+import { initGenerationQueue, enqueueGeneration, withRetry, isAbortError, hasPendingJobs } from './generationQueue';
+import { registerUndo } from './undoManager';
+import { recordGeneration, updateConversationCosts, invalidateConversationCosts, checkBudget, backfillMissingCosts } from './costTracker';
+import { exportLibrary, importLibrary } from './libraryArchive';
+import { collectStaticSiteImages, buildStaticSite, getStaticSiteFolderName } from './staticSiteExport';
+import type { StaticSiteOptions, StaticSiteSource } from './staticSiteExport';
+import { createZip } from './zip';
+import type { LibraryImportResult } from './libraryArchive';
+import { generateBatchId } from './batchRunner';
+import { removeConversationFromComparison } from './comparisonManager';
+import { buildEditHistory, getLatestImage, findImageLocation } from './imageEditing';
+import { createLineage, recordLineage } from './lineageManager';
+import { ensureMetadataArray, getTagsForImage, setTags, updateTagsForImages, normalizeTag, isValidTag, getImagesWithTag, renameTagForImages, deleteTagForImages, renameTagColors } from './tagManager';
+import { getRatingForImage, setRating, setRatingForImages } from './ratingManager';
+import { getTagVocabularyFromIndex, buildAutoTagPrompt, parseSuggestedTags, setSuggestedTags, acceptSuggestedTags, dismissSuggestedTags, prepareImageForTagging } from './autoTagger';
+import { blobToDataUrl, resolutionForSize } from './imageTransform';
+import { validateCollectionQuery, sortCollections } from './smartCollections';
+import { createAlbum, addImagesToAlbum, getAlbumReferences } from './albumManager';
+import type { BatchVariant } from './batchRunner';
+import { readGenerationMetadata, buildGenerationMetadata } from './pngMetadata';
+import type { PngGenerationMetadata } from './pngMetadata';
+import { savePreference, getPreference, listConversations, createConversation, loadConversation, saveConversation, deletePreference, saveImage, getImage, deleteImage, saveSummary, loadSummary, saveProject, loadAllProjects, deleteConversation, duplicateConversation, saveAlbum, loadAllAlbums, deleteAlbum, saveQueueMask, loadQueueMask, loadSearchIndex } from './storage';
 import * as ui from './ui';
-import { generateRandomSeed, generateConversationTitle, updateConversationSummary, getApiKey } from './util';
-import { toggleSync, isFileSystemAccessSupported, restoreDirectoryHandle, reauthorizeDirectory } from './externalSync';
-import type { Conversation, ConversationSummary, ConversationEntry, Message, ReferenceImage, Project } from './types/state';
-import type { VisionModel, ChatCompletionResponse, ImageConfig, BalanceInfo, GenerationInfo, Message as ApiMessage } from './types/api';
+import { generateRandomSeed, generateConversationTitle, updateConversationSummary, getApiKey, createDefaultProjectSettings, resolveInheritedSettings, generateEntryId } from './util';
+import { toggleSync, isFileSystemAccessSupported, restoreDirectoryHandle, reauthorizeDirectory, saveStaticSiteToExternal } from './externalSync';
+import type { Conversation, ConversationSummary, ConversationEntry, Message, ReferenceImage, Project, GenerationJob, BatchMembership, EntryAnnotations, ImageLineage, ImageMetadata, AutoTagMode, SmartCollection, Album, GenerationCostRecord } from './types/state';
+import type { VisionModel, ChatCompletionResponse, ChatMessage, ChatContentPart, ImageConfig, ImageInput, BalanceInfo, GenerationInfo } from './types/api';
+import type { ImageProvider } from './types/provider';
 
 export { getUpscalingModel };
 
@@ -123,6 +145,7 @@ export function init(): void {
     ui.initConversationRatingFilter();
     const prefsPromise = loadPreferencesAndInitialize();
     ui.initProjectSystem().then(async function() {
+        refreshActiveProvider();
         ui.renderProjectSelector();
         listConversations().then(function(timestamps: number[]) {
             ui.populateConversationList(timestamps, STATE.currentProjectId);
@@ -141,6 +164,9 @@ export function init(): void {
         // Wait for preferences and models to load before applying root overrides
         await prefsPromise;
 
+        // Resume generations that were pending when the page was closed
+        startGenerationQueue();
+
         // Apply root project's non-null settings on top of preferences
         const rootProject = STATE.projects.find(function(p: Project) { return p.id === 'root'; });
         if (rootProject) {
@@ -170,6 +196,9 @@ export function init(): void {
                 await ui.loadConversationIntoView(ts);
             }
         }
+
+        // Open the gallery when the page was loaded at its route
+        ui.syncGalleryWithLocation();
     });
 
     ui.renderReferenceImagesToolbar(STATE.currentConversation);
@@ -203,6 +232,17 @@ export function setupEventListeners(): void {
         userInput.addEventListener("focus", function() {
             ui.expandTextarea();
         });
+        userInput.addEventListener("dragover", function(e: DragEvent) {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).indexOf("Files") !== -1) {
+                e.preventDefault();
+            }
+        });
+        userInput.addEventListener("drop", function(e: DragEvent) {
+            const file = e.dataTransfer?.files[0];
+            if (!file || file.type !== "image/png") return;
+            e.preventDefault();
+            handleImportImageSettings(file);
+        });
     }
 
     const generateButton = document.getElementById("generate-button");
@@ -227,6 +267,125 @@ export function setupEventListeners(): void {
         newConversationBtn.addEventListener("click", ui.handleNewConversation);
     }
 
+    const searchInput = document.getElementById("conversation-search-input") as HTMLInputElement | null;
+    if (searchInput) {
+        let searchTimer: ReturnType<typeof setTimeout> | null = null;
+        searchInput.addEventListener("input", function() {
+            if (searchTimer) clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                ui.runConversationSearch(searchInput.value);
+            }, 200);
+        });
+    }
+
+    const showArchivedToggle = document.getElementById("show-archived-toggle") as HTMLInputElement | null;
+    if (showArchivedToggle) {
+        showArchivedToggle.addEventListener("change", function() {
+            STATE.showArchived = showArchivedToggle.checked;
+            ui.updateConversationList();
+            if (searchInput && searchInput.value.trim() !== "") {
+                ui.runConversationSearch(searchInput.value);
+            }
+        });
+    }
+
+    const templatesButton = document.getElementById("templates-button");
+    if (templatesButton) {
+        templatesButton.addEventListener("click", function() {
+            ui.openTemplatesDialog();
+        });
+    }
+
+    const compareOpenBtn = document.getElementById("compare-open-btn");
+    if (compareOpenBtn) {
+        compareOpenBtn.addEventListener("click", function() {
+            ui.openComparisonView();
+        });
+    }
+
+    const compareClearBtn = document.getElementById("compare-clear-btn");
+    if (compareClearBtn) {
+        compareClearBtn.addEventListener("click", function() {
+            ui.clearComparison();
+        });
+    }
+
+    const editModeButton = document.getElementById("edit-mode-button");
+    if (editModeButton) {
+        editModeButton.addEventListener("click", function() {
+            STATE.editMode = !STATE.editMode;
+            STATE.editSource = null;
+            ui.renderEditSourceBanner();
+        });
+    }
+
+    const editModeExitBtn = document.getElementById("edit-mode-exit-btn");
+    if (editModeExitBtn) {
+        editModeExitBtn.addEventListener("click", function() {
+            STATE.editMode = false;
+            STATE.editSource = null;
+            ui.renderEditSourceBanner();
+        });
+    }
+
+    const lineageButton = document.getElementById("lineage-button");
+    if (lineageButton) {
+        lineageButton.addEventListener("click", function() {
+            ui.openLineagePanel();
+        });
+    }
+
+    const slideshowButton = document.getElementById("slideshow-button");
+    if (slideshowButton) {
+        slideshowButton.addEventListener("click", function() {
+            ui.openConversationSlideshow();
+        });
+    }
+
+    const batchButton = document.getElementById("batch-button");
+    if (batchButton) {
+        batchButton.addEventListener("click", function() {
+            ui.openBatchDialog();
+        });
+    }
+
+    const galleryBtn = document.getElementById("gallery-btn");
+    if (galleryBtn) {
+        galleryBtn.addEventListener("click", function() {
+            ui.openGallery();
+        });
+    }
+    const albumsBtn = document.getElementById("albums-btn");
+    if (albumsBtn) {
+        albumsBtn.addEventListener("click", function() {
+            ui.openAlbums(null);
+        });
+    }
+
+    const newCollectionBtn = document.getElementById("new-collection-btn");
+    if (newCollectionBtn) {
+        newCollectionBtn.addEventListener("click", function() {
+            ui.openSmartCollectionEditor(null);
+        });
+    }
+
+    const tagManagerBtn = document.getElementById("tag-manager-btn");
+    if (tagManagerBtn) {
+        tagManagerBtn.addEventListener("click", function() {
+            ui.openTagManager();
+        });
+    }
+    window.addEventListener("hashchange", function() {
+        ui.syncGalleryWithLocation();
+    });
+
+    const spendingBtn = document.getElementById("spending-btn");
+    if (spendingBtn) {
+        spendingBtn.addEventListener("click", function() {
+            ui.openSpendingDialog();
+        });
+    }
+
     const settingsBtn = document.getElementById("settings-btn");
     if (settingsBtn) {
         settingsBtn.addEventListener("click", function() {
@@ -258,39 +417,42 @@ export function setupEventListeners(): void {
 }
 
 /**
- * Sets up event listeners for dropdown menus (resolution and aspect ratio)
+ * Sets up dropdown menus (resolution and aspect ratio) from the active provider's capabilities
  */
 export function setupDropdownEventListeners(): void {
-    const resolutionItems = document.querySelectorAll("#resolution-menu .dropdown-item");
-    resolutionItems.forEach(function(item: Element) {
-        item.addEventListener("click", function(e: Event) {
-            e.preventDefault();
-            const dropdown = document.getElementById("resolution-dropdown");
-            if (dropdown) {
-                dropdown.textContent = "";
-                dropdown.textContent = (item as HTMLElement).textContent + " ";
-                const caret = document.createElement("span");
-                caret.className = "caret";
-                dropdown.appendChild(caret);
-                savePreference("defaultResolution", (item as HTMLElement).textContent?.trim() || "1K");
-            }
-        });
-    });
+    ui.applyProviderCapabilities(getActiveProvider().capabilities);
+}
 
-    const aspectRatioItems = document.querySelectorAll("#aspect-ratio-menu .dropdown-item");
-    aspectRatioItems.forEach(function(item: Element) {
-        item.addEventListener("click", function(e: Event) {
-            e.preventDefault();
-            const dropdown = document.getElementById("aspect-ratio-dropdown");
-            if (dropdown) {
-                dropdown.textContent = "";
-                dropdown.textContent = (item as HTMLElement).textContent + " ";
-                const caret = document.createElement("span");
-                caret.className = "caret";
-                dropdown.appendChild(caret);
-                savePreference("defaultAspectRatio", (item as HTMLElement).textContent?.trim() || "1:1");
-            }
-        });
+/**
+ * Re-applies the active provider after a project or settings change.
+ * Rebuilds the resolution/aspect ratio menus and refetches models when the provider differs.
+ */
+export function refreshActiveProvider(): void {
+    const provider = getActiveProvider();
+    ui.applyProviderCapabilities(provider.capabilities);
+    if (provider.id !== STATE.activeProviderId) {
+        STATE.activeProviderId = provider.id;
+        ui.clearModelDropdown();
+        handleApiKeyEntry();
+    }
+}
+
+/**
+ * Refreshes the balance display from the active provider
+ * @param {string} apiKey - API key
+ */
+function refreshBalance(apiKey: string): void {
+    const provider = getActiveProvider();
+    if (!provider.capabilities.supportsBalance) {
+        ui.updateBalanceDisplay(null, "Balance not available for " + provider.name);
+        return;
+    }
+    if (!apiKey) return;
+    provider.fetchBalance(apiKey).then(function(balance: BalanceInfo) {
+        ui.updateBalanceDisplay(balance);
+    }).catch(function(error: Error) {
+        console.error("Error fetching balance:", error);
+        ui.updateBalanceDisplay(null, "Balance unavailable - check API key permissions");
     });
 }
 
@@ -308,6 +470,25 @@ export function initializeDropdowns(): void {
 export async function loadPreferencesAndInitialize(): Promise<void> {
     const apiKey = await getPreference("apiKey");
 
+    const tagColors = await getPreference("tagColors");
+    if (tagColors) {
+        try {
+            STATE.tagColors = JSON.parse(tagColors);
+        } catch (error) {
+            console.error("Error reading tag colors:", error);
+        }
+    }
+
+    const smartCollections = await getPreference("smartCollections");
+    if (smartCollections) {
+        try {
+            STATE.smartCollections = sortCollections(JSON.parse(smartCollections));
+        } catch (error) {
+            console.error("Error reading smart collections:", error);
+        }
+    }
+    ui.renderSmartCollections();
+
     if (apiKey && apiKey.length > 0) {
         STATE.apiKey = apiKey;
         handleApiKeyEntry();
@@ -321,16 +502,20 @@ export async function loadPreferencesAndInitialize(): Promise<void> {
  */
 export function handleApiKeyEntry(): void {
     const apiKey = ui.getApiKey();
+    const provider = getActiveProvider();
+    STATE.activeProviderId = provider.id;
 
     if (!isOnline()) {
         ui.displayError('Network unavailable. Please check your connection.');
         return;
     }
 
-    if (apiKey && apiKey.length > 0) {
-        savePreference("apiKey", apiKey);
+    if (hasUsableApiKey(provider, apiKey)) {
+        if (apiKey && apiKey.length > 0) {
+            savePreference("apiKey", apiKey);
+        }
 
-        fetchModels(apiKey).then(function(models: VisionModel[]) {
+        provider.fetchModels(apiKey).then(function(models: VisionModel[]) {
             STATE.visionModels = models;
             ui.populateModelDropdown(models);
             
@@ -356,12 +541,8 @@ export function handleApiKeyEntry(): void {
             ui.displayError("Failed to fetch models: " + error.message);
         });
 
-        fetchBalance(apiKey).then(function(balance: BalanceInfo) {
-            ui.updateBalanceDisplay(balance);
-        }).catch(function(error: Error) {
-            console.error("Error fetching balance:", error);
-            ui.updateBalanceDisplay(null, "Balance unavailable - check API key permissions");
-        });
+        refreshBalance(apiKey);
+        backfillMissingCosts(apiKey);
     } else {
         deletePreference("apiKey");
         ui.clearModelDropdown();
@@ -400,9 +581,11 @@ export async function saveImagesToConversation(timestamp: number, response: Chat
  * @param {string} modelId - Model ID used for generation
  * @param {string} modelName - Model name used for generation
  * @param {string} systemPrompt - System prompt used for generation
+ * @param {ReferenceImage[] | undefined} referenceImages - Reference images sent with the prompt
+ * @param {EntryAnnotations} annotations - Template, batch and source image the entry came from
  * @returns {ConversationEntry} Created conversation entry
  */
-export function createConversationEntry(prompt: string, seed: number, response: ChatCompletionResponse, imageFilenames: string[], imageConfig: ImageConfig, modelId: string, modelName: string, systemPrompt: string, referenceImages?: ReferenceImage[]): ConversationEntry {
+export function createConversationEntry(prompt: string, seed: number, response: ChatCompletionResponse, imageFilenames: string[], imageConfig: ImageConfig, modelId: string, modelName: string, systemPrompt: string, referenceImages?: ReferenceImage[], annotations: EntryAnnotations = {}): ConversationEntry {
     const message = response.choices[0].message;
     const resolution = imageConfig && imageConfig.imageSize ? imageConfig.imageSize : "1K";
     const resolutions: string[] = [];
@@ -415,13 +598,18 @@ export function createConversationEntry(prompt: string, seed: number, response:
         imageMetadata.push({ tags: [] });
     }
     const entry: ConversationEntry = {
+        id: generateEntryId(),
         message: {
             systemPrompt: systemPrompt,
             text: prompt,
             seed: seed,
             modelId: modelId,
             modelName: modelName,
-            referenceImages: referenceImages
+            aspectRatio: imageConfig?.aspectRatio,
+            referenceImages: referenceImages,
+            template: annotations.template,
+            batch: annotations.batch,
+            derivedFrom: annotations.derivedFrom
         },
         response: {
             text: message.content || null,
@@ -440,15 +628,19 @@ export function createConversationEntry(prompt: string, seed: number, response:
  * @param {string} apiKey - OpenRouter API key
  * @param {string} generationId - Generation ID from response
  * @param {number} [maxRetries=5] - Maximum retry attempts
+ * @param {ImageProvider} [provider] - Provider that served the generation (defaults to the active one)
  * @returns {Promise<GenerationInfo | null>} Generation data or null on failure
  */
-export async function fetchGenerationDataWithRetry(apiKey: string, generationId: string, maxRetries: number = 5): Promise<GenerationInfo | null> {
+export async function fetchGenerationDataWithRetry(apiKey: string, generationId: string, maxRetries: number = 5, provider: ImageProvider = getActiveProvider()): Promise<GenerationInfo | null> {
+    if (!provider.capabilities.supportsGenerationInfo) {
+        return null;
+    }
     for (let attempt = 0; attempt < maxRetries; attempt++) {
         await new Promise<void>(function(resolve) {
             setTimeout(resolve, 200);
         });
         try {
-            const generationInfo = await getGenerationInfo(apiKey, generationId);
+            const generationInfo = await provider.getGenerationInfo(apiKey, generationId);
             if (generationInfo) {
                 return generationInfo;
             }
@@ -476,6 +668,18 @@ export async function initializeConversationSummary(timestamp: number): Promise<
     await saveSummary(timestamp, summaryData);
 }
 
+/**
+ * Renders a conversation only if it is the one currently displayed
+ * @param {Conversation} conversation - Conversation that changed
+ * @param {boolean} scrollToBottom - Whether to scroll to bottom after rendering
+ * @returns {Promise<void>}
+ */
+async function renderIfVisible(conversation: Conversation, scrollToBottom: boolean = false): Promise<void> {
+    if (STATE.currentConversation === conversation) {
+        await ui.renderConversation(conversation, scrollToBottom);
+    }
+}
+
 /**
  * Handles image generation with spinner display
  * @param {string} apiKey - OpenRouter API key
@@ -484,14 +688,18 @@ export async function initializeConversationSummary(timestamp: number): Promise<
  * @param {string} prompt - User prompt
  * @param {string} model - Model to use
  * @param {string | null} systemPrompt - System prompt to use
- * @param {Array<{role: string, content: string}>} conversationHistory - Conversation history
+ * @param {ChatMessage[]} conversationHistory - Conversation history (images already resolved)
  * @param {ImageConfig} imageConfig - Image configuration
  * @param {number | undefined} seed - Random seed for generation
- * @param {{imageData: string} | undefined} imageInput - Optional image input for upscaling
+ * @param {ImageInput | undefined} imageInput - Optional image input for upscaling and inpainting
  * @param {ReferenceImage[] | undefined} referenceImages - Optional reference images
- * @param {number | undefined} targetImageIndex - Optional target index for x5 regeneration
  * @param {boolean} scrollToBottom - Whether to scroll to bottom after rendering
- * @returns {Promise<void>}
+ * @param {string | undefined} instructions - Project instructions appended to the API prompt
+ * @param {GenerationJob | undefined} job - Queue job driving this generation (for cancel/retry)
+ * @param {EntryAnnotations} annotations - Template, batch and source image recorded on a new entry
+ * @param {ImageLineage} lineage - Parent images and operation recorded on the new images
+ * @param {ImageProvider} provider - Provider to generate with (defaults to the active one)
+ * @returns {Promise<boolean>} True if images were generated and saved
  */
 export async function handleImageGenerationWithSpinner(
     apiKey: string,
@@ -500,15 +708,18 @@ export async function handleImageGenerationWithSpinner(
     prompt: string,
     model: string,
     systemPrompt: string | null,
-    conversationHistory: Array<{role: string, content: string}>,
+    conversationHistory: ChatMessage[],
     imageConfig: ImageConfig,
     seed?: number,
-    imageInput?: {imageData: string},
+    imageInput?: ImageInput,
     referenceImages?: ReferenceImage[],
-    targetImageIndex?: number,
     scrollToBottom: boolean = false,
-    instructions?: string
-): Promise<void> {
+    instructions?: string,
+    job?: GenerationJob,
+    annotations: EntryAnnotations = {},
+    lineage: ImageLineage = { operation: 'generate', parents: [] },
+    provider: ImageProvider = getActiveProvider()
+): Promise<boolean> {
     // Look up model name once at the start - needed for both new entry and regeneration paths
     const modelName = getModelName(model);
 
@@ -518,17 +729,22 @@ export async function handleImageGenerationWithSpinner(
 
     const resolution = imageConfig.imageSize;
     const isNewEntry = targetEntry === null;
-    let entryIndex: number;
+    let placeholderEntry: ConversationEntry | null = null;
 
     if (isNewEntry) {
-        const placeholderEntry: ConversationEntry = {
+        placeholderEntry = {
+            id: generateEntryId(),
             message: {
                 systemPrompt: systemPrompt || "",
                 text: displayText,
                 seed: seed as number,
                 modelId: model,
                 modelName: modelName,
-                referenceImages: referenceImages
+                aspectRatio: imageConfig.aspectRatio,
+                referenceImages: referenceImages,
+                template: annotations.template,
+                batch: annotations.batch,
+                derivedFrom: annotations.derivedFrom
             },
             response: {
                 text: null,
@@ -540,33 +756,37 @@ export async function handleImageGenerationWithSpinner(
             }
         };
         conversation.entries.push(placeholderEntry);
-        entryIndex = conversation.entries.length - 1;
     } else {
         // Update model information for regeneration
         targetEntry.message.modelId = model;
         targetEntry.message.modelName = modelName;
-
-        if (targetImageIndex !== undefined) {
-            entryIndex = conversation.entries.indexOf(targetEntry);
-        } else {
-            targetEntry.response.imageFilenames.push("generating");
-            targetEntry.response.imageResolutions ??= [];
-            targetEntry.response.imageResolutions.push(resolution as '1K' | '2K' | '4K');
-            targetEntry.response.imageMetadata ??= [];
-            targetEntry.response.imageMetadata.push({ tags: [] });
-            entryIndex = conversation.entries.indexOf(targetEntry);
+        if (imageConfig.aspectRatio) {
+            targetEntry.message.aspectRatio = imageConfig.aspectRatio;
         }
+
+        targetEntry.response.imageFilenames.push("generating");
+        targetEntry.response.imageResolutions ??= [];
+        targetEntry.response.imageResolutions.push(resolution as '1K' | '2K' | '4K');
+        targetEntry.response.imageMetadata ??= [];
+        targetEntry.response.imageMetadata.push({ tags: [] });
     }
 
-    await ui.renderConversation(conversation);
+    await renderIfVisible(conversation);
 
     let referenceImagesDataUrls: string[] = [];
     if (referenceImages && referenceImages.length > 0) {
-        referenceImagesDataUrls = await ui.getReferenceImagesDataUrls(referenceImages);
+        if (provider.capabilities.supportsReferenceImages) {
+            referenceImagesDataUrls = await ui.getReferenceImagesDataUrls(referenceImages);
+        } else {
+            ui.displayWarning(provider.name + " does not support reference images; they were not sent.");
+        }
     }
+    const apiSeed = provider.capabilities.supportsSeed ? seed : undefined;
 
     try {
-        const response = await generateImage(apiKey, apiPrompt, model, systemPrompt, conversationHistory as ApiMessage[], imageConfig, seed, imageInput, referenceImagesDataUrls);
+        const response = await withRetry(function(signal?: AbortSignal) {
+            return provider.generateImage(apiKey, apiPrompt, model, systemPrompt, conversationHistory, imageConfig, apiSeed, imageInput, referenceImagesDataUrls, signal);
+        }, job);
 
         if (!response.choices || response.choices.length === 0) {
             throw new Error("No response from API");
@@ -577,23 +797,40 @@ export async function handleImageGenerationWithSpinner(
             throw new Error("No images returned from API");
         }
 
+        // Regenerations share the entry but not its seed, so the file records the seed actually used.
+        // Upscales send a fixed prompt; the entry's prompt describes the image better.
+        const pngMetadata: PngGenerationMetadata = {
+            prompt: isNewEntry ? displayText : targetEntry.message.text,
+            systemPrompt: (isNewEntry ? systemPrompt : targetEntry.message.systemPrompt) || "",
+            seed: typeof seed === "number" ? seed : null,
+            modelId: response.model || model,
+            modelName: getModelName(response.model || model),
+            aspectRatio: imageConfig.aspectRatio || (isNewEntry ? null : targetEntry.message.aspectRatio || null),
+            resolution: resolution || null,
+            tags: [],
+            rating: null
+        };
+
         const imageFilenames: string[] = [];
         for (const url of urls) {
-            const newIndex = await saveImage(conversation.timestamp, url);
+            const newIndex = await saveImage(conversation.timestamp, url, pngMetadata);
             if (newIndex !== null) {
                 imageFilenames.push(String(newIndex));
             }
         }
 
+        let costEntry: ConversationEntry;
         if (isNewEntry) {
             const modelId = response.model;
             const modelName = getModelName(modelId);
-            const entry = createConversationEntry(displayText, seed as number, response, imageFilenames, imageConfig, modelId, modelName, systemPrompt || "", referenceImages);
-            conversation.entries[entryIndex] = entry;
+            const entry = createConversationEntry(displayText, seed as number, response, imageFilenames, imageConfig, modelId, modelName, systemPrompt || "", referenceImages, annotations);
+            // Keep the placeholder's ID; it may already have been saved and synced
+            entry.id = placeholderEntry!.id;
+            conversation.entries[conversation.entries.indexOf(placeholderEntry!)] = entry;
+            costEntry = entry;
         } else {
-            const placeholderIdx = targetImageIndex !== undefined 
-                ? targetImageIndex 
-                : targetEntry.response.imageFilenames.indexOf("generating");
+            costEntry = targetEntry;
+            const placeholderIdx = targetEntry.response.imageFilenames.indexOf("generating");
             if (placeholderIdx !== -1) {
                 targetEntry.response.imageFilenames[placeholderIdx] = imageFilenames[0];
                 targetEntry.response.imageMetadata ??= [];
@@ -611,64 +848,338 @@ export async function handleImageGenerationWithSpinner(
                     targetEntry.response.imageMetadata.push({ tags: [] });
                 }
             }
+        }
+
+        recordLineage(costEntry, imageFilenames, lineage);
+
+        const costRecord = recordGeneration(costEntry, response, model, conversation.timestamp);
+        if (!isNewEntry) {
             targetEntry.response.responseData = response;
         }
+        fetchGenerationDataWithRetry(apiKey, response.id, 5, provider).then(function(generationData: GenerationInfo | null) {
+            if (!generationData) return;
+            if (isNewEntry) {
+                costEntry.response.generationData = generationData;
+            }
+            if (typeof generationData.cost === "number") {
+                costRecord.cost = generationData.cost;
+            }
+            saveConversation(conversation.timestamp, conversation);
+            updateConversationCosts(conversation);
+        });
 
         await saveConversation(conversation.timestamp, conversation);
+        updateConversationCosts(conversation);
         if (imageFilenames.length > 0) {
             ui.invalidateDialogState();
+            autoTagNewImages(conversation.timestamp, imageFilenames);
         }
-        await ui.renderConversation(conversation, scrollToBottom);
+        await renderIfVisible(conversation, scrollToBottom);
+        return true;
     } catch (error) {
-        console.error("Error generating image:", error);
-
-        const errorInfo = (error as unknown as { info?: { message: string; status?: number; code?: string; type?: string; rawResponse?: string } }).info;
-        if (errorInfo) {
-            ui.displayError(errorInfo);
+        if (isAbortError(error)) {
+            console.log("Image generation cancelled");
         } else {
-            ui.displayError((error as Error).message);
+            console.error("Error generating image:", error);
+
+            const errorInfo = (error as unknown as { info?: { message: string; status?: number; code?: string; type?: string; rawResponse?: string } }).info;
+            if (errorInfo) {
+                ui.displayError(errorInfo);
+            } else {
+                ui.displayError((error as Error).message);
+            }
+            if (job) {
+                job.error = errorInfo ? errorInfo.message : (error as Error).message;
+            }
         }
 
-        if (isNewEntry && conversation.entries.length > 0) {
-            const lastEntry = conversation.entries[conversation.entries.length - 1];
-            if (lastEntry.response.imageFilenames?.[0] === "generating") {
-                conversation.entries.pop();
-                await ui.renderConversation(conversation);
+        if (isNewEntry) {
+            const placeholderIdx = conversation.entries.indexOf(placeholderEntry!);
+            if (placeholderIdx !== -1) {
+                conversation.entries.splice(placeholderIdx, 1);
+                await renderIfVisible(conversation);
             }
-        } else if (!isNewEntry) {
+        } else {
             const placeholderIdx = targetEntry.response.imageFilenames.indexOf("generating");
             if (placeholderIdx !== -1) {
                 targetEntry.response.imageFilenames.splice(placeholderIdx, 1);
                 targetEntry.response.imageResolutions.splice(placeholderIdx, 1);
+                targetEntry.response.imageMetadata?.splice(placeholderIdx, 1);
             }
             await saveConversation(conversation.timestamp, conversation);
-            await ui.renderConversation(conversation);
+            await renderIfVisible(conversation);
+        }
+        return false;
+    } finally {
+        refreshBalance(apiKey);
+    }
+}
+
+/** @type {Map<number, {conversation: Conversation; jobs: number}>} Conversations held in memory by running jobs */
+const liveConversations: Map<number, {conversation: Conversation; jobs: number}> = new Map();
+
+/**
+ * Gets the in-memory copy of a conversation that running jobs are generating into
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Conversation | null} Live conversation, or null if no job holds it
+ */
+export function getLiveConversation(timestamp: number): Conversation | null {
+    const live = liveConversations.get(timestamp);
+    return live ? live.conversation : null;
+}
+
+/**
+ * Gets the conversation a job should write into and registers it as live.
+ * Reuses the displayed or already-live copy so concurrent jobs share one object.
+ * @param {number} timestamp - Conversation timestamp
+ * @param {boolean} createIfMissing - Start an empty conversation if nothing is stored yet
+ * @returns {Promise<Conversation | null>} Conversation, or null if not found
+ */
+async function acquireConversation(timestamp: number, createIfMissing: boolean): Promise<Conversation | null> {
+    let conversation: Conversation | null = getLiveConversation(timestamp);
+    if (!conversation && STATE.currentConversation && STATE.currentConversation.timestamp === timestamp) {
+        conversation = STATE.currentConversation;
+    }
+    if (!conversation) {
+        conversation = await loadConversation(timestamp);
+        // Another job may have registered the conversation while loading
+        conversation = getLiveConversation(timestamp) ?? conversation;
+    }
+    if (!conversation && createIfMissing) {
+        conversation = { timestamp: timestamp, entries: [], referenceImages: [] };
+    }
+    if (!conversation) return null;
+
+    const live = liveConversations.get(timestamp);
+    if (live) {
+        live.jobs++;
+    } else {
+        liveConversations.set(timestamp, { conversation: conversation, jobs: 1 });
+    }
+    return conversation;
+}
+
+/**
+ * Releases a conversation acquired by a job
+ * @param {number} timestamp - Conversation timestamp
+ */
+function releaseConversation(timestamp: number): void {
+    const live = liveConversations.get(timestamp);
+    if (!live) return;
+    live.jobs--;
+    if (live.jobs <= 0) {
+        liveConversations.delete(timestamp);
+    }
+}
+
+/**
+ * Loads the images attached to history turns and puts them in API form: image parts for
+ * user turns, an images list for assistant turns. Providers without image input get text only.
+ * @param {Message[]} history - History with stored image references
+ * @returns {Promise<ChatMessage[]>} History ready to send
+ */
+async function resolveHistoryImages(history: Message[]): Promise<ChatMessage[]> {
+    const sendImages = getActiveProvider().capabilities.supportsReferenceImages;
+    const resolved: ChatMessage[] = [];
+    for (const message of history) {
+        if (!sendImages || !message.images || message.images.length === 0) {
+            resolved.push({ role: message.role, content: message.content });
+            continue;
+        }
+
+        const urls = await ui.getReferenceImagesDataUrls(message.images);
+        if (message.role === "assistant") {
+            resolved.push({
+                role: message.role,
+                content: message.content,
+                images: urls.map(function(url: string) { return { type: 'image_url' as const, image_url: { url: url } }; })
+            });
+        } else {
+            const parts: ChatContentPart[] = [];
+            if (message.content) {
+                parts.push({ type: 'text', text: message.content });
+            }
+            urls.forEach(function(url: string) {
+                parts.push({ type: 'image_url', image_url: { url: url } });
+            });
+            resolved.push({ role: message.role, content: parts });
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Executes a queued generation job
+ * @param {GenerationJob} job - Job to run
+ * @param {AbortSignal} signal - Signal fired when the job is cancelled
+ * @returns {Promise<boolean>} True if the job produced images
+ */
+async function runGenerationJob(job: GenerationJob, signal: AbortSignal): Promise<boolean> {
+    const spec = job.spec;
+    // Jobs run with the provider they were queued under, even after a project switch or reload
+    const provider = spec.providerId ? getProvider(spec.providerId) : getActiveProvider();
+
+    const apiKey = ui.getApiKey();
+    if (!hasUsableApiKey(provider, apiKey)) {
+        job.error = "API key required";
+        return false;
+    }
+
+    const conversation = await acquireConversation(spec.conversationTimestamp, spec.kind === 'generate');
+    if (!conversation) {
+        job.error = "Conversation not found";
+        return false;
+    }
+
+    try {
+        let targetEntry: ConversationEntry | null = null;
+        if (spec.kind !== 'generate') {
+            targetEntry = spec.entryIndex !== null ? conversation.entries[spec.entryIndex] ?? null : null;
+            if (!targetEntry) {
+                job.error = "Entry no longer exists";
+                return false;
+            }
+        }
+
+        let imageInput: ImageInput | undefined;
+        if (spec.inputImage) {
+            const dataUrls = await ui.getReferenceImagesDataUrls([spec.inputImage]);
+            if (dataUrls.length === 0) {
+                job.error = "Failed to load image";
+                return false;
+            }
+            let maskData: string | undefined;
+            if (spec.maskFile) {
+                maskData = await loadQueueMask(spec.maskFile) ?? undefined;
+                if (!maskData) {
+                    job.error = "Failed to load mask";
+                    return false;
+                }
+            }
+            imageInput = { imageData: dataUrls[0], maskData: maskData };
+        }
+
+        const conversationHistory = await resolveHistoryImages(spec.conversationHistory);
+
+        if (signal.aborted) return false;
+
+        const succeeded = await handleImageGenerationWithSpinner(
+            apiKey,
+            conversation,
+            targetEntry,
+            spec.prompt,
+            spec.model,
+            spec.systemPrompt,
+            conversationHistory,
+            spec.imageConfig,
+            spec.seed,
+            imageInput,
+            spec.referenceImages,
+            spec.kind !== 'regenerate',
+            spec.instructions,
+            job,
+            { template: spec.template, batch: spec.batch, derivedFrom: spec.derivedFrom },
+            spec.lineage,
+            provider
+        );
+
+        if (succeeded) {
+            await updateSummaryAfterGeneration(conversation.timestamp, spec.prompt);
         }
+        return succeeded;
     } finally {
-        fetchBalance(apiKey).then(function(balance: BalanceInfo) {
-            ui.updateBalanceDisplay(balance);
+        releaseConversation(conversation.timestamp);
+    }
+}
+
+/**
+ * Creates or refreshes the conversation summary after a successful generation
+ * @param {number} timestamp - Conversation timestamp
+ * @param {string} prompt - Prompt used, for title generation on first entry
+ * @returns {Promise<void>}
+ */
+async function updateSummaryAfterGeneration(timestamp: number, prompt: string): Promise<void> {
+    const summary = await loadSummary(timestamp);
+    if (!summary) {
+        initializeConversationSummary(timestamp).then(function() {
+            ui.updateConversationList();
+        });
+        generateConversationTitle(prompt).then(function(title: string) {
+            if (title && title !== "New Conversation") {
+                updateConversationSummary(timestamp, title).then(function() {
+                    ui.updateConversationListItemTitle(timestamp);
+                });
+            }
         }).catch(function() {
-            ui.updateBalanceDisplay(null, "Balance unavailable - check API key permissions");
+            console.log("Title generation failed, keeping placeholder");
         });
+    } else {
+        updateConversationSummary(timestamp).then(function() {
+            ui.updateConversationListDate(timestamp);
+        });
+    }
+}
 
-        STATE.isGenerating = false;
-        ui.setLoadingState(false);
+/**
+ * Starts the generation queue and restores jobs persisted before the last reload
+ * @returns {Promise<void>}
+ */
+export async function startGenerationQueue(): Promise<void> {
+    await initGenerationQueue(runGenerationJob);
+}
+
+/**
+ * Checks the budgets of the projects a conversation belongs to before queuing paid generations.
+ * Warns when a budget is nearly used up and refuses when it would be exceeded.
+ * @param {number | null} conversationTimestamp - Target conversation, or null for a new one (current project)
+ * @param {string[]} modelIds - Model of each generation
+ * @returns {Promise<boolean>} True if the generations may be queued
+ */
+async function confirmWithinBudget(conversationTimestamp: number | null, modelIds: string[]): Promise<boolean> {
+    const projectIds = STATE.projects
+        .filter(function(p: Project) { return conversationTimestamp !== null && p.conversationTimestamps.indexOf(conversationTimestamp) !== -1; })
+        .map(function(p: Project) { return p.id; });
+    if (projectIds.length === 0) {
+        projectIds.push(STATE.currentProjectId);
+    }
+
+    for (const projectId of projectIds) {
+        const check = await checkBudget(projectId, modelIds);
+        if (!check.allowed) {
+            ui.displayError(check.message!);
+            return false;
+        }
+        if (check.message) {
+            ui.displayWarning(check.message);
+        }
     }
+    return true;
 }
 
 /**
- * Handles the generate button click - initiates image generation
+ * Gets the image the next edit applies to: the picked image if it is still in the
+ * conversation, otherwise the latest image
+ * @param {Conversation} conversation - Current conversation
+ * @returns {ReferenceImage | null} Source image, or null if the conversation has no images yet
  */
-export async function handleGenerate(): Promise<void> {
-    if (STATE.isGenerating) return;
+export function getEditSource(conversation: Conversation): ReferenceImage | null {
+    if (STATE.editSource && findImageLocation(conversation, STATE.editSource)) {
+        return STATE.editSource;
+    }
+    return getLatestImage(conversation);
+}
 
+/**
+ * Handles the generate button click - queues an image generation
+ */
+export async function handleGenerate(): Promise<void> {
     if (!isOnline()) {
         ui.displayError("Network unavailable. Please check your connection.");
         return;
     }
 
     const apiKey = ui.getApiKey();
-    if (!apiKey || apiKey.length === 0) {
+    if (!hasUsableApiKey(getActiveProvider(), apiKey)) {
         ui.displayError("Please enter your API key first");
         return;
     }
@@ -684,7 +1195,17 @@ export async function handleGenerate(): Promise<void> {
         return;
     }
 
-    const seed = generateRandomSeed();
+    const existingTimestamp = STATE.currentConversation && STATE.currentConversation.timestamp !== 0 ? STATE.currentConversation.timestamp : null;
+    if (!await confirmWithinBudget(existingTimestamp, [STATE.selectedModel])) {
+        return;
+    }
+
+    // A seed restored from an imported image is used once
+    const seed = STATE.nextSeed ?? generateRandomSeed();
+    STATE.nextSeed = null;
+    // The inserted template is only recorded if the prompt was not edited afterwards
+    const template = STATE.insertedTemplate && STATE.insertedTemplate.prompt === prompt ? STATE.insertedTemplate.usage : undefined;
+    STATE.insertedTemplate = null;
     let timestamp = Math.floor(Date.now() / 1000);
 
     if (!STATE.currentConversation || STATE.currentConversation.timestamp === 0) {
@@ -704,88 +1225,60 @@ export async function handleGenerate(): Promise<void> {
         aspectRatio: aspectRatio as ImageConfig['aspectRatio']
     };
 
-    const referenceImages = STATE.currentConversation?.referenceImages ?? [];
+    const referenceImages = (STATE.currentConversation.referenceImages ?? []).slice();
+
+    // In edit mode the chosen image (or the latest one) is sent as the input image along with
+    // the turns that led to it
+    const editSource = STATE.editMode ? getEditSource(STATE.currentConversation) : null;
 
     // Compute project instructions for API enrichment (not stored in entry)
     const currentProject = STATE.projects.find(function(p: Project) { return p.id === STATE.currentProjectId; });
-    const effectiveSettings = ui.getEffectiveProjectSettings({
-        model: null,
-        instructions: null,
-        systemPrompt: null,
-        defaultResolution: null,
-        defaultAspectRatio: null,
-        defaultRatingFilter: null
-    });
+    const effectiveSettings = ui.getEffectiveProjectSettings(createDefaultProjectSettings());
     const projectInstructions = effectiveSettings.instructions || undefined;
 
     STATE.conversationHistory.push({
         role: "user",
         content: prompt
     });
+    const conversationHistory = editSource
+        ? buildEditHistory(STATE.currentConversation, editSource)
+        : STATE.conversationHistory.slice();
+    // The next follow-up edits the newest result again unless another image is picked
+    STATE.editSource = null;
+    ui.renderEditSourceBanner();
 
-    STATE.isGenerating = true;
-    ui.setLoadingState(true);
     ui.shrinkTextarea();
 
     const systemPrompt = await ui.getSystemPrompt();
 
-    createConversation(STATE.currentConversation.timestamp).then(function() {
-        // Add conversation to current project if not already there
-        if (currentProject && !currentProject.conversationTimestamps.includes(STATE.currentConversation!.timestamp)) {
-            currentProject.conversationTimestamps.push(STATE.currentConversation!.timestamp);
-            saveProject(currentProject);
-        }
-        return handleImageGenerationWithSpinner(
-            apiKey,
-            STATE.currentConversation!,
-            null,
-            prompt,
-            STATE.selectedModel!,
-            systemPrompt,
-            STATE.conversationHistory,
-            imageConfig,
-            seed,
-            undefined,
-            referenceImages,
-            undefined,
-            true,
-            projectInstructions
-        );
-    }).then(function() {
-        ui.clearUserInput();
+    await createConversation(timestamp);
 
-        if (STATE.currentConversation!.entries.length === 1) {
-            initializeConversationSummary(STATE.currentConversation!.timestamp).then(function() {
-                ui.updateConversationList();
-            });
-            generateConversationTitle(prompt).then(function(title: string) {
-                if (title && title !== "New Conversation") {
-                    updateConversationSummary(STATE.currentConversation!.timestamp, title).then(function() {
-                        ui.updateConversationListItemTitle(STATE.currentConversation!.timestamp);
-                    });
-                }
-            }).catch(function() {
-                console.log("Title generation failed, keeping placeholder");
-            });
-        } else {
-            updateConversationSummary(STATE.currentConversation!.timestamp).then(function() {
-                ui.updateConversationListDate(STATE.currentConversation!.timestamp);
-            });
-        }
+    // Add conversation to current project if not already there
+    if (currentProject && !currentProject.conversationTimestamps.includes(timestamp)) {
+        currentProject.conversationTimestamps.push(timestamp);
+        saveProject(currentProject);
+    }
 
-        const lastEntry = STATE.currentConversation!.entries[STATE.currentConversation!.entries.length - 1];
-        if (lastEntry?.response?.responseData) {
-            const response = lastEntry.response.responseData as ChatCompletionResponse;
-            const generationId = response.id;
-            fetchGenerationDataWithRetry(apiKey, generationId, 5).then(function(generationData: GenerationInfo | null) {
-                if (generationData) {
-                    lastEntry.response.generationData = generationData;
-                    saveConversation(STATE.currentConversation!.timestamp, STATE.currentConversation!);
-                }
-            });
-        }
-    }).catch(function() {
-    });
+    enqueueGeneration({
+        kind: 'generate',
+        providerId: getActiveProvider().id,
+        conversationTimestamp: timestamp,
+        entryIndex: null,
+        prompt: prompt,
+        model: STATE.selectedModel,
+        systemPrompt: systemPrompt,
+        conversationHistory: conversationHistory,
+        imageConfig: imageConfig,
+        seed: seed,
+        referenceImages: referenceImages,
+        instructions: projectInstructions,
+        template: template,
+        inputImage: editSource ?? undefined,
+        derivedFrom: editSource ?? undefined,
+        lineage: editSource ? createLineage('edit', [editSource]) : createLineage('reference', referenceImages)
+    }, editSource ? "Edit: " + prompt : prompt);
+
+    ui.clearUserInput();
 }
 
 /**
@@ -793,21 +1286,37 @@ export async function handleGenerate(): Promise<void> {
  * @param {number} entryIndex - Index of the entry in conversation
  * @param {number} imageIndex - Index of the image within the entry
  * @param {ReferenceImage | undefined} additionalReferenceImage - Optional additional reference image to include
- * @param {number | undefined} targetImageIndex - Optional pre-allocated placeholder index for parallel execution
- * @param {boolean} scrollToBottom - Whether to scroll to bottom after rendering
  */
 export async function handleRegenerateWithNewSeed(
     entryIndex: number, 
     imageIndex: number,
-    additionalReferenceImage?: ReferenceImage,
-    targetImageIndex?: number,
-    scrollToBottom: boolean = false
+    additionalReferenceImage?: ReferenceImage
 ): Promise<void> {
     if (!STATE.currentConversation || !STATE.currentConversation.entries[entryIndex]) return;
     const entry = STATE.currentConversation.entries[entryIndex];
+    if (!await confirmWithinBudget(STATE.currentConversation.timestamp, [entry.message.modelId || STATE.selectedModel || ""])) return;
+
+    queueRegeneration(entryIndex, imageIndex, additionalReferenceImage);
+}
+
+/**
+ * Queues a regeneration of an entry with a new seed (budget already checked)
+ * @param {number} entryIndex - Index of the entry in conversation
+ * @param {number} imageIndex - Index of the image within the entry
+ * @param {ReferenceImage | undefined} additionalReferenceImage - Optional additional reference image to include
+ * @param {BatchMembership | undefined} batch - Batch the regeneration is part of
+ */
+function queueRegeneration(
+    entryIndex: number,
+    imageIndex: number,
+    additionalReferenceImage?: ReferenceImage,
+    batch?: BatchMembership
+): void {
+    if (!STATE.currentConversation || !STATE.currentConversation.entries[entryIndex]) return;
+    const entry = STATE.currentConversation.entries[entryIndex];
 
     const apiKey = ui.getApiKey();
-    if (!apiKey) return;
+    if (!hasUsableApiKey(getActiveProvider(), apiKey)) return;
 
     const aspectRatio = ui.getAspectRatio();
     const resolution = entry.response.imageResolutions?.[imageIndex] ?? ui.getResolution();
@@ -821,14 +1330,7 @@ export async function handleRegenerateWithNewSeed(
     const prompt = entry.message.text;
     
     // Compute project instructions for API enrichment
-    const effectiveSettings = ui.getEffectiveProjectSettings({
-        model: null,
-        instructions: null,
-        systemPrompt: null,
-        defaultResolution: null,
-        defaultAspectRatio: null,
-        defaultRatingFilter: null
-    });
+    const effectiveSettings = ui.getEffectiveProjectSettings(createDefaultProjectSettings());
     const projectInstructions = effectiveSettings.instructions || undefined;
 
     // Combine existing reference images with additional reference if provided
@@ -837,25 +1339,30 @@ export async function handleRegenerateWithNewSeed(
         ? [...existingRefImages, additionalReferenceImage]
         : existingRefImages;
 
-    STATE.isGenerating = true;
-    ui.setLoadingState(true);
-
-    await handleImageGenerationWithSpinner(
-        apiKey,
-        STATE.currentConversation,
-        entry,
-        prompt,
-        entry.message.modelId || STATE.selectedModel || "",
-        entry.message.systemPrompt || null,
-        [],
-        imageConfig,
-        newSeed,
-        undefined,
-        combinedRefImages,
-        targetImageIndex,
-        scrollToBottom,
-        projectInstructions
-    );
+    // With an extra reference the new image is made from it; otherwise it is a re-roll of the entry's image
+    const rerolledFilename = entry.response.imageFilenames[imageIndex];
+    const lineage = additionalReferenceImage
+        ? createLineage('reference', [additionalReferenceImage])
+        : createLineage('seed', rerolledFilename && rerolledFilename !== "generating"
+            ? [{ conversationTimestamp: STATE.currentConversation.timestamp, imageIndex: parseInt(rerolledFilename, 10) }]
+            : []);
+
+    enqueueGeneration({
+        kind: 'regenerate',
+        providerId: getActiveProvider().id,
+        conversationTimestamp: STATE.currentConversation.timestamp,
+        entryIndex: entryIndex,
+        prompt: prompt,
+        model: entry.message.modelId || STATE.selectedModel || "",
+        systemPrompt: entry.message.systemPrompt || null,
+        conversationHistory: [],
+        imageConfig: imageConfig,
+        seed: newSeed,
+        referenceImages: combinedRefImages,
+        instructions: projectInstructions,
+        batch: batch,
+        lineage: lineage
+    }, "New seed: " + prompt);
 }
 
 /**
@@ -875,72 +1382,159 @@ export async function handleRegenerateLarger(entryIndex: number, imageIndex: num
     }
 
     const apiKey = ui.getApiKey();
-    if (!apiKey) return;
+    if (!hasUsableApiKey(getActiveProvider(), apiKey)) return;
 
-    const conversationTimestamp = STATE.currentConversation.timestamp;
-    const imageFilename = entry.response.imageFilenames[imageIndex];
+    if (!await confirmWithinBudget(STATE.currentConversation.timestamp, [upscalingModel])) return;
 
-    STATE.isGenerating = true;
-    ui.setLoadingState(true);
+    const imageFilename = entry.response.imageFilenames[imageIndex];
+    const sourceImage: ReferenceImage = {
+        conversationTimestamp: STATE.currentConversation.timestamp,
+        imageIndex: parseInt(imageFilename, 10)
+    };
 
-    try {
-        const blob = await getImage(conversationTimestamp, parseInt(imageFilename, 10));
-        if (!blob) throw new Error("Failed to load image");
-
-        const dataUrl = await new Promise<string>(function(resolve, reject) {
-            const reader = new FileReader();
-            reader.onloadend = function() {
-                if (reader.result) {
-                    resolve(reader.result as string);
-                } else {
-                    reject(new Error("Failed to read image data"));
-                }
-            };
-            reader.onerror = function() {
-                reject(new Error("Failed to read image data"));
-            };
-            reader.readAsDataURL(blob);
-        });
+    enqueueGeneration({
+        kind: 'upscale',
+        providerId: getActiveProvider().id,
+        conversationTimestamp: STATE.currentConversation.timestamp,
+        entryIndex: entryIndex,
+        prompt: UPSCALE_PROMPT,
+        model: upscalingModel,
+        systemPrompt: null,
+        conversationHistory: [],
+        imageConfig: { imageSize: "4K" },
+        referenceImages: entry.message.referenceImages,
+        inputImage: sourceImage,
+        lineage: createLineage('upscale', [sourceImage])
+    }, "Upscale to 4K: " + entry.message.text);
+}
 
-        const imageConfig: ImageConfig = {
-            imageSize: "4K"
-        };
+/**
+ * Queues a masked edit (inpainting) of an image. The result becomes a new entry linked to its source.
+ * @param {number} entryIndex - Index of the entry in conversation
+ * @param {number} imageIndex - Index of the image within the entry
+ * @param {string} prompt - Description of the change
+ * @param {string} model - Model to use (one of STATE.visionModels)
+ * @param {string} maskData - Mask as a PNG data URL (white = area to change)
+ * @returns {Promise<boolean>} True if the edit was queued
+ */
+export async function handleInpaint(entryIndex: number, imageIndex: number, prompt: string, model: string, maskData: string): Promise<boolean> {
+    if (!STATE.currentConversation || !STATE.currentConversation.entries[entryIndex]) return false;
+    const conversation = STATE.currentConversation;
+    const entry = conversation.entries[entryIndex];
+    const filename = entry.response.imageFilenames[imageIndex];
+    if (!filename || filename === "generating") return false;
+
+    if (!isOnline()) {
+        ui.displayError("Network unavailable. Please check your connection.");
+        return false;
+    }
 
-        const referenceImages = entry.message.referenceImages;
+    const apiKey = ui.getApiKey();
+    if (!hasUsableApiKey(getActiveProvider(), apiKey)) {
+        ui.displayError("Please enter your API key first");
+        return false;
+    }
 
-        await handleImageGenerationWithSpinner(
-            apiKey,
-            STATE.currentConversation,
-            entry,
-            UPSCALE_PROMPT,
-            upscalingModel,
-            null,
-            [],
-            imageConfig,
-            undefined,
-            { imageData: dataUrl },
-            referenceImages,
-            undefined,
-            true
-        );
-    } catch (error) {
-        console.error("Error upscaling image:", error);
-        const errorInfo = (error as unknown as { info?: { message: string; status?: number; code?: string; type?: string; rawResponse?: string } }).info;
-        if (errorInfo) {
-            ui.displayError(errorInfo);
-        } else {
-            ui.displayError((error as Error).message);
-        }
-        STATE.isGenerating = false;
-        ui.setLoadingState(false);
+    if (!await confirmWithinBudget(conversation.timestamp, [model])) return false;
+
+    const sourceImage: ReferenceImage = {
+        conversationTimestamp: conversation.timestamp,
+        imageIndex: parseInt(filename, 10)
+    };
+    const effectiveSettings = ui.getEffectiveProjectSettings(createDefaultProjectSettings());
+    const instructions = effectiveSettings.instructions
+        ? INPAINT_INSTRUCTIONS + "\n\n" + effectiveSettings.instructions
+        : INPAINT_INSTRUCTIONS;
+
+    // The mask is stored as a file so the persisted queue does not carry a full-size image
+    const maskFile = await saveQueueMask(maskData);
+    if (!maskFile) {
+        ui.displayError("Could not save the mask");
+        return false;
     }
+
+    enqueueGeneration({
+        kind: 'generate',
+        providerId: getActiveProvider().id,
+        conversationTimestamp: conversation.timestamp,
+        entryIndex: null,
+        prompt: prompt,
+        model: model,
+        systemPrompt: null,
+        conversationHistory: [],
+        imageConfig: {
+            imageSize: (entry.response.imageResolutions?.[imageIndex] ?? ui.getResolution()) as ImageConfig['imageSize'],
+            aspectRatio: entry.message.aspectRatio as ImageConfig['aspectRatio']
+        },
+        seed: generateRandomSeed(),
+        inputImage: sourceImage,
+        maskFile: maskFile,
+        instructions: instructions,
+        derivedFrom: sourceImage,
+        lineage: createLineage('inpaint', [sourceImage])
+    }, "Inpaint: " + prompt);
+    return true;
 }
 
 /**
- * Core parallel regeneration logic - used by both header and image x5 buttons
+ * Saves a locally transformed copy of an image as a new image in the source's entry.
+ * The original image is kept; the copy records it as its parent. Conversation images are
+ * stored as PNG, so other formats are refused.
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Index of the entry in conversation
+ * @param {number} imageIndex - Index of the source image within the entry
+ * @param {Blob} blob - Encoded result
+ * @param {number} width - Result width in pixels
+ * @param {number} height - Result height in pixels
+ * @param {string} details - Description of the transform
+ * @returns {Promise<boolean>} True if the image was saved
+ */
+export async function handleSaveTransformedImage(conversationTimestamp: number, entryIndex: number, imageIndex: number, blob: Blob, width: number, height: number, details: string): Promise<boolean> {
+    const conversation = await ui.getConversationForEdit(conversationTimestamp);
+    if (!conversation || !conversation.entries[entryIndex]) return false;
+    const entry = conversation.entries[entryIndex];
+    const sourceFilename = entry.response.imageFilenames[imageIndex];
+    if (!sourceFilename || sourceFilename === "generating") return false;
+    if (blob.type !== "image/png") {
+        ui.displayError("Only PNG images can be saved to the conversation");
+        return false;
+    }
+
+    const resolution = resolutionForSize(width, height);
+    const pngMetadata: PngGenerationMetadata = Object.assign(buildGenerationMetadata(entry, imageIndex), { resolution: resolution });
+    const newIndex = await saveImage(conversationTimestamp, await blobToDataUrl(blob), pngMetadata);
+    if (newIndex === null) {
+        ui.displayError("Failed to save the transformed image");
+        return false;
+    }
+
+    // The entry may have changed while the image was written
+    const position = entry.response.imageFilenames.indexOf(sourceFilename);
+    if (position === -1) return false;
+    const filename = String(newIndex);
+    ensureMetadataArray(entry);
+    entry.response.imageFilenames.splice(position + 1, 0, filename);
+    entry.response.imageResolutions ??= [];
+    entry.response.imageResolutions.splice(position + 1, 0, resolution);
+    entry.response.imageMetadata!.splice(position + 1, 0, { tags: [] });
+    recordLineage(entry, [filename], {
+        operation: 'transform',
+        parents: [{ conversationTimestamp: conversationTimestamp, imageIndex: parseInt(sourceFilename, 10) }],
+        details: details
+    });
+
+    // Positions after the new image shift, so cached elements keyed by position are stale
+    forgetComparedImages(conversationTimestamp);
+    await persistConversationEdit(conversation);
+    ui.invalidateDialogState();
+    return true;
+}
+
+/**
+ * Queues several regenerations of an entry - used by both header and image x5 buttons
  * @param {number} entryIndex - Index of the entry in conversation
  * @param {number} imageIndex - Index of the image for resolution lookup
- * @param {number} count - Number of parallel regenerations (default 5)
+ * @param {number} count - Number of regenerations (default 5)
  * @param {ReferenceImage | undefined} additionalReferenceImage - Optional additional reference image to include
  * @returns {Promise<void>}
  */
@@ -952,61 +1546,98 @@ async function handleRegenerateMultiple(
 ): Promise<void> {
     if (!STATE.currentConversation || !STATE.currentConversation.entries[entryIndex]) return;
     const entry = STATE.currentConversation.entries[entryIndex];
+    const modelId = entry.message.modelId || STATE.selectedModel || "";
+    if (!await confirmWithinBudget(STATE.currentConversation.timestamp, new Array(count).fill(modelId))) return;
 
-    const apiKey = ui.getApiKey();
-    if (!apiKey) return;
+    const batchId = generateBatchId();
+    const batchName = "×" + count + ": " + entry.message.text;
+    for (let i = 0; i < count; i++) {
+        queueRegeneration(entryIndex, imageIndex, additionalReferenceImage, { id: batchId, name: batchName, position: i + 1, total: count });
+    }
+}
 
-    const resolution = entry.response.imageResolutions?.[imageIndex] ?? ui.getResolution();
+/**
+ * Queues a batch of generations into the current conversation (or a new one).
+ * All generations share one seed so that differences come from the varied settings.
+ * @param {string} name - Batch name shown on the entries and in the queue
+ * @param {BatchVariant[]} variants - Generations to queue, in order
+ * @returns {Promise<boolean>} True if the batch was queued
+ */
+export async function handleStartBatch(name: string, variants: BatchVariant[]): Promise<boolean> {
+    if (variants.length === 0) return false;
 
-    // Pre-allocate placeholders
-    const placeholderIndices: number[] = [];
-    for (let i = 0; i < count; i++) {
-        entry.response.imageFilenames.push("generating");
-        entry.response.imageResolutions ??= [];
-        entry.response.imageResolutions.push(resolution as '1K' | '2K' | '4K');
-        entry.response.imageMetadata ??= [];
-        entry.response.imageMetadata.push({ tags: [] });
-        placeholderIndices.push(entry.response.imageFilenames.length - 1);
+    if (!isOnline()) {
+        ui.displayError("Network unavailable. Please check your connection.");
+        return false;
     }
 
-    await saveConversation(STATE.currentConversation.timestamp, STATE.currentConversation);
-    await ui.renderConversation(STATE.currentConversation);
+    const apiKey = ui.getApiKey();
+    if (!hasUsableApiKey(getActiveProvider(), apiKey)) {
+        ui.displayError("Please enter your API key first");
+        return false;
+    }
 
-    STATE.isGenerating = true;
-    ui.setLoadingState(true);
+    const existingTimestamp = STATE.currentConversation && STATE.currentConversation.timestamp !== 0 ? STATE.currentConversation.timestamp : null;
+    const modelIds = variants.map(function(v: BatchVariant) { return v.modelId; });
+    if (!await confirmWithinBudget(existingTimestamp, modelIds)) {
+        return false;
+    }
 
-    try {
-        // Call handleRegenerateWithNewSeed 'count' times in parallel
-        const promises: Promise<void>[] = [];
-        for (let i = 0; i < count; i++) {
-            const capturedPlaceholderIndex = placeholderIndices[i];
-            const isLast = i === count - 1;
-
-            promises.push(
-                handleRegenerateWithNewSeed(
-                    entryIndex,
-                    imageIndex,
-                    additionalReferenceImage,
-                    capturedPlaceholderIndex,
-                    isLast
-                )
-            );
-        }
+    const seed = STATE.nextSeed ?? generateRandomSeed();
+    STATE.nextSeed = null;
+    let timestamp = Math.floor(Date.now() / 1000);
 
-        await Promise.all(promises);
-    } finally {
-        STATE.isGenerating = false;
-        ui.setLoadingState(false);
-
-        const balanceApiKey = ui.getApiKey();
-        if (balanceApiKey) {
-            fetchBalance(balanceApiKey).then(function(balance: BalanceInfo) {
-                ui.updateBalanceDisplay(balance);
-            }).catch(function() {
-                ui.updateBalanceDisplay(null, "Balance unavailable");
-            });
-        }
+    if (!STATE.currentConversation || STATE.currentConversation.timestamp === 0) {
+        STATE.currentConversation = {
+            timestamp: timestamp,
+            entries: [],
+            referenceImages: STATE.currentConversation?.referenceImages ?? []
+        };
+    } else {
+        timestamp = STATE.currentConversation.timestamp;
     }
+
+    const referenceImages = (STATE.currentConversation.referenceImages ?? []).slice();
+    const currentProject = STATE.projects.find(function(p: Project) { return p.id === STATE.currentProjectId; });
+    const effectiveSettings = ui.getEffectiveProjectSettings(createDefaultProjectSettings());
+    const projectInstructions = effectiveSettings.instructions || undefined;
+    const systemPrompt = await ui.getSystemPrompt();
+    // Every variant sees the same history, without the prompts of the other variants
+    const baseHistory = STATE.conversationHistory.slice();
+
+    await createConversation(timestamp);
+
+    if (currentProject && !currentProject.conversationTimestamps.includes(timestamp)) {
+        currentProject.conversationTimestamps.push(timestamp);
+        saveProject(currentProject);
+    }
+
+    const batchId = generateBatchId();
+    variants.forEach(function(variant: BatchVariant, i: number) {
+        const batch: BatchMembership = { id: batchId, name: name, position: i + 1, total: variants.length };
+        enqueueGeneration({
+            kind: 'generate',
+            providerId: getActiveProvider().id,
+            conversationTimestamp: timestamp,
+            entryIndex: null,
+            prompt: variant.prompt.text,
+            model: variant.modelId,
+            systemPrompt: systemPrompt,
+            conversationHistory: baseHistory.concat([{ role: "user", content: variant.prompt.text }]),
+            imageConfig: {
+                imageSize: variant.resolution as ImageConfig['imageSize'],
+                aspectRatio: variant.aspectRatio as ImageConfig['aspectRatio']
+            },
+            seed: seed,
+            referenceImages: referenceImages,
+            instructions: projectInstructions,
+            template: variant.prompt.template,
+            batch: batch,
+            lineage: createLineage('reference', referenceImages)
+        }, name + " " + (i + 1) + "/" + variants.length + " · " + getModelName(variant.modelId) + " · " + variant.aspectRatio + " · " + variant.resolution);
+    });
+
+    return true;
 }
 
 /**
@@ -1038,3 +1669,1044 @@ export async function handleRegenerateX5(entryIndex: number, imageIndex: number)
 export async function handleRegenerateEntryX5(entryIndex: number): Promise<void> {
     await handleRegenerateMultiple(entryIndex, 0, 5, undefined);
 }
+
+/**
+ * Saves a conversation after an edit, refreshes its summary and re-renders it if visible
+ * @param {Conversation} conversation - Edited conversation
+ * @returns {Promise<void>}
+ */
+async function persistConversationEdit(conversation: Conversation): Promise<void> {
+    await saveConversation(conversation.timestamp, conversation);
+    await updateConversationSummary(conversation.timestamp);
+    ui.updateConversationListDate(conversation.timestamp);
+
+    if (STATE.currentConversation === conversation) {
+        // Indices shift after a removal, so cached elements keyed by index are stale
+        ui.rebuildConversationHistory(conversation);
+        ui.clearConversationViewCaches();
+        await ui.renderConversation(conversation);
+    }
+}
+
+/**
+ * Drops a conversation's images from the comparison. Deleting shifts entry and image
+ * indices, so picks from the conversation could otherwise point at other images.
+ * @param {number} conversationTimestamp - Conversation timestamp
+ */
+function forgetComparedImages(conversationTimestamp: number): void {
+    removeConversationFromComparison(conversationTimestamp);
+    ui.updateComparisonTray();
+}
+
+/**
+ * Deletes one image from an entry; deleting the last image removes the whole entry.
+ * The PNG is only removed from disk once the undo window has passed.
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Index of the entry in conversation
+ * @param {number} imageIndex - Index of the image within the entry
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteImage(conversationTimestamp: number, entryIndex: number, imageIndex: number): Promise<void> {
+    const conversation = await ui.getConversationForEdit(conversationTimestamp);
+    if (!conversation || !conversation.entries[entryIndex]) return;
+    const entry = conversation.entries[entryIndex];
+
+    const filename = entry.response.imageFilenames[imageIndex];
+    if (!filename || filename === "generating") return;
+
+    if (entry.response.imageFilenames.length === 1) {
+        await handleDeleteEntry(conversationTimestamp, entryIndex);
+        return;
+    }
+
+    const resolution = entry.response.imageResolutions?.[imageIndex];
+    const metadata = entry.response.imageMetadata?.[imageIndex];
+
+    entry.response.imageFilenames.splice(imageIndex, 1);
+    entry.response.imageResolutions?.splice(imageIndex, 1);
+    entry.response.imageMetadata?.splice(imageIndex, 1);
+    forgetComparedImages(conversationTimestamp);
+    await persistConversationEdit(conversation);
+
+    registerUndo("Image deleted", async function() {
+        const target = await ui.getConversationForEdit(conversationTimestamp);
+        if (!target) return;
+        const targetEntry = target.entries.includes(entry) ? entry : target.entries[entryIndex];
+        if (!targetEntry) return;
+
+        const position = Math.min(imageIndex, targetEntry.response.imageFilenames.length);
+        targetEntry.response.imageFilenames.splice(position, 0, filename);
+        if (resolution && targetEntry.response.imageResolutions) {
+            targetEntry.response.imageResolutions.splice(position, 0, resolution);
+        }
+        if (metadata && targetEntry.response.imageMetadata) {
+            targetEntry.response.imageMetadata.splice(position, 0, metadata);
+        }
+        await persistConversationEdit(target);
+    }, async function() {
+        await deleteImage(conversationTimestamp, parseInt(filename, 10));
+    });
+}
+
+/**
+ * Deletes an entry and all of its images.
+ * The PNGs are only removed from disk once the undo window has passed.
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Index of the entry in conversation
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteEntry(conversationTimestamp: number, entryIndex: number): Promise<void> {
+    // Queued jobs address entries by index, so removing one would retarget them
+    if (hasPendingJobs(conversationTimestamp)) {
+        ui.displayError("Wait for the pending generations in this conversation to finish before deleting an entry");
+        return;
+    }
+
+    const conversation = await ui.getConversationForEdit(conversationTimestamp);
+    if (!conversation || !conversation.entries[entryIndex]) return;
+
+    const removed = conversation.entries.splice(entryIndex, 1)[0];
+    forgetComparedImages(conversationTimestamp);
+    await persistConversationEdit(conversation);
+
+    registerUndo("Entry deleted", async function() {
+        const target = await ui.getConversationForEdit(conversationTimestamp);
+        if (!target) return;
+        target.entries.splice(Math.min(entryIndex, target.entries.length), 0, removed);
+        await persistConversationEdit(target);
+    }, async function() {
+        for (const filename of removed.response.imageFilenames) {
+            if (filename === "generating") continue;
+            await deleteImage(conversationTimestamp, parseInt(filename, 10));
+        }
+    });
+}
+
+/**
+ * Groups images by their conversation, keeping their order
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {Map<number, ReferenceImage[]>} Images per conversation timestamp
+ */
+function groupImagesByConversation(images: ReferenceImage[]): Map<number, ReferenceImage[]> {
+    const groups: Map<number, ReferenceImage[]> = new Map();
+    images.forEach(function(image: ReferenceImage) {
+        const group = groups.get(image.conversationTimestamp) ?? [];
+        group.push(image);
+        groups.set(image.conversationTimestamp, group);
+    });
+    return groups;
+}
+
+/**
+ * Applies a tag or rating change to images across conversations, saving each conversation
+ * once, and registers an undo that restores the previous tags and ratings
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {function(Conversation, ReferenceImage[]): ReferenceImage[]} apply - Changes the images of one conversation and returns those that changed
+ * @param {function(number): string} describe - Undo toast message for the number of changed images
+ * @param {function(): Promise<void>} [onUndo] - Restores anything else the change touched
+ * @returns {Promise<number>} Number of images changed
+ */
+async function updateImageMetadata(images: ReferenceImage[], apply: (conversation: Conversation, images: ReferenceImage[]) => ReferenceImage[], describe: (count: number) => string, onUndo?: () => Promise<void>): Promise<number> {
+    const snapshots: Array<{image: ReferenceImage; tags: string[]; rating: number | null}> = [];
+    for (const [timestamp, group] of groupImagesByConversation(images)) {
+        const conversation = await ui.getConversationForEdit(timestamp);
+        if (!conversation) continue;
+
+        const before: Map<number, {tags: string[]; rating: number | null}> = new Map();
+        group.forEach(function(image: ReferenceImage) {
+            const location = findImageLocation(conversation, image);
+            if (!location) return;
+            const entry = conversation.entries[location.entryIndex];
+            before.set(image.imageIndex, { tags: getTagsForImage(entry, location.imageIndex).slice(), rating: getRatingForImage(entry, location.imageIndex) });
+        });
+
+        const changed = apply(conversation, group);
+        if (changed.length === 0) continue;
+        changed.forEach(function(image: ReferenceImage) {
+            const previous = before.get(image.imageIndex);
+            if (previous) snapshots.push({ image: image, tags: previous.tags, rating: previous.rating });
+        });
+        await persistConversationEdit(conversation);
+    }
+
+    if (snapshots.length === 0) return 0;
+    ui.invalidateDialogState();
+
+    registerUndo(describe(snapshots.length), async function() {
+        if (onUndo) {
+            await onUndo();
+        }
+        for (const [timestamp, group] of groupImagesByConversation(snapshots.map(function(s) { return s.image; }))) {
+            const conversation = await ui.getConversationForEdit(timestamp);
+            if (!conversation) continue;
+            group.forEach(function(image: ReferenceImage) {
+                const snapshot = snapshots.find(function(s) { return s.image === image; });
+                const location = findImageLocation(conversation, image);
+                if (!snapshot || !location) return;
+                const entry = conversation.entries[location.entryIndex];
+                setTags(entry, location.imageIndex, snapshot.tags);
+                setRating(entry, location.imageIndex, snapshot.rating);
+            });
+            await persistConversationEdit(conversation);
+        }
+        ui.invalidateDialogState();
+        await ui.refreshGallery();
+    }, async function() {
+        // Nothing to clean up; the change is already saved
+    });
+    return snapshots.length;
+}
+
+/**
+ * Sets the rating of several images, possibly in different conversations. Each conversation
+ * is saved once and the change can be undone.
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {number | null} rating - Rating (1-5) or null to clear
+ * @returns {Promise<number>} Number of images whose rating changed
+ */
+export async function handleBulkRate(images: ReferenceImage[], rating: number | null): Promise<number> {
+    return updateImageMetadata(images, function(conversation: Conversation, group: ReferenceImage[]) {
+        return setRatingForImages(conversation, group, rating);
+    }, function(count: number) {
+        return (rating === null ? "Rating cleared on " : "Rated " + rating + "★ on ") + count + (count === 1 ? " image" : " images");
+    });
+}
+
+/**
+ * Adds and removes tags on several images, possibly in different conversations. Each
+ * conversation is saved once and the change can be undone.
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {string[]} add - Tags to add
+ * @param {string[]} remove - Tags to remove
+ * @returns {Promise<number>} Number of images whose tags changed
+ */
+export async function handleBulkEditTags(images: ReferenceImage[], add: string[], remove: string[]): Promise<number> {
+    return updateImageMetadata(images, function(conversation: Conversation, group: ReferenceImage[]) {
+        return updateTagsForImages(conversation, group, add, remove);
+    }, function(count: number) {
+        return "Tags changed on " + count + (count === 1 ? " image" : " images");
+    });
+}
+
+/**
+ * Lists every image in the library carrying a tag or one of its children
+ * @param {string} tag - Normalized tag
+ * @returns {Promise<ReferenceImage[]>} Images by conversation and storage index
+ */
+async function findImagesWithTag(tag: string): Promise<ReferenceImage[]> {
+    const images: ReferenceImage[] = [];
+    for (const timestamp of await listConversations()) {
+        const conversation = await ui.getConversationForEdit(timestamp);
+        if (conversation) {
+            images.push(...getImagesWithTag(conversation, tag));
+        }
+    }
+    return images;
+}
+
+/**
+ * Saves the tag colors
+ * @param {Record<string, string>} colors - Colors by tag
+ * @returns {Promise<void>}
+ */
+export async function saveTagColors(colors: Record<string, string>): Promise<void> {
+    STATE.tagColors = colors;
+    await savePreference("tagColors", JSON.stringify(colors));
+}
+
+/**
+ * Saves a smart collection, replacing the one with the same ID
+ * @param {SmartCollection} collection - Collection to save
+ * @returns {Promise<boolean>} True if saved, false if its name or query is invalid
+ */
+export async function handleSaveCollection(collection: SmartCollection): Promise<boolean> {
+    const error = validateCollectionQuery(collection.query);
+    if (!collection.name.trim() || error) {
+        ui.displayError(error ? "Invalid collection query: " + error : "Collections need a name");
+        return false;
+    }
+    const others = STATE.smartCollections.filter(function(c: SmartCollection) { return c.id !== collection.id; });
+    STATE.smartCollections = sortCollections(others.concat([collection]));
+    await savePreference("smartCollections", JSON.stringify(STATE.smartCollections));
+    ui.renderSmartCollections();
+    return true;
+}
+
+/**
+ * Deletes a smart collection; the images in it are not touched
+ * @param {string} id - Collection ID
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteCollection(id: string): Promise<void> {
+    STATE.smartCollections = STATE.smartCollections.filter(function(c: SmartCollection) { return c.id !== id; });
+    await savePreference("smartCollections", JSON.stringify(STATE.smartCollections));
+    ui.renderSmartCollections();
+}
+
+/**
+ * Adds images to an album, or to a new album
+ * @param {string | null} albumId - Album to add to, or null to create one
+ * @param {string} newTitle - Title of the new album (used when albumId is null)
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {Promise<Album | null>} The album, or null if it could not be found or created
+ */
+export async function handleAddImagesToAlbum(albumId: string | null, newTitle: string, images: ReferenceImage[]): Promise<Album | null> {
+    let album: Album | undefined;
+    if (albumId === null) {
+        if (!newTitle.trim()) {
+            ui.displayError("Albums need a title");
+            return null;
+        }
+        album = createAlbum(newTitle.trim());
+    } else {
+        album = (await loadAllAlbums()).find(function(a: Album) { return a.id === albumId; });
+        if (!album) {
+            ui.displayError("Album not found");
+            return null;
+        }
+    }
+    addImagesToAlbum(album, images);
+    await saveAlbum(album);
+    await ui.refreshAlbums();
+    return album;
+}
+
+/**
+ * Saves changes made to an album's title, description, notes, order or cover
+ * @param {Album} album - Changed album
+ * @returns {Promise<void>}
+ */
+export async function handleSaveAlbum(album: Album): Promise<void> {
+    album.updated = Date.now();
+    await saveAlbum(album);
+}
+
+/**
+ * Deletes an album; its images stay in their conversations
+ * @param {string} id - Album ID
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteAlbum(id: string): Promise<void> {
+    await deleteAlbum(id);
+    await ui.refreshAlbums();
+}
+
+/**
+ * Adds the images of an album to the reference images of the current conversation,
+ * skipping ones already there and ones deleted since they were added to the album
+ * @param {Album} album - Album
+ * @returns {Promise<number>} Number of reference images added
+ */
+export async function handleUseAlbumAsReferences(album: Album): Promise<number> {
+    const conversation = STATE.currentConversation;
+    if (!conversation) return 0;
+    conversation.referenceImages ??= [];
+
+    let added = 0;
+    let missing = 0;
+    for (const image of getAlbumReferences(album)) {
+        const source = await ui.getConversationForEdit(image.conversationTimestamp);
+        if (!source || !findImageLocation(source, image)) {
+            missing++;
+            continue;
+        }
+        const exists = conversation.referenceImages.some(function(ref: ReferenceImage) {
+            return ref.conversationTimestamp === image.conversationTimestamp && ref.imageIndex === image.imageIndex;
+        });
+        if (exists) continue;
+        conversation.referenceImages.push(image);
+        added++;
+    }
+
+    if (added > 0) {
+        await saveConversation(conversation.timestamp, conversation);
+        ui.renderReferenceImagesToolbar(conversation);
+    }
+    if (missing > 0) {
+        ui.displayWarning(missing + (missing === 1 ? " image of the album no longer exists and was" : " images of the album no longer exist and were") + " skipped");
+    }
+    return added;
+}
+
+/**
+ * Renames a tag and its children on every image of the library; renaming onto an existing
+ * tag merges the two. Colors move with the tag and the change can be undone.
+ * @param {string} from - Tag to rename
+ * @param {string} to - New name
+ * @returns {Promise<number>} Number of images changed
+ */
+export async function handleRenameTag(from: string, to: string): Promise<number> {
+    const source = normalizeTag(from);
+    const target = normalizeTag(to);
+    if (!isValidTag(source) || !isValidTag(target) || source === target) return 0;
+
+    // Colors move first so re-rendered conversations already show them
+    const previousColors = STATE.tagColors;
+    await saveTagColors(renameTagColors(previousColors, source, target));
+    return updateImageMetadata(await findImagesWithTag(source), function(conversation: Conversation, group: ReferenceImage[]) {
+        return renameTagForImages(conversation, group, source, target);
+    }, function(count: number) {
+        return "Renamed \"" + source + "\" to \"" + target + "\" on " + count + (count === 1 ? " image" : " images");
+    }, async function() {
+        await saveTagColors(previousColors);
+    });
+}
+
+/**
+ * Removes a tag and its children from every image of the library. The change can be undone.
+ * @param {string} tag - Tag to delete
+ * @returns {Promise<number>} Number of images changed
+ */
+export async function handleDeleteTag(tag: string): Promise<number> {
+    const normalized = normalizeTag(tag);
+    if (!isValidTag(normalized)) return 0;
+
+    const previousColors = STATE.tagColors;
+    await saveTagColors(renameTagColors(previousColors, normalized, null));
+    return updateImageMetadata(await findImagesWithTag(normalized), function(conversation: Conversation, group: ReferenceImage[]) {
+        return deleteTagForImages(conversation, group, normalized);
+    }, function(count: number) {
+        return "Removed \"" + normalized + "\" from " + count + (count === 1 ? " image" : " images");
+    }, async function() {
+        await saveTagColors(previousColors);
+    });
+}
+
+/** @type {Set<string>} Images waiting for tags, so overlapping requests don't tag an image twice */
+const imagesBeingTagged: Set<string> = new Set();
+
+/**
+ * Lists the tags of the whole library from the search index, most used first
+ * @returns {Promise<string[]>} Tags
+ */
+async function loadTagVocabulary(): Promise<string[]> {
+    return getTagVocabularyFromIndex(await loadSearchIndex());
+}
+
+/**
+ * Gets the auto-tagging model
+ * @returns {Promise<string>} Model ID
+ * @throws {Error} If no model is chosen
+ */
+async function getAutoTagModel(): Promise<string> {
+    const model = await getPreference("autoTagModel");
+    if (!model) {
+        throw new Error("Choose an auto-tagging model in Settings first");
+    }
+    return model;
+}
+
+/**
+ * Asks the auto-tagging model for tags for one image
+ * @param {ReferenceImage} image - Image by conversation and storage index
+ * @param {string[]} vocabulary - Existing tags the model should reuse, most used first
+ * @param {string} model - Auto-tagging model
+ * @returns {Promise<{tags: string[], response: ChatCompletionResponse}>} Suggested tags and the response they came from
+ * @throws {Error} If the image is missing or the request fails
+ */
+async function requestTags(image: ReferenceImage, vocabulary: string[], model: string): Promise<{ tags: string[]; response: ChatCompletionResponse }> {
+    const provider = getActiveProvider();
+    const apiKey = ui.getApiKey();
+    if (!hasUsableApiKey(provider, apiKey)) {
+        throw new Error("API key required");
+    }
+    const blob = await getImage(image.conversationTimestamp, image.imageIndex);
+    if (!blob) {
+        throw new Error("Image not found");
+    }
+    const response = await provider.describeImage(apiKey, model, AUTO_TAG_SYSTEM_PROMPT, buildAutoTagPrompt(vocabulary), await prepareImageForTagging(blob));
+    const reply = response.choices?.[0]?.message?.content || "";
+    return { tags: parseSuggestedTags(reply, vocabulary), response: response };
+}
+
+/**
+ * Records a tagging request as a billed generation on the entry of the tagged image, so it
+ * counts towards spending and budgets. The caller saves the conversation; the cost is
+ * filled in once the provider reports it.
+ * @param {Conversation} conversation - Conversation of the image
+ * @param {ReferenceImage} image - Tagged image
+ * @param {ChatCompletionResponse} response - Tagging response
+ * @param {string} model - Auto-tagging model
+ */
+function recordTaggingCost(conversation: Conversation, image: ReferenceImage, response: ChatCompletionResponse, model: string): void {
+    const location = findImageLocation(conversation, image);
+    if (!location) return;
+    recordGeneration(conversation.entries[location.entryIndex], response, model, conversation.timestamp);
+
+    fetchGenerationDataWithRetry(ui.getApiKey(), response.id, 5).then(async function(generationData: GenerationInfo | null) {
+        if (!generationData || typeof generationData.cost !== "number") return;
+        // Reload; the conversation has usually been saved again since
+        const latest = await ui.getConversationForEdit(conversation.timestamp);
+        const latestLocation = latest ? findImageLocation(latest, image) : null;
+        if (!latest || !latestLocation) return;
+        const record = (latest.entries[latestLocation.entryIndex].response.generations ?? []).find(function(r: GenerationCostRecord) {
+            return r.id === response.id;
+        });
+        if (!record) return;
+        record.cost = generationData.cost;
+        await saveConversation(latest.timestamp, latest);
+        updateConversationCosts(latest);
+    });
+}
+
+/**
+ * Asks the auto-tagging model for tags for one image, checking the budget first and
+ * recording the cost of the request
+ * @param {ReferenceImage} image - Image by conversation and storage index
+ * @param {string[]} vocabulary - Existing tags the model should reuse, most used first
+ * @param {Conversation} conversation - Conversation of the image, saved with the cost record
+ * @returns {Promise<string[] | null>} Suggested tags, or null if the budget does not allow the request
+ * @throws {Error} If no model is chosen, the image is missing or the request fails
+ */
+export async function suggestTagsForImage(image: ReferenceImage, vocabulary: string[], conversation: Conversation): Promise<string[] | null> {
+    const model = await getAutoTagModel();
+    if (!await confirmWithinBudget(image.conversationTimestamp, [model])) return null;
+    const result = await requestTags(image, vocabulary, model);
+    recordTaggingCost(conversation, image, result.response, model);
+    await persistConversationEdit(conversation);
+    updateConversationCosts(conversation);
+    return result.tags;
+}
+
+/**
+ * Tags images with the auto-tagging model, one at a time. The tags are offered as
+ * suggestions or added straight away, and each image is saved as soon as its tags arrive.
+ * Stops at the first failed request so a wrong key or model doesn't fail every image.
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {boolean} apply - Add the tags instead of suggesting them
+ * @param {function(number, number): void} [onProgress] - Called with the images done and the total
+ * @returns {Promise<number>} Number of images that received tags
+ */
+export async function handleAutoTagImages(images: ReferenceImage[], apply: boolean, onProgress?: (done: number, total: number) => void): Promise<number> {
+    const pending = images.filter(function(image: ReferenceImage) {
+        return !imagesBeingTagged.has(image.conversationTimestamp + "-" + image.imageIndex);
+    });
+    if (pending.length === 0) return 0;
+    pending.forEach(function(image: ReferenceImage) {
+        imagesBeingTagged.add(image.conversationTimestamp + "-" + image.imageIndex);
+    });
+
+    let tagged = 0;
+    try {
+        const model = await getAutoTagModel();
+        for (const [timestamp, group] of groupImagesByConversation(pending)) {
+            if (!await confirmWithinBudget(timestamp, new Array(group.length).fill(model))) return 0;
+        }
+        const vocabulary = await loadTagVocabulary();
+        for (let i = 0; i < pending.length; i++) {
+            const image = pending[i];
+            const { tags, response } = await requestTags(image, vocabulary, model);
+            // Reload after the request; the conversation may have changed meanwhile
+            const conversation = await ui.getConversationForEdit(image.conversationTimestamp);
+            const location = conversation ? findImageLocation(conversation, image) : null;
+            if (conversation && location) {
+                const entry = conversation.entries[location.entryIndex];
+                recordTaggingCost(conversation, image, response, model);
+                if (tags.length > 0 && apply) {
+                    acceptSuggestedTags(entry, location.imageIndex, tags);
+                } else if (tags.length > 0) {
+                    setSuggestedTags(entry, location.imageIndex, tags);
+                }
+                await persistConversationEdit(conversation);
+                updateConversationCosts(conversation);
+            }
+            if (conversation && location && tags.length > 0) {
+                tagged++;
+                // Later images of the batch reuse tags invented for earlier ones
+                tags.forEach(function(tag: string) {
+                    if (vocabulary.indexOf(tag) === -1) vocabulary.push(tag);
+                });
+            }
+            if (onProgress) {
+                onProgress(i + 1, pending.length);
+            }
+        }
+    } catch (error) {
+        console.error("Error auto-tagging images:", error);
+        ui.displayError("Auto-tagging failed: " + (error as Error).message);
+    } finally {
+        pending.forEach(function(image: ReferenceImage) {
+            imagesBeingTagged.delete(image.conversationTimestamp + "-" + image.imageIndex);
+        });
+    }
+
+    if (tagged > 0) {
+        ui.invalidateDialogState();
+        await ui.refreshGallery();
+    }
+    return tagged;
+}
+
+/**
+ * Gets the auto-tagging mode of the project a conversation belongs to
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @returns {AutoTagMode} Mode, 'off' unless a project opts in
+ */
+function getAutoTagMode(conversationTimestamp: number): AutoTagMode {
+    const project = STATE.projects.find(function(p: Project) { return p.conversationTimestamps.indexOf(conversationTimestamp) !== -1; })
+        ?? ui.getCurrentProject();
+    if (!project) return 'off';
+    return resolveInheritedSettings(project, STATE.projects, createDefaultProjectSettings()).autoTag ?? 'off';
+}
+
+/**
+ * Tags freshly generated images when their project asks for it
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {string[]} imageFilenames - Storage filenames of the new images
+ * @returns {Promise<void>}
+ */
+async function autoTagNewImages(conversationTimestamp: number, imageFilenames: string[]): Promise<void> {
+    const mode = getAutoTagMode(conversationTimestamp);
+    if (mode === 'off') return;
+    await handleAutoTagImages(imageFilenames.map(function(filename: string) {
+        return { conversationTimestamp: conversationTimestamp, imageIndex: parseInt(filename, 10) };
+    }), mode === 'apply');
+}
+
+/**
+ * Accepts or dismisses tag suggestions of images, saving each conversation once
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {function(ConversationEntry, number): boolean} change - Changes the image at a position of an entry; returns true if anything changed
+ * @returns {Promise<void>}
+ */
+async function updateSuggestedTags(images: ReferenceImage[], change: (entry: ConversationEntry, position: number) => boolean): Promise<void> {
+    let changed = false;
+    for (const [timestamp, group] of groupImagesByConversation(images)) {
+        const conversation = await ui.getConversationForEdit(timestamp);
+        if (!conversation) continue;
+        let conversationChanged = false;
+        group.forEach(function(image: ReferenceImage) {
+            const location = findImageLocation(conversation, image);
+            if (location && change(conversation.entries[location.entryIndex], location.imageIndex)) {
+                conversationChanged = true;
+            }
+        });
+        if (conversationChanged) {
+            await persistConversationEdit(conversation);
+            changed = true;
+        }
+    }
+    if (changed) {
+        ui.invalidateDialogState();
+        await ui.refreshGallery();
+    }
+}
+
+/**
+ * Adds suggested tags to images
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {string[] | null} tags - Suggestions to accept, or null for all
+ * @returns {Promise<void>}
+ */
+export async function handleAcceptSuggestedTags(images: ReferenceImage[], tags: string[] | null): Promise<void> {
+    await updateSuggestedTags(images, function(entry: ConversationEntry, position: number) {
+        return acceptSuggestedTags(entry, position, tags);
+    });
+}
+
+/**
+ * Drops tag suggestions of images without adding them
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {string[] | null} tags - Suggestions to dismiss, or null for all
+ * @returns {Promise<void>}
+ */
+export async function handleDismissSuggestedTags(images: ReferenceImage[], tags: string[] | null): Promise<void> {
+    await updateSuggestedTags(images, function(entry: ConversationEntry, position: number) {
+        return dismissSuggestedTags(entry, position, tags);
+    });
+}
+
+/**
+ * Deletes several images, possibly from different conversations. Entries left without
+ * images are removed. The PNGs are only removed from disk once the undo window has passed.
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {Promise<number>} Number of images deleted
+ */
+export async function handleDeleteImages(images: ReferenceImage[]): Promise<number> {
+    /** Entries and images taken out of each conversation, in the order they were removed */
+    const removals: Array<{
+        timestamp: number;
+        entries: Array<{entryIndex: number; entry: ConversationEntry}>;
+        images: Array<{entry: ConversationEntry; entryIndex: number; position: number; filename: string; resolution: '1K' | '2K' | '4K' | undefined; metadata: ImageMetadata | undefined}>;
+        filenames: string[];
+    }> = [];
+
+    for (const [timestamp, group] of groupImagesByConversation(images)) {
+        const conversation = await ui.getConversationForEdit(timestamp);
+        if (!conversation) continue;
+
+        const filenames = new Set(group.map(function(image: ReferenceImage) { return String(image.imageIndex); }));
+        const emptiedEntries = conversation.entries.filter(function(entry: ConversationEntry) {
+            return entry.response.imageFilenames.length > 0 && entry.response.imageFilenames.every(function(f: string) { return filenames.has(f); });
+        });
+        // Queued jobs address entries by index, so removing one would retarget them
+        if (emptiedEntries.length > 0 && hasPendingJobs(timestamp)) {
+            ui.displayError("Skipped images of a conversation with pending generations; wait for them to finish first");
+            continue;
+        }
+
+        const removal: typeof removals[0] = { timestamp: timestamp, entries: [], images: [], filenames: [] };
+        for (let entryIndex = conversation.entries.length - 1; entryIndex >= 0; entryIndex--) {
+            const entry = conversation.entries[entryIndex];
+            if (emptiedEntries.indexOf(entry) !== -1) {
+                conversation.entries.splice(entryIndex, 1);
+                removal.entries.push({ entryIndex: entryIndex, entry: entry });
+                entry.response.imageFilenames.forEach(function(f: string) { removal.filenames.push(f); });
+                continue;
+            }
+            for (let position = entry.response.imageFilenames.length - 1; position >= 0; position--) {
+                const filename = entry.response.imageFilenames[position];
+                if (!filenames.has(filename)) continue;
+                removal.images.push({
+                    entry: entry,
+                    entryIndex: entryIndex,
+                    position: position,
+                    filename: filename,
+                    resolution: entry.response.imageResolutions?.[position],
+                    metadata: entry.response.imageMetadata?.[position]
+                });
+                entry.response.imageFilenames.splice(position, 1);
+                entry.response.imageResolutions?.splice(position, 1);
+                entry.response.imageMetadata?.splice(position, 1);
+                removal.filenames.push(filename);
+            }
+        }
+        if (removal.filenames.length === 0) continue;
+
+        removals.push(removal);
+        forgetComparedImages(timestamp);
+        await persistConversationEdit(conversation);
+    }
+
+    const count = removals.reduce(function(sum: number, r) { return sum + r.filenames.length; }, 0);
+    if (count === 0) return 0;
+    ui.invalidateDialogState();
+
+    registerUndo(count === 1 ? "Image deleted" : count + " images deleted", async function() {
+        for (const removal of removals) {
+            const target = await ui.getConversationForEdit(removal.timestamp);
+            if (!target) continue;
+            // Removed back to front, so restoring in reverse puts every position back.
+            // Entries go first so the recorded entry indices line up again.
+            removal.entries.slice().reverse().forEach(function(item) {
+                target.entries.splice(Math.min(item.entryIndex, target.entries.length), 0, item.entry);
+            });
+            removal.images.slice().reverse().forEach(function(item) {
+                // The conversation may have been reloaded since, so edit the entry that gets saved
+                const targetEntry = target.entries.includes(item.entry) ? item.entry : target.entries[item.entryIndex];
+                if (!targetEntry) return;
+                const files = targetEntry.response;
+                const position = Math.min(item.position, files.imageFilenames.length);
+                files.imageFilenames.splice(position, 0, item.filename);
+                if (item.resolution && files.imageResolutions) {
+                    files.imageResolutions.splice(position, 0, item.resolution);
+                }
+                if (item.metadata && files.imageMetadata) {
+                    files.imageMetadata.splice(position, 0, item.metadata);
+                }
+            });
+            await persistConversationEdit(target);
+        }
+        ui.invalidateDialogState();
+        ui.refreshGallery();
+    }, async function() {
+        for (const removal of removals) {
+            for (const filename of removal.filenames) {
+                if (filename === "generating") continue;
+                await deleteImage(removal.timestamp, parseInt(filename, 10));
+            }
+        }
+    });
+    return count;
+}
+
+/**
+ * Moves several images into another conversation. Each source entry becomes a new entry
+ * of the target holding the moved images with their prompt, settings, tags and rating;
+ * costs stay with the original entries.
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @param {number} targetTimestamp - Conversation to move the images into
+ * @returns {Promise<number>} Number of images moved
+ */
+export async function handleMoveImages(images: ReferenceImage[], targetTimestamp: number): Promise<number> {
+    const target = await ui.getConversationForEdit(targetTimestamp);
+    if (!target) {
+        ui.displayError("Target conversation not found");
+        return 0;
+    }
+
+    const toMove = images.filter(function(image: ReferenceImage) { return image.conversationTimestamp !== targetTimestamp; });
+    const moved: ReferenceImage[] = [];
+    for (const [timestamp, group] of groupImagesByConversation(toMove)) {
+        // The originals are removed afterwards, which must not retarget queued jobs
+        if (hasPendingJobs(timestamp)) {
+            ui.displayError("Skipped images of a conversation with pending generations; wait for them to finish first");
+            continue;
+        }
+        const source = await ui.getConversationForEdit(timestamp);
+        if (!source) continue;
+
+        // Copy the files first, one new target entry per source entry
+        const copies: Map<ConversationEntry, ConversationEntry> = new Map();
+        for (const image of group) {
+            const location = findImageLocation(source, image);
+            if (!location) continue;
+            const entry = source.entries[location.entryIndex];
+            const blob = await getImage(timestamp, image.imageIndex);
+            if (!blob) continue;
+            const newIndex = await saveImage(targetTimestamp, await blobToDataUrl(blob));
+            if (newIndex === null) continue;
+
+            let copy = copies.get(entry);
+            if (!copy) {
+                copy = {
+                    id: generateEntryId(),
+                    message: JSON.parse(JSON.stringify(entry.message)),
+                    response: { text: entry.response.text, imageFilenames: [], imageResolutions: [], imageMetadata: [], responseData: null, generationData: null }
+                };
+                copies.set(entry, copy);
+            }
+            const metadata = entry.response.imageMetadata?.[location.imageIndex];
+            copy.response.imageFilenames.push(String(newIndex));
+            copy.response.imageResolutions.push(entry.response.imageResolutions?.[location.imageIndex] || "1K");
+            copy.response.imageMetadata!.push(metadata ? JSON.parse(JSON.stringify(metadata)) : { tags: [] });
+            moved.push(image);
+        }
+        if (copies.size === 0) continue;
+        copies.forEach(function(copy: ConversationEntry) {
+            target.entries.push(copy);
+        });
+        await persistConversationEdit(target);
+    }
+
+    if (moved.length === 0) return 0;
+    // Removing the originals goes through the undoable delete; undoing it keeps both copies
+    await handleDeleteImages(moved);
+    return moved.length;
+}
+
+/**
+ * Deletes a conversation after confirmation, removing it from every project
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteConversation(timestamp: number): Promise<void> {
+    if (hasPendingJobs(timestamp)) {
+        ui.displayError("Wait for the pending generations in this conversation to finish before deleting it");
+        return;
+    }
+
+    const summary = await loadSummary(timestamp);
+    const title = summary?.title || "this conversation";
+    if (!confirm('Delete "' + title + '"? Its images will be removed permanently.')) return;
+
+    for (const project of STATE.projects) {
+        const index = project.conversationTimestamps.indexOf(timestamp);
+        if (index !== -1) {
+            project.conversationTimestamps.splice(index, 1);
+            await saveProject(project);
+        }
+    }
+
+    await deleteConversation(timestamp);
+    forgetComparedImages(timestamp);
+
+    if (STATE.currentConversation && STATE.currentConversation.timestamp === timestamp) {
+        await ui.handleNewConversation();
+        deletePreference("lastConversation");
+    }
+
+    await ui.updateConversationList();
+}
+
+/**
+ * Archives or restores a conversation; archived conversations stay on disk but are hidden from the list
+ * @param {number} timestamp - Conversation timestamp
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<void>}
+ */
+export async function handleSetConversationArchived(timestamp: number, archived: boolean): Promise<void> {
+    const summary = await loadSummary(timestamp) || await updateConversationSummary(timestamp);
+    if (!summary) return;
+
+    if (archived) {
+        summary.archived = true;
+    } else {
+        delete summary.archived;
+    }
+    await saveSummary(timestamp, summary);
+
+    await ui.updateConversationList();
+}
+
+/**
+ * Duplicates a conversation with its images and opens the copy
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<void>}
+ */
+export async function handleDuplicateConversation(timestamp: number): Promise<void> {
+    const newTimestamp = await duplicateConversation(timestamp);
+    if (newTimestamp === null) {
+        ui.displayError("Could not duplicate the conversation");
+        return;
+    }
+
+    // The copy belongs to the same projects as the original
+    for (const project of STATE.projects) {
+        if (project.conversationTimestamps.indexOf(timestamp) !== -1) {
+            project.conversationTimestamps.push(newTimestamp);
+            await saveProject(project);
+        }
+    }
+
+    await ui.updateConversationList();
+    await ui.loadConversationIntoView(newTimestamp);
+}
+
+/**
+ * Exports the whole library and downloads it as a ZIP file
+ * @returns {Promise<void>}
+ */
+export async function handleExportLibrary(): Promise<void> {
+    const archive = await exportLibrary();
+    const url = URL.createObjectURL(archive);
+    const date = new Date().toISOString().slice(0, 10);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "llm-image-creator-library-" + date + ".zip";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * Exports images as a standalone website, downloaded as a ZIP or written to the sync folder
+ * @param {StaticSiteSource[]} sources - Images in site order
+ * @param {StaticSiteOptions} options - Title, description and whether to include full-size images
+ * @param {'zip' | 'external'} destination - Where the site goes
+ * @param {function(number, number): void} [onProgress] - Called with images done and total
+ * @returns {Promise<number>} Number of images exported (0 if nothing was written)
+ */
+export async function handleExportStaticSite(sources: StaticSiteSource[], options: StaticSiteOptions, destination: 'zip' | 'external', onProgress?: (done: number, total: number) => void): Promise<number> {
+    const images = await collectStaticSiteImages(sources);
+    if (images.length === 0) {
+        ui.displayError("None of these images exist any more");
+        return 0;
+    }
+    const files = await buildStaticSite(images, options, onProgress);
+    const folderName = getStaticSiteFolderName(options.title);
+
+    if (destination === 'external') {
+        if (!await saveStaticSiteToExternal(folderName, files)) {
+            ui.displayError("Could not write the website to the sync folder");
+            return 0;
+        }
+        return images.length;
+    }
+
+    const archive = await createZip(files.map(function(file) {
+        return { name: folderName + "/" + file.name, data: file.data };
+    }));
+    const url = URL.createObjectURL(archive);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = folderName + ".zip";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 100);
+    return images.length;
+}
+
+/**
+ * Merges a library archive into this library and refreshes the project and conversation lists
+ * @param {File} file - ZIP file produced by an export
+ * @returns {Promise<LibraryImportResult>} What was imported
+ */
+export async function handleImportLibrary(file: File): Promise<LibraryImportResult> {
+    const result = await importLibrary(file);
+
+    if (!STATE.projects.some(function(p: Project) { return p.id === STATE.currentProjectId; })) {
+        STATE.currentProjectId = 'root';
+    }
+    ui.populateProjectSelectorMenu();
+    ui.renderProjectsSettingsPanel();
+    await ui.updateConversationList();
+
+    return result;
+}
+
+/**
+ * Restores the prompt and generation settings embedded in a PNG exported by this app
+ * (or any PNG with a Description text chunk) into the input area
+ * @param {File} file - PNG file
+ * @returns {Promise<void>}
+ */
+export async function handleImportImageSettings(file: File): Promise<void> {
+    const metadata = await readGenerationMetadata(new Uint8Array(await file.arrayBuffer()));
+    if (!metadata || !metadata.prompt) {
+        ui.displayWarning("No prompt or generation settings found in " + file.name);
+        return;
+    }
+
+    const notes = await ui.applyGenerationSettings(metadata);
+    STATE.nextSeed = metadata.seed;
+    if (metadata.seed !== null) {
+        notes.push("seed " + metadata.seed + " will be reused for the next generation");
+    }
+    if (notes.length > 0) {
+        ui.displayWarning("Loaded settings from " + file.name + ": " + notes.join("; ") + ".");
+    }
+}
+
+/**
+ * Brings projects and the view up to date after a two-way sync changed conversations on disk
+ * @param {number[]} pulled - Conversations added or updated from the external directory
+ * @param {number[]} deleted - Conversations removed because they were deleted externally
+ * @returns {Promise<void>}
+ */
+export async function handleSyncResult(pulled: number[], deleted: number[]): Promise<void> {
+    if (pulled.length === 0 && deleted.length === 0) return;
+
+    pulled.forEach(invalidateConversationCosts);
+    STATE.projects = await loadAllProjects();
+    for (const project of STATE.projects) {
+        const kept = project.conversationTimestamps.filter(function(ts: number) { return deleted.indexOf(ts) === -1; });
+        if (kept.length !== project.conversationTimestamps.length) {
+            project.conversationTimestamps = kept;
+            await saveProject(project);
+        }
+    }
+
+    // Conversations created elsewhere may arrive before the project file that lists them
+    const rootProject = STATE.projects.find(function(p: Project) { return p.id === 'root'; });
+    if (rootProject) {
+        const orphans = pulled.filter(function(ts: number) {
+            return !STATE.projects.some(function(p: Project) { return p.conversationTimestamps.indexOf(ts) !== -1; });
+        });
+        if (orphans.length > 0) {
+            rootProject.conversationTimestamps = rootProject.conversationTimestamps.concat(orphans);
+            await saveProject(rootProject);
+        }
+    }
+
+    if (!STATE.projects.some(function(p: Project) { return p.id === STATE.currentProjectId; })) {
+        STATE.currentProjectId = 'root';
+    }
+    ui.populateProjectSelectorMenu();
+
+    const current = STATE.currentConversation;
+    if (current && deleted.indexOf(current.timestamp) !== -1) {
+        await ui.handleNewConversation();
+        deletePreference("lastConversation");
+    } else if (current && pulled.indexOf(current.timestamp) !== -1 && !hasPendingJobs(current.timestamp)) {
+        await ui.loadConversationIntoView(current.timestamp);
+    }
+
+    await ui.updateConversationList();
+}
@@ -0,0 +1,168 @@
+/**
+ * Album helper functions
+ * Creates albums and keeps their ordered image references, per-image notes and cover image
+ * in step as images are added, removed and reordered.
+ */
+
+import type { Album, AlbumImage, ReferenceImage } from './types/state';
+
+/**
+ * Generates a unique album ID
+ * @returns {string} Album ID
+ */
+export function generateAlbumId(): string {
+    return 'alb_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9);
+}
+
+/**
+ * Creates an empty album
+ * @param {string} title - Album title
+ * @returns {Album} New album
+ */
+export function createAlbum(title: string): Album {
+    const now = Date.now();
+    return {
+        id: generateAlbumId(),
+        title: title,
+        description: "",
+        coverImage: null,
+        images: [],
+        created: now,
+        updated: now
+    };
+}
+
+/**
+ * Finds an image on an album
+ * @param {Album} album - Album
+ * @param {ReferenceImage} image - Image by conversation and storage index
+ * @returns {number} Position on the album, or -1
+ */
+export function findAlbumImage(album: Album, image: ReferenceImage): number {
+    return album.images.findIndex(function(item: AlbumImage) {
+        return item.conversationTimestamp === image.conversationTimestamp && item.imageIndex === image.imageIndex;
+    });
+}
+
+/**
+ * Appends images to an album, skipping those already on it
+ * @param {Album} album - Album to change
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {number} Number of images added
+ */
+export function addImagesToAlbum(album: Album, images: ReferenceImage[]): number {
+    let added = 0;
+    images.forEach(function(image: ReferenceImage) {
+        if (findAlbumImage(album, image) !== -1) return;
+        album.images.push({ conversationTimestamp: image.conversationTimestamp, imageIndex: image.imageIndex, note: "" });
+        added++;
+    });
+    if (added > 0) {
+        album.updated = Date.now();
+    }
+    return added;
+}
+
+/**
+ * Takes images off an album; a removed cover falls back to the first image
+ * @param {Album} album - Album to change
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {number} Number of images removed
+ */
+export function removeImagesFromAlbum(album: Album, images: ReferenceImage[]): number {
+    const before = album.images.length;
+    album.images = album.images.filter(function(item: AlbumImage) {
+        return !images.some(function(image: ReferenceImage) {
+            return item.conversationTimestamp === image.conversationTimestamp && item.imageIndex === image.imageIndex;
+        });
+    });
+    if (album.coverImage && findAlbumImage(album, album.coverImage) === -1) {
+        album.coverImage = null;
+    }
+    if (album.images.length !== before) {
+        album.updated = Date.now();
+    }
+    return before - album.images.length;
+}
+
+/**
+ * Moves an image to another position on an album
+ * @param {Album} album - Album to change
+ * @param {number} from - Current position
+ * @param {number} to - New position
+ * @returns {boolean} True if the order changed
+ */
+export function moveAlbumImage(album: Album, from: number, to: number): boolean {
+    if (from === to || from < 0 || to < 0 || from >= album.images.length || to >= album.images.length) {
+        return false;
+    }
+    const moved = album.images.splice(from, 1)[0];
+    album.images.splice(to, 0, moved);
+    album.updated = Date.now();
+    return true;
+}
+
+/**
+ * Sets the album's note about one of its images
+ * @param {Album} album - Album to change
+ * @param {ReferenceImage} image - Image on the album
+ * @param {string} note - Note ("" to clear)
+ * @returns {boolean} True if the note changed
+ */
+export function setAlbumImageNote(album: Album, image: ReferenceImage, note: string): boolean {
+    const position = findAlbumImage(album, image);
+    if (position === -1 || album.images[position].note === note) return false;
+    album.images[position].note = note;
+    album.updated = Date.now();
+    return true;
+}
+
+/**
+ * Gets the image shown for an album
+ * @param {Album} album - Album
+ * @returns {ReferenceImage | null} The chosen cover, else the first image, else null
+ */
+export function getAlbumCover(album: Album): ReferenceImage | null {
+    if (album.coverImage && findAlbumImage(album, album.coverImage) !== -1) {
+        return album.coverImage;
+    }
+    const first = album.images[0];
+    return first ? { conversationTimestamp: first.conversationTimestamp, imageIndex: first.imageIndex } : null;
+}
+
+/**
+ * Lists the images of an album as references, in album order
+ * @param {Album} album - Album
+ * @returns {ReferenceImage[]} Images by conversation and storage index
+ */
+export function getAlbumReferences(album: Album): ReferenceImage[] {
+    return album.images.map(function(item: AlbumImage): ReferenceImage {
+        return { conversationTimestamp: item.conversationTimestamp, imageIndex: item.imageIndex };
+    });
+}
+
+/**
+ * Rewrites an album's image references after conversations were stored under new timestamps
+ * @param {Album} album - Album to change
+ * @param {Map<number, number>} timestampMap - Old timestamp to new timestamp
+ */
+export function remapAlbumImages(album: Album, timestampMap: Map<number, number>): void {
+    album.images.forEach(function(item: AlbumImage) {
+        item.conversationTimestamp = timestampMap.get(item.conversationTimestamp) ?? item.conversationTimestamp;
+    });
+    if (album.coverImage) {
+        album.coverImage = {
+            conversationTimestamp: timestampMap.get(album.coverImage.conversationTimestamp) ?? album.coverImage.conversationTimestamp,
+            imageIndex: album.coverImage.imageIndex
+        };
+    }
+}
+
+/**
+ * Sorts albums by title
+ * @param {Album[]} albums - Albums
+ * @returns {Album[]} Sorted copy
+ */
+export function sortAlbums(albums: Album[]): Album[] {
+    return albums.slice().sort(function(a: Album, b: Album) { return a.title.localeCompare(b.title); });
+}
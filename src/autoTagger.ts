@@ -0,0 +1,221 @@
+/**
+ * Auto-tagging helper functions
+ * Builds the request that asks a vision model for tags, turns its reply into normalized tags
+ * that reuse the library's existing tags, and keeps suggestions on images until the user
+ * accepts or dismisses them.
+ */
+
+import { AUTO_TAG_PROMPT } from './prompt';
+import { normalizeTag, isValidTag, addTag, getAllTagsWithCount, ensureMetadataArray, TAG_SEPARATOR } from './tagManager';
+import { findImageLocation } from './imageEditing';
+import { drawRotated } from './imageTransform';
+import type { Conversation, ConversationEntry, ReferenceImage, SearchDocument } from './types/state';
+
+/** @type {number} Most tags kept from one reply */
+export const MAX_SUGGESTED_TAGS: number = 8;
+
+/** @type {number} Most existing tags listed in the prompt */
+const MAX_VOCABULARY_IN_PROMPT: number = 150;
+
+/** @type {number} Longer replies are sentences, not tags */
+const MAX_SUGGESTED_TAG_LENGTH: number = 40;
+
+/** @type {number} Longest side of the copy sent to the model; tagging needs no 4K detail */
+const TAGGING_IMAGE_SIZE: number = 1024;
+
+/**
+ * Lists the tags of the library, most used first
+ * @param {Conversation[]} conversations - Array of conversations
+ * @returns {string[]} Tags
+ */
+export function getTagVocabulary(conversations: Conversation[]): string[] {
+    return sortByCount(getAllTagsWithCount(conversations));
+}
+
+/**
+ * Lists the tags of the library from the search index, most used first. The index keeps
+ * the tags of each entry, so tags are counted per entry rather than per image.
+ * @param {SearchDocument[]} docs - Search records of all conversations
+ * @returns {string[]} Tags
+ */
+export function getTagVocabularyFromIndex(docs: SearchDocument[]): string[] {
+    const counts: Map<string, number> = new Map();
+    docs.forEach(function(doc: SearchDocument) {
+        doc.entries.forEach(function(entry) {
+            entry.tags.forEach(function(tag: string) {
+                counts.set(tag, (counts.get(tag) ?? 0) + 1);
+            });
+        });
+    });
+    return sortByCount(counts);
+}
+
+/**
+ * Sorts tags by their count, most used first, then alphabetically
+ * @param {Map<string, number>} counts - Count of each tag
+ * @returns {string[]} Tags
+ */
+function sortByCount(counts: Map<string, number>): string[] {
+    return Array.from(counts.keys()).sort(function(a: string, b: string) {
+        return (counts.get(b) ?? 0) - (counts.get(a) ?? 0) || a.localeCompare(b);
+    });
+}
+
+/**
+ * Builds the prompt asking for tags, listing existing tags the model should reuse
+ * @param {string[]} vocabulary - Existing tags, most used first
+ * @returns {string} Prompt
+ */
+export function buildAutoTagPrompt(vocabulary: string[]): string {
+    let prompt = AUTO_TAG_PROMPT.replace("{count}", String(MAX_SUGGESTED_TAGS));
+    if (vocabulary.length > 0) {
+        prompt += " Prefer these existing tags wherever they fit, written exactly as listed: "
+            + vocabulary.slice(0, MAX_VOCABULARY_IN_PROMPT).join(", ") + ".";
+    }
+    return prompt;
+}
+
+/**
+ * Reduces a tag to a form that ignores spacing, hyphens and a plural "s"
+ * @param {string} tag - Normalized tag
+ * @returns {string} Comparison key
+ */
+function tagKey(tag: string): string {
+    return tag.replace(/[\s_-]+/g, " ").replace(/s$/, "");
+}
+
+/**
+ * Maps a suggested tag onto an existing tag when they only differ in spelling or when it
+ * names exactly one existing sub-tag (e.g. "watercolor" for "style/watercolor")
+ * @param {string} tag - Normalized suggested tag
+ * @param {string[]} vocabulary - Existing tags
+ * @returns {string} Existing tag, or the suggestion itself
+ */
+export function matchVocabulary(tag: string, vocabulary: string[]): string {
+    if (vocabulary.indexOf(tag) !== -1) return tag;
+    const key = tagKey(tag);
+    const sameKey = vocabulary.find(function(existing: string) { return tagKey(existing) === key; });
+    if (sameKey) return sameKey;
+    if (tag.indexOf(TAG_SEPARATOR) === -1) {
+        const leaves = vocabulary.filter(function(existing: string) {
+            const parts = existing.split(TAG_SEPARATOR);
+            return parts.length > 1 && tagKey(parts[parts.length - 1]) === key;
+        });
+        if (leaves.length === 1) return leaves[0];
+    }
+    return tag;
+}
+
+/**
+ * Turns a model's reply into tags, preferring existing tags
+ * @param {string} text - Reply, e.g. "Tags: cat, Watercolor, warm colors"
+ * @param {string[]} vocabulary - Existing tags
+ * @returns {string[]} Normalized, valid, unique tags (at most MAX_SUGGESTED_TAGS)
+ */
+export function parseSuggestedTags(text: string, vocabulary: string[]): string[] {
+    const tags: string[] = [];
+    text.replace(/^\s*tags?\s*:/i, "").split(/[,;\n]+/).forEach(function(raw: string) {
+        // Drop list markers, hashtags and quotes the model may add
+        const cleaned = raw.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, "").replace(/^\s*#/, "").replace(/["'`.]+$|^["'`]+/g, "");
+        const tag = matchVocabulary(normalizeTag(cleaned), vocabulary);
+        if (isValidTag(tag) && tag.length <= MAX_SUGGESTED_TAG_LENGTH && tags.indexOf(tag) === -1) {
+            tags.push(tag);
+        }
+    });
+    return tags.slice(0, MAX_SUGGESTED_TAGS);
+}
+
+/**
+ * Gets the tags suggested for an image and not yet accepted or dismissed
+ * @param {ConversationEntry} entry - Conversation entry
+ * @param {number} imageIndex - Position of the image within the entry
+ * @returns {string[]} Suggested tags
+ */
+export function getSuggestedTags(entry: ConversationEntry, imageIndex: number): string[] {
+    return entry.response.imageMetadata?.[imageIndex]?.suggestedTags ?? [];
+}
+
+/**
+ * Stores suggestions for an image, leaving out tags it already has
+ * @param {ConversationEntry} entry - Conversation entry
+ * @param {number} imageIndex - Position of the image within the entry
+ * @param {string[]} tags - Suggested tags
+ */
+export function setSuggestedTags(entry: ConversationEntry, imageIndex: number, tags: string[]): void {
+    ensureMetadataArray(entry);
+    const metadata = entry.response.imageMetadata?.[imageIndex];
+    if (!metadata) return;
+    const suggestions = tags.filter(function(tag: string) { return metadata.tags.indexOf(tag) === -1; });
+    if (suggestions.length > 0) {
+        metadata.suggestedTags = suggestions;
+    } else {
+        delete metadata.suggestedTags;
+    }
+}
+
+/**
+ * Adds suggested tags to an image and takes them off its suggestions
+ * @param {ConversationEntry} entry - Conversation entry
+ * @param {number} imageIndex - Position of the image within the entry
+ * @param {string[] | null} tags - Tags to accept, or null for all suggestions
+ * @returns {boolean} True if anything changed
+ */
+export function acceptSuggestedTags(entry: ConversationEntry, imageIndex: number, tags: string[] | null): boolean {
+    const before = getSuggestedTags(entry, imageIndex);
+    const accepted = tags ?? before;
+    let changed = false;
+    accepted.forEach(function(tag: string) {
+        if (addTag(entry, imageIndex, tag)) changed = true;
+    });
+    setSuggestedTags(entry, imageIndex, before.filter(function(tag: string) { return accepted.indexOf(tag) === -1; }));
+    return changed || getSuggestedTags(entry, imageIndex).length !== before.length;
+}
+
+/**
+ * Drops suggestions from an image without adding them
+ * @param {ConversationEntry} entry - Conversation entry
+ * @param {number} imageIndex - Position of the image within the entry
+ * @param {string[] | null} tags - Tags to dismiss, or null for all
+ * @returns {boolean} True if anything changed
+ */
+export function dismissSuggestedTags(entry: ConversationEntry, imageIndex: number, tags: string[] | null): boolean {
+    const before = getSuggestedTags(entry, imageIndex);
+    setSuggestedTags(entry, imageIndex, tags === null ? [] : before.filter(function(tag: string) { return tags.indexOf(tag) === -1; }));
+    return getSuggestedTags(entry, imageIndex).length !== before.length;
+}
+
+/**
+ * Counts how many of the given images have each tag suggested
+ * @param {Conversation[]} conversations - Conversations holding the images
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {Map<string, number>} Map of tag to number of images
+ */
+export function getSuggestedTagCountsForImages(conversations: Conversation[], images: ReferenceImage[]): Map<string, number> {
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    for (const image of images) {
+        const conversation = conversations.find(function(c: Conversation) { return c.timestamp === image.conversationTimestamp; });
+        const location = conversation ? findImageLocation(conversation, image) : null;
+        if (!conversation || !location) continue;
+        for (const tag of getSuggestedTags(conversation.entries[location.entryIndex], location.imageIndex)) {
+            counts.set(tag, (counts.get(tag) ?? 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * Makes a small JPEG copy of an image to send for tagging
+ * @param {Blob} blob - Stored image
+ * @returns {Promise<string>} JPEG data URL
+ */
+export async function prepareImageForTagging(blob: Blob): Promise<string> {
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const scale = Math.min(1, TAGGING_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = drawRotated(bitmap, bitmap.width, bitmap.height, 0, false, false, scale);
+        return canvas.toDataURL("image/jpeg", 0.85);
+    } finally {
+        bitmap.close();
+    }
+}
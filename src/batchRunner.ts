@@ -0,0 +1,151 @@
+/**
+ * Batch Runner helper functions
+ * Expands a batch (prompt variants or a template with lists of values, times models,
+ * resolutions and aspect ratios) into the individual generations to queue, and reports
+ * the progress of running batches from the generation queue.
+ */
+
+import { parseTemplateVariables, fillTemplate } from './templateManager';
+import type { BatchMembership, GenerationJob, PromptTemplate, TemplateUsage } from './types/state';
+
+/** @type {number} Largest number of generations a single batch may queue */
+export const MAX_BATCH_SIZE: number = 200;
+
+/**
+ * @typedef {Object} BatchPrompt
+ * @property {string} text - Prompt text
+ * @property {TemplateUsage | undefined} template - Template and values the prompt came from
+ */
+export interface BatchPrompt {
+    text: string;
+    template?: TemplateUsage;
+}
+
+/**
+ * @typedef {Object} BatchVariant
+ * @property {BatchPrompt} prompt - Prompt to generate
+ * @property {string} modelId - Model ID
+ * @property {string} aspectRatio - Aspect ratio
+ * @property {string} resolution - Resolution (1K, 2K or 4K)
+ */
+export interface BatchVariant {
+    prompt: BatchPrompt;
+    modelId: string;
+    aspectRatio: string;
+    resolution: string;
+}
+
+/**
+ * @typedef {Object} BatchProgress
+ * @property {string} id - Batch ID
+ * @property {string} name - Batch name
+ * @property {number} total - Generations in the batch
+ * @property {number} pending - Queued or running generations
+ * @property {number} failed - Failed or cancelled generations still listed in the queue
+ */
+export interface BatchProgress {
+    id: string;
+    name: string;
+    total: number;
+    pending: number;
+    failed: number;
+}
+
+/**
+ * Generates a unique batch ID
+ * @returns {string} Batch ID
+ */
+export function generateBatchId(): string {
+    return 'batch_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9);
+}
+
+/**
+ * Splits a multi-line input into trimmed, non-empty lines
+ * @param {string} text - Input text
+ * @returns {string[]} Lines
+ */
+export function splitLines(text: string): string[] {
+    return text.split("\n")
+        .map(function(line: string) { return line.trim(); })
+        .filter(function(line: string) { return line.length > 0; });
+}
+
+/**
+ * Fills a template with every combination of the given values.
+ * A variable without values uses its default.
+ * @param {PromptTemplate} template - Template
+ * @param {Record<string, string[]>} valueLists - Candidate values by variable name
+ * @returns {BatchPrompt[]} One prompt per combination
+ */
+export function expandTemplateValues(template: PromptTemplate, valueLists: Record<string, string[]>): BatchPrompt[] {
+    let combinations: Array<Record<string, string>> = [{}];
+    parseTemplateVariables(template.text).forEach(function(variable) {
+        const values = valueLists[variable.name] && valueLists[variable.name].length > 0
+            ? valueLists[variable.name]
+            : [variable.defaultValue];
+        const next: Array<Record<string, string>> = [];
+        combinations.forEach(function(combination: Record<string, string>) {
+            values.forEach(function(value: string) {
+                const extended: Record<string, string> = Object.assign({}, combination);
+                extended[variable.name] = value;
+                next.push(extended);
+            });
+        });
+        combinations = next;
+    });
+
+    return combinations.map(function(values: Record<string, string>): BatchPrompt {
+        return {
+            text: fillTemplate(template.text, values),
+            template: { id: template.id, name: template.name, values: values }
+        };
+    });
+}
+
+/**
+ * Builds the cross-product of prompts, aspect ratios, resolutions and models.
+ * Models vary fastest so that the results for one prompt and size sit side by side.
+ * @param {BatchPrompt[]} prompts - Prompts
+ * @param {string[]} modelIds - Model IDs
+ * @param {string[]} aspectRatios - Aspect ratios
+ * @param {string[]} resolutions - Resolutions
+ * @returns {BatchVariant[]} Generations in queue order
+ */
+export function buildBatchVariants(prompts: BatchPrompt[], modelIds: string[], aspectRatios: string[], resolutions: string[]): BatchVariant[] {
+    const variants: BatchVariant[] = [];
+    prompts.forEach(function(prompt: BatchPrompt) {
+        aspectRatios.forEach(function(aspectRatio: string) {
+            resolutions.forEach(function(resolution: string) {
+                modelIds.forEach(function(modelId: string) {
+                    variants.push({ prompt: prompt, modelId: modelId, aspectRatio: aspectRatio, resolution: resolution });
+                });
+            });
+        });
+    });
+    return variants;
+}
+
+/**
+ * Summarizes the progress of every batch that still has jobs in the queue
+ * @param {GenerationJob[]} jobs - Queue jobs
+ * @returns {BatchProgress[]} Progress per batch, in submission order
+ */
+export function getBatchProgress(jobs: GenerationJob[]): BatchProgress[] {
+    const batches: BatchProgress[] = [];
+    jobs.forEach(function(job: GenerationJob) {
+        const membership: BatchMembership | undefined = job.spec.batch;
+        if (!membership) return;
+
+        let progress = batches.find(function(b: BatchProgress) { return b.id === membership.id; });
+        if (!progress) {
+            progress = { id: membership.id, name: membership.name, total: membership.total, pending: 0, failed: 0 };
+            batches.push(progress);
+        }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            progress.failed++;
+        } else {
+            progress.pending++;
+        }
+    });
+    return batches;
+}
@@ -0,0 +1,137 @@
+/**
+ * Comparison helper functions
+ * Keeps the set of images picked for the comparison view (from any conversation) and
+ * computes the shared zoom/pan transform that keeps all compared images in sync.
+ */
+
+import { STATE } from './state';
+import type { ComparisonImage } from './types/state';
+
+/** @type {number} Most images shown side by side */
+export const MAX_COMPARISON_IMAGES: number = 4;
+
+/** @type {number} Fewest images worth comparing */
+export const MIN_COMPARISON_IMAGES: number = 2;
+
+const MIN_ZOOM: number = 1;
+const MAX_ZOOM: number = 16;
+
+/**
+ * @typedef {Object} ViewTransform
+ * @property {number} scale - Zoom factor (1 = fit)
+ * @property {number} x - Horizontal offset as a fraction of the viewport width
+ * @property {number} y - Vertical offset as a fraction of the viewport height
+ */
+export interface ViewTransform {
+    scale: number;
+    x: number;
+    y: number;
+}
+
+/**
+ * Returns true if two references point at the same image
+ * @param {ComparisonImage} a - First image
+ * @param {ComparisonImage} b - Second image
+ * @returns {boolean} True if equal
+ */
+function isSameImage(a: ComparisonImage, b: ComparisonImage): boolean {
+    return a.conversationTimestamp === b.conversationTimestamp
+        && a.entryIndex === b.entryIndex
+        && a.imageIndex === b.imageIndex;
+}
+
+/**
+ * Returns true if an image is picked for comparison
+ * @param {ComparisonImage} image - Image reference
+ * @returns {boolean} True if selected
+ */
+export function isInComparison(image: ComparisonImage): boolean {
+    return STATE.comparison.some(function(c: ComparisonImage) { return isSameImage(c, image); });
+}
+
+/**
+ * Adds an image to the comparison, or removes it if it is already there
+ * @param {ComparisonImage} image - Image reference
+ * @returns {'added' | 'removed' | 'full'} What happened ('full' if the limit was reached)
+ */
+export function toggleComparison(image: ComparisonImage): 'added' | 'removed' | 'full' {
+    if (isInComparison(image)) {
+        STATE.comparison = STATE.comparison.filter(function(c: ComparisonImage) { return !isSameImage(c, image); });
+        return 'removed';
+    }
+    if (STATE.comparison.length >= MAX_COMPARISON_IMAGES) {
+        return 'full';
+    }
+    STATE.comparison = STATE.comparison.concat([image]);
+    return 'added';
+}
+
+/**
+ * Drops compared images that belong to a conversation (e.g. after it was deleted)
+ * @param {number} conversationTimestamp - Conversation timestamp
+ */
+export function removeConversationFromComparison(conversationTimestamp: number): void {
+    STATE.comparison = STATE.comparison.filter(function(c: ComparisonImage) {
+        return c.conversationTimestamp !== conversationTimestamp;
+    });
+}
+
+/**
+ * Creates the transform that shows whole images
+ * @returns {ViewTransform} Identity transform
+ */
+export function createFitTransform(): ViewTransform {
+    return { scale: 1, x: 0, y: 0 };
+}
+
+/**
+ * Keeps the image covering the viewport: at scale s it may move at most (s - 1) / 2 each way
+ * @param {ViewTransform} t - Transform
+ * @returns {ViewTransform} Clamped transform
+ */
+function clampPan(t: ViewTransform): ViewTransform {
+    const limit = (t.scale - 1) / 2;
+    return {
+        scale: t.scale,
+        x: Math.max(-limit, Math.min(limit, t.x)),
+        y: Math.max(-limit, Math.min(limit, t.y))
+    };
+}
+
+/**
+ * Zooms around a point, keeping the image content under that point in place
+ * @param {ViewTransform} t - Current transform
+ * @param {number} factor - Zoom multiplier
+ * @param {number} px - Point from the viewport center, as a fraction of its width
+ * @param {number} py - Point from the viewport center, as a fraction of its height
+ * @returns {ViewTransform} New transform
+ */
+export function zoomAt(t: ViewTransform, factor: number, px: number, py: number): ViewTransform {
+    const scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, t.scale * factor));
+    const ratio = scale / t.scale;
+    return clampPan({
+        scale: scale,
+        x: px - (px - t.x) * ratio,
+        y: py - (py - t.y) * ratio
+    });
+}
+
+/**
+ * Moves the view
+ * @param {ViewTransform} t - Current transform
+ * @param {number} dx - Horizontal movement as a fraction of the viewport width
+ * @param {number} dy - Vertical movement as a fraction of the viewport height
+ * @returns {ViewTransform} New transform
+ */
+export function panBy(t: ViewTransform, dx: number, dy: number): ViewTransform {
+    return clampPan({ scale: t.scale, x: t.x + dx, y: t.y + dy });
+}
+
+/**
+ * Converts a transform to a CSS transform for an image that fills its viewport
+ * @param {ViewTransform} t - Transform
+ * @returns {string} CSS transform value
+ */
+export function transformToCss(t: ViewTransform): string {
+    return "translate(" + (t.x * 100) + "%, " + (t.y * 100) + "%) scale(" + t.scale + ")";
+}
@@ -0,0 +1,440 @@
+/**
+ * Cost Tracker
+ * Records what each generation cost, totals spending by conversation, project, model
+ * and day, and enforces optional per-project budgets.
+ *
+ * Costs live on the entries themselves (ResponseData.generations). Entries created before
+ * this existed are read from their responseData/generationData.
+ */
+
+import { STATE } from './state';
+import { listConversations, loadConversation, saveConversation } from './storage';
+import { getActiveProvider } from './providers';
+import { getJobs, hasPendingJobs } from './generationQueue';
+import * as ui from './ui';
+import type { Conversation, ConversationEntry, GenerationCostRecord, GenerationJob, Project } from './types/state';
+import type { ChatCompletionResponse } from './types/api';
+
+/** @type {number} Share of a budget after which generating shows a warning */
+const BUDGET_WARNING_RATIO: number = 0.8;
+
+/** @type {number} Known costs per model used for the per-generation estimate */
+const ESTIMATE_SAMPLE_SIZE: number = 10;
+
+/** @type {number} Maximum generation info requests per backfill run */
+const MAX_BACKFILL_REQUESTS: number = 50;
+
+/** @type {number} Failed lookups after which a cost is given up on (e.g. another provider's or an expired generation) */
+const MAX_BACKFILL_ATTEMPTS: number = 3;
+
+/**
+ * @typedef {Object} SpendingRecord
+ * @property {string} id - Provider generation ID
+ * @property {number} conversationTimestamp - Conversation the generation belongs to
+ * @property {string} modelId - Model ID
+ * @property {number} created - Unix time in seconds
+ * @property {number | null} cost - Cost in USD, or null if not known (yet)
+ */
+export interface SpendingRecord {
+    id: string;
+    conversationTimestamp: number;
+    modelId: string;
+    created: number;
+    cost: number | null;
+}
+
+/**
+ * @typedef {Object} SpendingSummary
+ * @property {number} total - Total known cost
+ * @property {number} unknownCount - Generations whose cost is not known
+ * @property {Map<number, number>} byConversation - Cost per conversation timestamp
+ * @property {Map<string, number>} byProject - Cost per project ID (conversations directly in the project)
+ * @property {Map<string, number>} byModel - Cost per model ID
+ * @property {Map<string, number>} byDay - Cost per local date (YYYY-MM-DD)
+ */
+export interface SpendingSummary {
+    total: number;
+    unknownCount: number;
+    byConversation: Map<number, number>;
+    byProject: Map<string, number>;
+    byModel: Map<string, number>;
+    byDay: Map<string, number>;
+}
+
+/**
+ * @typedef {Object} BudgetCheck
+ * @property {boolean} allowed - False if the generation would exceed a budget
+ * @property {string | null} message - Warning or error to show, if any
+ */
+export interface BudgetCheck {
+    allowed: boolean;
+    message: string | null;
+}
+
+/** @type {Map<number, SpendingRecord[]>} Spending records per conversation, filled lazily */
+const recordCache: Map<number, SpendingRecord[]> = new Map();
+
+/** @type {boolean} Whether a backfill is running */
+let backfillRunning: boolean = false;
+
+/**
+ * Gets the cost records of an entry, deriving one from the legacy fields for old entries
+ * @param {ConversationEntry} entry - Conversation entry
+ * @param {number} conversationTimestamp - Conversation timestamp (fallback creation time)
+ * @returns {GenerationCostRecord[]} Cost records
+ */
+export function getCostRecords(entry: ConversationEntry, conversationTimestamp: number): GenerationCostRecord[] {
+    if (entry.response.generations) {
+        return entry.response.generations;
+    }
+
+    const response = entry.response.responseData as Partial<ChatCompletionResponse> | null;
+    if (!response || !response.id) return [];
+    const generationData = entry.response.generationData as { cost?: number } | null;
+    return [{
+        id: response.id,
+        modelId: response.model || entry.message.modelId || "",
+        created: response.created || conversationTimestamp,
+        cost: typeof generationData?.cost === "number" ? generationData.cost : null
+    }];
+}
+
+/**
+ * Records a billed generation on the entry that received its images
+ * @param {ConversationEntry} entry - Entry the images were added to
+ * @param {ChatCompletionResponse} response - Provider response
+ * @param {string} modelId - Requested model ID (used if the response has none)
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @returns {GenerationCostRecord} The new record; its cost is filled in once known
+ */
+export function recordGeneration(entry: ConversationEntry, response: ChatCompletionResponse, modelId: string, conversationTimestamp: number): GenerationCostRecord {
+    // Keep whatever the legacy fields knew before the first regeneration overwrites them
+    entry.response.generations = getCostRecords(entry, conversationTimestamp).filter(function(r: GenerationCostRecord) {
+        return r.id !== response.id;
+    });
+    const record: GenerationCostRecord = {
+        id: response.id,
+        modelId: response.model || modelId,
+        created: response.created || Math.floor(Date.now() / 1000),
+        cost: null
+    };
+    entry.response.generations.push(record);
+    return record;
+}
+
+/**
+ * Flattens the cost records of a conversation and stores them in the cache
+ * @param {Conversation} conversation - Conversation
+ * @returns {SpendingRecord[]} Spending records
+ */
+export function updateConversationCosts(conversation: Conversation): SpendingRecord[] {
+    const records: SpendingRecord[] = [];
+    conversation.entries.forEach(function(entry: ConversationEntry) {
+        getCostRecords(entry, conversation.timestamp).forEach(function(record: GenerationCostRecord) {
+            records.push({
+                id: record.id,
+                conversationTimestamp: conversation.timestamp,
+                modelId: record.modelId,
+                created: record.created,
+                cost: record.cost
+            });
+        });
+    });
+    recordCache.set(conversation.timestamp, records);
+    return records;
+}
+
+/**
+ * Drops the cached records of a conversation that changed on disk (e.g. pulled by sync)
+ * @param {number} timestamp - Conversation timestamp
+ */
+export function invalidateConversationCosts(timestamp: number): void {
+    recordCache.delete(timestamp);
+}
+
+/**
+ * Loads the spending records of all conversations, reading only those not cached yet
+ * @returns {Promise<SpendingRecord[]>} All spending records
+ */
+export async function loadSpendingRecords(): Promise<SpendingRecord[]> {
+    const timestamps = await listConversations();
+    const existing = new Set(timestamps);
+
+    Array.from(recordCache.keys()).forEach(function(ts: number) {
+        if (!existing.has(ts)) {
+            recordCache.delete(ts);
+        }
+    });
+
+    let all: SpendingRecord[] = [];
+    for (const timestamp of timestamps) {
+        let records = recordCache.get(timestamp);
+        if (!records) {
+            const conversation = await loadConversation(timestamp);
+            records = conversation ? updateConversationCosts(conversation) : [];
+        }
+        all = all.concat(records);
+    }
+    return all;
+}
+
+/**
+ * Formats a unix time as a local date key
+ * @param {number} seconds - Unix time in seconds
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function toDayKey(seconds: number): string {
+    const date = new Date(seconds * 1000);
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return date.getFullYear() + "-" + month + "-" + day;
+}
+
+/**
+ * Adds an amount to a total in a map
+ * @param {Map<K, number>} map - Totals
+ * @param {K} key - Key
+ * @param {number} amount - Amount to add
+ */
+function addTo<K>(map: Map<K, number>, key: K, amount: number): void {
+    map.set(key, (map.get(key) ?? 0) + amount);
+}
+
+/**
+ * Totals spending records by conversation, project, model and day
+ * @param {SpendingRecord[]} records - Spending records
+ * @param {Project[]} projects - Projects, for conversation membership
+ * @returns {SpendingSummary} Totals
+ */
+export function summarizeSpending(records: SpendingRecord[], projects: Project[]): SpendingSummary {
+    const summary: SpendingSummary = {
+        total: 0,
+        unknownCount: 0,
+        byConversation: new Map(),
+        byProject: new Map(),
+        byModel: new Map(),
+        byDay: new Map()
+    };
+
+    // Duplicated conversations carry copies of the same records; each generation was paid once
+    const seen: Set<string> = new Set();
+    for (const record of records) {
+        if (seen.has(record.id)) continue;
+        seen.add(record.id);
+        if (record.cost === null) {
+            summary.unknownCount++;
+            continue;
+        }
+        summary.total += record.cost;
+        addTo(summary.byConversation, record.conversationTimestamp, record.cost);
+        addTo(summary.byModel, record.modelId, record.cost);
+        addTo(summary.byDay, toDayKey(record.created), record.cost);
+    }
+
+    for (const project of projects) {
+        let projectTotal = 0;
+        for (const ts of project.conversationTimestamps) {
+            projectTotal += summary.byConversation.get(ts) ?? 0;
+        }
+        if (projectTotal > 0) {
+            summary.byProject.set(project.id, projectTotal);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Collects the conversations of a project and all of its subprojects
+ * @param {Project} project - Project
+ * @param {Project[]} projects - All projects
+ * @returns {Set<number>} Conversation timestamps
+ */
+function collectProjectConversations(project: Project, projects: Project[]): Set<number> {
+    const result: Set<number> = new Set();
+    const pending: Project[] = [project];
+    const visited: Set<string> = new Set();
+
+    while (pending.length > 0) {
+        const current = pending.pop()!;
+        if (visited.has(current.id)) continue;
+        visited.add(current.id);
+        current.conversationTimestamps.forEach(function(ts: number) { result.add(ts); });
+        projects.forEach(function(p: Project) {
+            if (p.parentId === current.id) {
+                pending.push(p);
+            }
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Estimates the cost of one generation from recent known costs of the same model
+ * @param {string} modelId - Model ID
+ * @param {SpendingRecord[]} records - Spending records
+ * @returns {number} Estimated cost in USD (0 if nothing is known)
+ */
+export function estimateGenerationCost(modelId: string, records: SpendingRecord[]): number {
+    const known = records.filter(function(r: SpendingRecord) { return r.cost !== null; })
+        .sort(function(a: SpendingRecord, b: SpendingRecord) { return b.created - a.created; });
+    const sameModel = known.filter(function(r: SpendingRecord) { return r.modelId === modelId; });
+    const sample = (sameModel.length > 0 ? sameModel : known).slice(0, ESTIMATE_SAMPLE_SIZE);
+    if (sample.length === 0) return 0;
+
+    let sum = 0;
+    sample.forEach(function(r: SpendingRecord) { sum += r.cost!; });
+    return sum / sample.length;
+}
+
+/**
+ * Estimates the total cost of several generations
+ * @param {string[]} modelIds - Model of each generation
+ * @param {SpendingRecord[]} records - Spending records
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateBatchCost(modelIds: string[], records: SpendingRecord[]): number {
+    let total = 0;
+    modelIds.forEach(function(modelId: string) {
+        total += estimateGenerationCost(modelId, records);
+    });
+    return total;
+}
+
+/**
+ * Formats an amount in USD
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+export function formatCost(amount: number): string {
+    return "$" + amount.toFixed(amount < 1 ? 4 : 2);
+}
+
+/**
+ * Checks whether queuing generations would go over the budget of the project or any
+ * of its ancestors. Queued jobs are counted at their estimated cost.
+ * @param {string} projectId - Project the generations belong to
+ * @param {string[]} modelIds - Model of each generation to queue
+ * @returns {Promise<BudgetCheck>} Whether to proceed, and what to tell the user
+ */
+export async function checkBudget(projectId: string, modelIds: string[]): Promise<BudgetCheck> {
+    const projects = STATE.projects;
+    const chain: Project[] = [];
+    let current = projects.find(function(p: Project) { return p.id === projectId; }) ?? null;
+    while (current && chain.indexOf(current) === -1) {
+        chain.push(current);
+        const parentId: string | null = current.parentId;
+        current = parentId ? projects.find(function(p: Project) { return p.id === parentId; }) ?? null : null;
+    }
+
+    const budgeted = chain.filter(function(p: Project) { return typeof p.settings.budget === "number"; });
+    if (budgeted.length === 0) {
+        return { allowed: true, message: null };
+    }
+
+    const records = await loadSpendingRecords();
+    const summary = summarizeSpending(records, []);
+    const pendingJobs = getJobs().filter(function(j: GenerationJob) {
+        return j.status === 'queued' || j.status === 'running' || j.status === 'retrying';
+    });
+    const newCost = estimateBatchCost(modelIds, records);
+
+    let warning: string | null = null;
+    for (const project of budgeted) {
+        const budget = project.settings.budget!;
+        const conversations = collectProjectConversations(project, projects);
+
+        let spent = 0;
+        conversations.forEach(function(ts: number) { spent += summary.byConversation.get(ts) ?? 0; });
+        let queued = 0;
+        pendingJobs.forEach(function(j: GenerationJob) {
+            if (conversations.has(j.spec.conversationTimestamp)) {
+                queued += estimateGenerationCost(j.spec.model, records);
+            }
+        });
+
+        const projected = spent + queued + newCost;
+        const detail = "spent " + formatCost(spent) + (queued > 0 ? ", queued ≈" + formatCost(queued) : "")
+            + ", this request ≈" + formatCost(newCost);
+        if (projected > budget) {
+            return {
+                allowed: false,
+                message: 'This would exceed the ' + formatCost(budget) + ' budget of project "' + project.name + '" (' + detail + ').'
+            };
+        }
+        if (!warning && projected >= budget * BUDGET_WARNING_RATIO) {
+            warning = 'Project "' + project.name + '" is close to its ' + formatCost(budget) + ' budget (' + detail + ').';
+        }
+    }
+
+    return { allowed: true, message: warning };
+}
+
+/**
+ * Fetches costs that were not available right after generation (the provider had not
+ * finished accounting, or the page closed first) and stores them on their entries.
+ * Failed lookups are counted on the record so costs that can never be found stop using
+ * up the requests of later runs.
+ * @param {string} apiKey - API key
+ * @returns {Promise<number>} Number of costs filled in
+ */
+export async function backfillMissingCosts(apiKey: string): Promise<number> {
+    const provider = getActiveProvider();
+    if (backfillRunning || !provider.capabilities.supportsGenerationInfo || !apiKey) return 0;
+
+    backfillRunning = true;
+    let requests = 0;
+    let filled = 0;
+
+    try {
+        for (const timestamp of await listConversations()) {
+            if (requests >= MAX_BACKFILL_REQUESTS) break;
+            // Running jobs own this conversation; try again next time
+            if (hasPendingJobs(timestamp)) continue;
+
+            const conversation = await ui.getConversationForEdit(timestamp);
+            if (!conversation) continue;
+
+            let changed = false;
+            for (const entry of conversation.entries) {
+                const records = getCostRecords(entry, timestamp);
+                for (const record of records) {
+                    if (record.cost !== null || !record.id || requests >= MAX_BACKFILL_REQUESTS) continue;
+                    if ((record.failedLookups ?? 0) >= MAX_BACKFILL_ATTEMPTS) continue;
+                    requests++;
+                    entry.response.generations = records;
+                    changed = true;
+                    try {
+                        const info = await provider.getGenerationInfo(apiKey, record.id);
+                        if (typeof info?.cost !== "number") {
+                            record.failedLookups = (record.failedLookups ?? 0) + 1;
+                            continue;
+                        }
+                        record.cost = info.cost;
+                        delete record.failedLookups;
+                        const response = entry.response.responseData as Partial<ChatCompletionResponse> | null;
+                        if (response && response.id === record.id && !entry.response.generationData) {
+                            entry.response.generationData = info;
+                        }
+                        filled++;
+                    } catch (e) {
+                        console.warn("Cost not available for generation", record.id, e);
+                        record.failedLookups = (record.failedLookups ?? 0) + 1;
+                    }
+                }
+            }
+
+            if (changed) {
+                await saveConversation(timestamp, conversation);
+                updateConversationCosts(conversation);
+            }
+        }
+    } catch (e) {
+        console.error("Error filling in missing costs:", e);
+    } finally {
+        backfillRunning = false;
+    }
+
+    return filled;
+}
@@ -1,11 +1,18 @@
 /**
  * External Directory Sync Module
- * Handles syncing data between OPFS and a user-selected external directory
+ * Handles syncing data between OPFS and a user-selected external directory.
+ * In 'push' mode OPFS is copied out; in 'bidirectional' mode changes made in the folder
+ * (e.g. by another machine on a shared drive) are pulled back in as well.
  */
 
 import { STATE } from './state';
-import { listConversations, getOPFSHandle, loadConversation, loadSummary, listImages, listReferenceImages, saveDirectoryHandle, loadDirectoryHandle, clearDirectoryHandle } from './storage';
+import { listConversations, getOPFSHandle, ensureDirectory, loadConversation, loadSummary, listImages, listReferenceImages, saveDirectoryHandle, loadDirectoryHandle, clearDirectoryHandle, getPreference, loadSyncManifest, saveSyncManifest, readImageIndex, recordImageIndex, reindexConversation } from './storage';
+import { updateConversationSummary } from './util';
+import { hasPendingJobs } from './generationQueue';
+import { handleSyncResult } from './agent';
 import * as ui from './ui';
+import type { ZipEntry } from './zip';
+import type { Album, Conversation, ConversationEntry, Project, ReferenceImage, SyncManifest, SyncManifestRecord, SyncMode } from './types/state';
 
 declare global {
     interface Window {
@@ -21,6 +28,15 @@ declare global {
 const EXTERNAL_CONVERSATIONS_DIR: string = "conversations";
 const EXTERNAL_IMAGES_DIR: string = "images";
 const EXTERNAL_REFERENCE_DIR: string = "reference";
+const EXTERNAL_PROJECTS_DIR: string = "projects";
+const EXTERNAL_ALBUMS_DIR: string = "albums";
+const EXTERNAL_EXPORTS_DIR: string = "exports";
+const SYNC_MODE_PREF: string = "syncMode";
+const SYNC_MANIFEST_VERSION: number = 2;
+const SYNC_FOLDER_ID_FILE: string = "sync-folder-id";
+
+/** @type {number} Conversations a two-way sync may delete locally without asking first */
+const SYNC_DELETE_CONFIRM_LIMIT: number = 3;
 
 /**
  * Checks if the File System Access API is supported
@@ -76,7 +92,7 @@ export async function restoreDirectoryHandle(): Promise<boolean> {
             STATE.externalSync.directoryHandle = storedHandle;
             STATE.externalSync.syncEnabled = true;
             ui.updateSyncButton(true, false);
-            await syncFromOpfs();
+            await runSync();
             return true;
         } else if (permission === 'prompt') {
             STATE.externalSync.directoryHandle = storedHandle;
@@ -108,7 +124,7 @@ export async function reauthorizeDirectory(): Promise<boolean> {
         if (permission === 'granted') {
             STATE.externalSync.syncEnabled = true;
             ui.updateSyncButton(true, false);
-            await syncFromOpfs();
+            await runSync();
             return true;
         } else if (permission === 'denied') {
             await clearDirectoryHandle();
@@ -147,7 +163,7 @@ export async function toggleSync(): Promise<boolean> {
 
     const selected = await selectDirectory();
     if (selected) {
-        await syncFromOpfs();
+        await runSync();
     }
     return STATE.externalSync.syncEnabled;
 }
@@ -340,44 +356,772 @@ export async function syncFromOpfs(): Promise<void> {
         ui.showSyncProgress(STATE.externalSync.syncProgress!.current, timestamps.length);
     }
 
+    await copyAlbumsToExternal(externalRoot);
+
     STATE.externalSync.isSyncing = false;
     STATE.externalSync.syncProgress = null;
     ui.hideSyncProgress(true);
     ui.updateSyncButton(true, false);
 }
 
+/**
+ * Reads the configured sync mode
+ * @returns {Promise<SyncMode>} 'push' (one-way, default) or 'bidirectional'
+ */
+export async function getSyncMode(): Promise<SyncMode> {
+    const mode = await getPreference(SYNC_MODE_PREF);
+    return mode === 'bidirectional' ? 'bidirectional' : 'push';
+}
+
+/**
+ * Gets the directory local saves are copied to right away. In two-way mode there is none:
+ * the sync pass pushes them through the manifest, so changes made in the folder by another
+ * machine are merged instead of overwritten.
+ * @returns {Promise<FileSystemDirectoryHandle | null>} External directory in push mode, or null
+ */
+async function getPushTarget(): Promise<FileSystemDirectoryHandle | null> {
+    const handle = STATE.externalSync.directoryHandle;
+    if (!STATE.externalSync.syncEnabled || !handle) {
+        return null;
+    }
+    return (await getSyncMode()) === 'push' ? handle : null;
+}
+
+/**
+ * Runs a full sync in the configured mode
+ * @returns {Promise<void>}
+ */
+export async function runSync(): Promise<void> {
+    if ((await getSyncMode()) === 'bidirectional') {
+        await syncBidirectional();
+    } else {
+        await syncFromOpfs();
+    }
+}
+
+/**
+ * @typedef {'none' | 'push' | 'pull' | 'conflict' | 'deleteLocal' | 'deleteExternal'} SyncAction
+ */
+type SyncAction = 'none' | 'push' | 'pull' | 'conflict' | 'deleteLocal' | 'deleteExternal';
+
+/**
+ * Decides what to do with one file by comparing both sides against the manifest.
+ * Only modification times are compared, so unchanged files are never read.
+ * @param {SyncManifestRecord | undefined} record - State at the last sync
+ * @param {File | null} localFile - OPFS file, or null if missing
+ * @param {File | null} externalFile - External file, or null if missing
+ * @returns {SyncAction} Action to take
+ */
+function decideSyncAction(record: SyncManifestRecord | undefined, localFile: File | null, externalFile: File | null): SyncAction {
+    const localChanged = !!localFile && (!record || localFile.lastModified !== record.local);
+    const externalChanged = !!externalFile && (!record || externalFile.lastModified !== record.external);
+
+    if (localFile && externalFile) {
+        if (localChanged && externalChanged) return 'conflict';
+        if (localChanged) return 'push';
+        if (externalChanged) return 'pull';
+        return 'none';
+    }
+    if (localFile) {
+        // Known file that disappeared from the folder and was not touched here: deleted elsewhere
+        return record && !localChanged ? 'deleteLocal' : 'push';
+    }
+    if (externalFile) {
+        return record && !externalChanged ? 'deleteExternal' : 'pull';
+    }
+    return 'none';
+}
+
+/**
+ * Computes the SHA-256 hash of a file's contents
+ * @param {File} file - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(file: File): Promise<string> {
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", await file.arrayBuffer()));
+    return Array.from(digest, function(byte: number) { return byte.toString(16).padStart(2, "0"); }).join("");
+}
+
+/**
+ * Gets a subdirectory if it exists
+ * @param {FileSystemDirectoryHandle} parentDir - Parent directory
+ * @param {string} name - Subdirectory name
+ * @returns {Promise<FileSystemDirectoryHandle | null>} Directory handle or null
+ */
+async function getDirectoryIfExists(parentDir: FileSystemDirectoryHandle, name: string): Promise<FileSystemDirectoryHandle | null> {
+    try {
+        return await parentDir.getDirectoryHandle(name);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Lists the files of a directory by name
+ * @param {FileSystemDirectoryHandle | null} dir - Directory handle
+ * @returns {Promise<Map<string, FileSystemFileHandle>>} File handles keyed by name
+ */
+async function listDirectoryFiles(dir: FileSystemDirectoryHandle | null): Promise<Map<string, FileSystemFileHandle>> {
+    const files: Map<string, FileSystemFileHandle> = new Map();
+    if (!dir) return files;
+    for await (const entry of (dir as FileSystemDirectoryHandle & { values(): AsyncIterableIterator<FileSystemHandle> }).values()) {
+        if (entry.kind === "file") {
+            files.set(entry.name, entry as FileSystemFileHandle);
+        }
+    }
+    return files;
+}
+
+/**
+ * Lists the conversation timestamps present in a conversations directory
+ * @param {FileSystemDirectoryHandle} convsDir - Conversations directory
+ * @returns {Promise<number[]>} Timestamps
+ */
+async function listConversationDirectories(convsDir: FileSystemDirectoryHandle): Promise<number[]> {
+    const timestamps: number[] = [];
+    for await (const entry of (convsDir as FileSystemDirectoryHandle & { values(): AsyncIterableIterator<FileSystemHandle> }).values()) {
+        if (entry.kind === "directory" && /^\d+$/.test(entry.name)) {
+            timestamps.push(parseInt(entry.name, 10));
+        }
+    }
+    return timestamps;
+}
+
+/**
+ * Writes text to a file
+ * @param {FileSystemDirectoryHandle} dir - Target directory
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ * @returns {Promise<FileSystemFileHandle>} Written file handle
+ */
+async function writeTextFile(dir: FileSystemDirectoryHandle, name: string, text: string): Promise<FileSystemFileHandle> {
+    const fileHandle = await dir.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(text);
+    await writable.close();
+    return fileHandle;
+}
+
+/**
+ * Records the current modification times of both copies of a file
+ * @param {SyncManifest} manifest - Manifest to update
+ * @param {string} path - Path relative to the library root
+ * @param {FileSystemFileHandle} localHandle - OPFS file
+ * @param {FileSystemFileHandle} externalHandle - External file
+ * @returns {Promise<void>}
+ */
+async function recordSynced(manifest: SyncManifest, path: string, localHandle: FileSystemFileHandle, externalHandle: FileSystemFileHandle): Promise<void> {
+    manifest.files[path] = {
+        local: (await localHandle.getFile()).lastModified,
+        external: (await externalHandle.getFile()).lastModified
+    };
+}
+
+/**
+ * Removes every manifest record below a path prefix
+ * @param {SyncManifest} manifest - Manifest to update
+ * @param {string} prefix - Path prefix
+ */
+function forgetSynced(manifest: SyncManifest, prefix: string): void {
+    Object.keys(manifest.files).forEach(function(path: string) {
+        if (path.startsWith(prefix)) {
+            delete manifest.files[path];
+        }
+    });
+}
+
+/**
+ * Applies a push, pull or deletion to a simple file that needs no merging
+ * @param {SyncAction} action - Action from decideSyncAction
+ * @param {SyncManifest} manifest - Manifest to update
+ * @param {string} path - Path relative to the library root
+ * @param {FileSystemDirectoryHandle} localDir - OPFS directory containing the file
+ * @param {FileSystemDirectoryHandle} externalDir - External directory containing the file
+ * @param {string} name - File name
+ * @returns {Promise<void>}
+ */
+async function applySimpleAction(
+    action: SyncAction,
+    manifest: SyncManifest,
+    path: string,
+    localDir: FileSystemDirectoryHandle,
+    externalDir: FileSystemDirectoryHandle,
+    name: string
+): Promise<void> {
+    if (action === 'push') {
+        const localHandle = await localDir.getFileHandle(name);
+        const externalHandle = await externalDir.getFileHandle(name, { create: true });
+        await copyFile(localHandle, externalHandle);
+        await recordSynced(manifest, path, localHandle, externalHandle);
+    } else if (action === 'pull') {
+        const externalHandle = await externalDir.getFileHandle(name);
+        const localHandle = await localDir.getFileHandle(name, { create: true });
+        await copyFile(externalHandle, localHandle);
+        await recordSynced(manifest, path, localHandle, externalHandle);
+    } else if (action === 'deleteLocal') {
+        await localDir.removeEntry(name);
+        delete manifest.files[path];
+    } else if (action === 'deleteExternal') {
+        await externalDir.removeEntry(name);
+        delete manifest.files[path];
+    }
+}
+
+/**
+ * Syncs the images or reference images of one conversation in both directions.
+ * When both sides created an image under the same number, the local image keeps the
+ * number and the external one is stored under a new number.
+ * @param {FileSystemDirectoryHandle} localConvDir - OPFS conversation directory
+ * @param {FileSystemDirectoryHandle} externalConvDir - External conversation directory
+ * @param {string} dirName - "images" or "reference"
+ * @param {string} prefix - Manifest path prefix of the conversation
+ * @param {SyncManifest} manifest - Manifest to update
+ * @returns {Promise<Map<string, string>>} External file name to new name, for renumbered images
+ */
+async function syncImageDirectory(
+    localConvDir: FileSystemDirectoryHandle,
+    externalConvDir: FileSystemDirectoryHandle,
+    dirName: string,
+    prefix: string,
+    manifest: SyncManifest
+): Promise<Map<string, string>> {
+    const renamed: Map<string, string> = new Map();
+    const localDir = await ensureDirectory(localConvDir, dirName);
+    const externalDir = await ensureExternalDirectory(externalConvDir, dirName);
+    const localFiles = await listDirectoryFiles(localDir);
+    const externalFiles = await listDirectoryFiles(externalDir);
+
+    const names = new Set(Array.from(localFiles.keys()).concat(Array.from(externalFiles.keys())));
+    // Numbers of deleted images are not reused, so renumbered images start above the highest ever used
+    let nextIndex = dirName === EXTERNAL_IMAGES_DIR ? await readImageIndex(localDir) + 1 : 1;
+    names.forEach(function(name: string) {
+        const num = parseInt(name.replace(".png", ""), 10);
+        if (!isNaN(num) && num >= nextIndex) {
+            nextIndex = num + 1;
+        }
+    });
+
+    for (const name of names) {
+        if (!name.endsWith(".png")) continue;
+        const path = prefix + dirName + "/" + name;
+        const localHandle = localFiles.get(name) ?? null;
+        const externalHandle = externalFiles.get(name) ?? null;
+        const localFile = localHandle ? await localHandle.getFile() : null;
+        const externalFile = externalHandle ? await externalHandle.getFile() : null;
+        const action = decideSyncAction(manifest.files[path], localFile, externalFile);
+
+        try {
+            if (action !== 'conflict') {
+                await applySimpleAction(action, manifest, path, localDir, externalDir, name);
+                continue;
+            }
+
+            // Same contents: the same image was written to both sides (e.g. copied by hand)
+            const identical = localFile!.size === externalFile!.size && await hashFile(localFile!) === await hashFile(externalFile!);
+            if (!identical && dirName === EXTERNAL_IMAGES_DIR) {
+                const newName = String(nextIndex++) + ".png";
+                const newLocal = await localDir.getFileHandle(newName, { create: true });
+                const newExternal = await externalDir.getFileHandle(newName, { create: true });
+                await copyFile(externalHandle!, newLocal);
+                await copyFile(externalHandle!, newExternal);
+                await recordSynced(manifest, prefix + dirName + "/" + newName, newLocal, newExternal);
+                await copyFile(localHandle!, externalHandle!);
+                renamed.set(name, newName);
+            } else if (!identical) {
+                console.warn("Reference image changed on both sides, keeping the local copy:", path);
+                await copyFile(localHandle!, externalHandle!);
+            }
+            await recordSynced(manifest, path, localHandle!, externalHandle!);
+        } catch (e) {
+            console.error("Error syncing", path, e);
+        }
+    }
+
+    if (dirName === EXTERNAL_IMAGES_DIR) {
+        await recordImageIndex(localDir, nextIndex - 1);
+    }
+    return renamed;
+}
+
+/**
+ * Renames image file names in a conversation after images were renumbered during sync
+ * @param {Conversation} conversation - Conversation to update in place
+ * @param {Map<string, string>} renamed - Old file name ("5.png") to new file name
+ */
+function applyImageRenames(conversation: Conversation, renamed: Map<string, string>): void {
+    if (renamed.size === 0) return;
+    conversation.entries.forEach(function(entry: ConversationEntry) {
+        entry.response.imageFilenames = entry.response.imageFilenames.map(function(filename: string) {
+            const newName = renamed.get(filename + ".png");
+            return newName ? newName.replace(".png", "") : filename;
+        });
+    });
+}
+
+/**
+ * Builds a key that identifies the same entry on both sides of a sync. Entries created
+ * without an ID fall back to their generation settings; the batch position is part of the
+ * key because every variant of a batch shares its seed, model and prompt.
+ * @param {ConversationEntry} entry - Conversation entry
+ * @returns {string} Identity key
+ */
+function entryKey(entry: ConversationEntry): string {
+    if (entry.id) return entry.id;
+    const message = entry.message;
+    return [
+        message.seed,
+        message.modelId || "",
+        message.aspectRatio || "",
+        entry.response.imageResolutions?.[0] || "",
+        message.batch ? message.batch.id + "#" + message.batch.position : "",
+        message.text
+    ].join("|");
+}
+
+/**
+ * Merges two versions of a conversation: entries from both sides are kept, and images
+ * added to the same entry on either side are combined. Local tags and ratings win.
+ * @param {Conversation} local - OPFS version
+ * @param {Conversation} external - External version
+ * @returns {{conversation: Conversation; clean: boolean}} Merged conversation, and whether
+ *     no entry was changed on both sides
+ */
+function mergeConversations(local: Conversation, external: Conversation): { conversation: Conversation; clean: boolean } {
+    const merged = JSON.parse(JSON.stringify(local)) as Conversation;
+    let clean = true;
+
+    for (const externalEntry of external.entries) {
+        const target = merged.entries.find(function(e: ConversationEntry) { return entryKey(e) === entryKey(externalEntry); });
+        if (!target) {
+            merged.entries.push(externalEntry);
+            continue;
+        }
+        if (JSON.stringify(target) === JSON.stringify(externalEntry)) continue;
+
+        clean = false;
+        externalEntry.response.imageFilenames.forEach(function(filename: string, i: number) {
+            if (filename === "generating" || target.response.imageFilenames.indexOf(filename) !== -1) return;
+            target.response.imageFilenames.push(filename);
+            target.response.imageResolutions.push(externalEntry.response.imageResolutions?.[i] ?? "1K");
+            if (target.response.imageMetadata) {
+                target.response.imageMetadata.push(externalEntry.response.imageMetadata?.[i] ?? { tags: [] });
+            }
+        });
+    }
+
+    const refKeys = new Set((merged.referenceImages ?? []).map(function(r: ReferenceImage) { return r.conversationTimestamp + ":" + r.imageIndex; }));
+    for (const ref of external.referenceImages ?? []) {
+        if (!refKeys.has(ref.conversationTimestamp + ":" + ref.imageIndex)) {
+            merged.referenceImages = merged.referenceImages ?? [];
+            merged.referenceImages.push(ref);
+        }
+    }
+
+    return { conversation: merged, clean: clean };
+}
+
+/**
+ * Syncs one conversation in both directions
+ * @param {number} timestamp - Conversation timestamp
+ * @param {FileSystemDirectoryHandle} opfsConvsDir - OPFS conversations directory
+ * @param {FileSystemDirectoryHandle} externalConvsDir - External conversations directory
+ * @param {SyncManifest} manifest - Manifest to update
+ * @returns {Promise<'unchanged' | 'pulled' | 'deleted'>} What happened to the local copy
+ */
+async function syncConversationBidirectional(
+    timestamp: number,
+    opfsConvsDir: FileSystemDirectoryHandle,
+    externalConvsDir: FileSystemDirectoryHandle,
+    manifest: SyncManifest
+): Promise<'unchanged' | 'pulled' | 'deleted'> {
+    const prefix = EXTERNAL_CONVERSATIONS_DIR + "/" + timestamp + "/";
+    const convPath = prefix + "conversation.json";
+
+    const existingLocalDir = await getDirectoryIfExists(opfsConvsDir, String(timestamp));
+    const existingExternalDir = await getDirectoryIfExists(externalConvsDir, String(timestamp));
+    const localConvHandle = existingLocalDir ? (await listDirectoryFiles(existingLocalDir)).get("conversation.json") ?? null : null;
+    const externalConvHandle = existingExternalDir ? (await listDirectoryFiles(existingExternalDir)).get("conversation.json") ?? null : null;
+    const localConvFile = localConvHandle ? await localConvHandle.getFile() : null;
+    const externalConvFile = externalConvHandle ? await externalConvHandle.getFile() : null;
+    const action = decideSyncAction(manifest.files[convPath], localConvFile, externalConvFile);
+
+    if (action === 'deleteLocal') {
+        await opfsConvsDir.removeEntry(String(timestamp), { recursive: true });
+        forgetSynced(manifest, prefix);
+        await reindexConversation(timestamp);
+        return 'deleted';
+    }
+    if (action === 'deleteExternal') {
+        await externalConvsDir.removeEntry(String(timestamp), { recursive: true });
+        forgetSynced(manifest, prefix);
+        return 'unchanged';
+    }
+    if (!localConvFile && !externalConvFile) {
+        return 'unchanged';
+    }
+
+    const localConvDir = existingLocalDir ?? await ensureDirectory(opfsConvsDir, String(timestamp));
+    const externalConvDir = existingExternalDir ?? await ensureExternalDirectory(externalConvsDir, String(timestamp));
+
+    // Images go first so a pulled conversation.json never points at a missing file
+    const renamed = await syncImageDirectory(localConvDir, externalConvDir, EXTERNAL_IMAGES_DIR, prefix, manifest);
+    await syncImageDirectory(localConvDir, externalConvDir, EXTERNAL_REFERENCE_DIR, prefix, manifest);
+
+    let result: 'unchanged' | 'pulled' = 'unchanged';
+    let resolved: Conversation | null = null;
+
+    if (action === 'push') {
+        await applySimpleAction('push', manifest, convPath, localConvDir, externalConvDir, "conversation.json");
+    } else if (action === 'pull') {
+        const external = JSON.parse(await externalConvFile!.text()) as Conversation;
+        applyImageRenames(external, renamed);
+        resolved = external;
+        result = 'pulled';
+    } else if (action === 'conflict') {
+        const localText = await localConvFile!.text();
+        const externalText = await externalConvFile!.text();
+        if (localText === externalText && renamed.size === 0) {
+            await recordSynced(manifest, convPath, localConvHandle!, externalConvHandle!);
+        } else {
+            const local = JSON.parse(localText) as Conversation;
+            const external = JSON.parse(externalText) as Conversation;
+            applyImageRenames(external, renamed);
+            const merge = mergeConversations(local, external);
+
+            let choice: 'merge' | 'local' | 'external' = 'merge';
+            if (!merge.clean) {
+                const summary = await loadSummary(timestamp);
+                choice = await ui.showSyncConflictDialog(summary?.title || "Conversation " + timestamp);
+            }
+            resolved = choice === 'local' ? local : choice === 'external' ? external : merge.conversation;
+            result = choice === 'local' ? 'unchanged' : 'pulled';
+        }
+    }
+
+    if (resolved) {
+        const text = JSON.stringify(resolved, null, 2);
+        const localHandle = await writeTextFile(localConvDir, "conversation.json", text);
+        const externalHandle = await writeTextFile(externalConvDir, "conversation.json", text);
+        await recordSynced(manifest, convPath, localHandle, externalHandle);
+    }
+
+    const summaryPath = prefix + "summary.json";
+    let summaryPulled = false;
+    if (action === 'conflict' && resolved) {
+        // Counts changed with the merge; rebuild the summary and write it to both sides
+        const summary = await updateConversationSummary(timestamp);
+        if (summary) {
+            const text = JSON.stringify(summary, null, 2);
+            const localHandle = await writeTextFile(localConvDir, "summary.json", text);
+            const externalHandle = await writeTextFile(externalConvDir, "summary.json", text);
+            await recordSynced(manifest, summaryPath, localHandle, externalHandle);
+        }
+    } else {
+        const localSummary = (await listDirectoryFiles(localConvDir)).get("summary.json") ?? null;
+        const externalSummary = (await listDirectoryFiles(externalConvDir)).get("summary.json") ?? null;
+        let summaryAction = decideSyncAction(
+            manifest.files[summaryPath],
+            localSummary ? await localSummary.getFile() : null,
+            externalSummary ? await externalSummary.getFile() : null
+        );
+        if (summaryAction === 'conflict') {
+            // Titles and archive flags are edited locally; keep ours
+            summaryAction = 'push';
+        }
+        await applySimpleAction(summaryAction, manifest, summaryPath, localConvDir, externalConvDir, "summary.json");
+        summaryPulled = summaryAction === 'pull' || summaryAction === 'deleteLocal';
+    }
+
+    // The files were written directly, so the search record does not know about them yet
+    if (result === 'pulled' || summaryPulled) {
+        await reindexConversation(timestamp);
+    }
+    return result;
+}
+
+/**
+ * Syncs project files in both directions. Projects changed on both sides keep local
+ * settings and combine their conversation lists.
+ * @param {FileSystemDirectoryHandle} externalRoot - External directory
+ * @param {SyncManifest} manifest - Manifest to update
+ * @returns {Promise<void>}
+ */
+async function syncProjectsBidirectional(externalRoot: FileSystemDirectoryHandle, manifest: SyncManifest): Promise<void> {
+    const opfsRoot = await getOPFSHandle();
+    const localDir = await ensureDirectory(opfsRoot, EXTERNAL_PROJECTS_DIR);
+    const externalDir = await ensureExternalDirectory(externalRoot, EXTERNAL_PROJECTS_DIR);
+    const localFiles = await listDirectoryFiles(localDir);
+    const externalFiles = await listDirectoryFiles(externalDir);
+    const names = new Set(Array.from(localFiles.keys()).concat(Array.from(externalFiles.keys())));
+
+    for (const name of names) {
+        if (!name.endsWith(".json")) continue;
+        const path = EXTERNAL_PROJECTS_DIR + "/" + name;
+        const localHandle = localFiles.get(name) ?? null;
+        const externalHandle = externalFiles.get(name) ?? null;
+        const localFile = localHandle ? await localHandle.getFile() : null;
+        const externalFile = externalHandle ? await externalHandle.getFile() : null;
+        let action = decideSyncAction(manifest.files[path], localFile, externalFile);
+
+        // The root project must always exist locally
+        if (action === 'deleteLocal' && name === "root.json") {
+            action = 'push';
+        }
+
+        try {
+            if (action !== 'conflict') {
+                await applySimpleAction(action, manifest, path, localDir, externalDir, name);
+                continue;
+            }
+
+            const local = JSON.parse(await localFile!.text()) as Project;
+            const external = JSON.parse(await externalFile!.text()) as Project;
+            for (const ts of external.conversationTimestamps) {
+                if (local.conversationTimestamps.indexOf(ts) === -1) {
+                    local.conversationTimestamps.push(ts);
+                }
+            }
+            const text = JSON.stringify(local, null, 2);
+            const newLocal = await writeTextFile(localDir, name, text);
+            const newExternal = await writeTextFile(externalDir, name, text);
+            await recordSynced(manifest, path, newLocal, newExternal);
+        } catch (e) {
+            console.error("Error syncing project", name, e);
+        }
+    }
+}
+
+/**
+ * Copies album files that are new or newer in OPFS to the external directory
+ * @param {FileSystemDirectoryHandle} externalRoot - External directory
+ * @returns {Promise<void>}
+ */
+async function copyAlbumsToExternal(externalRoot: FileSystemDirectoryHandle): Promise<void> {
+    try {
+        const opfsRoot = await getOPFSHandle();
+        const localDir = await ensureDirectory(opfsRoot, EXTERNAL_ALBUMS_DIR);
+        const externalDir = await ensureExternalDirectory(externalRoot, EXTERNAL_ALBUMS_DIR);
+        const externalFiles = await listDirectoryFiles(externalDir);
+        for (const [name, localHandle] of await listDirectoryFiles(localDir)) {
+            if (!name.endsWith(".json")) continue;
+            if (await isOpfsNewer(localHandle, externalFiles.get(name) ?? null)) {
+                await copyFile(localHandle, await externalDir.getFileHandle(name, { create: true }));
+            }
+        }
+    } catch (e) {
+        console.error("Error copying albums to external directory:", e);
+    }
+}
+
+/**
+ * Syncs album files in both directions. Albums changed on both sides keep the version
+ * edited last.
+ * @param {FileSystemDirectoryHandle} externalRoot - External directory
+ * @param {SyncManifest} manifest - Manifest to update
+ * @returns {Promise<void>}
+ */
+async function syncAlbumsBidirectional(externalRoot: FileSystemDirectoryHandle, manifest: SyncManifest): Promise<void> {
+    const opfsRoot = await getOPFSHandle();
+    const localDir = await ensureDirectory(opfsRoot, EXTERNAL_ALBUMS_DIR);
+    const externalDir = await ensureExternalDirectory(externalRoot, EXTERNAL_ALBUMS_DIR);
+    const localFiles = await listDirectoryFiles(localDir);
+    const externalFiles = await listDirectoryFiles(externalDir);
+    const names = new Set(Array.from(localFiles.keys()).concat(Array.from(externalFiles.keys())));
+
+    for (const name of names) {
+        if (!name.endsWith(".json")) continue;
+        const path = EXTERNAL_ALBUMS_DIR + "/" + name;
+        const localHandle = localFiles.get(name) ?? null;
+        const externalHandle = externalFiles.get(name) ?? null;
+        const localFile = localHandle ? await localHandle.getFile() : null;
+        const externalFile = externalHandle ? await externalHandle.getFile() : null;
+        const action = decideSyncAction(manifest.files[path], localFile, externalFile);
+
+        try {
+            if (action !== 'conflict') {
+                await applySimpleAction(action, manifest, path, localDir, externalDir, name);
+                continue;
+            }
+
+            const local = JSON.parse(await localFile!.text()) as Album;
+            const external = JSON.parse(await externalFile!.text()) as Album;
+            const text = JSON.stringify(external.updated > local.updated ? external : local, null, 2);
+            const newLocal = await writeTextFile(localDir, name, text);
+            const newExternal = await writeTextFile(externalDir, name, text);
+            await recordSynced(manifest, path, newLocal, newExternal);
+        } catch (e) {
+            console.error("Error syncing album", name, e);
+        }
+    }
+}
+
+/**
+ * Reads the ID stored in the sync folder, writing a new one if the folder has none
+ * @param {FileSystemDirectoryHandle} externalRoot - External directory
+ * @returns {Promise<string>} Folder ID
+ */
+async function getSyncFolderId(externalRoot: FileSystemDirectoryHandle): Promise<string> {
+    const existing = (await listDirectoryFiles(externalRoot)).get(SYNC_FOLDER_ID_FILE);
+    if (existing) {
+        const id = (await (await existing.getFile()).text()).trim();
+        if (id) return id;
+    }
+    const id = crypto.randomUUID();
+    await writeTextFile(externalRoot, SYNC_FOLDER_ID_FILE, id);
+    return id;
+}
+
+/**
+ * Lists the conversations a two-way sync would delete locally because they disappeared
+ * from the folder
+ * @param {number[]} timestamps - Conversations to sync
+ * @param {FileSystemDirectoryHandle} opfsConvsDir - OPFS conversations directory
+ * @param {FileSystemDirectoryHandle} externalConvsDir - External conversations directory
+ * @param {SyncManifest} manifest - Manifest of the last sync
+ * @returns {Promise<number[]>} Timestamps of the conversations to delete
+ */
+async function findLocalDeletions(
+    timestamps: number[],
+    opfsConvsDir: FileSystemDirectoryHandle,
+    externalConvsDir: FileSystemDirectoryHandle,
+    manifest: SyncManifest
+): Promise<number[]> {
+    const deletions: number[] = [];
+    for (const timestamp of timestamps) {
+        if (hasPendingJobs(timestamp)) continue;
+        const localDir = await getDirectoryIfExists(opfsConvsDir, String(timestamp));
+        const externalDir = await getDirectoryIfExists(externalConvsDir, String(timestamp));
+        const localHandle = localDir ? (await listDirectoryFiles(localDir)).get("conversation.json") ?? null : null;
+        const externalHandle = externalDir ? (await listDirectoryFiles(externalDir)).get("conversation.json") ?? null : null;
+        const action = decideSyncAction(
+            manifest.files[EXTERNAL_CONVERSATIONS_DIR + "/" + timestamp + "/conversation.json"],
+            localHandle ? await localHandle.getFile() : null,
+            externalHandle ? await externalHandle.getFile() : null
+        );
+        if (action === 'deleteLocal') {
+            deletions.push(timestamp);
+        }
+    }
+    return deletions;
+}
+
+/**
+ * Syncs OPFS and the external directory in both directions: new or newer conversations,
+ * images, projects and albums are pulled in, local changes are pushed out, and conversations
+ * changed on both sides are merged (asking the user when the same entry changed on both).
+ * The manifest is only trusted for the folder whose ID it recorded, and deleting more than a
+ * few local conversations needs the user's confirmation.
+ * @returns {Promise<void>}
+ */
+export async function syncBidirectional(): Promise<void> {
+    if (!STATE.externalSync.directoryHandle || STATE.externalSync.isSyncing) return;
+
+    STATE.externalSync.isSyncing = true;
+    ui.updateSyncButton(true, true);
+
+    const externalRoot = STATE.externalSync.directoryHandle;
+    const pulled: number[] = [];
+    const deleted: number[] = [];
+
+    try {
+        // A manifest from another folder (or one synced before folders had IDs) would make
+        // everything missing there look deleted; start over and merge instead
+        const folderId = await getSyncFolderId(externalRoot);
+        const stored = await loadSyncManifest();
+        const manifest: SyncManifest = stored && stored.folderId === folderId
+            ? stored
+            : { version: SYNC_MANIFEST_VERSION, directoryName: externalRoot.name, folderId: folderId, files: {} };
+
+        const opfsRoot = await getOPFSHandle();
+        const opfsConvsDir = await ensureDirectory(opfsRoot, EXTERNAL_CONVERSATIONS_DIR);
+        const externalConvsDir = await ensureExternalDirectory(externalRoot, EXTERNAL_CONVERSATIONS_DIR);
+
+        const timestamps = Array.from(new Set(
+            (await listConversations()).concat(await listConversationDirectories(externalConvsDir))
+        )).sort(function(a: number, b: number) { return a - b; });
+
+        const deletions = await findLocalDeletions(timestamps, opfsConvsDir, externalConvsDir, manifest);
+        if (deletions.length > SYNC_DELETE_CONFIRM_LIMIT && !confirm(
+            deletions.length + " conversations are no longer in the sync folder. Delete them here too?\n\n"
+            + "Choose Cancel if the folder is still downloading or is not the one you synced with; "
+            + "the conversations are then kept and copied back to the folder."
+        )) {
+            deletions.forEach(function(timestamp: number) {
+                forgetSynced(manifest, EXTERNAL_CONVERSATIONS_DIR + "/" + timestamp + "/");
+            });
+        }
+
+        STATE.externalSync.syncProgress = { current: 0, total: timestamps.length };
+        ui.showSyncProgress(0, timestamps.length);
+
+        for (let i = 0; i < timestamps.length; i++) {
+            const timestamp = timestamps[i];
+            // Running generations still write to this conversation; catch it next time
+            if (!hasPendingJobs(timestamp)) {
+                try {
+                    const outcome = await syncConversationBidirectional(timestamp, opfsConvsDir, externalConvsDir, manifest);
+                    if (outcome === 'pulled') pulled.push(timestamp);
+                    if (outcome === 'deleted') deleted.push(timestamp);
+                } catch (e) {
+                    console.error("Error syncing conversation", timestamp, e);
+                }
+            }
+            STATE.externalSync.syncProgress = { current: i + 1, total: timestamps.length };
+            ui.showSyncProgress(i + 1, timestamps.length);
+        }
+
+        await syncProjectsBidirectional(externalRoot, manifest);
+        await syncAlbumsBidirectional(externalRoot, manifest);
+        await saveSyncManifest(manifest);
+    } catch (e) {
+        console.error("Error during two-way sync:", e);
+    } finally {
+        STATE.externalSync.isSyncing = false;
+        STATE.externalSync.syncProgress = null;
+        ui.hideSyncProgress(true);
+        ui.updateSyncButton(true, false);
+    }
+
+    await handleSyncResult(pulled, deleted);
+}
+
 /**
  * Saves image data to the external directory
  * @param {number} timestamp - Conversation timestamp
- * @param {string} imageData - Base64 image data
+ * @param {string | Uint8Array} imageData - Base64 image data or PNG bytes
  * @param {number} imageIndex - Image index
  * @returns {Promise<boolean>} True if successful
  */
-export async function saveImageToExternal(timestamp: number, imageData: string, imageIndex: number): Promise<boolean> {
-    if (!STATE.externalSync.syncEnabled || !STATE.externalSync.directoryHandle) {
+export async function saveImageToExternal(timestamp: number, imageData: string | Uint8Array<ArrayBuffer>, imageIndex: number): Promise<boolean> {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
         return false;
     }
 
     try {
-        const externalRoot = STATE.externalSync.directoryHandle;
         const externalConvsDir = await ensureExternalDirectory(externalRoot, EXTERNAL_CONVERSATIONS_DIR);
         const externalConvDir = await ensureExternalDirectory(externalConvsDir, String(timestamp));
         const externalImagesDir = await ensureExternalDirectory(externalConvDir, EXTERNAL_IMAGES_DIR);
 
         const fileName = String(imageIndex) + ".png";
 
-        let base64Data = imageData;
-        if (imageData.startsWith("data:")) {
-            const parts = imageData.split(",");
-            if (parts.length > 1) {
-                base64Data = parts[1];
+        let bytes: Uint8Array<ArrayBuffer>;
+        if (typeof imageData === "string") {
+            let base64Data = imageData;
+            if (imageData.startsWith("data:")) {
+                const parts = imageData.split(",");
+                if (parts.length > 1) {
+                    base64Data = parts[1];
+                }
             }
-        }
 
-        const binaryString = atob(base64Data);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
+            const binaryString = atob(base64Data);
+            bytes = new Uint8Array(binaryString.length);
+            for (let i = 0; i < binaryString.length; i++) {
+                bytes[i] = binaryString.charCodeAt(i);
+            }
+        } else {
+            bytes = imageData;
         }
 
         const fileHandle = await externalImagesDir.getFileHandle(fileName, { create: true });
@@ -392,6 +1136,74 @@ export async function saveImageToExternal(timestamp: number, imageData: string,
     }
 }
 
+/**
+ * Copies one conversation from OPFS to the external directory, e.g. after it was duplicated
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function copyConversationToExternal(timestamp: number): Promise<boolean> {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
+        return false;
+    }
+
+    const externalConvsDir = await ensureExternalDirectory(externalRoot, EXTERNAL_CONVERSATIONS_DIR);
+    return await copyConversationDirectory(timestamp, externalConvsDir);
+}
+
+/**
+ * Deletes a conversation directory from the external directory
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteConversationFromExternal(timestamp: number): Promise<boolean> {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
+        return false;
+    }
+
+    try {
+        const externalConvsDir = await externalRoot.getDirectoryHandle(EXTERNAL_CONVERSATIONS_DIR);
+        await externalConvsDir.removeEntry(String(timestamp), { recursive: true });
+
+        return true;
+    } catch (e) {
+        if ((e as DOMException).name === "NotFoundError") {
+            return true;
+        }
+        console.error("Error deleting conversation from external directory:", e);
+        return false;
+    }
+}
+
+/**
+ * Deletes an image from the external directory
+ * @param {number} timestamp - Conversation timestamp
+ * @param {number} imageIndex - Image index
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteImageFromExternal(timestamp: number, imageIndex: number): Promise<boolean> {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
+        return false;
+    }
+
+    try {
+        const externalConvsDir = await externalRoot.getDirectoryHandle(EXTERNAL_CONVERSATIONS_DIR);
+        const externalConvDir = await externalConvsDir.getDirectoryHandle(String(timestamp));
+        const externalImagesDir = await externalConvDir.getDirectoryHandle(EXTERNAL_IMAGES_DIR);
+        await externalImagesDir.removeEntry(String(imageIndex) + ".png");
+
+        return true;
+    } catch (e) {
+        if ((e as DOMException).name === "NotFoundError") {
+            return true;
+        }
+        console.error("Error deleting image from external directory:", e);
+        return false;
+    }
+}
+
 /**
  * Saves conversation data to the external directory
  * @param {number} timestamp - Conversation timestamp
@@ -399,12 +1211,12 @@ export async function saveImageToExternal(timestamp: number, imageData: string,
  * @returns {Promise<boolean>} True if successful
  */
 export async function saveConversationToExternal(timestamp: number, conversationData: unknown): Promise<boolean> {
-    if (!STATE.externalSync.syncEnabled || !STATE.externalSync.directoryHandle) {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
         return false;
     }
 
     try {
-        const externalRoot = STATE.externalSync.directoryHandle;
         const externalConvsDir = await ensureExternalDirectory(externalRoot, EXTERNAL_CONVERSATIONS_DIR);
         const externalConvDir = await ensureExternalDirectory(externalConvsDir, String(timestamp));
 
@@ -420,6 +1232,51 @@ export async function saveConversationToExternal(timestamp: number, conversation
     }
 }
 
+/**
+ * Saves an album to the external directory
+ * @param {Album} album - Album data
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveAlbumToExternal(album: Album): Promise<boolean> {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
+        return false;
+    }
+
+    try {
+        const externalAlbumsDir = await ensureExternalDirectory(externalRoot, EXTERNAL_ALBUMS_DIR);
+        await writeTextFile(externalAlbumsDir, album.id + ".json", JSON.stringify(album, null, 2));
+        return true;
+    } catch (e) {
+        console.error("Error saving album to external directory:", e);
+        return false;
+    }
+}
+
+/**
+ * Deletes an album from the external directory
+ * @param {string} id - Album ID
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteAlbumFromExternal(id: string): Promise<boolean> {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
+        return false;
+    }
+
+    try {
+        const externalAlbumsDir = await externalRoot.getDirectoryHandle(EXTERNAL_ALBUMS_DIR);
+        await externalAlbumsDir.removeEntry(id + ".json");
+        return true;
+    } catch (e) {
+        if ((e as DOMException).name === "NotFoundError") {
+            return true;
+        }
+        console.error("Error deleting album from external directory:", e);
+        return false;
+    }
+}
+
 /**
  * Saves summary data to the external directory
  * @param {number} timestamp - Conversation timestamp
@@ -427,12 +1284,12 @@ export async function saveConversationToExternal(timestamp: number, conversation
  * @returns {Promise<boolean>} True if successful
  */
 export async function saveSummaryToExternal(timestamp: number, summaryData: unknown): Promise<boolean> {
-    if (!STATE.externalSync.syncEnabled || !STATE.externalSync.directoryHandle) {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
         return false;
     }
 
     try {
-        const externalRoot = STATE.externalSync.directoryHandle;
         const externalConvsDir = await ensureExternalDirectory(externalRoot, EXTERNAL_CONVERSATIONS_DIR);
         const externalConvDir = await ensureExternalDirectory(externalConvsDir, String(timestamp));
 
@@ -456,12 +1313,12 @@ export async function saveSummaryToExternal(timestamp: number, summaryData: unkn
  * @returns {Promise<boolean>} True if successful
  */
 export async function saveReferenceImageToExternal(timestamp: number, file: File, imageIndex: number): Promise<boolean> {
-    if (!STATE.externalSync.syncEnabled || !STATE.externalSync.directoryHandle) {
+    const externalRoot = await getPushTarget();
+    if (!externalRoot) {
         return false;
     }
 
     try {
-        const externalRoot = STATE.externalSync.directoryHandle;
         const externalConvsDir = await ensureExternalDirectory(externalRoot, EXTERNAL_CONVERSATIONS_DIR);
         const externalConvDir = await ensureExternalDirectory(externalConvsDir, String(timestamp));
         const externalRefDir = await ensureExternalDirectory(externalConvDir, EXTERNAL_REFERENCE_DIR);
@@ -478,3 +1335,36 @@ export async function saveReferenceImageToExternal(timestamp: number, file: File
         return false;
     }
 }
+
+/**
+ * Writes an exported static site to exports/{folderName} in the external directory.
+ * Sync never reads this folder back.
+ * @param {string} folderName - Site folder name
+ * @param {ZipEntry[]} files - Site files, paths relative to the site folder
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveStaticSiteToExternal(folderName: string, files: ZipEntry[]): Promise<boolean> {
+    if (!STATE.externalSync.syncEnabled || !STATE.externalSync.directoryHandle) {
+        return false;
+    }
+
+    try {
+        const externalExportsDir = await ensureExternalDirectory(STATE.externalSync.directoryHandle, EXTERNAL_EXPORTS_DIR);
+        const siteDir = await ensureExternalDirectory(externalExportsDir, folderName);
+        for (const file of files) {
+            const parts = file.name.split("/");
+            let dir = siteDir;
+            for (const part of parts.slice(0, -1)) {
+                dir = await ensureExternalDirectory(dir, part);
+            }
+            const fileHandle = await dir.getFileHandle(parts[parts.length - 1], { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(file.data);
+            await writable.close();
+        }
+        return true;
+    } catch (e) {
+        console.error("Error saving static site to external directory:", e);
+        return false;
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Gallery helper functions
+ * Flattens every stored image of the library into one list, filters it by facets (project,
+ * model, resolution, aspect ratio, rating, tags, date) and works out which rows of the
+ * virtualized grid are on screen.
+ */
+
+import { ratingMatchesFilter } from './ratingManager';
+import { getTagAncestors, tagMatches } from './tagManager';
+import type { Conversation, ConversationEntry, ReferenceImage } from './types/state';
+
+/**
+ * @typedef {Object} GalleryImage
+ * @property {number} conversationTimestamp - Conversation holding the image
+ * @property {string} conversationTitle - Conversation title
+ * @property {string} projectId - Project the conversation belongs to
+ * @property {number} entryIndex - Entry holding the image
+ * @property {number} imageIndex - Position of the image within the entry
+ * @property {string} filename - Storage filename (index) of the image
+ * @property {string} prompt - Prompt of the entry
+ * @property {string} modelId - Model ID ("" if unknown)
+ * @property {string} modelName - Model name ("" if unknown)
+ * @property {string} resolution - Resolution label ("" if unknown)
+ * @property {string} aspectRatio - Aspect ratio ("" if unknown)
+ * @property {number | null} rating - Rating (1-5) or null if unrated
+ * @property {string[]} tags - Tags
+ * @property {number} created - Creation time in ms
+ */
+export interface GalleryImage {
+    conversationTimestamp: number;
+    conversationTitle: string;
+    projectId: string;
+    entryIndex: number;
+    imageIndex: number;
+    filename: string;
+    prompt: string;
+    modelId: string;
+    modelName: string;
+    resolution: string;
+    aspectRatio: string;
+    rating: number | null;
+    tags: string[];
+    created: number;
+}
+
+/**
+ * @typedef {Object} GalleryFilters
+ * @property {string[]} projectIds - Projects to show (empty = all)
+ * @property {string[]} models - Model IDs to show (empty = all)
+ * @property {string[]} resolutions - Resolutions to show (empty = all)
+ * @property {string[]} aspectRatios - Aspect ratios to show (empty = all)
+ * @property {number | null} rating - Rating filter (null = all, 0 = unrated, 1-5 = minimum)
+ * @property {string[]} tags - Tags an image must all have (a parent tag matches its children)
+ * @property {number | null} from - Earliest creation time in ms
+ * @property {number | null} to - Latest creation time in ms
+ */
+export interface GalleryFilters {
+    projectIds: string[];
+    models: string[];
+    resolutions: string[];
+    aspectRatios: string[];
+    rating: number | null;
+    tags: string[];
+    from: number | null;
+    to: number | null;
+}
+
+/**
+ * @typedef {Object} GalleryFacets
+ * @property {Map<string, number>} projects - Image count per project ID
+ * @property {Map<string, number>} models - Image count per model ID
+ * @property {Map<string, string>} modelNames - Display name per model ID
+ * @property {Map<string, number>} resolutions - Image count per resolution
+ * @property {Map<string, number>} aspectRatios - Image count per aspect ratio
+ * @property {Map<string, number>} tags - Image count per tag, parents counting their children's images
+ */
+export interface GalleryFacets {
+    projects: Map<string, number>;
+    models: Map<string, number>;
+    modelNames: Map<string, string>;
+    resolutions: Map<string, number>;
+    aspectRatios: Map<string, number>;
+    tags: Map<string, number>;
+}
+
+/**
+ * Creates filters that let every image through
+ * @returns {GalleryFilters} Empty filters
+ */
+export function createEmptyGalleryFilters(): GalleryFilters {
+    return { projectIds: [], models: [], resolutions: [], aspectRatios: [], rating: null, tags: [], from: null, to: null };
+}
+
+/**
+ * Returns true if no filter is set
+ * @param {GalleryFilters} filters - Filters
+ * @returns {boolean} True if every image passes
+ */
+export function hasNoGalleryFilters(filters: GalleryFilters): boolean {
+    return filters.projectIds.length === 0 && filters.models.length === 0 && filters.resolutions.length === 0
+        && filters.aspectRatios.length === 0 && filters.rating === null && filters.tags.length === 0
+        && filters.from === null && filters.to === null;
+}
+
+/**
+ * Gets when an entry was generated. Provider times are in seconds; entries without one
+ * fall back to the conversation's creation time.
+ * @param {ConversationEntry} entry - Conversation entry
+ * @param {number} conversationTimestamp - Conversation timestamp (ms)
+ * @returns {number} Creation time in ms
+ */
+export function getEntryCreated(entry: ConversationEntry, conversationTimestamp: number): number {
+    const record = entry.response.generations?.[0];
+    if (record && record.created > 0) {
+        return record.created < 1e12 ? record.created * 1000 : record.created;
+    }
+    const response = entry.response.responseData as { created?: number } | null;
+    if (response && typeof response.created === "number" && response.created > 0) {
+        return response.created * 1000;
+    }
+    return conversationTimestamp;
+}
+
+/**
+ * Lists the stored images of a conversation for the gallery
+ * @param {Conversation} conversation - Conversation
+ * @param {string} title - Conversation title
+ * @param {string} projectId - Project the conversation belongs to
+ * @returns {GalleryImage[]} Images in conversation order
+ */
+export function collectGalleryImages(conversation: Conversation, title: string, projectId: string): GalleryImage[] {
+    const images: GalleryImage[] = [];
+    conversation.entries.forEach(function(entry: ConversationEntry, entryIndex: number) {
+        const created = getEntryCreated(entry, conversation.timestamp);
+        entry.response.imageFilenames.forEach(function(filename: string, imageIndex: number) {
+            if (filename === "generating") return;
+            const metadata = entry.response.imageMetadata?.[imageIndex];
+            images.push({
+                conversationTimestamp: conversation.timestamp,
+                conversationTitle: title,
+                projectId: projectId,
+                entryIndex: entryIndex,
+                imageIndex: imageIndex,
+                filename: filename,
+                prompt: entry.message.text || "",
+                modelId: entry.message.modelId || "",
+                modelName: entry.message.modelName || entry.message.modelId || "",
+                resolution: entry.response.imageResolutions?.[imageIndex] || "",
+                aspectRatio: entry.message.aspectRatio || "",
+                rating: metadata?.rating ?? null,
+                tags: metadata?.tags ?? [],
+                created: created
+            });
+        });
+    });
+    return images;
+}
+
+/**
+ * Gets the key that identifies a gallery image across reloads
+ * @param {GalleryImage | ReferenceImage} image - Image
+ * @returns {string} Key of the form "timestamp-filename"
+ */
+export function galleryImageKey(image: GalleryImage | ReferenceImage): string {
+    return "filename" in image
+        ? image.conversationTimestamp + "-" + image.filename
+        : image.conversationTimestamp + "-" + image.imageIndex;
+}
+
+/**
+ * Converts a gallery image to a reference by conversation and storage index
+ * @param {GalleryImage} image - Image
+ * @returns {ReferenceImage} Reference that survives deletions
+ */
+export function toReferenceImage(image: GalleryImage): ReferenceImage {
+    return { conversationTimestamp: image.conversationTimestamp, imageIndex: parseInt(image.filename, 10) };
+}
+
+/**
+ * Checks an image against the filters
+ * @param {GalleryImage} image - Image
+ * @param {GalleryFilters} filters - Filters
+ * @returns {boolean} True if the image passes
+ */
+export function galleryImageMatches(image: GalleryImage, filters: GalleryFilters): boolean {
+    if (filters.projectIds.length > 0 && filters.projectIds.indexOf(image.projectId) === -1) return false;
+    if (filters.models.length > 0 && filters.models.indexOf(image.modelId) === -1) return false;
+    if (filters.resolutions.length > 0 && filters.resolutions.indexOf(image.resolution) === -1) return false;
+    if (filters.aspectRatios.length > 0 && filters.aspectRatios.indexOf(image.aspectRatio) === -1) return false;
+    if (!ratingMatchesFilter(image.rating, filters.rating)) return false;
+    if (!filters.tags.every(function(query: string) {
+        return image.tags.some(function(tag: string) { return tagMatches(tag, query); });
+    })) return false;
+    if (filters.from !== null && image.created < filters.from) return false;
+    if (filters.to !== null && image.created > filters.to) return false;
+    return true;
+}
+
+/**
+ * Filters the gallery, newest images first
+ * @param {GalleryImage[]} images - All images
+ * @param {GalleryFilters} filters - Filters
+ * @returns {GalleryImage[]} Matching images
+ */
+export function filterGalleryImages(images: GalleryImage[], filters: GalleryFilters): GalleryImage[] {
+    return images
+        .filter(function(image: GalleryImage) { return galleryImageMatches(image, filters); })
+        .sort(function(a: GalleryImage, b: GalleryImage) {
+            return b.created - a.created || b.conversationTimestamp - a.conversationTimestamp || parseInt(b.filename, 10) - parseInt(a.filename, 10);
+        });
+}
+
+/**
+ * Counts the images for each facet value
+ * @param {GalleryImage[]} images - Images to count
+ * @returns {GalleryFacets} Counts per value
+ */
+export function getGalleryFacets(images: GalleryImage[]): GalleryFacets {
+    const facets: GalleryFacets = {
+        projects: new Map(),
+        models: new Map(),
+        modelNames: new Map(),
+        resolutions: new Map(),
+        aspectRatios: new Map(),
+        tags: new Map()
+    };
+    const count = function(map: Map<string, number>, key: string) {
+        if (key) map.set(key, (map.get(key) ?? 0) + 1);
+    };
+    images.forEach(function(image: GalleryImage) {
+        count(facets.projects, image.projectId);
+        count(facets.models, image.modelId);
+        if (image.modelId) facets.modelNames.set(image.modelId, image.modelName);
+        count(facets.resolutions, image.resolution);
+        count(facets.aspectRatios, image.aspectRatio);
+        // Count each image once under every tag and parent tag it falls under
+        const tags: Set<string> = new Set();
+        image.tags.forEach(function(tag: string) {
+            getTagAncestors(tag).forEach(function(parent: string) { tags.add(parent); });
+            tags.add(tag);
+        });
+        tags.forEach(function(tag: string) { count(facets.tags, tag); });
+    });
+    return facets;
+}
+
+/**
+ * Works out which images of a virtualized grid need elements
+ * @param {number} scrollTop - Scroll position of the grid
+ * @param {number} viewportHeight - Visible height of the grid
+ * @param {number} columns - Tiles per row
+ * @param {number} rowHeight - Row height including the gap
+ * @param {number} total - Number of images
+ * @param {number} overscanRows - Extra rows rendered above and below
+ * @returns {{start: number, end: number}} Index range [start, end) to render
+ */
+export function getVisibleRange(scrollTop: number, viewportHeight: number, columns: number, rowHeight: number, total: number, overscanRows: number = 2): {start: number; end: number} {
+    const firstRow = Math.max(0, Math.floor(scrollTop / rowHeight) - overscanRows);
+    const lastRow = Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscanRows;
+    return {
+        start: Math.min(total, firstRow * columns),
+        end: Math.min(total, lastRow * columns)
+    };
+}
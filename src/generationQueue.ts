@@ -0,0 +1,347 @@
+/**
+ * Generation Queue
+ * Runs image generation jobs with a concurrency limit, cancellation, and automatic
+ * retry of rate-limit/server errors. Pending jobs are persisted to OPFS.
+ */
+
+import { STATE } from './state';
+import { saveGenerationQueue, loadGenerationQueue, getPreference, removeGenerationPlaceholders, deleteQueueMasks } from './storage';
+import * as ui from './ui';
+import type { GenerationJob, GenerationJobSpec } from './types/state';
+
+const DEFAULT_MAX_CONCURRENT: number = 2;
+const MAX_RETRIES: number = 3;
+const RETRY_BASE_DELAY_MS: number = 2000;
+
+/** @type {GenerationJob[]} Queued, running and failed jobs in submission order */
+let jobs: GenerationJob[] = [];
+
+/** @type {Map<string, AbortController>} Abort controllers for running jobs */
+const controllers: Map<string, AbortController> = new Map();
+
+/** @type {number} Maximum number of jobs running at once */
+let maxConcurrent: number = DEFAULT_MAX_CONCURRENT;
+
+/** @type {function(GenerationJob, AbortSignal): Promise<boolean> | null} Executes one job, resolving true on success */
+let jobRunner: ((job: GenerationJob, signal: AbortSignal) => Promise<boolean>) | null = null;
+
+/**
+ * Initializes the queue: registers the job runner and restores persisted jobs
+ * @param {function(GenerationJob, AbortSignal): Promise<boolean>} runner - Executes a job
+ * @returns {Promise<void>}
+ */
+export async function initGenerationQueue(runner: (job: GenerationJob, signal: AbortSignal) => Promise<boolean>): Promise<void> {
+    jobRunner = runner;
+
+    const savedLimit = await getPreference('maxConcurrentGenerations');
+    if (savedLimit) {
+        setMaxConcurrent(parseInt(savedLimit, 10));
+    }
+
+    const restored = await loadGenerationQueue();
+    const interrupted: Set<number> = new Set();
+    restored.forEach(function(job: GenerationJob) {
+        // Jobs that were running when the page closed start over
+        if (job.status === 'running' || job.status === 'retrying') {
+            job.status = 'queued';
+            interrupted.add(job.spec.conversationTimestamp);
+        }
+    });
+    // Their placeholders may have been saved by other jobs; the rerun adds fresh ones
+    for (const timestamp of interrupted) {
+        if (timestamp > 0) {
+            await removeGenerationPlaceholders(timestamp);
+        }
+    }
+    jobs = restored.concat(jobs);
+
+    // Masks of jobs that finished, failed or were dismissed before the reload are no longer needed
+    const masks = jobs.map(function(j: GenerationJob) { return j.spec.maskFile; });
+    deleteQueueMasks(function(name: string) { return masks.indexOf(name) === -1; });
+
+    notifyChange();
+    pump();
+}
+
+/**
+ * Sets the maximum number of concurrent generations
+ * @param {number} limit - New limit (minimum 1)
+ */
+export function setMaxConcurrent(limit: number): void {
+    maxConcurrent = isNaN(limit) || limit < 1 ? DEFAULT_MAX_CONCURRENT : limit;
+    pump();
+}
+
+/**
+ * Gets the maximum number of concurrent generations
+ * @returns {number} Current limit
+ */
+export function getMaxConcurrent(): number {
+    return maxConcurrent;
+}
+
+/**
+ * Adds a generation job to the queue
+ * @param {GenerationJobSpec} spec - Serializable job description
+ * @param {string} label - Short description shown in the queue panel
+ * @returns {GenerationJob} The queued job
+ */
+export function enqueueGeneration(spec: GenerationJobSpec, label: string): GenerationJob {
+    const job: GenerationJob = {
+        id: 'job_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9),
+        label: label,
+        spec: spec,
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        created: Date.now()
+    };
+    jobs.push(job);
+    notifyChange();
+    pump();
+    return job;
+}
+
+/**
+ * Gets a snapshot of all jobs in the queue
+ * @returns {GenerationJob[]} Jobs in submission order
+ */
+export function getJobs(): GenerationJob[] {
+    return jobs.slice();
+}
+
+/**
+ * Returns true if a queued or running job targets the given conversation
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @returns {boolean} True while generations for the conversation are pending
+ */
+export function hasPendingJobs(conversationTimestamp: number): boolean {
+    return jobs.some(function(j: GenerationJob) {
+        return j.spec.conversationTimestamp === conversationTimestamp
+            && (j.status === 'queued' || j.status === 'running' || j.status === 'retrying');
+    });
+}
+
+/**
+ * Cancels a queued or running job
+ * @param {string} jobId - Job ID
+ */
+export function cancelJob(jobId: string): void {
+    const job = jobs.find(function(j: GenerationJob) { return j.id === jobId; });
+    if (!job) return;
+
+    const controller = controllers.get(jobId);
+    if (controller) {
+        // runJob marks the job cancelled once the runner unwinds
+        controller.abort();
+        return;
+    }
+
+    jobs = jobs.filter(function(j: GenerationJob) { return j.id !== jobId; });
+    releaseJobFiles([job]);
+    notifyChange();
+}
+
+/**
+ * Puts a failed or cancelled job back in the queue
+ * @param {string} jobId - Job ID
+ */
+export function retryJob(jobId: string): void {
+    const job = jobs.find(function(j: GenerationJob) { return j.id === jobId; });
+    if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) return;
+    job.status = 'queued';
+    job.error = null;
+    job.attempts = 0;
+    notifyChange();
+    pump();
+}
+
+/**
+ * Removes a finished (failed or cancelled) job from the list
+ * @param {string} jobId - Job ID
+ */
+export function dismissJob(jobId: string): void {
+    const dismissed = jobs.filter(function(j: GenerationJob) {
+        return j.id === jobId && j.status !== 'queued' && j.status !== 'running' && j.status !== 'retrying';
+    });
+    jobs = jobs.filter(function(j: GenerationJob) { return dismissed.indexOf(j) === -1; });
+    releaseJobFiles(dismissed);
+    notifyChange();
+}
+
+/**
+ * Deletes the files stored for jobs that left the queue (inpainting masks)
+ * @param {GenerationJob[]} removed - Jobs no longer in the queue
+ */
+function releaseJobFiles(removed: GenerationJob[]): void {
+    const masks = removed
+        .map(function(j: GenerationJob) { return j.spec.maskFile; })
+        .filter(function(name: string | undefined): name is string { return !!name; });
+    if (masks.length > 0) {
+        deleteQueueMasks(function(name: string) { return masks.indexOf(name) !== -1; });
+    }
+}
+
+/**
+ * Returns true if the error came from an aborted request
+ * @param {unknown} error - Caught error
+ * @returns {boolean} True for AbortError
+ */
+export function isAbortError(error: unknown): boolean {
+    return !!error && (error as Error).name === 'AbortError';
+}
+
+/**
+ * Returns true for errors worth retrying automatically (rate limits and server errors)
+ * @param {unknown} error - Caught error
+ * @returns {boolean} True if the request may succeed on retry
+ */
+function isTransientError(error: unknown): boolean {
+    const info = (error as { info?: { status?: number } } | null)?.info;
+    if (!info || typeof info.status !== 'number') return false;
+    return info.status === 429 || info.status >= 500;
+}
+
+/**
+ * Waits for a delay, rejecting early with an AbortError if the signal fires
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal | undefined} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise<void>(function(resolve, reject) {
+        if (signal && signal.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', function() {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Gets the abort signal for a running job
+ * @param {GenerationJob | undefined} job - Job, or undefined for unqueued calls
+ * @returns {AbortSignal | undefined} Signal, if the job is running
+ */
+export function getJobSignal(job?: GenerationJob): AbortSignal | undefined {
+    if (!job) return undefined;
+    const controller = controllers.get(job.id);
+    return controller ? controller.signal : undefined;
+}
+
+/**
+ * Calls a request function, retrying 429/5xx failures with exponential backoff
+ * @param {function(AbortSignal | undefined): Promise<T>} request - Request to perform
+ * @param {GenerationJob | undefined} job - Job whose status reflects retries
+ * @returns {Promise<T>} Request result
+ * @throws {Error} Last error once retries are exhausted, or AbortError on cancel
+ */
+export async function withRetry<T>(request: (signal?: AbortSignal) => Promise<T>, job?: GenerationJob): Promise<T> {
+    const signal = getJobSignal(job);
+    let attempt = 0;
+    while (true) {
+        try {
+            return await request(signal);
+        } catch (error) {
+            if (isAbortError(error) || !isTransientError(error) || attempt >= MAX_RETRIES) {
+                throw error;
+            }
+            attempt++;
+            const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+            console.log("Transient error, retrying in " + delay + "ms (attempt " + attempt + " of " + MAX_RETRIES + ")");
+            if (job) {
+                job.status = 'retrying';
+                job.attempts = attempt;
+                job.error = (error as Error).message;
+                notifyChange();
+            }
+            await sleep(delay, signal);
+            if (job) {
+                job.status = 'running';
+                notifyChange();
+            }
+        }
+    }
+}
+
+/**
+ * Starts queued jobs until the concurrency limit is reached
+ */
+function pump(): void {
+    if (!jobRunner) return;
+    let running = countRunning();
+    for (const job of jobs) {
+        if (running >= maxConcurrent) break;
+        if (job.status === 'queued') {
+            running++;
+            runJob(job);
+        }
+    }
+}
+
+/**
+ * Counts jobs that currently hold a concurrency slot
+ * @returns {number} Running job count
+ */
+function countRunning(): number {
+    return jobs.filter(function(j: GenerationJob) {
+        return j.status === 'running' || j.status === 'retrying';
+    }).length;
+}
+
+/**
+ * Runs one job and records its outcome
+ * @param {GenerationJob} job - Job to run
+ * @returns {Promise<void>}
+ */
+async function runJob(job: GenerationJob): Promise<void> {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = 'running';
+    job.error = null;
+    notifyChange();
+
+    let succeeded = false;
+    try {
+        succeeded = await jobRunner!(job, controller.signal);
+    } catch (error) {
+        console.error("Generation job failed:", error);
+        job.error = (error as Error).message;
+    } finally {
+        controllers.delete(job.id);
+    }
+
+    if (succeeded) {
+        jobs = jobs.filter(function(j: GenerationJob) { return j.id !== job.id; });
+        releaseJobFiles([job]);
+    } else if (controller.signal.aborted) {
+        job.status = 'cancelled';
+        job.error = null;
+    } else {
+        job.status = 'failed';
+        job.error = job.error || 'Generation failed';
+    }
+
+    notifyChange();
+    pump();
+}
+
+/**
+ * Persists pending jobs and refreshes the queue display
+ */
+function notifyChange(): void {
+    STATE.isGenerating = countRunning() > 0;
+
+    const pending = jobs.filter(function(j: GenerationJob) {
+        return j.status === 'queued' || j.status === 'running' || j.status === 'retrying';
+    });
+    saveGenerationQueue(pending);
+
+    ui.renderGenerationQueue(getJobs());
+}
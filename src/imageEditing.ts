@@ -0,0 +1,100 @@
+/**
+ * Image editing helper functions
+ * Locates images by their storage index, picks the image a follow-up edit applies to, and
+ * builds the text-and-image history sent with an edit.
+ */
+
+import type { Conversation, ConversationEntry, Message, ReferenceImage } from './types/state';
+
+/** @type {number} Most earlier images of an edit chain sent back to the model */
+const MAX_HISTORY_IMAGES: number = 3;
+
+/**
+ * @typedef {Object} ImageLocation
+ * @property {number} entryIndex - Entry holding the image
+ * @property {number} imageIndex - Position of the image within the entry
+ */
+export interface ImageLocation {
+    entryIndex: number;
+    imageIndex: number;
+}
+
+/**
+ * Finds where a stored image currently sits in a conversation.
+ * Storage indices survive deletions, unlike entry and image positions.
+ * @param {Conversation} conversation - Conversation to search
+ * @param {ReferenceImage} image - Image by conversation and storage index
+ * @returns {ImageLocation | null} Location, or null if the image is gone
+ */
+export function findImageLocation(conversation: Conversation, image: ReferenceImage): ImageLocation | null {
+    if (image.conversationTimestamp !== conversation.timestamp) return null;
+    const filename = String(image.imageIndex);
+    for (let entryIndex = 0; entryIndex < conversation.entries.length; entryIndex++) {
+        const imageIndex = conversation.entries[entryIndex].response.imageFilenames.indexOf(filename);
+        if (imageIndex !== -1) {
+            return { entryIndex: entryIndex, imageIndex: imageIndex };
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the most recently generated image of a conversation
+ * @param {Conversation} conversation - Conversation
+ * @returns {ReferenceImage | null} Latest image, or null if there is none yet
+ */
+export function getLatestImage(conversation: Conversation): ReferenceImage | null {
+    for (let i = conversation.entries.length - 1; i >= 0; i--) {
+        const filenames = conversation.entries[i].response.imageFilenames;
+        for (let j = filenames.length - 1; j >= 0; j--) {
+            if (filenames[j] !== "generating") {
+                return { conversationTimestamp: conversation.timestamp, imageIndex: parseInt(filenames[j], 10) };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the history for editing an image: every turn up to the entry that produced it,
+ * with the images the source was derived from attached to the assistant turns that made them.
+ * The source image itself is sent separately as the input image.
+ * @param {Conversation} conversation - Conversation holding the source image
+ * @param {ReferenceImage} source - Image being edited
+ * @returns {Message[]} History, oldest first
+ */
+export function buildEditHistory(conversation: Conversation, source: ReferenceImage): Message[] {
+    const location = findImageLocation(conversation, source);
+    if (!location) return [];
+
+    // Walk the derivedFrom chain back from the source to find earlier versions of the image
+    const chain: Set<string> = new Set();
+    let current: ConversationEntry | undefined = conversation.entries[location.entryIndex];
+    while (current && current.message.derivedFrom && chain.size < MAX_HISTORY_IMAGES) {
+        const parent: ReferenceImage = current.message.derivedFrom;
+        const parentLocation = findImageLocation(conversation, parent);
+        if (!parentLocation || chain.has(String(parent.imageIndex))) break;
+        chain.add(String(parent.imageIndex));
+        current = conversation.entries[parentLocation.entryIndex];
+    }
+
+    const history: Message[] = [];
+    for (let i = 0; i <= location.entryIndex; i++) {
+        const entry = conversation.entries[i];
+        history.push({ role: "user", content: entry.message.text });
+
+        const images: ReferenceImage[] = entry.response.imageFilenames
+            .filter(function(filename: string) { return chain.has(filename); })
+            .map(function(filename: string): ReferenceImage {
+                return { conversationTimestamp: conversation.timestamp, imageIndex: parseInt(filename, 10) };
+            });
+        if (entry.response.text || images.length > 0) {
+            const turn: Message = { role: "assistant", content: entry.response.text || "" };
+            if (images.length > 0) {
+                turn.images = images;
+            }
+            history.push(turn);
+        }
+    }
+    return history;
+}
@@ -0,0 +1,310 @@
+/**
+ * Image transform helper functions
+ * Crops, rotates, flips, resizes and re-encodes stored images on a canvas, entirely in
+ * the browser. The original image is never changed; callers save the result as a new image.
+ */
+
+export type OutputFormat = 'png' | 'jpeg' | 'webp';
+
+export type Rotation = 0 | 90 | 180 | 270;
+
+/** @type {Record<OutputFormat, string>} MIME type for each output format */
+export const OUTPUT_MIME_TYPES: Record<OutputFormat, string> = {
+    png: "image/png",
+    jpeg: "image/jpeg",
+    webp: "image/webp"
+};
+
+/** @type {number} Largest output width or height */
+export const MAX_OUTPUT_SIZE: number = 8192;
+
+/**
+ * @typedef {Object} CropRect
+ * @property {number} x - Left edge as a fraction of the rotated image width
+ * @property {number} y - Top edge as a fraction of the rotated image height
+ * @property {number} width - Width as a fraction of the rotated image width
+ * @property {number} height - Height as a fraction of the rotated image height
+ */
+export interface CropRect {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/**
+ * @typedef {Object} ImageTransform
+ * @property {Rotation} rotation - Clockwise rotation in degrees
+ * @property {boolean} flipHorizontal - Mirror left to right (after rotating)
+ * @property {boolean} flipVertical - Mirror top to bottom (after rotating)
+ * @property {CropRect} crop - Area to keep, in the rotated image
+ * @property {number} width - Output width in pixels
+ * @property {number} height - Output height in pixels
+ * @property {OutputFormat} format - Output format
+ * @property {number} quality - Quality from 0 to 1 (JPEG and WebP)
+ */
+export interface ImageTransform {
+    rotation: Rotation;
+    flipHorizontal: boolean;
+    flipVertical: boolean;
+    crop: CropRect;
+    width: number;
+    height: number;
+    format: OutputFormat;
+    quality: number;
+}
+
+/**
+ * Creates a crop rectangle covering the whole image
+ * @returns {CropRect} Full crop
+ */
+export function createFullCrop(): CropRect {
+    return { x: 0, y: 0, width: 1, height: 1 };
+}
+
+/**
+ * Gets the size of an image after rotation
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Rotation} rotation - Rotation
+ * @returns {{width: number, height: number}} Rotated size
+ */
+export function getRotatedSize(width: number, height: number, rotation: Rotation): {width: number; height: number} {
+    return rotation === 90 || rotation === 270
+        ? { width: height, height: width }
+        : { width: width, height: height };
+}
+
+/**
+ * Gets the size in pixels of a crop of the rotated image
+ * @param {number} sourceWidth - Source width
+ * @param {number} sourceHeight - Source height
+ * @param {Rotation} rotation - Rotation
+ * @param {CropRect} crop - Crop rectangle
+ * @returns {{width: number, height: number}} Cropped size (at least 1×1)
+ */
+export function getCropSize(sourceWidth: number, sourceHeight: number, rotation: Rotation, crop: CropRect): {width: number; height: number} {
+    const rotated = getRotatedSize(sourceWidth, sourceHeight, rotation);
+    return {
+        width: Math.max(1, Math.round(rotated.width * crop.width)),
+        height: Math.max(1, Math.round(rotated.height * crop.height))
+    };
+}
+
+/**
+ * Builds a crop rectangle from a drag between two points, optionally held to an aspect ratio
+ * @param {{x: number, y: number}} start - Drag start, as fractions of the rotated image
+ * @param {{x: number, y: number}} end - Drag end, as fractions of the rotated image
+ * @param {number | null} aspect - Width / height in pixels, or null for a free crop
+ * @param {number} imageWidth - Rotated image width in pixels
+ * @param {number} imageHeight - Rotated image height in pixels
+ * @returns {CropRect} Crop rectangle inside the image
+ */
+export function cropFromDrag(start: {x: number; y: number}, end: {x: number; y: number}, aspect: number | null, imageWidth: number, imageHeight: number): CropRect {
+    const clamp = function(v: number) { return Math.max(0, Math.min(1, v)); };
+    const sx = clamp(start.x);
+    const sy = clamp(start.y);
+    let width = Math.abs(clamp(end.x) - sx);
+    let height = Math.abs(clamp(end.y) - sy);
+    const dirX = end.x < sx ? -1 : 1;
+    const dirY = end.y < sy ? -1 : 1;
+
+    if (aspect !== null) {
+        // Keep the side that gives the smaller box so it stays within the image
+        const fractionAspect = aspect * imageHeight / imageWidth;
+        if (width / fractionAspect < height) {
+            height = width / fractionAspect;
+        } else {
+            width = height * fractionAspect;
+        }
+        const maxWidth = dirX > 0 ? 1 - sx : sx;
+        const maxHeight = dirY > 0 ? 1 - sy : sy;
+        if (width > maxWidth) {
+            width = maxWidth;
+            height = width / fractionAspect;
+        }
+        if (height > maxHeight) {
+            height = maxHeight;
+            width = height * fractionAspect;
+        }
+    }
+
+    return {
+        x: dirX > 0 ? sx : sx - width,
+        y: dirY > 0 ? sy : sy - height,
+        width: width,
+        height: height
+    };
+}
+
+/**
+ * Finds the largest crop with an aspect ratio, centered on the image
+ * @param {number} aspect - Width / height in pixels
+ * @param {number} imageWidth - Rotated image width in pixels
+ * @param {number} imageHeight - Rotated image height in pixels
+ * @returns {CropRect} Centered crop
+ */
+export function centeredCrop(aspect: number, imageWidth: number, imageHeight: number): CropRect {
+    const fractionAspect = aspect * imageHeight / imageWidth;
+    const width = fractionAspect >= 1 ? 1 : fractionAspect;
+    const height = fractionAspect >= 1 ? 1 / fractionAspect : 1;
+    return { x: (1 - width) / 2, y: (1 - height) / 2, width: width, height: height };
+}
+
+/**
+ * Parses an aspect ratio such as "16:9"
+ * @param {string} value - Aspect ratio, or "" for none
+ * @returns {number | null} Width / height, or null if not set or invalid
+ */
+export function parseAspectRatio(value: string): number | null {
+    const parts = value.split(":").map(function(p: string) { return parseFloat(p); });
+    if (parts.length !== 2 || !(parts[0] > 0) || !(parts[1] > 0)) return null;
+    return parts[0] / parts[1];
+}
+
+/**
+ * Draws an image rotated and flipped onto a new canvas
+ * @param {CanvasImageSource} source - Source image
+ * @param {number} sourceWidth - Source width
+ * @param {number} sourceHeight - Source height
+ * @param {Rotation} rotation - Rotation
+ * @param {boolean} flipHorizontal - Mirror left to right
+ * @param {boolean} flipVertical - Mirror top to bottom
+ * @param {number} scale - Scale factor (below 1 for previews)
+ * @returns {HTMLCanvasElement} Canvas holding the rotated image
+ */
+export function drawRotated(source: CanvasImageSource, sourceWidth: number, sourceHeight: number, rotation: Rotation, flipHorizontal: boolean, flipVertical: boolean, scale: number = 1): HTMLCanvasElement {
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    const rotated = getRotatedSize(width, height, rotation);
+    const canvas = document.createElement("canvas");
+    canvas.width = rotated.width;
+    canvas.height = rotated.height;
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return canvas;
+
+    // Canvas transforms apply to the drawing in reverse order: rotate first, then flip the rotated result
+    ctx.translate(rotated.width / 2, rotated.height / 2);
+    ctx.scale(flipHorizontal ? -1 : 1, flipVertical ? -1 : 1);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.drawImage(source, -width / 2, -height / 2, width, height);
+    return canvas;
+}
+
+/**
+ * Applies a transform to an image and encodes the result
+ * @param {HTMLImageElement} image - Loaded source image
+ * @param {ImageTransform} transform - Transform to apply
+ * @returns {Promise<Blob>} Encoded image
+ */
+export function renderTransformedImage(image: HTMLImageElement, transform: ImageTransform): Promise<Blob> {
+    const rotated = drawRotated(image, image.naturalWidth, image.naturalHeight, transform.rotation, transform.flipHorizontal, transform.flipVertical);
+    const output = document.createElement("canvas");
+    output.width = Math.max(1, Math.min(MAX_OUTPUT_SIZE, Math.round(transform.width)));
+    output.height = Math.max(1, Math.min(MAX_OUTPUT_SIZE, Math.round(transform.height)));
+    const ctx = output.getContext("2d");
+    if (!ctx) return Promise.reject(new Error("Canvas is not available"));
+
+    // JPEG has no transparency; give transparent areas a white background instead of black
+    if (transform.format === 'jpeg') {
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(0, 0, output.width, output.height);
+    }
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(
+        rotated,
+        transform.crop.x * rotated.width,
+        transform.crop.y * rotated.height,
+        transform.crop.width * rotated.width,
+        transform.crop.height * rotated.height,
+        0, 0, output.width, output.height
+    );
+
+    return new Promise(function(resolve, reject) {
+        output.toBlob(function(blob: Blob | null) {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error("Failed to encode image as " + transform.format.toUpperCase()));
+            }
+        }, OUTPUT_MIME_TYPES[transform.format], transform.quality);
+    });
+}
+
+/**
+ * Re-encodes an image as PNG. Conversation images are stored as PNG, so JPEG and WebP
+ * results are saved this way: the compression they went through stays visible in the pixels.
+ * @param {Blob} blob - Encoded image
+ * @returns {Promise<Blob>} PNG image
+ * @throws {Error} If the image cannot be decoded or encoded
+ */
+export async function reencodeAsPng(blob: Blob): Promise<Blob> {
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const canvas = drawRotated(bitmap, bitmap.width, bitmap.height, 0, false, false);
+        return await new Promise<Blob>(function(resolve, reject) {
+            canvas.toBlob(function(png: Blob | null) {
+                if (png) {
+                    resolve(png);
+                } else {
+                    reject(new Error("Failed to encode image as PNG"));
+                }
+            }, OUTPUT_MIME_TYPES.png);
+        });
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Describes a transform for the lineage panel, e.g. "Crop · Rotate 90° · 1024×768 · JPEG 92%"
+ * @param {ImageTransform} transform - Transform
+ * @returns {string} Short description
+ */
+export function describeTransform(transform: ImageTransform): string {
+    const parts: string[] = [];
+    const crop = transform.crop;
+    if (crop.x > 0 || crop.y > 0 || crop.width < 1 || crop.height < 1) {
+        parts.push("Crop");
+    }
+    if (transform.rotation !== 0) {
+        parts.push("Rotate " + transform.rotation + "°");
+    }
+    if (transform.flipHorizontal || transform.flipVertical) {
+        parts.push(transform.flipHorizontal && transform.flipVertical ? "Flip both" : transform.flipHorizontal ? "Flip horizontal" : "Flip vertical");
+    }
+    parts.push(Math.round(transform.width) + "×" + Math.round(transform.height));
+    parts.push(transform.format === 'png' ? "PNG" : transform.format.toUpperCase() + " " + Math.round(transform.quality * 100) + "%");
+    return parts.join(" · ");
+}
+
+/**
+ * Reads a blob as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Data URL
+ */
+export function blobToDataUrl(blob: Blob): Promise<string> {
+    return new Promise(function(resolve, reject) {
+        const reader = new FileReader();
+        reader.onloadend = function() {
+            resolve(reader.result as string);
+        };
+        reader.onerror = function() {
+            reject(reader.error);
+        };
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Picks the resolution label for an image size
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {'1K' | '2K' | '4K'} Resolution label
+ */
+export function resolutionForSize(width: number, height: number): '1K' | '2K' | '4K' {
+    const longest = Math.max(width, height);
+    if (longest <= 1536) return '1K';
+    if (longest <= 3072) return '2K';
+    return '4K';
+}
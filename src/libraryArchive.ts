@@ -0,0 +1,345 @@
+/**
+ * Library Archive
+ * Exports the whole library (preferences, projects, templates, albums, conversations and their images) to a
+ * single ZIP file and merges such an archive back into an existing library.
+ *
+ * Archive layout mirrors OPFS:
+ * ├── manifest.json
+ * ├── preferences/{key}
+ * ├── projects/{id}.json
+ * ├── templates/{id}.json
+ * ├── albums/{id}.json
+ * └── conversations/{timestamp}/
+ *     ├── conversation.json
+ *     ├── summary.json
+ *     ├── images/{n}.png
+ *     └── reference/{n}.png
+ */
+
+import { STATE } from './state';
+import {
+    getOPFSHandle,
+    ensureDirectory,
+    listPreferences,
+    getPreference,
+    savePreference,
+    listConversations,
+    loadAllProjects,
+    saveProject,
+    loadAllTemplates,
+    saveTemplate,
+    loadAllAlbums,
+    saveAlbum,
+    reindexConversation
+} from './storage';
+import { remapAlbumImages } from './albumManager';
+import { copyConversationToExternal } from './externalSync';
+import { createZip, readZip } from './zip';
+import type { ZipEntry } from './zip';
+import type { Album, Conversation, Project, PromptTemplate, ReferenceImage } from './types/state';
+
+const ARCHIVE_FORMAT: string = "llm-image-creator-library";
+const ARCHIVE_VERSION: number = 1;
+
+/** @type {string[]} Preferences that hold secrets and are never exported */
+const EXCLUDED_PREFERENCES: string[] = ["apiKey", "customProviderApiKey"];
+
+/**
+ * @typedef {Object} LibraryImportResult
+ * @property {number} conversations - Conversations added
+ * @property {number} remapped - Conversations stored under a new timestamp because of a collision
+ * @property {number} projects - Projects added or merged
+ * @property {number} templates - Prompt templates added (existing IDs are kept)
+ * @property {number} albums - Albums added (existing IDs are kept)
+ * @property {number} preferences - Preferences added (existing ones are kept)
+ */
+export interface LibraryImportResult {
+    conversations: number;
+    remapped: number;
+    projects: number;
+    templates: number;
+    albums: number;
+    preferences: number;
+}
+
+/**
+ * Lists the files of an OPFS directory
+ * @param {FileSystemDirectoryHandle} dir - Directory handle
+ * @returns {Promise<FileSystemFileHandle[]>} File handles
+ */
+async function listFiles(dir: FileSystemDirectoryHandle): Promise<FileSystemFileHandle[]> {
+    const files: FileSystemFileHandle[] = [];
+    for await (const entry of (dir as FileSystemDirectoryHandle & { values(): AsyncIterableIterator<FileSystemHandle> }).values()) {
+        if (entry.kind === "file") {
+            files.push(entry as FileSystemFileHandle);
+        }
+    }
+    return files;
+}
+
+/**
+ * Adds every file of a conversation directory (and its image subdirectories) to the archive
+ * @param {ZipEntry[]} entries - Archive entries to append to
+ * @param {FileSystemDirectoryHandle} convDir - Conversation directory
+ * @param {string} prefix - Path prefix inside the archive
+ * @returns {Promise<void>}
+ */
+async function addConversationFiles(entries: ZipEntry[], convDir: FileSystemDirectoryHandle, prefix: string): Promise<void> {
+    for (const fileHandle of await listFiles(convDir)) {
+        entries.push({ name: prefix + fileHandle.name, data: await fileHandle.getFile() });
+    }
+
+    for (const subDirName of ["images", "reference"]) {
+        let subDir: FileSystemDirectoryHandle;
+        try {
+            subDir = await convDir.getDirectoryHandle(subDirName);
+        } catch (e) {
+            continue;
+        }
+        for (const fileHandle of await listFiles(subDir)) {
+            entries.push({ name: prefix + subDirName + "/" + fileHandle.name, data: await fileHandle.getFile() });
+        }
+    }
+}
+
+/**
+ * Packages the library into a ZIP archive. API keys and the generation queue are left out.
+ * @returns {Promise<Blob>} The archive
+ */
+export async function exportLibrary(): Promise<Blob> {
+    const encoder = new TextEncoder();
+    const entries: ZipEntry[] = [];
+
+    entries.push({
+        name: "manifest.json",
+        data: encoder.encode(JSON.stringify({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exported: Date.now() }, null, 2))
+    });
+
+    for (const key of await listPreferences()) {
+        if (EXCLUDED_PREFERENCES.indexOf(key) !== -1) continue;
+        const value = await getPreference(key);
+        if (value !== null) {
+            entries.push({ name: "preferences/" + key, data: encoder.encode(value) });
+        }
+    }
+
+    for (const project of await loadAllProjects()) {
+        entries.push({ name: "projects/" + project.id + ".json", data: encoder.encode(JSON.stringify(project, null, 2)) });
+    }
+
+    for (const template of await loadAllTemplates()) {
+        entries.push({ name: "templates/" + template.id + ".json", data: encoder.encode(JSON.stringify(template, null, 2)) });
+    }
+
+    for (const album of await loadAllAlbums()) {
+        entries.push({ name: "albums/" + album.id + ".json", data: encoder.encode(JSON.stringify(album, null, 2)) });
+    }
+
+    const root = await getOPFSHandle();
+    const convsDir = await ensureDirectory(root, "conversations");
+    for (const timestamp of await listConversations()) {
+        try {
+            const convDir = await convsDir.getDirectoryHandle(String(timestamp));
+            await addConversationFiles(entries, convDir, "conversations/" + timestamp + "/");
+        } catch (e) {
+            console.error("Error exporting conversation", timestamp, e);
+        }
+    }
+
+    return await createZip(entries);
+}
+
+/**
+ * Rewrites reference pointers using the timestamp remapping of an import
+ * @param {ReferenceImage[] | undefined} refs - Reference images
+ * @param {Map<number, number>} timestampMap - Archive timestamp to local timestamp
+ * @returns {ReferenceImage[] | undefined} Rewritten references
+ */
+function remapReferences(refs: ReferenceImage[] | undefined, timestampMap: Map<number, number>): ReferenceImage[] | undefined {
+    if (!refs) return refs;
+    return refs.map(function(ref: ReferenceImage): ReferenceImage {
+        const mapped = timestampMap.get(Math.abs(ref.conversationTimestamp));
+        if (mapped === undefined) return ref;
+        // Negative timestamps point into the reference directory and keep their sign
+        const sign = ref.conversationTimestamp < 0 ? -1 : 1;
+        return { conversationTimestamp: sign * mapped, imageIndex: ref.imageIndex };
+    });
+}
+
+/**
+ * Writes bytes to a file in an OPFS directory
+ * @param {FileSystemDirectoryHandle} dir - Target directory
+ * @param {string} name - File name
+ * @param {Uint8Array} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFile(dir: FileSystemDirectoryHandle, name: string, data: Uint8Array<ArrayBuffer>): Promise<void> {
+    const fileHandle = await dir.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(data);
+    await writable.close();
+}
+
+/**
+ * Merges a library archive into the current library.
+ * Conversations whose timestamp already exists are stored under a new timestamp, and every
+ * ReferenceImage pointer and project membership is rewritten to match. Existing projects gain
+ * the imported conversations; existing preferences are kept.
+ * @param {Blob} archive - ZIP file produced by exportLibrary
+ * @returns {Promise<LibraryImportResult>} What was imported
+ * @throws {Error} If the file is not a library archive
+ */
+export async function importLibrary(archive: Blob): Promise<LibraryImportResult> {
+    const files = await readZip(archive);
+    const decoder = new TextDecoder();
+
+    const manifestBytes = files.get("manifest.json");
+    const manifest = manifestBytes ? JSON.parse(decoder.decode(manifestBytes)) as { format?: string; version?: number } : null;
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+        throw new Error("This file is not a library export");
+    }
+    if ((manifest.version ?? 0) > ARCHIVE_VERSION) {
+        throw new Error("This library export was made by a newer version of the app");
+    }
+
+    const result: LibraryImportResult = { conversations: 0, remapped: 0, projects: 0, templates: 0, albums: 0, preferences: 0 };
+
+    // Group conversation files by their archive timestamp
+    const conversationFiles: Map<number, Map<string, Uint8Array<ArrayBuffer>>> = new Map();
+    files.forEach(function(data: Uint8Array<ArrayBuffer>, path: string) {
+        const match = path.match(/^conversations\/(\d+)\/(.+)$/);
+        if (!match) return;
+        const timestamp = parseInt(match[1], 10);
+        if (!conversationFiles.has(timestamp)) {
+            conversationFiles.set(timestamp, new Map());
+        }
+        conversationFiles.get(timestamp)!.set(match[2], data);
+    });
+
+    // Assign a free local timestamp to every archived conversation before rewriting pointers
+    const taken = new Set(await listConversations());
+    const timestampMap: Map<number, number> = new Map();
+    const archiveTimestamps = Array.from(conversationFiles.keys()).sort(function(a: number, b: number) { return a - b; });
+    for (const timestamp of archiveTimestamps) {
+        let target = timestamp;
+        while (taken.has(target)) {
+            target++;
+        }
+        taken.add(target);
+        timestampMap.set(timestamp, target);
+        if (target !== timestamp) {
+            result.remapped++;
+        }
+    }
+
+    const root = await getOPFSHandle();
+    const convsDir = await ensureDirectory(root, "conversations");
+    for (const timestamp of archiveTimestamps) {
+        const convFiles = conversationFiles.get(timestamp)!;
+        const conversationBytes = convFiles.get("conversation.json");
+        if (!conversationBytes) continue;
+
+        const newTimestamp = timestampMap.get(timestamp)!;
+        const conversation = JSON.parse(decoder.decode(conversationBytes)) as Conversation;
+        conversation.timestamp = newTimestamp;
+        conversation.referenceImages = remapReferences(conversation.referenceImages, timestampMap);
+        conversation.entries.forEach(function(entry) {
+            entry.message.referenceImages = remapReferences(entry.message.referenceImages, timestampMap);
+            if (entry.message.derivedFrom) {
+                entry.message.derivedFrom = remapReferences([entry.message.derivedFrom], timestampMap)![0];
+            }
+            // Lineage parents in imported conversations moved along with them
+            entry.response.imageMetadata?.forEach(function(metadata) {
+                if (metadata?.lineage) {
+                    metadata.lineage.parents = remapReferences(metadata.lineage.parents, timestampMap)!;
+                }
+            });
+        });
+
+        const convDir = await ensureDirectory(convsDir, String(newTimestamp));
+        const encoder = new TextEncoder();
+        await writeFile(convDir, "conversation.json", encoder.encode(JSON.stringify(conversation, null, 2)));
+
+        for (const [name, data] of convFiles) {
+            if (name === "conversation.json") continue;
+            const slash = name.indexOf("/");
+            if (slash === -1) {
+                await writeFile(convDir, name, data);
+            } else {
+                const subDir = await ensureDirectory(convDir, name.substring(0, slash));
+                await writeFile(subDir, name.substring(slash + 1), data);
+            }
+        }
+
+        await reindexConversation(newTimestamp);
+        copyConversationToExternal(newTimestamp);
+        result.conversations++;
+    }
+
+    const localProjects = await loadAllProjects();
+    const importedProjects: Project[] = [];
+    files.forEach(function(data: Uint8Array<ArrayBuffer>, path: string) {
+        if (/^projects\/[^/]+\.json$/.test(path)) {
+            importedProjects.push(JSON.parse(decoder.decode(data)) as Project);
+        }
+    });
+    const knownIds = new Set(localProjects.map(function(p: Project) { return p.id; }).concat(
+        importedProjects.map(function(p: Project) { return p.id; })
+    ));
+
+    for (const imported of importedProjects) {
+        const timestamps = imported.conversationTimestamps
+            .map(function(ts: number) { return timestampMap.get(ts) ?? ts; })
+            .filter(function(ts: number) { return taken.has(ts); });
+
+        const existing = localProjects.find(function(p: Project) { return p.id === imported.id; });
+        if (existing) {
+            for (const ts of timestamps) {
+                if (existing.conversationTimestamps.indexOf(ts) === -1) {
+                    existing.conversationTimestamps.push(ts);
+                }
+            }
+            await saveProject(existing);
+        } else {
+            imported.conversationTimestamps = timestamps;
+            if (imported.parentId !== null && !knownIds.has(imported.parentId)) {
+                imported.parentId = "root";
+            }
+            await saveProject(imported);
+        }
+        result.projects++;
+    }
+    STATE.projects = await loadAllProjects();
+
+    const templateIds = new Set((await loadAllTemplates()).map(function(t: PromptTemplate) { return t.id; }));
+    for (const [path, data] of files) {
+        if (!/^templates\/[^/]+\.json$/.test(path)) continue;
+        const template = JSON.parse(decoder.decode(data)) as PromptTemplate;
+        if (templateIds.has(template.id)) continue;
+        if (template.projectId !== null && !knownIds.has(template.projectId)) {
+            template.projectId = null;
+        }
+        await saveTemplate(template);
+        result.templates++;
+    }
+
+    const albumIds = new Set((await loadAllAlbums()).map(function(a: Album) { return a.id; }));
+    for (const [path, data] of files) {
+        if (!/^albums\/[^/]+\.json$/.test(path)) continue;
+        const album = JSON.parse(decoder.decode(data)) as Album;
+        if (albumIds.has(album.id)) continue;
+        remapAlbumImages(album, timestampMap);
+        await saveAlbum(album);
+        result.albums++;
+    }
+
+    const existingPreferences = new Set(await listPreferences());
+    for (const [path, data] of files) {
+        const match = path.match(/^preferences\/([^/]+)$/);
+        if (!match || EXCLUDED_PREFERENCES.indexOf(match[1]) !== -1 || existingPreferences.has(match[1])) continue;
+        await savePreference(match[1], decoder.decode(data));
+        result.preferences++;
+    }
+
+    return result;
+}
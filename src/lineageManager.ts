@@ -0,0 +1,170 @@
+/**
+ * Lineage helper functions
+ * Records which images a generated image came from and how (new seed, upscale, reference,
+ * edit, inpaint, local transform), and arranges the images of a conversation into lineage trees.
+ */
+
+import { findImageLocation } from './imageEditing';
+import { ensureMetadataArray } from './tagManager';
+import type { Conversation, ConversationEntry, ImageLineage, LineageOperation, ReferenceImage } from './types/state';
+
+/** @type {Record<LineageOperation, string>} Labels shown for each operation */
+export const LINEAGE_OPERATION_LABELS: Record<LineageOperation, string> = {
+    generate: "Generated",
+    seed: "New seed",
+    upscale: "Upscaled",
+    reference: "Reference",
+    edit: "Edited",
+    inpaint: "Inpainted",
+    transform: "Transformed"
+};
+
+/**
+ * @typedef {Object} LineageNode
+ * @property {ReferenceImage} image - Image by conversation and storage index
+ * @property {number} entryIndex - Entry holding the image
+ * @property {number} imageIndex - Position of the image within the entry
+ * @property {LineageOperation} operation - How the image was made
+ * @property {string | undefined} details - What the operation did (e.g. the applied transform)
+ * @property {ReferenceImage[]} otherParents - Parents not drawn as the tree parent (other conversations, deleted or secondary)
+ * @property {boolean} parentMissing - True if the tree parent was deleted
+ * @property {LineageNode[]} children - Images made from this one
+ */
+export interface LineageNode {
+    image: ReferenceImage;
+    entryIndex: number;
+    imageIndex: number;
+    operation: LineageOperation;
+    details?: string;
+    otherParents: ReferenceImage[];
+    parentMissing: boolean;
+    children: LineageNode[];
+}
+
+/**
+ * Builds the lineage to record for images made from a set of parents
+ * @param {LineageOperation} operation - How the images are made
+ * @param {ReferenceImage[]} parents - Candidate parents; uploaded reference images are dropped
+ * @returns {ImageLineage} Lineage ('generate' if no generated image is among the parents)
+ */
+export function createLineage(operation: LineageOperation, parents: ReferenceImage[]): ImageLineage {
+    // Uploaded reference images use negative timestamps and are not part of any conversation
+    const imageParents = parents.filter(function(p: ReferenceImage) { return p.conversationTimestamp > 0; });
+    if (imageParents.length === 0) {
+        return { operation: 'generate', parents: [] };
+    }
+    return { operation: operation, parents: imageParents };
+}
+
+/**
+ * Stores the lineage on newly saved images of an entry
+ * @param {ConversationEntry} entry - Entry holding the images
+ * @param {string[]} imageFilenames - Storage filenames of the new images
+ * @param {ImageLineage} lineage - Lineage to record
+ */
+export function recordLineage(entry: ConversationEntry, imageFilenames: string[], lineage: ImageLineage): void {
+    ensureMetadataArray(entry);
+    imageFilenames.forEach(function(filename: string) {
+        const position = entry.response.imageFilenames.indexOf(filename);
+        if (position === -1) return;
+        entry.response.imageMetadata![position].lineage = Object.assign({}, lineage, { parents: lineage.parents.slice() });
+    });
+}
+
+/**
+ * Gets how an image was made. Images from before lineage was recorded fall back to the
+ * entry's edit source, or count as plain generations.
+ * @param {ConversationEntry} entry - Entry holding the image
+ * @param {number} imageIndex - Position of the image within the entry
+ * @returns {ImageLineage} Lineage
+ */
+export function getImageLineage(entry: ConversationEntry, imageIndex: number): ImageLineage {
+    const recorded = entry.response.imageMetadata?.[imageIndex]?.lineage;
+    if (recorded) return recorded;
+    if (entry.message.derivedFrom) {
+        return { operation: 'edit', parents: [entry.message.derivedFrom] };
+    }
+    return { operation: 'generate', parents: [] };
+}
+
+/**
+ * Arranges the images of a conversation into lineage trees. An image with several parents
+ * hangs under the first one still in the conversation; the others are listed on the node.
+ * @param {Conversation} conversation - Conversation
+ * @returns {LineageNode[]} Root nodes in generation order
+ */
+export function buildLineageForest(conversation: Conversation): LineageNode[] {
+    const nodes: Map<string, LineageNode> = new Map();
+    const order: Array<{node: LineageNode; parents: ReferenceImage[]}> = [];
+
+    conversation.entries.forEach(function(entry: ConversationEntry, entryIndex: number) {
+        entry.response.imageFilenames.forEach(function(filename: string, imageIndex: number) {
+            if (filename === "generating") return;
+            const lineage = getImageLineage(entry, imageIndex);
+            const node: LineageNode = {
+                image: { conversationTimestamp: conversation.timestamp, imageIndex: parseInt(filename, 10) },
+                entryIndex: entryIndex,
+                imageIndex: imageIndex,
+                operation: lineage.operation,
+                details: lineage.details,
+                otherParents: [],
+                parentMissing: false,
+                children: []
+            };
+            nodes.set(filename, node);
+            order.push({ node: node, parents: lineage.parents });
+        });
+    });
+
+    // Image numbers are never reused (see getNextImageIndex), so a parent was saved before its
+    // child and has the lower index; requiring that keeps malformed data from forming cycles
+    const roots: LineageNode[] = [];
+    order.sort(function(a, b) { return a.node.image.imageIndex - b.node.image.imageIndex; });
+    order.forEach(function(item) {
+        let treeParent: LineageNode | null = null;
+        item.parents.forEach(function(parent: ReferenceImage) {
+            const candidate = parent.conversationTimestamp === conversation.timestamp ? nodes.get(String(parent.imageIndex)) : undefined;
+            if (!treeParent && candidate && candidate.image.imageIndex < item.node.image.imageIndex) {
+                treeParent = candidate;
+            } else {
+                item.node.otherParents.push(parent);
+            }
+        });
+
+        if (treeParent) {
+            (treeParent as LineageNode).children.push(item.node);
+        } else {
+            item.node.parentMissing = item.parents.some(function(p: ReferenceImage) {
+                return p.conversationTimestamp === conversation.timestamp && !findImageLocation(conversation, p);
+            });
+            roots.push(item.node);
+        }
+    });
+    return roots;
+}
+
+/**
+ * Lists the ancestors of an image within its conversation, nearest first
+ * @param {Conversation} conversation - Conversation
+ * @param {ReferenceImage} image - Image by conversation and storage index
+ * @returns {ReferenceImage[]} Ancestors still in the conversation
+ */
+export function getAncestors(conversation: Conversation, image: ReferenceImage): ReferenceImage[] {
+    const ancestors: ReferenceImage[] = [];
+    const seen: Set<number> = new Set([image.imageIndex]);
+    const queue: ReferenceImage[] = [image];
+    while (queue.length > 0) {
+        const current = queue.shift() as ReferenceImage;
+        const location = findImageLocation(conversation, current);
+        if (!location) continue;
+        const lineage = getImageLineage(conversation.entries[location.entryIndex], location.imageIndex);
+        lineage.parents.forEach(function(parent: ReferenceImage) {
+            if (parent.conversationTimestamp !== conversation.timestamp || seen.has(parent.imageIndex)) return;
+            if (!findImageLocation(conversation, parent)) return;
+            seen.add(parent.imageIndex);
+            ancestors.push(parent);
+            queue.push(parent);
+        });
+    }
+    return ancestors;
+}
@@ -0,0 +1,154 @@
+/**
+ * Mask editor helper functions
+ * Paints an inpainting mask on a canvas the size of the source image (brush, eraser and
+ * lasso) and exports it as a black and white PNG where white marks the area to change.
+ */
+
+export type MaskTool = 'brush' | 'eraser' | 'lasso';
+
+/** @type {string} Color the mask is painted in; the canvas is shown semi-transparent over the image */
+const MASK_PAINT_COLOR: string = "#ff3b30";
+
+/**
+ * @typedef {Object} MaskPoint
+ * @property {number} x - Horizontal position in image pixels
+ * @property {number} y - Vertical position in image pixels
+ */
+export interface MaskPoint {
+    x: number;
+    y: number;
+}
+
+/**
+ * Converts a pointer position to image pixel coordinates of a canvas shown scaled
+ * @param {HTMLCanvasElement} canvas - Canvas the pointer is over
+ * @param {PointerEvent} event - Pointer event
+ * @returns {MaskPoint} Point in canvas pixels
+ */
+export function toCanvasPoint(canvas: HTMLCanvasElement, event: PointerEvent): MaskPoint {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (canvas.width / rect.width),
+        y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+}
+
+/**
+ * Gets the brush size in canvas pixels for a size given in screen pixels, so the brush
+ * looks the same size whatever the image resolution
+ * @param {HTMLCanvasElement} canvas - Mask canvas
+ * @param {number} screenSize - Brush diameter on screen
+ * @returns {number} Brush diameter in canvas pixels
+ */
+export function toCanvasBrushSize(canvas: HTMLCanvasElement, screenSize: number): number {
+    const rect = canvas.getBoundingClientRect();
+    return rect.width > 0 ? screenSize * (canvas.width / rect.width) : screenSize;
+}
+
+/**
+ * Paints or erases a stroke segment
+ * @param {CanvasRenderingContext2D} ctx - Mask canvas context
+ * @param {MaskPoint} from - Segment start
+ * @param {MaskPoint} to - Segment end
+ * @param {number} size - Brush diameter in canvas pixels
+ * @param {'brush' | 'eraser'} tool - Whether to paint or erase
+ */
+export function paintStroke(ctx: CanvasRenderingContext2D, from: MaskPoint, to: MaskPoint, size: number, tool: 'brush' | 'eraser'): void {
+    ctx.save();
+    ctx.globalCompositeOperation = tool === 'eraser' ? "destination-out" : "source-over";
+    ctx.strokeStyle = MASK_PAINT_COLOR;
+    ctx.lineWidth = size;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Fills the area enclosed by a lasso
+ * @param {CanvasRenderingContext2D} ctx - Mask canvas context
+ * @param {MaskPoint[]} points - Lasso outline
+ */
+export function fillLasso(ctx: CanvasRenderingContext2D, points: MaskPoint[]): void {
+    if (points.length < 3) return;
+    ctx.save();
+    ctx.globalCompositeOperation = "source-over";
+    ctx.fillStyle = MASK_PAINT_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
+
+/**
+ * Draws the outline of a lasso in progress on the preview canvas
+ * @param {HTMLCanvasElement} preview - Preview canvas (same size as the mask canvas)
+ * @param {MaskPoint[]} points - Lasso outline so far
+ */
+export function drawLassoPreview(preview: HTMLCanvasElement, points: MaskPoint[]): void {
+    const ctx = preview.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, preview.width, preview.height);
+    if (points.length < 2) return;
+    ctx.save();
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = Math.max(1, preview.width / 500);
+    ctx.setLineDash([ctx.lineWidth * 4, ctx.lineWidth * 4]);
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.closePath();
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Returns true if anything is painted on the mask
+ * @param {HTMLCanvasElement} maskCanvas - Mask canvas
+ * @returns {boolean} True if at least one pixel is painted
+ */
+export function hasMaskContent(maskCanvas: HTMLCanvasElement): boolean {
+    // Checking a downscaled copy keeps this fast for 4K images
+    const probe = document.createElement("canvas");
+    probe.width = Math.min(256, maskCanvas.width);
+    probe.height = Math.max(1, Math.round(maskCanvas.height * (probe.width / maskCanvas.width)));
+    const ctx = probe.getContext("2d");
+    if (!ctx) return false;
+    ctx.drawImage(maskCanvas, 0, 0, probe.width, probe.height);
+    const data = ctx.getImageData(0, 0, probe.width, probe.height).data;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] > 0) return true;
+    }
+    return false;
+}
+
+/**
+ * Exports the mask as a PNG data URL: white where painted, black elsewhere
+ * @param {HTMLCanvasElement} maskCanvas - Mask canvas
+ * @returns {string} PNG data URL
+ */
+export function exportMaskDataUrl(maskCanvas: HTMLCanvasElement): string {
+    const output = document.createElement("canvas");
+    output.width = maskCanvas.width;
+    output.height = maskCanvas.height;
+    const ctx = output.getContext("2d");
+    if (!ctx) return "";
+    ctx.drawImage(maskCanvas, 0, 0);
+    // Recolor the painted pixels white, then put black behind them
+    ctx.globalCompositeOperation = "source-in";
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.globalCompositeOperation = "destination-over";
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, output.width, output.height);
+    return output.toDataURL("image/png");
+}
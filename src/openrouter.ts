@@ -1,6 +1,6 @@
 /**
  * OpenRouter API functions
- * Handles communication with OpenRouter for models, balance, and image generation
+ * Handles communication with OpenRouter (or any OpenAI-compatible endpoint) for models, balance, and image generation
  */
 
 import { SYSTEM_PROMPT } from './prompt';
@@ -11,24 +11,36 @@ import type {
     GenerationInfo, 
     ImageConfig, 
     ImageInput,
-    Message 
+    ChatMessage,
+    ChatContentPart
 } from './types/api';
 
-const OPENROUTER_BASE_URL: string = "https://openrouter.ai/api/v1";
+export const OPENROUTER_BASE_URL: string = "https://openrouter.ai/api/v1";
 
 /**
- * Fetches all available models from OpenRouter
- * @param {string} apiKey - OpenRouter API key
- * @returns {Promise<VisionModel[]>} Array of model objects with image generation capability
+ * Builds the request headers, leaving out Authorization when there is no key
+ * @param {string} apiKey - API key ("" for endpoints that need none)
+ * @returns {Record<string, string>} Headers
+ */
+function buildHeaders(apiKey: string): Record<string, string> {
+    const headers: Record<string, string> = { "Content-Type": "application/json" };
+    if (apiKey) {
+        headers["Authorization"] = "Bearer " + apiKey;
+    }
+    return headers;
+}
+
+/**
+ * Fetches the full model list from an OpenAI-compatible /models endpoint
+ * @param {string} apiKey - API key
+ * @param {string} baseUrl - API base URL
+ * @returns {Promise<VisionModel[]>} Array of model objects sorted by name
  * @throws {Error} If API request fails
  */
-export async function fetchModels(apiKey: string): Promise<VisionModel[]> {
-    const response = await fetch(OPENROUTER_BASE_URL + "/models", {
+export async function fetchAllModels(apiKey: string, baseUrl: string = OPENROUTER_BASE_URL): Promise<VisionModel[]> {
+    const response = await fetch(baseUrl + "/models", {
         method: "GET",
-        headers: {
-            "Authorization": "Bearer " + apiKey,
-            "Content-Type": "application/json"
-        }
+        headers: buildHeaders(apiKey)
     });
 
     if (!response.ok) {
@@ -52,91 +64,89 @@ export async function fetchModels(apiKey: string): Promise<VisionModel[]> {
     }
 
     const data = await response.json();
-    const allModels = data.data || [];
-    const imageModels = allModels.filter(function(model: VisionModel): boolean {
-        return model.architecture &&
-               model.architecture.output_modalities &&
-               model.architecture.output_modalities.indexOf("image") !== -1;
+    const allModels: VisionModel[] = (data.data || []).map(function(model: VisionModel): VisionModel {
+        if (!model.name) {
+            model.name = model.id;
+        }
+        return model;
     });
-    imageModels.sort(function(a: VisionModel, b: VisionModel): number {
+    allModels.sort(function(a: VisionModel, b: VisionModel): number {
         const nameA = (a.name || "").toLowerCase();
         const nameB = (b.name || "").toLowerCase();
         if (nameA < nameB) return -1;
         if (nameA > nameB) return 1;
         return 0;
     });
-    return imageModels;
+    return allModels;
 }
 
 /**
- * Fetches all available vision models from OpenRouter (image input + image output)
+ * Fetches all available models from OpenRouter
  * @param {string} apiKey - OpenRouter API key
- * @returns {Promise<VisionModel[]>} Array of vision model objects
+ * @param {string} baseUrl - API base URL
+ * @returns {Promise<VisionModel[]>} Array of model objects with image generation capability
  * @throws {Error} If API request fails
  */
-export async function fetchVisionModels(apiKey: string): Promise<VisionModel[]> {
-    const response = await fetch(OPENROUTER_BASE_URL + "/models", {
-        method: "GET",
-        headers: {
-            "Authorization": "Bearer " + apiKey,
-            "Content-Type": "application/json"
-        }
+export async function fetchModels(apiKey: string, baseUrl: string = OPENROUTER_BASE_URL): Promise<VisionModel[]> {
+    const allModels = await fetchAllModels(apiKey, baseUrl);
+    return allModels.filter(function(model: VisionModel): boolean {
+        return !!model.architecture &&
+               !!model.architecture.output_modalities &&
+               model.architecture.output_modalities.indexOf("image") !== -1;
     });
+}
 
-    if (!response.ok) {
-        const text = await response.text();
-        console.log("Error response body:", text);
-        let errorMessage = "Failed to fetch models: " + response.status;
-        
-        try {
-            const errorData = JSON.parse(text);
-            console.log("Parsed error data:", errorData);
-            if (errorData.error && errorData.error.message) {
-                errorMessage = errorData.error.message;
-            }
-        } catch (e) {
-            if (text && text.trim().length > 0) {
-                errorMessage = text;
-            }
-        }
-        
-        throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
-    const allModels = data.data || [];
-    const visionModels = allModels.filter(function(model: VisionModel): boolean {
-        const hasImageOut = model.architecture &&
-                            model.architecture.output_modalities &&
+/**
+ * Fetches all available vision models from OpenRouter (image input + image output)
+ * @param {string} apiKey - OpenRouter API key
+ * @param {string} baseUrl - API base URL
+ * @returns {Promise<VisionModel[]>} Array of vision model objects
+ * @throws {Error} If API request fails
+ */
+export async function fetchVisionModels(apiKey: string, baseUrl: string = OPENROUTER_BASE_URL): Promise<VisionModel[]> {
+    const allModels = await fetchAllModels(apiKey, baseUrl);
+    return allModels.filter(function(model: VisionModel): boolean {
+        const hasImageOut = !!model.architecture &&
+                            !!model.architecture.output_modalities &&
                             model.architecture.output_modalities.indexOf("image") !== -1;
-        const hasImageIn = model.architecture &&
-                           model.architecture.input_modalities &&
+        const hasImageIn = !!model.architecture &&
+                           !!model.architecture.input_modalities &&
                            model.architecture.input_modalities.indexOf("image") !== -1;
         return hasImageOut && hasImageIn;
     });
-    visionModels.sort(function(a: VisionModel, b: VisionModel): number {
-        const nameA = (a.name || "").toLowerCase();
-        const nameB = (b.name || "").toLowerCase();
-        if (nameA < nameB) return -1;
-        if (nameA > nameB) return 1;
-        return 0;
+}
+
+/**
+ * Fetches the models that can read images and answer in text (for auto-tagging)
+ * @param {string} apiKey - OpenRouter API key
+ * @param {string} baseUrl - API base URL
+ * @returns {Promise<VisionModel[]>} Array of image-in, text-out model objects
+ * @throws {Error} If API request fails
+ */
+export async function fetchTaggingModels(apiKey: string, baseUrl: string = OPENROUTER_BASE_URL): Promise<VisionModel[]> {
+    const allModels = await fetchAllModels(apiKey, baseUrl);
+    return allModels.filter(function(model: VisionModel): boolean {
+        const hasTextOut = !!model.architecture &&
+                           !!model.architecture.output_modalities &&
+                           model.architecture.output_modalities.indexOf("text") !== -1;
+        const hasImageIn = !!model.architecture &&
+                           !!model.architecture.input_modalities &&
+                           model.architecture.input_modalities.indexOf("image") !== -1;
+        return hasTextOut && hasImageIn;
     });
-    return visionModels;
 }
 
 /**
  * Fetches the account balance from OpenRouter
  * @param {string} apiKey - OpenRouter API key
+ * @param {string} baseUrl - API base URL
  * @returns {Promise<BalanceInfo>} Object with total_credits and total_usage
  * @throws {Error} If API request fails
  */
-export async function fetchBalance(apiKey: string): Promise<BalanceInfo> {
-    const response = await fetch(OPENROUTER_BASE_URL + "/credits", {
+export async function fetchBalance(apiKey: string, baseUrl: string = OPENROUTER_BASE_URL): Promise<BalanceInfo> {
+    const response = await fetch(baseUrl + "/credits", {
         method: "GET",
-        headers: {
-            "Authorization": "Bearer " + apiKey,
-            "Content-Type": "application/json"
-        }
+        headers: buildHeaders(apiKey)
     });
 
     if (!response.ok) {
@@ -172,11 +182,13 @@ export async function fetchBalance(apiKey: string): Promise<BalanceInfo> {
  * @param {string} prompt - User's image generation prompt
  * @param {string} model - Model ID to use
  * @param {string | null} systemPrompt - System prompt
- * @param {Message[]} conversationHistory - Previous messages for context
+ * @param {ChatMessage[]} conversationHistory - Previous messages for context (text or multimodal)
  * @param {ImageConfig | undefined} imageConfig - Image configuration options
  * @param {number | undefined} seed - Seed for reproducible generation
  * @param {ImageInput | undefined} imageInput - Optional image input for vision models
  * @param {string[] | undefined} referenceImages - Optional reference image data URLs
+ * @param {string} baseUrl - API base URL
+ * @param {AbortSignal | undefined} signal - Optional signal to cancel the request
  * @returns {Promise<ChatCompletionResponse>} Chat completion response with images
  * @throws {Error} If API request fails
  */
@@ -185,14 +197,16 @@ export async function generateImage(
     prompt: string,
     model: string,
     systemPrompt: string | null,
-    conversationHistory: Message[],
+    conversationHistory: ChatMessage[],
     imageConfig: ImageConfig | undefined,
     seed: number | undefined,
     imageInput: ImageInput | undefined,
-    referenceImages?: string[]
+    referenceImages?: string[],
+    baseUrl: string = OPENROUTER_BASE_URL,
+    signal?: AbortSignal
 ): Promise<ChatCompletionResponse> {
-    /** @type {Array<{role: string, content: string | Array<object>}>} */
-    const messages: Array<{role: string; content: string | Array<{type: string; text?: string; image_url?: {url: string}; url?: string}>}> = [];
+    /** @type {ChatMessage[]} */
+    const messages: ChatMessage[] = [];
 
     if (systemPrompt) {
         messages.push({
@@ -202,11 +216,15 @@ export async function generateImage(
     }
 
     if (conversationHistory && conversationHistory.length > 0) {
-        conversationHistory.forEach(function(msg: Message) {
-            messages.push({
+        conversationHistory.forEach(function(msg: ChatMessage) {
+            const apiMessage: ChatMessage = {
                 role: msg.role,
                 content: msg.content || ""
-            });
+            };
+            if (msg.images && msg.images.length > 0) {
+                apiMessage.images = msg.images;
+            }
+            messages.push(apiMessage);
         });
     }
 
@@ -214,8 +232,8 @@ export async function generateImage(
     const hasImageInput = imageInput && imageInput.imageData;
 
     if (hasReferenceImages || hasImageInput) {
-        /** @type {Array<{type: string; text?: string; image_url?: {url: string}}>} */
-        const contentArray: Array<{type: string; text?: string; image_url?: {url: string}}> = [];
+        /** @type {ChatContentPart[]} */
+        const contentArray: ChatContentPart[] = [];
 
         if (prompt && prompt.trim().length > 0) {
             contentArray.push({
@@ -242,6 +260,15 @@ export async function generateImage(
                     url: imageInput!.imageData
                 }
             });
+            // An inpainting mask follows the image it applies to
+            if (imageInput!.maskData) {
+                contentArray.push({
+                    type: "image_url",
+                    image_url: {
+                        url: imageInput!.maskData
+                    }
+                });
+            }
         }
 
         messages.push({
@@ -288,13 +315,11 @@ export async function generateImage(
     });
 
     try {
-        const response = await fetch(OPENROUTER_BASE_URL + "/chat/completions", {
+        const response = await fetch(baseUrl + "/chat/completions", {
             method: "POST",
-            headers: {
-                "Authorization": "Bearer " + apiKey,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(body)
+            headers: buildHeaders(apiKey),
+            body: JSON.stringify(body),
+            signal: signal
         });
 
         console.log("Response status:", response.status, response.statusText);
@@ -357,20 +382,78 @@ export async function generateImage(
     }
 }
 
+/**
+ * Asks a vision model about an image
+ * @param {string} apiKey - API key
+ * @param {string} model - Model ID
+ * @param {string} systemPrompt - System prompt
+ * @param {string} prompt - Question about the image
+ * @param {string} imageDataUrl - Image as a data URL
+ * @param {string} baseUrl - API base URL
+ * @param {AbortSignal | undefined} signal - Optional signal to cancel the request
+ * @returns {Promise<ChatCompletionResponse>} Response; the answer is the text of its first choice
+ * @throws {Error} If API request fails
+ */
+export async function describeImage(
+    apiKey: string,
+    model: string,
+    systemPrompt: string,
+    prompt: string,
+    imageDataUrl: string,
+    baseUrl: string = OPENROUTER_BASE_URL,
+    signal?: AbortSignal
+): Promise<ChatCompletionResponse> {
+    /** @type {object} */
+    const body: Record<string, unknown> = {
+        model: model,
+        messages: [
+            { role: "system", content: systemPrompt },
+            {
+                role: "user",
+                content: [
+                    { type: "text", text: prompt },
+                    { type: "image_url", image_url: { url: imageDataUrl } }
+                ]
+            }
+        ]
+    };
+
+    const response = await fetch(baseUrl + "/chat/completions", {
+        method: "POST",
+        headers: buildHeaders(apiKey),
+        body: JSON.stringify(body),
+        signal: signal
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        let errorMessage = "Failed to describe image: " + response.status;
+        try {
+            const errorData = JSON.parse(text);
+            if (errorData.error && errorData.error.message) {
+                errorMessage = errorData.error.message;
+            }
+        } catch (e) {
+            errorMessage += " - " + text;
+        }
+        throw new Error(errorMessage);
+    }
+
+    return await response.json() as ChatCompletionResponse;
+}
+
 /**
  * Queries generation information from OpenRouter
  * @param {string} apiKey - OpenRouter API key
  * @param {string} generationId - Generation ID from chat completion response
+ * @param {string} baseUrl - API base URL
  * @returns {Promise<GenerationInfo>} Generation info with usage and cost
  * @throws {Error} If API request fails
  */
-export async function getGenerationInfo(apiKey: string, generationId: string): Promise<GenerationInfo> {
-    const response = await fetch(OPENROUTER_BASE_URL + "/generation?id=" + generationId, {
+export async function getGenerationInfo(apiKey: string, generationId: string, baseUrl: string = OPENROUTER_BASE_URL): Promise<GenerationInfo> {
+    const response = await fetch(baseUrl + "/generation?id=" + generationId, {
         method: "GET",
-        headers: {
-            "Authorization": "Bearer " + apiKey,
-            "Content-Type": "application/json"
-        }
+        headers: buildHeaders(apiKey)
     });
 
     if (!response.ok) {
@@ -411,10 +494,7 @@ export async function generateTitle(apiKey: string, prompt: string, systemPrompt
     
     const response = await fetch(OPENROUTER_BASE_URL + "/chat/completions", {
         method: "POST",
-        headers: {
-            "Authorization": "Bearer " + apiKey,
-            "Content-Type": "application/json"
-        },
+        headers: buildHeaders(apiKey),
         body: JSON.stringify(body)
     });
 
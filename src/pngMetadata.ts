@@ -0,0 +1,366 @@
+/**
+ * PNG Metadata
+ * Reads and writes generation parameters in PNG text chunks so images keep their
+ * prompt and settings when they leave the app.
+ *
+ * Written chunks:
+ * ├── tEXt Software    - "LLM Image Creator"
+ * ├── iTXt Description - The prompt, readable by most image viewers
+ * └── iTXt llm-image-creator - PngGenerationMetadata as JSON, used for import
+ */
+
+import { crc32 } from './zip';
+import type { ConversationEntry } from './types/state';
+
+const PNG_SIGNATURE: number[] = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const METADATA_KEYWORD: string = "llm-image-creator";
+const SOFTWARE_NAME: string = "LLM Image Creator";
+
+/**
+ * @typedef {Object} PngGenerationMetadata
+ * @property {string} prompt - Prompt text as entered by the user
+ * @property {string} systemPrompt - System prompt used for the generation
+ * @property {number | null} seed - Seed sent with the request
+ * @property {string | null} modelId - Model ID
+ * @property {string | null} modelName - Model display name
+ * @property {string | null} aspectRatio - Aspect ratio, e.g. "16:9"
+ * @property {string | null} resolution - Resolution: 1K, 2K or 4K
+ * @property {string[]} tags - Image tags
+ * @property {number | null} rating - Image rating
+ */
+export interface PngGenerationMetadata {
+    prompt: string;
+    systemPrompt: string;
+    seed: number | null;
+    modelId: string | null;
+    modelName: string | null;
+    aspectRatio: string | null;
+    resolution: string | null;
+    tags: string[];
+    rating: number | null;
+}
+
+/**
+ * @typedef {Object} PngChunk
+ * @property {string} type - Four-letter chunk type
+ * @property {Uint8Array} data - Chunk payload
+ */
+interface PngChunk {
+    type: string;
+    data: Uint8Array<ArrayBuffer>;
+}
+
+/**
+ * Returns true if the bytes start with the PNG signature
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True for PNG files
+ */
+export function isPng(bytes: Uint8Array<ArrayBuffer>): boolean {
+    if (bytes.length < PNG_SIGNATURE.length) return false;
+    return PNG_SIGNATURE.every(function(value: number, i: number) { return bytes[i] === value; });
+}
+
+/**
+ * Reads the pixel size of a PNG from its IHDR chunk, which always comes first
+ * @param {Uint8Array} bytes - Start of the file (at least 24 bytes)
+ * @returns {{width: number, height: number} | null} Size, or null if the bytes are not a PNG header
+ */
+export function readPngSize(bytes: Uint8Array<ArrayBuffer>): { width: number; height: number } | null {
+    if (bytes.length < 24 || !isPng(bytes)) return null;
+    if (String.fromCharCode(bytes[12], bytes[13], bytes[14], bytes[15]) !== "IHDR") return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+/**
+ * Splits a PNG file into its chunks
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {PngChunk[]} Chunks in file order
+ * @throws {Error} If the file is not a PNG or is truncated
+ */
+function readChunks(bytes: Uint8Array<ArrayBuffer>): PngChunk[] {
+    if (!isPng(bytes)) {
+        throw new Error("Not a PNG file");
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks: PngChunk[] = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+        if (offset + 12 + length > bytes.length) {
+            throw new Error("Truncated PNG chunk " + type);
+        }
+        chunks.push({ type: type, data: bytes.slice(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === "IEND") break;
+    }
+
+    return chunks;
+}
+
+/**
+ * Serializes chunks back into a PNG file
+ * @param {PngChunk[]} chunks - Chunks in file order
+ * @returns {Uint8Array<ArrayBuffer>} PNG file contents
+ */
+function writeChunks(chunks: PngChunk[]): Uint8Array<ArrayBuffer> {
+    let size = PNG_SIGNATURE.length;
+    for (const chunk of chunks) {
+        size += 12 + chunk.data.length;
+    }
+
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    out.set(PNG_SIGNATURE, 0);
+    let offset = PNG_SIGNATURE.length;
+
+    for (const chunk of chunks) {
+        const typeAndData = new Uint8Array(4 + chunk.data.length);
+        for (let i = 0; i < 4; i++) {
+            typeAndData[i] = chunk.type.charCodeAt(i);
+        }
+        typeAndData.set(chunk.data, 4);
+
+        view.setUint32(offset, chunk.data.length);
+        out.set(typeAndData, offset + 4);
+        view.setUint32(offset + 8 + chunk.data.length, crc32(typeAndData));
+        offset += 12 + chunk.data.length;
+    }
+
+    return out;
+}
+
+/**
+ * Encodes a string as Latin-1, the encoding of keywords and tEXt values
+ * @param {string} text - Text containing only Latin-1 characters
+ * @returns {Uint8Array<ArrayBuffer>} Encoded bytes
+ */
+function encodeLatin1(text: string): Uint8Array<ArrayBuffer> {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+}
+
+/**
+ * Decodes Latin-1 bytes
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {string} Decoded text
+ */
+function decodeLatin1(bytes: Uint8Array<ArrayBuffer>): string {
+    let text = "";
+    for (let i = 0; i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+    }
+    return text;
+}
+
+/**
+ * Builds a tEXt chunk
+ * @param {string} keyword - Chunk keyword
+ * @param {string} text - Latin-1 text
+ * @returns {PngChunk} Chunk
+ */
+function createTextChunk(keyword: string, text: string): PngChunk {
+    const keywordBytes = encodeLatin1(keyword);
+    const textBytes = encodeLatin1(text);
+    const data = new Uint8Array(keywordBytes.length + 1 + textBytes.length);
+    data.set(keywordBytes, 0);
+    data.set(textBytes, keywordBytes.length + 1);
+    return { type: "tEXt", data: data };
+}
+
+/**
+ * Builds an uncompressed iTXt chunk
+ * @param {string} keyword - Chunk keyword
+ * @param {string} text - UTF-8 text
+ * @returns {PngChunk} Chunk
+ */
+function createInternationalTextChunk(keyword: string, text: string): PngChunk {
+    const keywordBytes = encodeLatin1(keyword);
+    const textBytes = new TextEncoder().encode(text);
+    // keyword \0 compression-flag compression-method language-tag \0 translated-keyword \0 text
+    const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+    data.set(keywordBytes, 0);
+    data.set(textBytes, keywordBytes.length + 5);
+    return { type: "iTXt", data: data };
+}
+
+/**
+ * Inflates zlib data with the browser's DecompressionStream
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array<ArrayBuffer>>} Decompressed bytes
+ */
+async function inflate(data: Uint8Array<ArrayBuffer>): Promise<Uint8Array<ArrayBuffer>> {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Gets the keyword of a text chunk
+ * @param {PngChunk} chunk - tEXt, zTXt or iTXt chunk
+ * @returns {string} Keyword
+ */
+function chunkKeyword(chunk: PngChunk): string {
+    const end = chunk.data.indexOf(0);
+    return decodeLatin1(chunk.data.slice(0, end === -1 ? chunk.data.length : end));
+}
+
+/**
+ * Reads all text chunks (tEXt, zTXt and iTXt) of a PNG file
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Promise<Map<string, string>>} Text values keyed by keyword
+ * @throws {Error} If the file is not a PNG
+ */
+export async function readPngText(bytes: Uint8Array<ArrayBuffer>): Promise<Map<string, string>> {
+    const result: Map<string, string> = new Map();
+
+    for (const chunk of readChunks(bytes)) {
+        if (chunk.type !== "tEXt" && chunk.type !== "zTXt" && chunk.type !== "iTXt") continue;
+        const keyword = chunkKeyword(chunk);
+        let pos = keyword.length + 1;
+
+        try {
+            if (chunk.type === "tEXt") {
+                result.set(keyword, decodeLatin1(chunk.data.slice(pos)));
+            } else if (chunk.type === "zTXt") {
+                result.set(keyword, decodeLatin1(await inflate(chunk.data.slice(pos + 1))));
+            } else {
+                const compressed = chunk.data[pos] === 1;
+                pos += 2;
+                pos = chunk.data.indexOf(0, pos) + 1;
+                pos = chunk.data.indexOf(0, pos) + 1;
+                const textBytes = chunk.data.slice(pos);
+                result.set(keyword, new TextDecoder().decode(compressed ? await inflate(textBytes) : textBytes));
+            }
+        } catch (e) {
+            console.warn("Skipping unreadable PNG text chunk:", keyword, e);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Writes text chunks into a PNG file, replacing existing chunks with the same keywords.
+ * Values that fit Latin-1 are stored as tEXt, everything else as iTXt.
+ * @param {Uint8Array} bytes - PNG file contents
+ * @param {Record<string, string>} values - Text values keyed by keyword
+ * @returns {Uint8Array<ArrayBuffer>} New PNG file contents
+ * @throws {Error} If the file is not a PNG
+ */
+export function writePngText(bytes: Uint8Array<ArrayBuffer>, values: Record<string, string>): Uint8Array<ArrayBuffer> {
+    const keywords = Object.keys(values);
+    const chunks = readChunks(bytes).filter(function(chunk: PngChunk) {
+        if (chunk.type !== "tEXt" && chunk.type !== "zTXt" && chunk.type !== "iTXt") return true;
+        return keywords.indexOf(chunkKeyword(chunk)) === -1;
+    });
+
+    const textChunks = keywords.map(function(keyword: string): PngChunk {
+        const value = values[keyword];
+        return /^[\x20-\x7e\x0a\xa1-\xff]*$/.test(value)
+            ? createTextChunk(keyword, value)
+            : createInternationalTextChunk(keyword, value);
+    });
+
+    // Right after IHDR, so readers that stop at the first IDAT still see them
+    const ihdrIndex = chunks.findIndex(function(chunk: PngChunk) { return chunk.type === "IHDR"; });
+    chunks.splice(ihdrIndex + 1, 0, ...textChunks);
+    return writeChunks(chunks);
+}
+
+/**
+ * Builds the metadata for one image of a conversation entry
+ * @param {ConversationEntry} entry - Conversation entry
+ * @param {number} position - Position of the image within the entry
+ * @returns {PngGenerationMetadata} Metadata
+ */
+export function buildGenerationMetadata(entry: ConversationEntry, position: number): PngGenerationMetadata {
+    const imageMetadata = entry.response.imageMetadata?.[position];
+    return {
+        prompt: entry.message.text,
+        systemPrompt: entry.message.systemPrompt || "",
+        seed: typeof entry.message.seed === "number" ? entry.message.seed : null,
+        modelId: entry.message.modelId || null,
+        modelName: entry.message.modelName || null,
+        aspectRatio: entry.message.aspectRatio || null,
+        resolution: entry.response.imageResolutions?.[position] || null,
+        tags: imageMetadata?.tags ?? [],
+        rating: imageMetadata?.rating ?? null
+    };
+}
+
+/**
+ * Embeds generation metadata into a PNG file
+ * @param {Uint8Array} bytes - PNG file contents
+ * @param {PngGenerationMetadata} metadata - Metadata to embed
+ * @returns {Uint8Array<ArrayBuffer>} New PNG file contents, or the input unchanged if it is not a PNG
+ */
+export function embedGenerationMetadata(bytes: Uint8Array<ArrayBuffer>, metadata: PngGenerationMetadata): Uint8Array<ArrayBuffer> {
+    if (!isPng(bytes)) return bytes;
+    try {
+        return writePngText(bytes, {
+            "Software": SOFTWARE_NAME,
+            "Description": metadata.prompt,
+            [METADATA_KEYWORD]: JSON.stringify(metadata)
+        });
+    } catch (e) {
+        console.error("Error embedding PNG metadata:", e);
+        return bytes;
+    }
+}
+
+/**
+ * Reads generation metadata from a PNG file. Images from other tools that only carry a
+ * Description are returned with just the prompt filled in.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<PngGenerationMetadata | null>} Metadata, or null if the file has none
+ */
+export async function readGenerationMetadata(bytes: Uint8Array<ArrayBuffer>): Promise<PngGenerationMetadata | null> {
+    if (!isPng(bytes)) return null;
+
+    let text: Map<string, string>;
+    try {
+        text = await readPngText(bytes);
+    } catch (e) {
+        console.error("Error reading PNG metadata:", e);
+        return null;
+    }
+
+    const json = text.get(METADATA_KEYWORD);
+    if (json) {
+        try {
+            const parsed = JSON.parse(json) as Partial<PngGenerationMetadata>;
+            return {
+                prompt: parsed.prompt ?? "",
+                systemPrompt: parsed.systemPrompt ?? "",
+                seed: typeof parsed.seed === "number" ? parsed.seed : null,
+                modelId: parsed.modelId ?? null,
+                modelName: parsed.modelName ?? null,
+                aspectRatio: parsed.aspectRatio ?? null,
+                resolution: parsed.resolution ?? null,
+                tags: Array.isArray(parsed.tags) ? parsed.tags : [],
+                rating: typeof parsed.rating === "number" ? parsed.rating : null
+            };
+        } catch (e) {
+            console.warn("Ignoring malformed generation metadata:", e);
+        }
+    }
+
+    const description = text.get("Description");
+    if (!description) return null;
+    return {
+        prompt: description,
+        systemPrompt: "",
+        seed: null,
+        modelId: null,
+        modelName: null,
+        aspectRatio: null,
+        resolution: null,
+        tags: [],
+        rating: null
+    };
+}
@@ -12,3 +12,12 @@ export const TITLE_GENERATION_PROMPT: string =
 
 export const UPSCALE_PROMPT: string = 
     `Upscale this image to 4K resolution (3840x2160 pixels) while maintaining maximum quality, detail, and fidelity. Return only the upscaled image.`;
+
+export const INPAINT_INSTRUCTIONS: string = 
+    `The first image is the original. The second image is a mask: apply the requested change only inside its white area and keep the black area exactly as in the original. Blend the edit seamlessly with its surroundings and keep the size and framing of the original. Return only the edited image.`;
+
+export const AUTO_TAG_SYSTEM_PROMPT: string = 
+    `You tag images for a personal image library. Reply with a comma-separated list of short lowercase tags and nothing else.`;
+
+export const AUTO_TAG_PROMPT: string = 
+    `Suggest up to {count} tags for this image, covering its subject, style, colors and mood. Use one to three words per tag.`;
@@ -0,0 +1,229 @@
+/**
+ * Image provider registry
+ * Wraps OpenRouter and generic OpenAI-compatible endpoints behind a common ImageProvider interface
+ */
+
+import { STATE } from './state';
+import { getPreference } from './storage';
+import { resolveInheritedSettings, createDefaultProjectSettings } from './util';
+import {
+    fetchAllModels,
+    fetchModels,
+    fetchVisionModels,
+    fetchTaggingModels,
+    fetchBalance,
+    generateImage,
+    getGenerationInfo,
+    describeImage
+} from './openrouter';
+import type { ImageProvider } from './types/provider';
+import type { VisionModel, BalanceInfo, GenerationInfo, ChatCompletionResponse, ImageConfig, ImageInput, ChatMessage } from './types/api';
+import type { Project } from './types/state';
+
+export const DEFAULT_PROVIDER_ID: string = 'openrouter';
+
+const CUSTOM_PROVIDER_BASE_URL_PREF: string = 'customProviderBaseUrl';
+const CUSTOM_PROVIDER_API_KEY_PREF: string = 'customProviderApiKey';
+const DEFAULT_CUSTOM_BASE_URL: string = 'http://localhost:8080/v1';
+
+/**
+ * Reads the configured base URL for the OpenAI-compatible provider
+ * @returns {Promise<string>} Base URL without trailing slash
+ */
+async function getCustomBaseUrl(): Promise<string> {
+    const baseUrl = (await getPreference(CUSTOM_PROVIDER_BASE_URL_PREF)) || DEFAULT_CUSTOM_BASE_URL;
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Reads the API key of the OpenAI-compatible provider. The OpenRouter key is never sent to a custom URL.
+ * @returns {Promise<string>} API key to send ("" for none)
+ */
+async function getCustomApiKey(): Promise<string> {
+    return (await getPreference(CUSTOM_PROVIDER_API_KEY_PREF)) || "";
+}
+
+/**
+ * Returns true when a model lists image output, or declares no modalities at all
+ * @param {VisionModel} model - Model object
+ * @returns {boolean} True if model may produce images
+ */
+function mayOutputImages(model: VisionModel): boolean {
+    if (!model.architecture || !model.architecture.output_modalities) {
+        return true;
+    }
+    return model.architecture.output_modalities.indexOf("image") !== -1;
+}
+
+/**
+ * Returns true when a model lists text output, or declares no modalities at all
+ * @param {VisionModel} model - Model object
+ * @returns {boolean} True if model may answer in text
+ */
+function mayOutputText(model: VisionModel): boolean {
+    if (!model.architecture || !model.architecture.output_modalities) {
+        return true;
+    }
+    return model.architecture.output_modalities.indexOf("text") !== -1;
+}
+
+/**
+ * Returns true when a model lists image input, or declares no modalities at all
+ * @param {VisionModel} model - Model object
+ * @returns {boolean} True if model may accept images
+ */
+function mayInputImages(model: VisionModel): boolean {
+    if (!model.architecture || !model.architecture.input_modalities) {
+        return true;
+    }
+    return model.architecture.input_modalities.indexOf("image") !== -1;
+}
+
+const openRouterProvider: ImageProvider = {
+    id: 'openrouter',
+    name: 'OpenRouter',
+    capabilities: {
+        imageSizes: ['1K', '2K', '4K'],
+        aspectRatios: ['1:1', '16:9', '3:2', '21:9'],
+        supportsSeed: true,
+        supportsReferenceImages: true,
+        supportsBalance: true,
+        supportsGenerationInfo: true,
+        requiresApiKey: true
+    },
+    fetchModels: function(apiKey: string): Promise<VisionModel[]> {
+        return fetchModels(apiKey);
+    },
+    fetchVisionModels: function(apiKey: string): Promise<VisionModel[]> {
+        return fetchVisionModels(apiKey);
+    },
+    fetchTaggingModels: function(apiKey: string): Promise<VisionModel[]> {
+        return fetchTaggingModels(apiKey);
+    },
+    fetchBalance: function(apiKey: string): Promise<BalanceInfo> {
+        return fetchBalance(apiKey);
+    },
+    generateImage: function(
+        apiKey: string,
+        prompt: string,
+        model: string,
+        systemPrompt: string | null,
+        conversationHistory: ChatMessage[],
+        imageConfig: ImageConfig | undefined,
+        seed: number | undefined,
+        imageInput: ImageInput | undefined,
+        referenceImages?: string[],
+        signal?: AbortSignal
+    ): Promise<ChatCompletionResponse> {
+        return generateImage(apiKey, prompt, model, systemPrompt, conversationHistory, imageConfig, seed, imageInput, referenceImages, undefined, signal);
+    },
+    getGenerationInfo: function(apiKey: string, generationId: string): Promise<GenerationInfo> {
+        return getGenerationInfo(apiKey, generationId);
+    },
+    describeImage: function(apiKey: string, model: string, systemPrompt: string, prompt: string, imageDataUrl: string, signal?: AbortSignal): Promise<ChatCompletionResponse> {
+        return describeImage(apiKey, model, systemPrompt, prompt, imageDataUrl, undefined, signal);
+    }
+};
+
+const openAICompatibleProvider: ImageProvider = {
+    id: 'openai-compatible',
+    name: 'OpenAI-compatible (custom URL)',
+    capabilities: {
+        imageSizes: ['1K', '2K'],
+        aspectRatios: ['1:1', '16:9', '3:2'],
+        supportsSeed: true,
+        supportsReferenceImages: false,
+        supportsBalance: false,
+        supportsGenerationInfo: false,
+        requiresApiKey: false
+    },
+    fetchModels: async function(_apiKey: string): Promise<VisionModel[]> {
+        const models = await fetchAllModels(await getCustomApiKey(), await getCustomBaseUrl());
+        return models.filter(mayOutputImages);
+    },
+    fetchVisionModels: async function(_apiKey: string): Promise<VisionModel[]> {
+        const models = await fetchAllModels(await getCustomApiKey(), await getCustomBaseUrl());
+        return models.filter(function(model: VisionModel): boolean {
+            return mayOutputImages(model) && mayInputImages(model);
+        });
+    },
+    fetchTaggingModels: async function(_apiKey: string): Promise<VisionModel[]> {
+        const models = await fetchAllModels(await getCustomApiKey(), await getCustomBaseUrl());
+        return models.filter(function(model: VisionModel): boolean {
+            return mayOutputText(model) && mayInputImages(model);
+        });
+    },
+    fetchBalance: async function(_apiKey: string): Promise<BalanceInfo> {
+        throw new Error("Balance is not available for this provider");
+    },
+    generateImage: async function(
+        _apiKey: string,
+        prompt: string,
+        model: string,
+        systemPrompt: string | null,
+        conversationHistory: ChatMessage[],
+        imageConfig: ImageConfig | undefined,
+        seed: number | undefined,
+        imageInput: ImageInput | undefined,
+        referenceImages?: string[],
+        signal?: AbortSignal
+    ): Promise<ChatCompletionResponse> {
+        const key = await getCustomApiKey();
+        const baseUrl = await getCustomBaseUrl();
+        return generateImage(key, prompt, model, systemPrompt, conversationHistory, imageConfig, seed, imageInput, referenceImages, baseUrl, signal);
+    },
+    getGenerationInfo: async function(_apiKey: string, _generationId: string): Promise<GenerationInfo> {
+        throw new Error("Generation info is not available for this provider");
+    },
+    describeImage: async function(_apiKey: string, model: string, systemPrompt: string, prompt: string, imageDataUrl: string, signal?: AbortSignal): Promise<ChatCompletionResponse> {
+        const key = await getCustomApiKey();
+        const baseUrl = await getCustomBaseUrl();
+        return describeImage(key, model, systemPrompt, prompt, imageDataUrl, baseUrl, signal);
+    }
+};
+
+/** @type {ImageProvider[]} */
+const PROVIDERS: ImageProvider[] = [openRouterProvider, openAICompatibleProvider];
+
+/**
+ * Lists all registered image providers
+ * @returns {ImageProvider[]} Array of providers
+ */
+export function listProviders(): ImageProvider[] {
+    return PROVIDERS.slice();
+}
+
+/**
+ * Looks up a provider by ID, falling back to the default provider
+ * @param {string | null} providerId - Provider ID
+ * @returns {ImageProvider} Matching provider
+ */
+export function getProvider(providerId: string | null): ImageProvider {
+    const provider = PROVIDERS.find(function(p: ImageProvider) { return p.id === providerId; });
+    return provider || openRouterProvider;
+}
+
+/**
+ * Resolves the provider selected for the current project (walking inherited settings)
+ * @returns {ImageProvider} Active provider
+ */
+export function getActiveProvider(): ImageProvider {
+    const project = STATE.projects.find(function(p: Project) { return p.id === STATE.currentProjectId; });
+    if (!project) {
+        return getProvider(DEFAULT_PROVIDER_ID);
+    }
+    const defaults = createDefaultProjectSettings();
+    defaults.provider = DEFAULT_PROVIDER_ID;
+    const settings = resolveInheritedSettings(project, STATE.projects, defaults);
+    return getProvider(settings.provider);
+}
+
+/**
+ * Returns true if the provider can be used with the given API key
+ * @param {ImageProvider} provider - Provider to check
+ * @param {string} apiKey - Main API key
+ * @returns {boolean} True if a key is present or not required
+ */
+export function hasUsableApiKey(provider: ImageProvider, apiKey: string): boolean {
+    return !provider.capabilities.requiresApiKey || (!!apiKey && apiKey.length > 0);
+}
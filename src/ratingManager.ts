@@ -3,7 +3,8 @@
  * Reusable functions for image rating across the application
  */
 
-import type { ConversationEntry } from './types/state';
+import { findImageLocation } from './imageEditing';
+import type { Conversation, ConversationEntry, ReferenceImage } from './types/state';
 
 /**
  * Gets rating for a specific image in an entry
@@ -51,6 +52,27 @@ export function setRating(entry: ConversationEntry, imageIndex: number, rating:
     return true;
 }
 
+/**
+ * Sets the same rating on several images of a conversation at once
+ * @param {Conversation} conversation - Conversation holding the images
+ * @param {ReferenceImage[]} images - Images by storage index; images of other conversations are ignored
+ * @param {number | null} rating - Rating (1-5) or null to clear
+ * @returns {ReferenceImage[]} Images whose rating changed
+ */
+export function setRatingForImages(conversation: Conversation, images: ReferenceImage[], rating: number | null): ReferenceImage[] {
+    const changed: ReferenceImage[] = [];
+    for (const image of images) {
+        const location = findImageLocation(conversation, image);
+        if (!location) continue;
+        const entry = conversation.entries[location.entryIndex];
+        if (getRatingForImage(entry, location.imageIndex) === rating) continue;
+        if (setRating(entry, location.imageIndex, rating)) {
+            changed.push(image);
+        }
+    }
+    return changed;
+}
+
 /**
  * Converts a rating number to a star display string
 number | null} * @param { rating - Rating (1-5) or null
@@ -0,0 +1,249 @@
+/**
+ * Search index helper functions
+ * Builds the searchable record of a conversation (prompts, responses, models, tags, ratings
+ * and title), parses queries with model:, tag: and rating: filters, and runs them over the
+ * stored records.
+ */
+
+import { normalizeTag, tagMatches } from './tagManager';
+import type { Conversation, ConversationEntry, SearchDocument, SearchEntry } from './types/state';
+
+/** @type {number} Characters of context shown on each side of a match */
+const SNIPPET_RADIUS: number = 60;
+
+/** @type {RegExp} Splits a query into words, quoted phrases and filter:"quoted values" */
+const QUERY_TOKEN_PATTERN: RegExp = /[A-Za-z]+:"[^"]*"|"[^"]*"|\S+/g;
+
+/**
+ * @typedef {Object} RatingFilter
+ * @property {'=' | '>' | '>=' | '<' | '<='} op - Comparison
+ * @property {number | null} value - Rating to compare with (null = unrated)
+ */
+export interface RatingFilter {
+    op: '=' | '>' | '>=' | '<' | '<=';
+    value: number | null;
+}
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {string[]} terms - Words and phrases that must all appear (lowercase)
+ * @property {string[]} models - Substrings the model ID or name must contain (lowercase)
+ * @property {string[]} tags - Tags an image of the entry must have (a parent tag matches its children)
+ * @property {RatingFilter[]} ratings - Conditions an image of the entry must meet
+ */
+export interface SearchQuery {
+    terms: string[];
+    models: string[];
+    tags: string[];
+    ratings: RatingFilter[];
+}
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {number} entryIndex - Matching entry
+ * @property {string} snippet - Text around the first match (or the start of the prompt)
+ */
+export interface SearchMatch {
+    entryIndex: number;
+    snippet: string;
+}
+
+/**
+ * @typedef {Object} SearchResultGroup
+ * @property {number} conversationTimestamp - Conversation timestamp
+ * @property {string} title - Conversation title
+ * @property {boolean} archived - Whether the conversation is archived
+ * @property {SearchMatch[]} matches - Matching entries in order
+ */
+export interface SearchResultGroup {
+    conversationTimestamp: number;
+    title: string;
+    archived: boolean;
+    matches: SearchMatch[];
+}
+
+/**
+ * Builds the searchable records of a conversation's entries
+ * @param {Conversation} conversation - Conversation
+ * @returns {SearchEntry[]} One record per entry
+ */
+export function buildSearchEntries(conversation: Conversation): SearchEntry[] {
+    return conversation.entries.map(function(entry: ConversationEntry, entryIndex: number): SearchEntry {
+        const tags: string[] = [];
+        const ratings: Array<number | null> = [];
+        entry.response.imageFilenames.forEach(function(filename: string, imageIndex: number) {
+            if (filename === "generating") return;
+            const metadata = entry.response.imageMetadata?.[imageIndex];
+            (metadata?.tags ?? []).forEach(function(tag: string) {
+                if (tags.indexOf(tag) === -1) tags.push(tag);
+            });
+            ratings.push(metadata?.rating ?? null);
+        });
+        return {
+            entryIndex: entryIndex,
+            prompt: entry.message.text || "",
+            response: entry.response.text || "",
+            modelId: entry.message.modelId || "",
+            modelName: entry.message.modelName || "",
+            tags: tags,
+            ratings: ratings
+        };
+    });
+}
+
+/**
+ * Removes the surrounding quotes of a quoted value
+ * @param {string} value - Possibly quoted value
+ * @returns {string} Unquoted value
+ */
+function unquote(value: string): string {
+    return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+/**
+ * Parses a rating filter value such as ">=4", "3" or "none"
+ * @param {string} value - Filter value
+ * @returns {RatingFilter | null} Filter, or null if invalid
+ */
+export function parseRatingFilter(value: string): RatingFilter | null {
+    if (value.toLowerCase() === "none") {
+        return { op: '=', value: null };
+    }
+    const match = /^(>=|<=|>|<|=)?([0-5])$/.exec(value);
+    if (!match) return null;
+    return { op: (match[1] || '=') as RatingFilter['op'], value: parseInt(match[2], 10) };
+}
+
+/**
+ * Parses a search query. Words and "quoted phrases" must all appear; model:, tag: and
+ * rating: (e.g. rating:>=4, rating:none) narrow the matching entries.
+ * @param {string} text - Query text
+ * @returns {SearchQuery} Parsed query
+ */
+export function parseSearchQuery(text: string): SearchQuery {
+    const query: SearchQuery = { terms: [], models: [], tags: [], ratings: [] };
+    const tokens = text.match(QUERY_TOKEN_PATTERN) ?? [];
+    tokens.forEach(function(token: string) {
+        const separator = token.indexOf(":");
+        const key = separator > 0 ? token.slice(0, separator).toLowerCase() : "";
+        const value = separator > 0 ? unquote(token.slice(separator + 1)) : "";
+
+        if (key === "model" && value) {
+            query.models.push(value.toLowerCase());
+            return;
+        }
+        if (key === "tag" && value) {
+            query.tags.push(normalizeTag(value));
+            return;
+        }
+        if (key === "rating") {
+            const filter = parseRatingFilter(value);
+            if (filter) {
+                query.ratings.push(filter);
+                return;
+            }
+        }
+        const term = unquote(token).trim().toLowerCase();
+        if (term) {
+            query.terms.push(term);
+        }
+    });
+    return query;
+}
+
+/**
+ * Returns true if a query has nothing to search for
+ * @param {SearchQuery} query - Parsed query
+ * @returns {boolean} True if empty
+ */
+export function isEmptyQuery(query: SearchQuery): boolean {
+    return query.terms.length === 0 && query.models.length === 0 && query.tags.length === 0 && query.ratings.length === 0;
+}
+
+/**
+ * Checks a rating against a filter
+ * @param {number | null} rating - Image rating
+ * @param {RatingFilter} filter - Filter
+ * @returns {boolean} True if it passes
+ */
+export function ratingPasses(rating: number | null, filter: RatingFilter): boolean {
+    if (filter.value === null) return rating === null;
+    if (rating === null) return false;
+    switch (filter.op) {
+        case '>': return rating > filter.value;
+        case '>=': return rating >= filter.value;
+        case '<': return rating < filter.value;
+        case '<=': return rating <= filter.value;
+        default: return rating === filter.value;
+    }
+}
+
+/**
+ * Returns true if an entry matches a query
+ * @param {SearchDocument} doc - Conversation record (for the title)
+ * @param {SearchEntry} entry - Entry record
+ * @param {SearchQuery} query - Parsed query
+ * @returns {boolean} True if the entry matches
+ */
+function entryMatches(doc: SearchDocument, entry: SearchEntry, query: SearchQuery): boolean {
+    const model = (entry.modelId + "\n" + entry.modelName).toLowerCase();
+    if (!query.models.every(function(m: string) { return model.indexOf(m) !== -1; })) return false;
+    if (!query.tags.every(function(query: string) {
+        return entry.tags.some(function(tag: string) { return tagMatches(tag, query); });
+    })) return false;
+    if (query.ratings.length > 0 && !entry.ratings.some(function(rating: number | null) {
+        return query.ratings.every(function(filter: RatingFilter) { return ratingPasses(rating, filter); });
+    })) return false;
+
+    const text = [doc.title, entry.prompt, entry.response, entry.modelName, entry.modelId, entry.tags.join(" ")].join("\n").toLowerCase();
+    return query.terms.every(function(term: string) { return text.indexOf(term) !== -1; });
+}
+
+/**
+ * Cuts the text around the first search term found in it
+ * @param {string} text - Text to cut from
+ * @param {string[]} terms - Search terms (lowercase)
+ * @returns {string} Snippet, with an ellipsis where text was cut
+ */
+export function makeSnippet(text: string, terms: string[]): string {
+    const lower = text.toLowerCase();
+    let position = -1;
+    for (const term of terms) {
+        position = lower.indexOf(term);
+        if (position !== -1) break;
+    }
+    const start = Math.max(0, position === -1 ? 0 : position - SNIPPET_RADIUS);
+    const end = Math.min(text.length, (position === -1 ? 0 : position) + SNIPPET_RADIUS * 2);
+    return (start > 0 ? "…" : "") + text.slice(start, end).replace(/\s+/g, " ").trim() + (end < text.length ? "…" : "");
+}
+
+/**
+ * Runs a query over the search records
+ * @param {SearchDocument[]} docs - Conversation records
+ * @param {SearchQuery} query - Parsed query
+ * @param {boolean} includeArchived - Whether archived conversations are searched
+ * @returns {SearchResultGroup[]} Matches grouped by conversation, newest conversation first
+ */
+export function searchDocuments(docs: SearchDocument[], query: SearchQuery, includeArchived: boolean): SearchResultGroup[] {
+    if (isEmptyQuery(query)) return [];
+
+    const groups: SearchResultGroup[] = [];
+    docs.forEach(function(doc: SearchDocument) {
+        if (doc.archived && !includeArchived) return;
+        const matches: SearchMatch[] = [];
+        doc.entries.forEach(function(entry: SearchEntry) {
+            if (!entryMatches(doc, entry, query)) return;
+            // Prefer showing the prompt unless only the response contains a term
+            const promptHit = query.terms.length === 0 || query.terms.some(function(t: string) { return entry.prompt.toLowerCase().indexOf(t) !== -1; });
+            const responseHit = !promptHit && query.terms.some(function(t: string) { return entry.response.toLowerCase().indexOf(t) !== -1; });
+            matches.push({
+                entryIndex: entry.entryIndex,
+                snippet: makeSnippet(responseHit ? entry.response : entry.prompt, query.terms)
+            });
+        });
+        if (matches.length > 0) {
+            groups.push({ conversationTimestamp: doc.conversationTimestamp, title: doc.title, archived: doc.archived, matches: matches });
+        }
+    });
+    return groups.sort(function(a: SearchResultGroup, b: SearchResultGroup) { return b.conversationTimestamp - a.conversationTimestamp; });
+}
@@ -0,0 +1,131 @@
+/**
+ * Slideshow helper functions
+ * Builds the slides of a presentation from a conversation, gallery images or an album,
+ * maps keys to slideshow actions and steps through the slides.
+ */
+
+import { ratingMatchesFilter } from './ratingManager';
+import type { GalleryImage } from './galleryManager';
+import type { Album, AlbumImage, Conversation, ConversationEntry } from './types/state';
+
+/** @type {number[]} Auto-advance intervals offered, in seconds */
+export const SLIDESHOW_INTERVALS: number[] = [3, 5, 10, 20, 30];
+
+/** @type {number} Auto-advance interval used until another is picked, in seconds */
+export const DEFAULT_SLIDESHOW_INTERVAL: number = 5;
+
+/**
+ * @typedef {Object} SlideshowSlide
+ * @property {number} conversationTimestamp - Conversation holding the image
+ * @property {number} imageIndex - Storage index of the image
+ * @property {string} note - Note shown under the prompt ("" for none)
+ */
+export interface SlideshowSlide {
+    conversationTimestamp: number;
+    imageIndex: number;
+    note: string;
+}
+
+export type SlideshowAction =
+    | { type: 'next' }
+    | { type: 'previous' }
+    | { type: 'first' }
+    | { type: 'last' }
+    | { type: 'toggle-play' }
+    | { type: 'toggle-caption' }
+    | { type: 'toggle-fullscreen' }
+    | { type: 'close' }
+    | { type: 'rate'; rating: number | null };
+
+/**
+ * Lists the images of a conversation as slides in conversation order
+ * @param {Conversation} conversation - Conversation
+ * @param {number | null} ratingFilter - Rating filter of the conversation view (null=all, 0=unrated, 1-5=minimum)
+ * @returns {SlideshowSlide[]} Slides of the images that pass the filter
+ */
+export function getConversationSlides(conversation: Conversation, ratingFilter: number | null): SlideshowSlide[] {
+    const slides: SlideshowSlide[] = [];
+    conversation.entries.forEach(function(entry: ConversationEntry) {
+        entry.response.imageFilenames.forEach(function(filename: string, imageIndex: number) {
+            if (filename === "generating") return;
+            if (!ratingMatchesFilter(entry.response.imageMetadata?.[imageIndex]?.rating ?? null, ratingFilter)) return;
+            slides.push({ conversationTimestamp: conversation.timestamp, imageIndex: parseInt(filename, 10), note: "" });
+        });
+    });
+    return slides;
+}
+
+/**
+ * Turns gallery images into slides, keeping their order
+ * @param {GalleryImage[]} images - Images
+ * @returns {SlideshowSlide[]} Slides
+ */
+export function getGallerySlides(images: GalleryImage[]): SlideshowSlide[] {
+    return images.map(function(image: GalleryImage): SlideshowSlide {
+        return { conversationTimestamp: image.conversationTimestamp, imageIndex: parseInt(image.filename, 10), note: "" };
+    });
+}
+
+/**
+ * Lists the images of an album as slides in album order, with their notes
+ * @param {Album} album - Album
+ * @returns {SlideshowSlide[]} Slides
+ */
+export function getAlbumSlides(album: Album): SlideshowSlide[] {
+    return album.images.map(function(image: AlbumImage): SlideshowSlide {
+        return { conversationTimestamp: image.conversationTimestamp, imageIndex: image.imageIndex, note: image.note };
+    });
+}
+
+/**
+ * Maps a key to a slideshow action: arrows, Page Up/Down, Space, Home and End navigate,
+ * P plays or pauses, C toggles the caption, F toggles full screen, 1-5 rate and 0 clears the rating
+ * @param {string} key - KeyboardEvent.key
+ * @returns {SlideshowAction | null} Action, or null if the key does nothing
+ */
+export function getSlideshowAction(key: string): SlideshowAction | null {
+    switch (key) {
+        case "ArrowRight":
+        case "ArrowDown":
+        case "PageDown":
+        case " ":
+            return { type: 'next' };
+        case "ArrowLeft":
+        case "ArrowUp":
+        case "PageUp":
+        case "Backspace":
+            return { type: 'previous' };
+        case "Home":
+            return { type: 'first' };
+        case "End":
+            return { type: 'last' };
+        case "p":
+        case "P":
+            return { type: 'toggle-play' };
+        case "c":
+        case "C":
+            return { type: 'toggle-caption' };
+        case "f":
+        case "F":
+            return { type: 'toggle-fullscreen' };
+        case "Escape":
+            return { type: 'close' };
+    }
+    if (/^[0-5]$/.test(key)) {
+        const rating = parseInt(key, 10);
+        return { type: 'rate', rating: rating === 0 ? null : rating };
+    }
+    return null;
+}
+
+/**
+ * Moves through the slides, wrapping around at either end
+ * @param {number} index - Current slide
+ * @param {number} step - Slides to move (negative = back)
+ * @param {number} count - Number of slides
+ * @returns {number} New slide index
+ */
+export function stepSlide(index: number, step: number, count: number): number {
+    if (count === 0) return 0;
+    return ((index + step) % count + count) % count;
+}
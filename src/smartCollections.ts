@@ -0,0 +1,297 @@
+/**
+ * Smart collection helper functions
+ * Parses collection queries such as `tag:hero AND rating>=4 AND NOT model:gemini` into an
+ * expression tree and evaluates them against the library's images, so a collection always
+ * shows the images that match it now.
+ */
+
+import { parseRatingFilter, ratingPasses } from './searchIndex';
+import { normalizeTag, tagMatches } from './tagManager';
+import type { GalleryImage } from './galleryManager';
+import type { RatingFilter } from './searchIndex';
+import type { Project, SmartCollection } from './types/state';
+
+/** @type {RegExp} Splits a query into parentheses, field conditions, quoted phrases and words */
+const COLLECTION_TOKEN_PATTERN: RegExp = /[()]|-?[A-Za-z]+(?::|>=|<=|>|<|=)(?:"[^"]*"|[^\s()]*)|-?"[^"]*"|[^\s()]+/g;
+
+/** @type {RegExp} Splits a field condition into field, operator and value */
+const CONDITION_PATTERN: RegExp = /^([A-Za-z]+)(:|>=|<=|>|<|=)(.*)$/;
+
+/** @type {Record<string, number>} Length in ms of the units of a relative age such as "7d" */
+const AGE_UNITS: Record<string, number> = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    m: 30 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000
+};
+
+export type CollectionComparison = '=' | '>' | '>=' | '<' | '<=';
+
+/**
+ * Expression tree of a collection query
+ */
+export type CollectionQueryNode =
+    | { type: 'and'; children: CollectionQueryNode[] }
+    | { type: 'or'; children: CollectionQueryNode[] }
+    | { type: 'not'; child: CollectionQueryNode }
+    | { type: 'tag'; value: string }
+    | { type: 'model'; value: string }
+    | { type: 'project'; value: string }
+    | { type: 'rating'; filter: RatingFilter }
+    | { type: 'age'; maxAge: number }
+    | { type: 'date'; op: CollectionComparison; start: number; end: number }
+    | { type: 'text'; value: string };
+
+/**
+ * @typedef {Object} CollectionContext
+ * @property {Project[]} projects - All projects (a project condition includes sub-projects)
+ * @property {number} now - Time in ms that relative ages count back from
+ */
+export interface CollectionContext {
+    projects: Project[];
+    now: number;
+}
+
+/**
+ * Generates a unique collection ID
+ * @returns {string} Collection ID
+ */
+export function generateCollectionId(): string {
+    return 'col_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9);
+}
+
+/**
+ * Removes the surrounding quotes of a quoted value
+ * @param {string} value - Possibly quoted value
+ * @returns {string} Unquoted value
+ */
+function unquote(value: string): string {
+    return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+/**
+ * Parses a "created" condition: a relative age ("created:7d" = in the last 7 days) or a
+ * date compared by whole days ("created>=2024-05-01")
+ * @param {string} op - Operator as written (":" counts as "=")
+ * @param {string} value - Age or date
+ * @returns {CollectionQueryNode} Condition
+ */
+function parseCreatedCondition(op: string, value: string): CollectionQueryNode {
+    const age = /^(\d+)([hdwmy])$/i.exec(value);
+    if (age && (op === ':' || op === '=' || op === '<=' || op === '<')) {
+        return { type: 'age', maxAge: parseInt(age[1], 10) * AGE_UNITS[age[2].toLowerCase()] };
+    }
+    const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!date) {
+        throw new Error('"created" needs an age such as 7d or a date such as 2024-05-01, got "' + value + '"');
+    }
+    const start = new Date(parseInt(date[1], 10), parseInt(date[2], 10) - 1, parseInt(date[3], 10)).getTime();
+    const end = new Date(parseInt(date[1], 10), parseInt(date[2], 10) - 1, parseInt(date[3], 10) + 1).getTime();
+    return { type: 'date', op: (op === ':' ? '=' : op) as CollectionComparison, start: start, end: end };
+}
+
+/**
+ * Parses one query word or field condition
+ * @param {string} token - Token without a leading "-"
+ * @returns {CollectionQueryNode} Condition
+ */
+function parseCondition(token: string): CollectionQueryNode {
+    const match = CONDITION_PATTERN.exec(token);
+    const field = match ? match[1].toLowerCase() : "";
+    if (!match || ["tag", "model", "project", "rating", "created"].indexOf(field) === -1) {
+        const text = unquote(token).trim().toLowerCase();
+        if (!text) throw new Error("Empty phrase in query");
+        return { type: 'text', value: text };
+    }
+
+    const op = match[2];
+    const value = unquote(match[3]).trim();
+    if (!value) {
+        throw new Error('"' + field + '" needs a value');
+    }
+    if (field === "rating") {
+        const filter = parseRatingFilter(op === ':' ? value : op + value);
+        if (!filter) throw new Error('"rating" needs a rating from 0 to 5 or "none", got "' + value + '"');
+        return { type: 'rating', filter: filter };
+    }
+    if (field === "created") {
+        return parseCreatedCondition(op, value);
+    }
+    if (op !== ':' && op !== '=') {
+        throw new Error('"' + field + '" can only be compared with ":"');
+    }
+    if (field === "tag") {
+        return { type: 'tag', value: normalizeTag(value) };
+    }
+    return { type: field as 'model' | 'project', value: value.toLowerCase() };
+}
+
+/**
+ * Parses a collection query. Conditions next to each other must all hold; AND, OR, NOT
+ * (or a leading "-") and parentheses combine them. Fields: tag:, model:, project: (includes
+ * sub-projects), rating (rating>=4, rating:none) and created (created:7d, created>=2024-05-01).
+ * Other words and "quoted phrases" must appear in the prompt or conversation title.
+ * @param {string} text - Query text
+ * @returns {CollectionQueryNode} Expression tree
+ * @throws {Error} If the query is empty or malformed
+ */
+export function parseCollectionQuery(text: string): CollectionQueryNode {
+    const tokens = text.match(COLLECTION_TOKEN_PATTERN) ?? [];
+    let position = 0;
+
+    const peek = function(): string | undefined { return tokens[position]; };
+    const isKeyword = function(token: string | undefined, keyword: string): boolean {
+        return token !== undefined && token.toUpperCase() === keyword;
+    };
+
+    const parseOr = function(): CollectionQueryNode {
+        const children = [parseAnd()];
+        while (isKeyword(peek(), "OR")) {
+            position++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children: children };
+    };
+
+    const parseAnd = function(): CollectionQueryNode {
+        const children = [parseUnary()];
+        while (peek() !== undefined && peek() !== ")" && !isKeyword(peek(), "OR")) {
+            if (isKeyword(peek(), "AND")) position++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children: children };
+    };
+
+    const parseUnary = function(): CollectionQueryNode {
+        const token = peek();
+        if (token === undefined) {
+            throw new Error("Query ends where a condition was expected");
+        }
+        position++;
+        if (isKeyword(token, "NOT")) {
+            return { type: 'not', child: parseUnary() };
+        }
+        if (isKeyword(token, "AND") || isKeyword(token, "OR") || token === ")") {
+            throw new Error('Unexpected "' + token + '"');
+        }
+        if (token === "(") {
+            const inner = parseOr();
+            if (peek() !== ")") throw new Error('Missing ")"');
+            position++;
+            return inner;
+        }
+        if (token.length > 1 && token.startsWith("-")) {
+            return { type: 'not', child: parseCondition(token.slice(1)) };
+        }
+        return parseCondition(token);
+    };
+
+    if (tokens.length === 0) {
+        throw new Error("Query is empty");
+    }
+    const node = parseOr();
+    if (position < tokens.length) {
+        throw new Error('Unexpected "' + tokens[position] + '"');
+    }
+    return node;
+}
+
+/**
+ * Checks a collection query without evaluating it
+ * @param {string} text - Query text
+ * @returns {string | null} Error message, or null if the query is valid
+ */
+export function validateCollectionQuery(text: string): string | null {
+    try {
+        parseCollectionQuery(text);
+        return null;
+    } catch (error) {
+        return (error as Error).message;
+    }
+}
+
+/**
+ * Checks whether an image belongs to a project or one of its sub-projects
+ * @param {string} projectId - Project of the image
+ * @param {string} query - Project name or ID (lowercase)
+ * @param {Project[]} projects - All projects
+ * @returns {boolean} True if the project or an ancestor matches
+ */
+function projectMatches(projectId: string, query: string, projects: Project[]): boolean {
+    const seen: Set<string> = new Set();
+    let current = projects.find(function(p: Project) { return p.id === projectId; });
+    while (current && !seen.has(current.id)) {
+        if (current.id.toLowerCase() === query || current.name.toLowerCase() === query) return true;
+        seen.add(current.id);
+        const parentId = current.parentId;
+        current = parentId ? projects.find(function(p: Project) { return p.id === parentId; }) : undefined;
+    }
+    return false;
+}
+
+/**
+ * Evaluates a collection query against an image
+ * @param {CollectionQueryNode} node - Expression tree
+ * @param {GalleryImage} image - Image
+ * @param {CollectionContext} context - Projects and current time
+ * @returns {boolean} True if the image is in the collection
+ */
+export function collectionQueryMatches(node: CollectionQueryNode, image: GalleryImage, context: CollectionContext): boolean {
+    switch (node.type) {
+        case 'and':
+            return node.children.every(function(child: CollectionQueryNode) { return collectionQueryMatches(child, image, context); });
+        case 'or':
+            return node.children.some(function(child: CollectionQueryNode) { return collectionQueryMatches(child, image, context); });
+        case 'not':
+            return !collectionQueryMatches(node.child, image, context);
+        case 'tag':
+            return image.tags.some(function(tag: string) { return tagMatches(tag, node.value); });
+        case 'model':
+            return (image.modelId + "\n" + image.modelName).toLowerCase().indexOf(node.value) !== -1;
+        case 'project':
+            return projectMatches(image.projectId, node.value, context.projects);
+        case 'rating':
+            return ratingPasses(image.rating, node.filter);
+        case 'age':
+            return image.created >= context.now - node.maxAge;
+        case 'date':
+            switch (node.op) {
+                case '>': return image.created >= node.end;
+                case '>=': return image.created >= node.start;
+                case '<': return image.created < node.start;
+                case '<=': return image.created < node.end;
+                default: return image.created >= node.start && image.created < node.end;
+            }
+        case 'text':
+            return (image.prompt + "\n" + image.conversationTitle).toLowerCase().indexOf(node.value) !== -1;
+    }
+}
+
+/**
+ * Lists the images of a collection, newest first
+ * @param {SmartCollection} collection - Collection
+ * @param {GalleryImage[]} images - All images of the library
+ * @param {CollectionContext} context - Projects and current time
+ * @returns {GalleryImage[]} Matching images (none if the query is invalid)
+ */
+export function getCollectionImages(collection: SmartCollection, images: GalleryImage[], context: CollectionContext): GalleryImage[] {
+    let node: CollectionQueryNode;
+    try {
+        node = parseCollectionQuery(collection.query);
+    } catch (error) {
+        return [];
+    }
+    return images
+        .filter(function(image: GalleryImage) { return collectionQueryMatches(node, image, context); })
+        .sort(function(a: GalleryImage, b: GalleryImage) { return b.created - a.created || parseInt(b.filename, 10) - parseInt(a.filename, 10); });
+}
+
+/**
+ * Sorts collections by name
+ * @param {SmartCollection[]} collections - Collections
+ * @returns {SmartCollection[]} Sorted copy
+ */
+export function sortCollections(collections: SmartCollection[]): SmartCollection[] {
+    return collections.slice().sort(function(a: SmartCollection, b: SmartCollection) { return a.name.localeCompare(b.name); });
+}
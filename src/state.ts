@@ -60,7 +60,16 @@ const internalState: AppState = {
         imageElementCache: new Map()
     },
     projects: [],
-    currentProjectId: 'root'
+    currentProjectId: 'root',
+    activeProviderId: 'openrouter',
+    showArchived: false,
+    nextSeed: null,
+    insertedTemplate: null,
+    comparison: [],
+    editMode: false,
+    editSource: null,
+    tagColors: {},
+    smartCollections: []
 };
 
 /**
@@ -0,0 +1,339 @@
+/**
+ * Static Site Export
+ * Turns a set of images (a project, an album or a gallery selection) into a standalone
+ * website that needs no server and no API: an index grid of thumbnails and a page per image
+ * with its prompt, model, seed, tags, rating and the full-size file.
+ *
+ * Site layout:
+ * ├── index.html
+ * ├── style.css
+ * ├── pages/{n}.html
+ * ├── thumbs/{n}.jpg
+ * └── images/{n}.{png|jpg|webp}
+ */
+
+import { listConversations, loadConversation, loadSummary, getImage } from './storage';
+import { findImageLocation } from './imageEditing';
+import { drawRotated } from './imageTransform';
+import { buildGenerationMetadata } from './pngMetadata';
+import { getEntryCreated } from './galleryManager';
+import { ratingToStars } from './ratingManager';
+import type { PngGenerationMetadata } from './pngMetadata';
+import type { ZipEntry } from './zip';
+import type { Conversation, ConversationEntry, Project, ReferenceImage } from './types/state';
+
+/** @type {number} Longest side of the thumbnails on the index page */
+const SITE_THUMBNAIL_SIZE: number = 480;
+
+/** @type {number} JPEG quality of the thumbnails */
+const SITE_THUMBNAIL_QUALITY: number = 0.82;
+
+/** @type {Record<string, string>} File extension per stored image type */
+const IMAGE_EXTENSIONS: Record<string, string> = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/webp": "webp"
+};
+
+/** @type {string} Stylesheet shared by every page of the site */
+const SITE_STYLESHEET: string = `* { box-sizing: border-box; }
+body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; background: #1a1a1a; color: #f1f1f1; }
+a { color: #8ab4f8; }
+header, main, nav { max-width: 1400px; margin: 0 auto; padding: 1rem 1.5rem; }
+header h1 { margin: 0 0 0.25rem; font-size: 1.6rem; }
+.description { color: #bbb; white-space: pre-wrap; margin: 0.5rem 0 0; }
+.count { color: #888; font-size: 0.9rem; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 0.75rem; }
+.tile { display: block; background: #2d2d2d; border-radius: 4px; overflow: hidden; text-decoration: none; color: inherit; }
+.tile img { display: block; width: 100%; aspect-ratio: 1; object-fit: cover; background: #111; }
+.tile span { display: block; padding: 0.4rem 0.5rem; font-size: 0.8rem; color: #ccc; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+nav { display: flex; justify-content: space-between; gap: 1rem; }
+.image { display: block; max-width: 100%; max-height: 80vh; margin: 0 auto; }
+.details { display: grid; grid-template-columns: max-content 1fr; gap: 0.4rem 1rem; margin-top: 1rem; }
+.details dt { color: #888; }
+.details dd { margin: 0; white-space: pre-wrap; }
+.rating { color: #ffc107; }
+.tag { display: inline-block; margin: 0 0.25rem 0.25rem 0; padding: 0.1rem 0.5rem; border-radius: 1rem; background: #495057; font-size: 0.85rem; }
+footer { max-width: 1400px; margin: 0 auto; padding: 1rem 1.5rem 2rem; color: #666; font-size: 0.8rem; }
+`;
+
+/**
+ * @typedef {Object} StaticSiteImage
+ * @property {ReferenceImage} image - Image by conversation and storage index
+ * @property {string} conversationTitle - Title of the conversation holding the image
+ * @property {string} note - Note shown with the image ("" for none)
+ * @property {PngGenerationMetadata} metadata - Prompt, model, seed, size, tags and rating
+ * @property {number} created - Creation time in ms
+ */
+export interface StaticSiteImage {
+    image: ReferenceImage;
+    conversationTitle: string;
+    note: string;
+    metadata: PngGenerationMetadata;
+    created: number;
+}
+
+/**
+ * @typedef {Object} StaticSiteOptions
+ * @property {string} title - Site title
+ * @property {string} description - Text under the title ("" for none)
+ * @property {boolean} includeOriginals - Whether image pages link the full-size files
+ */
+export interface StaticSiteOptions {
+    title: string;
+    description: string;
+    includeOriginals: boolean;
+}
+
+/**
+ * An image to export, with an optional note (e.g. from an album)
+ */
+export type StaticSiteSource = ReferenceImage & { note?: string };
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Turns a title into a folder name such as "client-review-2024-05-01"
+ * @param {string} title - Site title
+ * @returns {string} Folder name
+ */
+export function getStaticSiteFolderName(title: string): string {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+    return (slug || "gallery") + "-" + new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Checks whether a project is the given project or one of its sub-projects
+ * @param {string} projectId - Project to check
+ * @param {string} ancestorId - Project being exported
+ * @param {Project[]} projects - All projects
+ * @returns {boolean} True if the project falls under the exported one
+ */
+function isProjectWithin(projectId: string, ancestorId: string, projects: Project[]): boolean {
+    const seen: Set<string> = new Set();
+    let current: string | null = projectId;
+    while (current !== null && !seen.has(current)) {
+        if (current === ancestorId) return true;
+        seen.add(current);
+        const project = projects.find(function(p: Project) { return p.id === current; });
+        // Top-level projects hang under the root project
+        current = project ? (project.parentId ?? (project.id === "root" ? null : "root")) : null;
+    }
+    return false;
+}
+
+/**
+ * Lists the images of a project and its sub-projects in conversation order, oldest
+ * conversation first. Archived conversations are left out.
+ * @param {string} projectId - Project ID
+ * @param {Project[]} projects - All projects
+ * @returns {Promise<StaticSiteSource[]>} Images
+ */
+export async function getProjectSiteSources(projectId: string, projects: Project[]): Promise<StaticSiteSource[]> {
+    const sources: StaticSiteSource[] = [];
+    const timestamps = (await listConversations()).slice().sort(function(a: number, b: number) { return a - b; });
+    for (const timestamp of timestamps) {
+        const owner = projects.find(function(p: Project) { return p.conversationTimestamps.includes(timestamp); });
+        if (!isProjectWithin(owner ? owner.id : "root", projectId, projects)) continue;
+        const summary = await loadSummary(timestamp);
+        if (summary?.archived) continue;
+        const conversation = await loadConversation(timestamp);
+        if (!conversation) continue;
+        conversation.entries.forEach(function(entry: ConversationEntry) {
+            entry.response.imageFilenames.forEach(function(filename: string) {
+                if (filename === "generating") return;
+                sources.push({ conversationTimestamp: timestamp, imageIndex: parseInt(filename, 10) });
+            });
+        });
+    }
+    return sources;
+}
+
+/**
+ * Looks up what each image page shows, skipping images that no longer exist
+ * @param {StaticSiteSource[]} sources - Images in site order
+ * @returns {Promise<StaticSiteImage[]>} Images with their details
+ */
+export async function collectStaticSiteImages(sources: StaticSiteSource[]): Promise<StaticSiteImage[]> {
+    /** @type {Map<number, Conversation | null>} */
+    const conversations: Map<number, Conversation | null> = new Map();
+    /** @type {Map<number, string>} */
+    const titles: Map<number, string> = new Map();
+    const images: StaticSiteImage[] = [];
+
+    for (const source of sources) {
+        const timestamp = source.conversationTimestamp;
+        if (!conversations.has(timestamp)) {
+            conversations.set(timestamp, await loadConversation(timestamp));
+            titles.set(timestamp, (await loadSummary(timestamp))?.title || "Conversation " + timestamp);
+        }
+        const conversation = conversations.get(timestamp);
+        const location = conversation ? findImageLocation(conversation, source) : null;
+        if (!conversation || !location) continue;
+        const entry = conversation.entries[location.entryIndex];
+        images.push({
+            image: { conversationTimestamp: timestamp, imageIndex: source.imageIndex },
+            conversationTitle: titles.get(timestamp) ?? "",
+            note: source.note ?? "",
+            metadata: buildGenerationMetadata(entry, location.imageIndex),
+            created: getEntryCreated(entry, timestamp)
+        });
+    }
+    return images;
+}
+
+/**
+ * Makes the small JPEG shown on the index page
+ * @param {Blob} blob - Stored image
+ * @returns {Promise<Blob>} JPEG thumbnail
+ */
+async function createSiteThumbnail(blob: Blob): Promise<Blob> {
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const scale = Math.min(1, SITE_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = drawRotated(bitmap, bitmap.width, bitmap.height, 0, false, false, scale);
+        return await new Promise(function(resolve, reject) {
+            canvas.toBlob(function(result: Blob | null) {
+                if (result) {
+                    resolve(result);
+                } else {
+                    reject(new Error("Could not encode thumbnail"));
+                }
+            }, "image/jpeg", SITE_THUMBNAIL_QUALITY);
+        });
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Wraps page content in the shared HTML skeleton
+ * @param {string} title - Page title
+ * @param {string} stylesheet - Path of style.css relative to the page
+ * @param {string} body - Body HTML
+ * @returns {string} HTML document
+ */
+function renderPage(title: string, stylesheet: string, body: string): string {
+    return "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n"
+        + "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">\n"
+        + "<title>" + escapeHtml(title) + "</title>\n"
+        + "<link rel=\"stylesheet\" href=\"" + stylesheet + "\">\n</head>\n<body>\n"
+        + body
+        + "<footer>Exported " + escapeHtml(new Date().toLocaleDateString()) + "</footer>\n</body>\n</html>\n";
+}
+
+/**
+ * Renders the index page: title, description and a grid of thumbnails
+ * @param {StaticSiteImage[]} images - Images in site order
+ * @param {StaticSiteOptions} options - Site title and description
+ * @returns {string} HTML document
+ */
+function renderIndexPage(images: StaticSiteImage[], options: StaticSiteOptions): string {
+    let body = "<header>\n<h1>" + escapeHtml(options.title) + "</h1>\n";
+    if (options.description) {
+        body += "<p class=\"description\">" + escapeHtml(options.description) + "</p>\n";
+    }
+    body += "<div class=\"count\">" + images.length + (images.length === 1 ? " image" : " images") + "</div>\n</header>\n";
+    body += "<main class=\"grid\">\n";
+    images.forEach(function(item: StaticSiteImage, index: number) {
+        const caption = item.note || item.metadata.prompt || item.conversationTitle;
+        body += "<a class=\"tile\" href=\"pages/" + (index + 1) + ".html\" title=\"" + escapeHtml(caption) + "\">"
+            + "<img src=\"thumbs/" + (index + 1) + ".jpg\" alt=\"" + escapeHtml(caption) + "\" loading=\"lazy\">"
+            + "<span>" + escapeHtml(caption) + "</span></a>\n";
+    });
+    body += "</main>\n";
+    return renderPage(options.title, "style.css", body);
+}
+
+/**
+ * Renders the page of one image with its details and links to its neighbours
+ * @param {StaticSiteImage[]} images - Images in site order
+ * @param {number} index - Position of the image
+ * @param {string} imagePath - Path of the image shown, relative to the page
+ * @param {string | null} originalPath - Path of the full-size file, or null if not included
+ * @param {StaticSiteOptions} options - Site title
+ * @returns {string} HTML document
+ */
+function renderImagePage(images: StaticSiteImage[], index: number, imagePath: string, originalPath: string | null, options: StaticSiteOptions): string {
+    const item = images[index];
+    const metadata = item.metadata;
+    const link = function(target: number, text: string): string {
+        return target >= 0 && target < images.length ? "<a href=\"" + (target + 1) + ".html\">" + text + "</a>" : "<span></span>";
+    };
+
+    let body = "<nav>" + link(index - 1, "← Previous") + "<a href=\"../index.html\">" + escapeHtml(options.title) + "</a>" + link(index + 1, "Next →") + "</nav>\n";
+    body += "<main>\n<img class=\"image\" src=\"" + imagePath + "\" alt=\"" + escapeHtml(metadata.prompt) + "\">\n<dl class=\"details\">\n";
+    const detail = function(label: string, html: string) {
+        body += "<dt>" + label + "</dt><dd>" + html + "</dd>\n";
+    };
+    if (item.note) detail("Note", escapeHtml(item.note));
+    detail("Prompt", escapeHtml(metadata.prompt));
+    detail("Conversation", escapeHtml(item.conversationTitle));
+    detail("Model", escapeHtml(metadata.modelName || metadata.modelId || "Unknown"));
+    if (metadata.seed !== null) detail("Seed", String(metadata.seed));
+    if (metadata.aspectRatio || metadata.resolution) {
+        detail("Size", escapeHtml([metadata.aspectRatio, metadata.resolution].filter(Boolean).join(" · ")));
+    }
+    detail("Rating", metadata.rating !== null ? "<span class=\"rating\">" + ratingToStars(metadata.rating) + "</span>" : "Unrated");
+    if (metadata.tags.length > 0) {
+        detail("Tags", metadata.tags.map(function(tag: string) { return "<span class=\"tag\">" + escapeHtml(tag) + "</span>"; }).join(""));
+    }
+    detail("Created", escapeHtml(new Date(item.created).toLocaleString()));
+    if (originalPath) {
+        detail("File", "<a href=\"" + originalPath + "\" download>Download full size</a>");
+    }
+    body += "</dl>\n</main>\n";
+    return renderPage((index + 1) + " · " + options.title, "../style.css", body);
+}
+
+/**
+ * Builds the files of the site
+ * @param {StaticSiteImage[]} images - Images in site order
+ * @param {StaticSiteOptions} options - Title, description and whether to include full-size files
+ * @param {function(number, number): void} [onProgress] - Called with images done and total
+ * @returns {Promise<ZipEntry[]>} Site files, paths relative to the site folder
+ */
+export async function buildStaticSite(images: StaticSiteImage[], options: StaticSiteOptions, onProgress?: (done: number, total: number) => void): Promise<ZipEntry[]> {
+    const encoder = new TextEncoder();
+    const entries: ZipEntry[] = [];
+    const pages: string[] = [];
+    const exported: StaticSiteImage[] = [];
+
+    for (const item of images) {
+        const blob = await getImage(item.image.conversationTimestamp, item.image.imageIndex);
+        if (!blob) continue;
+        const number = exported.length + 1;
+        exported.push(item);
+        entries.push({ name: "thumbs/" + number + ".jpg", data: await createSiteThumbnail(blob) });
+        const extension = IMAGE_EXTENSIONS[blob.type] ?? "png";
+        if (options.includeOriginals) {
+            entries.push({ name: "images/" + number + "." + extension, data: blob });
+            pages.push("../images/" + number + "." + extension);
+        } else {
+            pages.push("../thumbs/" + number + ".jpg");
+        }
+        if (onProgress) onProgress(exported.length, images.length);
+    }
+
+    pages.forEach(function(imagePath: string, index: number) {
+        const page = renderImagePage(exported, index, imagePath, options.includeOriginals ? imagePath : null, options);
+        entries.push({ name: "pages/" + (index + 1) + ".html", data: encoder.encode(page) });
+    });
+    entries.unshift(
+        { name: "index.html", data: encoder.encode(renderIndexPage(exported, options)) },
+        { name: "style.css", data: encoder.encode(SITE_STYLESHEET) }
+    );
+    return entries;
+}
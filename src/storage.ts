@@ -10,6 +10,14 @@
  * │   ├── defaultResolution
  * │   ├── defaultAspectRatio
  * │   └── ... (other preference files)
+ * ├── templates/
+ * │   └── {id}.json            (prompt templates, global or per project)
+ * ├── queue/
+ * │   ├── jobs.json            (pending generation jobs, restored on reload)
+ * │   └── masks/
+ * │       └── {id}.png         (inpainting masks of queued jobs)
+ * ├── sync/
+ * │   └── manifest.json        (file times at the last two-way sync with the external folder)
  * └── conversations/
  *     └── {timestamp}/         (epoch seconds, e.g., 1737991234)
  *         ├── conversation.json
@@ -18,17 +26,51 @@
  *             ├── 1.png
  *             ├── 2.png
  *             ├── 3.png
- *             └── ... (sequential numbering for all images in conversation)
+ *             ├── ... (sequential numbering for all images in conversation)
+ *             ├── last-index       (highest number ever used, so numbers of deleted images are not reused)
+ *             └── thumbs/
+ *                 └── {n}.webp     (preview of {n}.png for grids, or {n}.jpg without WebP support)
  */
 
-import type { Conversation, ConversationSummary, Project } from './types/state';
-import { saveImageToExternal, saveConversationToExternal, saveSummaryToExternal, saveReferenceImageToExternal } from './externalSync';
+import type { Conversation, ConversationSummary, Project, GenerationJob, ResponseData, ReferenceImage, SyncManifest, PromptTemplate, SearchDocument, Album } from './types/state';
+import { buildSearchEntries } from './searchIndex';
+import { embedGenerationMetadata } from './pngMetadata';
+import type { PngGenerationMetadata } from './pngMetadata';
+import { createThumbnail, THUMBNAIL_EXTENSIONS } from './thumbnailManager';
+import { saveImageToExternal, saveConversationToExternal, saveSummaryToExternal, saveReferenceImageToExternal, deleteImageFromExternal, deleteConversationFromExternal, copyConversationToExternal, saveAlbumToExternal, deleteAlbumFromExternal } from './externalSync';
 
 const STORAGE_PREFERENCES_DIR: string = "preferences";
 const STORAGE_CONVERSATIONS_DIR: string = "conversations";
 const STORAGE_IMAGES_DIR: string = "images";
+const STORAGE_THUMBS_DIR: string = "thumbs";
+const STORAGE_IMAGE_INDEX_FILE: string = "last-index";
 const STORAGE_REFERENCE_DIR: string = "reference";
 const STORAGE_PROJECTS_DIR: string = "projects";
+const STORAGE_QUEUE_DIR: string = "queue";
+const STORAGE_QUEUE_MASKS_DIR: string = "masks";
+const STORAGE_SYNC_DIR: string = "sync";
+const STORAGE_TEMPLATES_DIR: string = "templates";
+const STORAGE_ALBUMS_DIR: string = "albums";
+const STORAGE_SEARCH_DIR: string = "search";
+
+/** @type {Map<number, Promise<unknown>>} Per-conversation chain that serializes image writes so indices never collide */
+const imageWriteChains: Map<number, Promise<unknown>> = new Map();
+
+/**
+ * Runs an image write after any pending write for the same conversation has finished
+ * @param {number} timestamp - Conversation timestamp
+ * @param {function(): Promise<T>} task - Write task
+ * @returns {Promise<T>} Task result
+ */
+function serializeImageWrite<T>(timestamp: number, task: () => Promise<T>): Promise<T> {
+    const previous = imageWriteChains.get(timestamp) || Promise.resolve();
+    const next = previous.then(task, task);
+    imageWriteChains.set(timestamp, next.catch(function() { return null; }));
+    return next;
+}
+
+/** @type {Map<string, Promise<Blob | null>>} Thumbnails being made, by "timestamp/index", so each is only made once */
+const thumbnailJobs: Map<string, Promise<Blob | null>> = new Map();
 
 /**
  * Gets the OPFS root directory handle
@@ -188,6 +230,46 @@ export async function listConversations(): Promise<number[]> {
     }
 }
 
+/**
+ * Removes "generating" placeholders from an entry response
+ * @param {ResponseData} response - Entry response to clean in place
+ * @returns {boolean} True if any placeholder was removed
+ */
+function stripGeneratingPlaceholders(response: ResponseData): boolean {
+    let removed = false;
+    for (let i = response.imageFilenames.length - 1; i >= 0; i--) {
+        if (response.imageFilenames[i] !== "generating") continue;
+        response.imageFilenames.splice(i, 1);
+        response.imageResolutions?.splice(i, 1);
+        if (response.imageMetadata) {
+            response.imageMetadata.splice(i, 1);
+        }
+        removed = true;
+    }
+    return removed;
+}
+
+/**
+ * Removes the "generating" placeholders that generations interrupted by a page reload left in a
+ * saved conversation, and the new entries that held nothing but a placeholder
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<void>}
+ */
+export async function removeGenerationPlaceholders(timestamp: number): Promise<void> {
+    const conversation = await loadConversation(timestamp);
+    if (!conversation) return;
+
+    let changed = false;
+    conversation.entries = conversation.entries.filter(function(entry) {
+        if (!entry.response?.imageFilenames || !stripGeneratingPlaceholders(entry.response)) return true;
+        changed = true;
+        return entry.response.imageFilenames.length > 0;
+    });
+    if (changed) {
+        await saveConversation(timestamp, conversation);
+    }
+}
+
 /**
  * Loads a conversation by timestamp
  * @param {number} timestamp - Conversation timestamp
@@ -234,6 +316,7 @@ export async function saveConversation(timestamp: number, conversationData: Conv
         await writable.close();
 
         saveConversationToExternal(timestamp, conversationData);
+        updateSearchDocument(timestamp, { entries: buildSearchEntries(conversationData) });
     } catch (e) {
         console.error("Error saving conversation:", e);
     }
@@ -249,18 +332,145 @@ export async function deleteConversation(timestamp: number): Promise<void> {
         const root = await getOPFSHandle();
         const convsDir = await ensureDirectory(root, STORAGE_CONVERSATIONS_DIR);
         await convsDir.removeEntry(String(timestamp), { recursive: true });
+
+        deleteConversationFromExternal(timestamp);
+        deleteSearchDocument(timestamp);
     } catch (e) {
         console.error("Error deleting conversation:", e);
     }
 }
 
+/**
+ * Copies every file in one directory into another (non-recursive)
+ * @param {FileSystemDirectoryHandle} sourceDir - Source directory
+ * @param {FileSystemDirectoryHandle} destDir - Destination directory
+ * @returns {Promise<void>}
+ */
+async function copyDirectoryFiles(sourceDir: FileSystemDirectoryHandle, destDir: FileSystemDirectoryHandle): Promise<void> {
+    for await (const entry of (sourceDir as FileSystemDirectoryHandle & { values(): AsyncIterableIterator<FileSystemHandle> }).values()) {
+        if (entry.kind !== "file") continue;
+        const file = await (entry as FileSystemFileHandle).getFile();
+        const destHandle = await destDir.getFileHandle(entry.name, { create: true });
+        const writable = await destHandle.createWritable();
+        await writable.write(file);
+        await writable.close();
+    }
+}
+
+/**
+ * Points references into the source conversation at the copy instead
+ * @param {ReferenceImage[] | undefined} refs - Reference images to rewrite
+ * @param {number} fromTimestamp - Source conversation timestamp
+ * @param {number} toTimestamp - Copied conversation timestamp
+ * @returns {ReferenceImage[] | undefined} Rewritten references
+ */
+function remapReferenceImages(refs: ReferenceImage[] | undefined, fromTimestamp: number, toTimestamp: number): ReferenceImage[] | undefined {
+    if (!refs) return refs;
+    return refs.map(function(ref: ReferenceImage): ReferenceImage {
+        if (Math.abs(ref.conversationTimestamp) !== fromTimestamp) return ref;
+        // Negative timestamps point into the reference directory and keep their sign
+        const sign = ref.conversationTimestamp < 0 ? -1 : 1;
+        return { conversationTimestamp: sign * toTimestamp, imageIndex: ref.imageIndex };
+    });
+}
+
+/**
+ * Duplicates a conversation with all of its images under a new timestamp
+ * @param {number} timestamp - Source conversation timestamp
+ * @returns {Promise<number | null>} Timestamp of the copy, or null on error
+ */
+export async function duplicateConversation(timestamp: number): Promise<number | null> {
+    try {
+        const conversation = await loadConversation(timestamp);
+        if (!conversation) return null;
+
+        const existing = await listConversations();
+        let newTimestamp = Math.max(Math.floor(Date.now() / 1000), timestamp + 1);
+        while (existing.indexOf(newTimestamp) !== -1) {
+            newTimestamp++;
+        }
+
+        const root = await getOPFSHandle();
+        const convsDir = await ensureDirectory(root, STORAGE_CONVERSATIONS_DIR);
+        const sourceDir = await convsDir.getDirectoryHandle(String(timestamp));
+        const destDir = await ensureDirectory(convsDir, String(newTimestamp));
+
+        for (const dirName of [STORAGE_IMAGES_DIR, STORAGE_REFERENCE_DIR]) {
+            try {
+                const sourceSubDir = await sourceDir.getDirectoryHandle(dirName);
+                await copyDirectoryFiles(sourceSubDir, await ensureDirectory(destDir, dirName));
+            } catch (e) {
+                // Source has no such directory; nothing to copy
+            }
+        }
+
+        const copy: Conversation = {
+            timestamp: newTimestamp,
+            entries: conversation.entries.map(function(entry) {
+                const derivedFrom = entry.message.derivedFrom
+                    ? remapReferenceImages([entry.message.derivedFrom], timestamp, newTimestamp)![0]
+                    : undefined;
+                // Lineage parents inside the source now live in the copy, so the copy keeps its own tree
+                const imageMetadata = entry.response.imageMetadata?.map(function(metadata) {
+                    if (!metadata?.lineage) return metadata;
+                    return Object.assign({}, metadata, {
+                        lineage: Object.assign({}, metadata.lineage, {
+                            parents: remapReferenceImages(metadata.lineage.parents, timestamp, newTimestamp)
+                        })
+                    });
+                });
+                return {
+                    message: Object.assign({}, entry.message, {
+                        referenceImages: remapReferenceImages(entry.message.referenceImages, timestamp, newTimestamp),
+                        derivedFrom: derivedFrom
+                    }),
+                    response: Object.assign({}, entry.response, { imageMetadata: imageMetadata })
+                };
+            }),
+            referenceImages: remapReferenceImages(conversation.referenceImages, timestamp, newTimestamp)
+        };
+        await saveConversation(newTimestamp, copy);
+
+        const summary = await loadSummary(timestamp);
+        const now = Math.floor(Date.now() / 1000);
+        await saveSummary(newTimestamp, {
+            title: (summary?.title || "New Conversation") + " (copy)",
+            imageCount: summary?.imageCount ?? 0,
+            entryCount: copy.entries.length,
+            created: now,
+            updated: now
+        });
+
+        copyConversationToExternal(newTimestamp);
+
+        return newTimestamp;
+    } catch (e) {
+        console.error("Error duplicating conversation:", e);
+        return null;
+    }
+}
+
 /**
  * Saves an image to a conversation
  * @param {number} timestamp - Conversation timestamp
  * @param {string} imageData - Base64 data URL or raw base64 string
+ * @param {PngGenerationMetadata} [metadata] - Generation parameters to embed in the PNG
  * @returns {Promise<number | null>} Image index number, or null on error
  */
-export async function saveImage(timestamp: number, imageData: string): Promise<number | null> {
+export async function saveImage(timestamp: number, imageData: string, metadata?: PngGenerationMetadata): Promise<number | null> {
+    return serializeImageWrite(timestamp, function() {
+        return writeImage(timestamp, imageData, metadata);
+    });
+}
+
+/**
+ * Writes an image file at the next free index (callers must serialize per conversation)
+ * @param {number} timestamp - Conversation timestamp
+ * @param {string} imageData - Base64 data URL or raw base64 string
+ * @param {PngGenerationMetadata} [metadata] - Generation parameters to embed in the PNG
+ * @returns {Promise<number | null>} Image index number, or null on error
+ */
+async function writeImage(timestamp: number, imageData: string, metadata?: PngGenerationMetadata): Promise<number | null> {
     try {
         const root = await getOPFSHandle();
         const convsDir = await ensureDirectory(root, STORAGE_CONVERSATIONS_DIR);
@@ -278,17 +488,22 @@ export async function saveImage(timestamp: number, imageData: string): Promise<n
         }
 
         const binaryString = atob(base64Data);
-        const bytes = new Uint8Array(binaryString.length);
+        let bytes = new Uint8Array(binaryString.length);
         for (let i = 0; i < binaryString.length; i++) {
             bytes[i] = binaryString.charCodeAt(i);
         }
+        if (metadata) {
+            bytes = embedGenerationMetadata(bytes, metadata);
+        }
 
         const fileHandle = await imagesDir.getFileHandle(String(nextIndex) + ".png", { create: true });
         const writable = await fileHandle.createWritable();
         await writable.write(bytes);
         await writable.close();
+        await recordImageIndex(imagesDir, nextIndex);
 
-        saveImageToExternal(timestamp, imageData, nextIndex);
+        saveImageToExternal(timestamp, bytes, nextIndex);
+        makeThumbnail(timestamp, nextIndex, new Blob([bytes], { type: "image/png" }));
 
         return nextIndex;
     } catch (e) {
@@ -298,12 +513,41 @@ export async function saveImage(timestamp: number, imageData: string): Promise<n
 }
 
 /**
- * Gets the next available image index for a conversation
+ * Reads the highest image number a conversation has ever used
+ * @param {FileSystemDirectoryHandle} imagesDir - Images directory handle
+ * @returns {Promise<number>} Highest number, or 0 if none was recorded
+ */
+export async function readImageIndex(imagesDir: FileSystemDirectoryHandle): Promise<number> {
+    try {
+        const fileHandle = await imagesDir.getFileHandle(STORAGE_IMAGE_INDEX_FILE);
+        const value = parseInt(await (await fileHandle.getFile()).text(), 10);
+        return isNaN(value) ? 0 : value;
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * Records that an image number is used, so it is never handed out again after the image is deleted
+ * @param {FileSystemDirectoryHandle} imagesDir - Images directory handle
+ * @param {number} imageIndex - Image number now in use
+ * @returns {Promise<void>}
+ */
+export async function recordImageIndex(imagesDir: FileSystemDirectoryHandle, imageIndex: number): Promise<void> {
+    if (imageIndex <= await readImageIndex(imagesDir)) return;
+    const fileHandle = await imagesDir.getFileHandle(STORAGE_IMAGE_INDEX_FILE, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(String(imageIndex));
+    await writable.close();
+}
+
+/**
+ * Gets the next available image index for a conversation; numbers of deleted images are not reused
  * @param {FileSystemDirectoryHandle} imagesDir - Images directory handle
  * @returns {Promise<number>} Next image number
  */
 export async function getNextImageIndex(imagesDir: FileSystemDirectoryHandle): Promise<number> {
-    let maxIndex = 0;
+    let maxIndex = await readImageIndex(imagesDir);
     for await (const entry of imagesDir.values()) {
         if (entry.kind === "file" && entry.name.endsWith(".png")) {
             const num = parseInt(entry.name.replace(".png", ""), 10);
@@ -344,21 +588,166 @@ export async function getImageDataURL(timestamp: number, imageIndex: number): Pr
     try {
         const blob = await getImage(timestamp, imageIndex);
         if (!blob) return null;
-        return new Promise<string | null>(function(resolve) {
-            const reader = new FileReader();
-            reader.onloadend = function() {
-                resolve(reader.result as string);
-            };
-            reader.onerror = function() {
-                resolve(null);
-            };
-            reader.readAsDataURL(blob);
-        });
+        return await readBlobAsDataURL(blob);
     } catch (e) {
         return null;
     }
 }
 
+/**
+ * Reads a blob as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string | null>} Base64 data URL, or null if it could not be read
+ */
+function readBlobAsDataURL(blob: Blob): Promise<string | null> {
+    return new Promise<string | null>(function(resolve) {
+        const reader = new FileReader();
+        reader.onloadend = function() {
+            resolve(reader.result as string);
+        };
+        reader.onerror = function() {
+            resolve(null);
+        };
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Gets the thumbnails directory of a conversation's images
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<FileSystemDirectoryHandle>} Thumbnails directory handle
+ */
+async function getThumbnailsDirectory(timestamp: number): Promise<FileSystemDirectoryHandle> {
+    const root = await getOPFSHandle();
+    const convsDir = await ensureDirectory(root, STORAGE_CONVERSATIONS_DIR);
+    const convDir = await convsDir.getDirectoryHandle(String(timestamp));
+    const imagesDir = await ensureDirectory(convDir, STORAGE_IMAGES_DIR);
+    return await ensureDirectory(imagesDir, STORAGE_THUMBS_DIR);
+}
+
+/**
+ * Finds the stored thumbnail of an image
+ * @param {FileSystemDirectoryHandle} thumbsDir - Thumbnails directory handle
+ * @param {number} imageIndex - Image index number
+ * @returns {Promise<File | null>} Thumbnail file, or null if there is none
+ */
+async function findThumbnail(thumbsDir: FileSystemDirectoryHandle, imageIndex: number): Promise<File | null> {
+    for (const extension of Object.values(THUMBNAIL_EXTENSIONS)) {
+        try {
+            const fileHandle = await thumbsDir.getFileHandle(String(imageIndex) + "." + extension);
+            return await fileHandle.getFile();
+        } catch (e) {
+            // No thumbnail of this type
+        }
+    }
+    return null;
+}
+
+/**
+ * Makes and stores the thumbnail of an image, replacing any older one
+ * @param {number} timestamp - Conversation timestamp
+ * @param {number} imageIndex - Image index number
+ * @param {Blob} blob - Full image
+ * @returns {Promise<Blob | null>} Thumbnail, or null if it could not be made
+ */
+function makeThumbnail(timestamp: number, imageIndex: number, blob: Blob): Promise<Blob | null> {
+    const key = timestamp + "/" + imageIndex;
+    const pending = thumbnailJobs.get(key);
+    if (pending) return pending;
+
+    const job = (async function(): Promise<Blob | null> {
+        try {
+            const thumbnail = await createThumbnail(blob);
+            const thumbsDir = await getThumbnailsDirectory(timestamp);
+            const name = String(imageIndex) + "." + THUMBNAIL_EXTENSIONS[thumbnail.type];
+            for (const extension of Object.values(THUMBNAIL_EXTENSIONS)) {
+                const staleName = String(imageIndex) + "." + extension;
+                if (staleName !== name) {
+                    await thumbsDir.removeEntry(staleName).catch(function() { return; });
+                }
+            }
+            const fileHandle = await thumbsDir.getFileHandle(name, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(thumbnail);
+            await writable.close();
+            return thumbnail;
+        } catch (e) {
+            console.error("Error creating thumbnail:", e);
+            return null;
+        } finally {
+            thumbnailJobs.delete(key);
+        }
+    })();
+    thumbnailJobs.set(key, job);
+    return job;
+}
+
+/**
+ * Gets the thumbnail of an image, making it first if it is missing or older than the image
+ * @param {number} timestamp - Conversation timestamp
+ * @param {number} imageIndex - Image index number
+ * @returns {Promise<Blob | null>} Thumbnail (the full image if no thumbnail could be made), or null if the image does not exist
+ */
+export async function getThumbnail(timestamp: number, imageIndex: number): Promise<Blob | null> {
+    const image = await getImage(timestamp, imageIndex) as File | null;
+    if (!image) return null;
+    try {
+        const thumbnail = await findThumbnail(await getThumbnailsDirectory(timestamp), imageIndex);
+        if (thumbnail && thumbnail.lastModified >= image.lastModified) {
+            return thumbnail;
+        }
+    } catch (e) {
+        // Fall through and make the thumbnail
+    }
+    return (await makeThumbnail(timestamp, imageIndex, image)) ?? image;
+}
+
+/**
+ * Gets the data URL for an image's thumbnail
+ * @param {number} timestamp - Conversation timestamp
+ * @param {number} imageIndex - Image index number
+ * @returns {Promise<string | null>} Base64 data URL
+ */
+export async function getThumbnailDataURL(timestamp: number, imageIndex: number): Promise<string | null> {
+    try {
+        const blob = await getThumbnail(timestamp, imageIndex);
+        if (!blob) return null;
+        return await readBlobAsDataURL(blob);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Deletes a single image file from a conversation, locally and in the external directory
+ * @param {number} timestamp - Conversation timestamp
+ * @param {number} imageIndex - Image index number (file name without .png)
+ * @returns {Promise<void>}
+ */
+export async function deleteImage(timestamp: number, imageIndex: number): Promise<void> {
+    return serializeImageWrite(timestamp, async function() {
+        try {
+            const root = await getOPFSHandle();
+            const convsDir = await ensureDirectory(root, STORAGE_CONVERSATIONS_DIR);
+            const convDir = await convsDir.getDirectoryHandle(String(timestamp));
+            const imagesDir = await ensureDirectory(convDir, STORAGE_IMAGES_DIR);
+            await imagesDir.removeEntry(String(imageIndex) + ".png");
+        } catch (e) {
+            console.error("Error deleting image:", e);
+        }
+        try {
+            const thumbsDir = await getThumbnailsDirectory(timestamp);
+            for (const extension of Object.values(THUMBNAIL_EXTENSIONS)) {
+                await thumbsDir.removeEntry(String(imageIndex) + "." + extension).catch(function() { return; });
+            }
+        } catch (e) {
+            // Conversation is gone; no thumbnails to delete
+        }
+
+        deleteImageFromExternal(timestamp, imageIndex);
+    });
+}
+
 /**
  * Deletes all images for a conversation
  * @param {number} timestamp - Conversation timestamp
@@ -371,7 +760,7 @@ export async function deleteImagesForConversation(timestamp: number): Promise<vo
         const convDir = await convsDir.getDirectoryHandle(String(timestamp));
         const imagesDir = await ensureDirectory(convDir, STORAGE_IMAGES_DIR);
         for await (const entry of imagesDir.values()) {
-            await imagesDir.removeEntry(entry.name);
+            await imagesDir.removeEntry(entry.name, { recursive: true });
         }
     } catch (e) {
         console.error("Error deleting images:", e);
@@ -395,6 +784,7 @@ export async function saveSummary(timestamp: number, summaryData: ConversationSu
         await writable.close();
 
         saveSummaryToExternal(timestamp, summaryData);
+        updateSearchDocument(timestamp, { title: summaryData.title, archived: summaryData.archived === true });
     } catch (e) {
         console.error("Error saving summary:", e);
     }
@@ -825,7 +1215,10 @@ export async function createRootProject(): Promise<Project> {
             systemPrompt: null,
             defaultResolution: null,
             defaultAspectRatio: null,
-            defaultRatingFilter: null
+            defaultRatingFilter: null,
+            provider: null,
+            budget: null,
+            autoTag: null
         },
         conversationTimestamps: conversationTimestamps
     };
@@ -871,3 +1264,452 @@ export async function reparentProject(projectId: string, newParentId: string | n
     project.parentId = newParentId;
     await saveProject(project);
 }
+
+/** @type {Promise<void>} Chain that serializes writes of jobs.json so an older job list never lands last */
+let queueWriteChain: Promise<void> = Promise.resolve();
+
+/** @type {string | null} Job list waiting for the next write; later saves replace it before it is written */
+let queuedJobsJson: string | null = null;
+
+/**
+ * Saves the pending generation jobs so they survive a page reload. Writes run one at a time,
+ * and saves made while a write is waiting are merged into it.
+ * @param {GenerationJob[]} jobs - Jobs to persist
+ * @returns {Promise<void>}
+ */
+export function saveGenerationQueue(jobs: GenerationJob[]): Promise<void> {
+    const writePending = queuedJobsJson !== null;
+    queuedJobsJson = JSON.stringify(jobs, null, 2);
+    if (writePending) return queueWriteChain;
+
+    queueWriteChain = queueWriteChain.then(async function() {
+        const content = queuedJobsJson as string;
+        queuedJobsJson = null;
+        try {
+            const root = await getOPFSHandle();
+            const queueDir = await ensureDirectory(root, STORAGE_QUEUE_DIR);
+            const fileHandle = await queueDir.getFileHandle('jobs.json', { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(content);
+            await writable.close();
+        } catch (e) {
+            console.error("Error saving generation queue:", e);
+        }
+    });
+    return queueWriteChain;
+}
+
+/**
+ * Loads the persisted generation jobs
+ * @returns {Promise<GenerationJob[]>} Persisted jobs, or empty array
+ */
+export async function loadGenerationQueue(): Promise<GenerationJob[]> {
+    try {
+        const root = await getOPFSHandle();
+        const queueDir = await ensureDirectory(root, STORAGE_QUEUE_DIR);
+        const fileHandle = await queueDir.getFileHandle('jobs.json');
+        const file = await fileHandle.getFile();
+        const content = await file.text();
+        return JSON.parse(content) as GenerationJob[];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Gets the directory holding the inpainting masks of queued jobs
+ * @returns {Promise<FileSystemDirectoryHandle>} Masks directory handle
+ */
+async function getQueueMasksDirectory(): Promise<FileSystemDirectoryHandle> {
+    const root = await getOPFSHandle();
+    const queueDir = await ensureDirectory(root, STORAGE_QUEUE_DIR);
+    return await ensureDirectory(queueDir, STORAGE_QUEUE_MASKS_DIR);
+}
+
+/**
+ * Stores an inpainting mask for a queued job, so jobs.json only holds its file name
+ * @param {string} maskData - Mask as a PNG data URL
+ * @returns {Promise<string | null>} Mask file name, or null on error
+ */
+export async function saveQueueMask(maskData: string): Promise<string | null> {
+    try {
+        const blob = await (await fetch(maskData)).blob();
+        const name = 'mask_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9) + ".png";
+        const fileHandle = await (await getQueueMasksDirectory()).getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+        return name;
+    } catch (e) {
+        console.error("Error saving mask:", e);
+        return null;
+    }
+}
+
+/**
+ * Loads the inpainting mask of a queued job
+ * @param {string} name - Mask file name
+ * @returns {Promise<string | null>} Mask as a PNG data URL, or null if missing
+ */
+export async function loadQueueMask(name: string): Promise<string | null> {
+    try {
+        const fileHandle = await (await getQueueMasksDirectory()).getFileHandle(name);
+        return await readBlobAsDataURL(await fileHandle.getFile());
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Deletes stored inpainting masks
+ * @param {function(string): boolean} shouldDelete - Called with each mask file name
+ * @returns {Promise<void>}
+ */
+export async function deleteQueueMasks(shouldDelete: (name: string) => boolean): Promise<void> {
+    try {
+        const masksDir = await getQueueMasksDirectory();
+        const names: string[] = [];
+        for await (const entry of (masksDir as FileSystemDirectoryHandle & { values(): AsyncIterableIterator<FileSystemHandle> }).values()) {
+            if (entry.kind === "file" && shouldDelete(entry.name)) {
+                names.push(entry.name);
+            }
+        }
+        for (const name of names) {
+            await masksDir.removeEntry(name);
+        }
+    } catch (e) {
+        console.error("Error deleting masks:", e);
+    }
+}
+
+/**
+ * Saves the two-way sync manifest
+ * @param {SyncManifest} manifest - Manifest to persist
+ * @returns {Promise<void>}
+ */
+export async function saveSyncManifest(manifest: SyncManifest): Promise<void> {
+    try {
+        const root = await getOPFSHandle();
+        const syncDir = await ensureDirectory(root, STORAGE_SYNC_DIR);
+        const fileHandle = await syncDir.getFileHandle('manifest.json', { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(JSON.stringify(manifest));
+        await writable.close();
+    } catch (e) {
+        console.error("Error saving sync manifest:", e);
+    }
+}
+
+/**
+ * Loads the two-way sync manifest
+ * @returns {Promise<SyncManifest | null>} Manifest, or null if no two-way sync has run yet
+ */
+export async function loadSyncManifest(): Promise<SyncManifest | null> {
+    try {
+        const root = await getOPFSHandle();
+        const syncDir = await ensureDirectory(root, STORAGE_SYNC_DIR);
+        const fileHandle = await syncDir.getFileHandle('manifest.json');
+        const file = await fileHandle.getFile();
+        const content = await file.text();
+        return JSON.parse(content) as SyncManifest;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Saves a prompt template to OPFS
+ * @param {PromptTemplate} template - Template to save
+ * @returns {Promise<void>}
+ */
+export async function saveTemplate(template: PromptTemplate): Promise<void> {
+    try {
+        const root = await getOPFSHandle();
+        const templatesDir = await ensureDirectory(root, STORAGE_TEMPLATES_DIR);
+        const fileHandle = await templatesDir.getFileHandle(template.id + '.json', { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(JSON.stringify(template, null, 2));
+        await writable.close();
+    } catch (e) {
+        console.error("Error saving template:", e);
+    }
+}
+
+/**
+ * Loads all prompt templates from OPFS
+ * @returns {Promise<PromptTemplate[]>} Templates sorted by name
+ */
+export async function loadAllTemplates(): Promise<PromptTemplate[]> {
+    const templates: PromptTemplate[] = [];
+    try {
+        const root = await getOPFSHandle();
+        const templatesDir = await ensureDirectory(root, STORAGE_TEMPLATES_DIR);
+        for await (const entry of (templatesDir as FileSystemDirectoryHandle & { values(): AsyncIterableIterator<FileSystemHandle> }).values()) {
+            if (entry.kind !== 'file' || !entry.name.endsWith('.json')) continue;
+            try {
+                const file = await (entry as FileSystemFileHandle).getFile();
+                templates.push(JSON.parse(await file.text()) as PromptTemplate);
+            } catch (e) {
+                console.error("Error loading template", entry.name, e);
+            }
+        }
+    } catch (e) {
+        console.error("Error listing templates:", e);
+    }
+    return templates.sort(function(a: PromptTemplate, b: PromptTemplate) { return a.name.localeCompare(b.name); });
+}
+
+/**
+ * Deletes a prompt template
+ * @param {string} id - Template ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTemplate(id: string): Promise<void> {
+    try {
+        const root = await getOPFSHandle();
+        const templatesDir = await ensureDirectory(root, STORAGE_TEMPLATES_DIR);
+        await templatesDir.removeEntry(id + '.json');
+    } catch (e) {
+        console.error("Error deleting template:", e);
+    }
+}
+
+/**
+ * Saves an album to OPFS
+ * @param {Album} album - Album to save
+ * @returns {Promise<void>}
+ */
+export async function saveAlbum(album: Album): Promise<void> {
+    try {
+        const root = await getOPFSHandle();
+        const albumsDir = await ensureDirectory(root, STORAGE_ALBUMS_DIR);
+        const fileHandle = await albumsDir.getFileHandle(album.id + '.json', { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(JSON.stringify(album, null, 2));
+        await writable.close();
+        saveAlbumToExternal(album);
+    } catch (e) {
+        console.error("Error saving album:", e);
+    }
+}
+
+/**
+ * Loads all albums from OPFS
+ * @returns {Promise<Album[]>} Albums sorted by title
+ */
+export async function loadAllAlbums(): Promise<Album[]> {
+    const albums: Album[] = [];
+    try {
+        const root = await getOPFSHandle();
+        const albumsDir = await ensureDirectory(root, STORAGE_ALBUMS_DIR);
+        for await (const entry of (albumsDir as FileSystemDirectoryHandle & { values(): AsyncIterableIterator<FileSystemHandle> }).values()) {
+            if (entry.kind !== 'file' || !entry.name.endsWith('.json')) continue;
+            try {
+                const file = await (entry as FileSystemFileHandle).getFile();
+                albums.push(JSON.parse(await file.text()) as Album);
+            } catch (e) {
+                console.error("Error loading album", entry.name, e);
+            }
+        }
+    } catch (e) {
+        console.error("Error listing albums:", e);
+    }
+    return albums.sort(function(a: Album, b: Album) { return a.title.localeCompare(b.title); });
+}
+
+/**
+ * Deletes an album; its images stay in their conversations
+ * @param {string} id - Album ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAlbum(id: string): Promise<void> {
+    try {
+        const root = await getOPFSHandle();
+        const albumsDir = await ensureDirectory(root, STORAGE_ALBUMS_DIR);
+        await albumsDir.removeEntry(id + '.json');
+        deleteAlbumFromExternal(id);
+    } catch (e) {
+        console.error("Error deleting album:", e);
+    }
+}
+
+/** @type {Map<number, SearchDocument> | null} Search records by conversation, once loaded */
+let searchIndexCache: Map<number, SearchDocument> | null = null;
+
+/** @type {Promise<void>} Serializes search record writes so concurrent saves do not drop fields */
+let searchWriteChain: Promise<void> = Promise.resolve();
+
+/** @type {Promise<Map<number, SearchDocument>> | null} Index load in progress, shared by concurrent callers */
+let searchIndexLoad: Promise<Map<number, SearchDocument>> | null = null;
+
+/**
+ * Reads the stored search record of a conversation
+ * @param {FileSystemDirectoryHandle} searchDir - Search directory handle
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<SearchDocument | null>} Record, or null if missing
+ */
+async function readSearchDocument(searchDir: FileSystemDirectoryHandle, timestamp: number): Promise<SearchDocument | null> {
+    try {
+        const fileHandle = await searchDir.getFileHandle(String(timestamp) + ".json");
+        const file = await fileHandle.getFile();
+        return JSON.parse(await file.text()) as SearchDocument;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Writes a search record
+ * @param {FileSystemDirectoryHandle} searchDir - Search directory handle
+ * @param {SearchDocument} doc - Record to write
+ * @returns {Promise<void>}
+ */
+async function writeSearchDocument(searchDir: FileSystemDirectoryHandle, doc: SearchDocument): Promise<void> {
+    const fileHandle = await searchDir.getFileHandle(String(doc.conversationTimestamp) + ".json", { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(JSON.stringify(doc));
+    await writable.close();
+}
+
+/**
+ * Updates part of a conversation's search record (entries on conversation saves, title and
+ * archived flag on summary saves)
+ * @param {number} timestamp - Conversation timestamp
+ * @param {Partial<SearchDocument>} changes - Fields to replace
+ * @returns {Promise<void>}
+ */
+function updateSearchDocument(timestamp: number, changes: Partial<SearchDocument>): Promise<void> {
+    searchWriteChain = searchWriteChain.then(async function() {
+        try {
+            const root = await getOPFSHandle();
+            const searchDir = await ensureDirectory(root, STORAGE_SEARCH_DIR);
+            const existing = searchIndexCache?.get(timestamp) ?? await readSearchDocument(searchDir, timestamp);
+            const doc: SearchDocument = Object.assign({
+                conversationTimestamp: timestamp,
+                title: "New Conversation",
+                archived: false,
+                indexed: 0,
+                entries: []
+            }, existing, changes, { indexed: Date.now() });
+            await writeSearchDocument(searchDir, doc);
+            if (searchIndexCache) {
+                searchIndexCache.set(timestamp, doc);
+            }
+        } catch (e) {
+            console.error("Error updating search index:", e);
+        }
+    });
+    return searchWriteChain;
+}
+
+/**
+ * Removes a conversation's search record
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<void>}
+ */
+function deleteSearchDocument(timestamp: number): Promise<void> {
+    searchWriteChain = searchWriteChain.then(async function() {
+        searchIndexCache?.delete(timestamp);
+        try {
+            const root = await getOPFSHandle();
+            const searchDir = await ensureDirectory(root, STORAGE_SEARCH_DIR);
+            await searchDir.removeEntry(String(timestamp) + ".json");
+        } catch (e) {
+            // Nothing indexed yet
+        }
+    });
+    return searchWriteChain;
+}
+
+/**
+ * Gets the last modification time of a file in a conversation directory
+ * @param {FileSystemDirectoryHandle} convDir - Conversation directory handle
+ * @param {string} name - File name
+ * @returns {Promise<number>} Modification time in ms, or 0 if missing
+ */
+async function getFileModified(convDir: FileSystemDirectoryHandle, name: string): Promise<number> {
+    try {
+        const file = await (await convDir.getFileHandle(name)).getFile();
+        return file.lastModified;
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * Loads the search index. On first use, records that are missing or older than their
+ * conversation files (e.g. after a sync pull) are rebuilt.
+ * @returns {Promise<SearchDocument[]>} Search records of all conversations
+ */
+export async function loadSearchIndex(): Promise<SearchDocument[]> {
+    if (searchIndexCache) {
+        return Array.from(searchIndexCache.values());
+    }
+    // The load runs on the write chain: record writes queued meanwhile wait for it and then
+    // update the loaded cache, so none of them is lost
+    if (!searchIndexLoad) {
+        const load = searchWriteChain.then(readSearchIndex);
+        searchWriteChain = load.then(function() {});
+        searchIndexLoad = load;
+    }
+    return Array.from((await searchIndexLoad).values());
+}
+
+/**
+ * Reads every search record into the cache, rebuilding the stale ones
+ * @returns {Promise<Map<number, SearchDocument>>} Search records by conversation
+ */
+async function readSearchIndex(): Promise<Map<number, SearchDocument>> {
+    const cache: Map<number, SearchDocument> = new Map();
+    try {
+        const root = await getOPFSHandle();
+        const searchDir = await ensureDirectory(root, STORAGE_SEARCH_DIR);
+        const convsDir = await ensureDirectory(root, STORAGE_CONVERSATIONS_DIR);
+        for (const timestamp of await listConversations()) {
+            const convDir = await convsDir.getDirectoryHandle(String(timestamp));
+            const modified = Math.max(await getFileModified(convDir, "conversation.json"), await getFileModified(convDir, "summary.json"));
+            let doc = await readSearchDocument(searchDir, timestamp);
+            if (!doc || doc.indexed < modified) {
+                const conversation = await loadConversation(timestamp);
+                if (!conversation) continue;
+                const summary = await loadSummary(timestamp);
+                doc = {
+                    conversationTimestamp: timestamp,
+                    title: summary?.title || "New Conversation",
+                    archived: summary?.archived === true,
+                    indexed: Date.now(),
+                    entries: buildSearchEntries(conversation)
+                };
+                await writeSearchDocument(searchDir, doc);
+            }
+            cache.set(timestamp, doc);
+        }
+    } catch (e) {
+        console.error("Error loading search index:", e);
+    }
+
+    searchIndexCache = cache;
+    searchIndexLoad = null;
+    return cache;
+}
+
+/**
+ * Rebuilds a conversation's search record from its files, for writes that bypass
+ * saveConversation and saveSummary (sync pulls and merges, library imports). The record is
+ * removed if the conversation no longer exists.
+ * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<void>}
+ */
+export async function reindexConversation(timestamp: number): Promise<void> {
+    const conversation = await loadConversation(timestamp);
+    if (!conversation) {
+        await deleteSearchDocument(timestamp);
+        return;
+    }
+    const summary = await loadSummary(timestamp);
+    await updateSearchDocument(timestamp, {
+        title: summary?.title || "New Conversation",
+        archived: summary?.archived === true,
+        entries: buildSearchEntries(conversation)
+    });
+}
@@ -3,15 +3,23 @@
  * Reusable functions for image tagging across the application
  */
 
-import type { Conversation, ConversationEntry, TaggedImage } from './types/state';
+import { findImageLocation } from './imageEditing';
+import type { Conversation, ConversationEntry, ReferenceImage, TaggedImage } from './types/state';
+
+/** @type {string} Separates a parent tag from its child, e.g. "style/watercolor" */
+export const TAG_SEPARATOR: string = "/";
 
 /**
- * Normalizes a tag string (lowercase, trimmed)
+ * Normalizes a tag string (lowercase, trimmed, no empty hierarchy levels)
  * @param {string} tag - Raw tag string
  * @returns {string} Normalized tag
  */
 export function normalizeTag(tag: string): string {
-    return tag.toLowerCase().trim();
+    return tag.toLowerCase()
+        .split(TAG_SEPARATOR)
+        .map(part => part.trim())
+        .filter(part => part.length > 0)
+        .join(TAG_SEPARATOR);
 }
 
 /**
@@ -124,6 +132,233 @@ export function setTags(entry: ConversationEntry, imageIndex: number, tags: stri
     }
 }
 
+/**
+ * Gets the parent tags of a tag, outermost first
+ * @param {string} tag - Normalized tag, e.g. "style/watercolor/soft"
+ * @returns {string[]} Parents, e.g. ["style", "style/watercolor"]
+ */
+export function getTagAncestors(tag: string): string[] {
+    const parts = tag.split(TAG_SEPARATOR);
+    const ancestors: string[] = [];
+    for (let i = 1; i < parts.length; i++) {
+        ancestors.push(parts.slice(0, i).join(TAG_SEPARATOR));
+    }
+    return ancestors;
+}
+
+/**
+ * Orders tags so that children follow their parent, e.g. "style", "style/ink", "style-old"
+ * @param {string} a - Tag
+ * @param {string} b - Tag
+ * @returns {number} Negative if a comes first, positive if b does, 0 if equal
+ */
+export function compareTags(a: string, b: string): number {
+    const partsA = a.split(TAG_SEPARATOR);
+    const partsB = b.split(TAG_SEPARATOR);
+    for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+        const order = partsA[i].localeCompare(partsB[i]);
+        if (order !== 0) return order;
+    }
+    return partsA.length - partsB.length;
+}
+
+/**
+ * Checks whether a tag matches a searched tag; searching a parent matches its children
+ * @param {string} tag - Tag of an image
+ * @param {string} query - Normalized tag searched for
+ * @returns {boolean} True if the tag is the searched tag or one of its children
+ */
+export function tagMatches(tag: string, query: string): boolean {
+    return tag === query || tag.startsWith(query + TAG_SEPARATOR);
+}
+
+/**
+ * Renames a tag and its children in a list of tags, merging with tags already present
+ * @param {string[]} tags - Tags of an image
+ * @param {string} from - Normalized tag to rename
+ * @param {string} to - Normalized new name
+ * @returns {string[] | null} New tags, or null if nothing changed
+ */
+export function renameTagInList(tags: string[], from: string, to: string): string[] | null {
+    if (!tags.some(t => tagMatches(t, from))) {
+        return null;
+    }
+    const renamed = tags.map(t => tagMatches(t, from) ? to + t.slice(from.length) : t);
+    return renamed.filter((tag, index, arr) => arr.indexOf(tag) === index);
+}
+
+/**
+ * Lists the images of a conversation carrying a tag or one of its children
+ * @param {Conversation} conversation - Conversation
+ * @param {string} tag - Normalized tag
+ * @returns {ReferenceImage[]} Images by conversation and storage index
+ */
+export function getImagesWithTag(conversation: Conversation, tag: string): ReferenceImage[] {
+    const images: ReferenceImage[] = [];
+    for (const entry of conversation.entries) {
+        entry.response.imageFilenames.forEach(function(filename: string, imageIndex: number) {
+            if (filename === "generating") return;
+            const tags = entry.response.imageMetadata?.[imageIndex]?.tags ?? [];
+            if (tags.some(t => tagMatches(t, tag))) {
+                images.push({ conversationTimestamp: conversation.timestamp, imageIndex: parseInt(filename, 10) });
+            }
+        });
+    }
+    return images;
+}
+
+/**
+ * Renames (or merges) a tag and its children on several images of a conversation
+ * @param {Conversation} conversation - Conversation
+ * @param {ReferenceImage[]} images - Images by storage index
+ * @param {string} from - Normalized tag to rename
+ * @param {string} to - Normalized new name; an existing tag means a merge
+ * @returns {ReferenceImage[]} Images whose tags changed
+ */
+export function renameTagForImages(conversation: Conversation, images: ReferenceImage[], from: string, to: string): ReferenceImage[] {
+    const changed: ReferenceImage[] = [];
+    for (const image of images) {
+        const location = findImageLocation(conversation, image);
+        if (!location) continue;
+        const entry = conversation.entries[location.entryIndex];
+        const renamed = renameTagInList(getTagsForImage(entry, location.imageIndex), from, to);
+        if (renamed) {
+            setTags(entry, location.imageIndex, renamed);
+            changed.push(image);
+        }
+    }
+    return changed;
+}
+
+/**
+ * Removes a tag and its children from several images of a conversation
+ * @param {Conversation} conversation - Conversation
+ * @param {ReferenceImage[]} images - Images by storage index
+ * @param {string} tag - Normalized tag to remove
+ * @returns {ReferenceImage[]} Images whose tags changed
+ */
+export function deleteTagForImages(conversation: Conversation, images: ReferenceImage[], tag: string): ReferenceImage[] {
+    const changed: ReferenceImage[] = [];
+    for (const image of images) {
+        const location = findImageLocation(conversation, image);
+        if (!location) continue;
+        const entry = conversation.entries[location.entryIndex];
+        const tags = getTagsForImage(entry, location.imageIndex);
+        const remaining = tags.filter(t => !tagMatches(t, tag));
+        if (remaining.length !== tags.length) {
+            setTags(entry, location.imageIndex, remaining);
+            changed.push(image);
+        }
+    }
+    return changed;
+}
+
+/**
+ * Gets the color of a tag; children without their own color use their parent's
+ * @param {Record<string, string>} colors - Colors by tag
+ * @param {string} tag - Normalized tag
+ * @returns {string | null} CSS color, or null for the default badge color
+ */
+export function getTagColor(colors: Record<string, string>, tag: string): string | null {
+    if (colors[tag]) {
+        return colors[tag];
+    }
+    const ancestors = getTagAncestors(tag);
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+        if (colors[ancestors[i]]) {
+            return colors[ancestors[i]];
+        }
+    }
+    return null;
+}
+
+/**
+ * Moves the colors of a renamed tag and its children to the new name
+ * @param {Record<string, string>} colors - Colors by tag
+ * @param {string} from - Normalized old name
+ * @param {string | null} to - Normalized new name, or null if the tag was deleted
+ * @returns {Record<string, string>} Updated colors
+ */
+export function renameTagColors(colors: Record<string, string>, from: string, to: string | null): Record<string, string> {
+    const updated: Record<string, string> = {};
+    for (const tag of Object.keys(colors)) {
+        if (!tagMatches(tag, from)) {
+            updated[tag] = colors[tag];
+        } else if (to !== null) {
+            const renamed = to + tag.slice(from.length);
+            // When merging, the target keeps its own color
+            updated[renamed] = updated[renamed] ?? colors[renamed] ?? colors[tag];
+        }
+    }
+    return updated;
+}
+
+/**
+ * Picks black or white text for a badge background
+ * @param {string} color - Background color as #rrggbb
+ * @returns {string} "#000" or "#fff"
+ */
+export function getReadableTextColor(color: string): string {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+    if (!match) {
+        return "#fff";
+    }
+    const [r, g, b] = [match[1], match[2], match[3]].map(v => parseInt(v, 16));
+    // Perceived brightness (ITU-R BT.601)
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? "#000" : "#fff";
+}
+
+/**
+ * Adds and removes tags on several images of a conversation at once
+ * @param {Conversation} conversation - Conversation holding the images
+ * @param {ReferenceImage[]} images - Images by storage index; images of other conversations are ignored
+ * @param {string[]} add - Tags to add
+ * @param {string[]} remove - Tags to remove
+ * @returns {ReferenceImage[]} Images whose tags changed
+ */
+export function updateTagsForImages(conversation: Conversation, images: ReferenceImage[], add: string[], remove: string[]): ReferenceImage[] {
+    const changed: ReferenceImage[] = [];
+    for (const image of images) {
+        const location = findImageLocation(conversation, image);
+        if (!location) continue;
+        const entry = conversation.entries[location.entryIndex];
+        let imageChanged = false;
+        for (const tag of remove) {
+            if (removeTag(entry, location.imageIndex, tag)) imageChanged = true;
+        }
+        for (const tag of add) {
+            if (addTag(entry, location.imageIndex, tag)) imageChanged = true;
+        }
+        if (imageChanged) {
+            changed.push(image);
+        }
+    }
+    return changed;
+}
+
+/**
+ * Counts how many of the given images carry each tag
+ * @param {Conversation[]} conversations - Conversations holding the images
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {Map<string, number>} Map of tag to number of images
+ */
+export function getTagCountsForImages(conversations: Conversation[], images: ReferenceImage[]): Map<string, number> {
+    /** @type {Map<string, number>} */
+    const tagCounts = new Map();
+
+    for (const image of images) {
+        const conversation = conversations.find(c => c.timestamp === image.conversationTimestamp);
+        if (!conversation) continue;
+        const location = findImageLocation(conversation, image);
+        if (!location) continue;
+        for (const tag of getTagsForImage(conversation.entries[location.entryIndex], location.imageIndex)) {
+            tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1);
+        }
+    }
+
+    return tagCounts;
+}
+
 /**
  * Gets all unique tags across all conversations
  * @param {Conversation[]} conversations - Array of conversations
@@ -172,6 +407,32 @@ export function getAllTagsWithCount(conversations: Conversation[]): Map<string,
     return tagCounts;
 }
 
+/**
+ * Gets every tag with the number of images under it, parents counting their children's
+ * images. Parents that are only used through their children are included.
+ * @param {Conversation[]} conversations - Array of conversations
+ * @returns {Map<string, number>} Map of tag to number of images
+ */
+export function getTagTreeCounts(conversations: Conversation[]): Map<string, number> {
+    /** @type {Map<string, number>} */
+    const tagCounts = new Map();
+
+    for (const conversation of conversations) {
+        for (const entry of conversation.entries) {
+            for (const metadata of entry.response.imageMetadata ?? []) {
+                const tags: Set<string> = new Set();
+                for (const tag of metadata.tags) {
+                    getTagAncestors(tag).forEach(parent => tags.add(parent));
+                    tags.add(tag);
+                }
+                tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1));
+            }
+        }
+    }
+
+    return tagCounts;
+}
+
 /**
  * Searches for images with a specific tag across all conversations
  * @param {Conversation[]} conversations - Array of conversations
@@ -202,7 +463,7 @@ export async function searchImagesByTag(conversations: Conversation[], tag: stri
             if (entry.response.imageMetadata) {
                 for (let i = 0; i < entry.response.imageMetadata.length; i++) {
                     const metadata = entry.response.imageMetadata[i];
-                    if (metadata.tags.includes(normalized)) {
+                    if (metadata.tags.some(t => tagMatches(t, normalized))) {
                         results.push({
                             conversationTimestamp: conversation.timestamp,
                             imageIndex: i,
@@ -248,7 +509,7 @@ export async function searchImagesByTags(conversations: Conversation[], tags: st
             if (entry.response.imageMetadata) {
                 for (let i = 0; i < entry.response.imageMetadata.length; i++) {
                     const metadata = entry.response.imageMetadata[i];
-                    const hasMatch = normalizedTags.some(tag => metadata.tags.includes(tag));
+                    const hasMatch = normalizedTags.some(tag => metadata.tags.some(t => tagMatches(t, tag)));
                     if (hasMatch) {
                         results.push({
                             conversationTimestamp: conversation.timestamp,
@@ -0,0 +1,86 @@
+/**
+ * Prompt template helper functions
+ * Parses {variable} and {variable=default} placeholders, fills them in, and selects the
+ * templates visible in a project (global ones plus those of the project and its ancestors).
+ */
+
+import type { Project, PromptTemplate } from './types/state';
+
+/** @type {RegExp} Matches {name} or {name=default value}; names are letters, digits, _ and - */
+const PLACEHOLDER_PATTERN: RegExp = /\{([A-Za-z0-9_-]+)(?:=([^{}]*))?\}/g;
+
+/**
+ * @typedef {Object} TemplateVariable
+ * @property {string} name - Variable name
+ * @property {string} defaultValue - Default value ("" if none)
+ */
+export interface TemplateVariable {
+    name: string;
+    defaultValue: string;
+}
+
+/**
+ * Generates a unique template ID
+ * @returns {string} Template ID
+ */
+export function generateTemplateId(): string {
+    return 'tpl_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9);
+}
+
+/**
+ * Lists the variables of a template in order of first appearance.
+ * A variable used several times takes the first default given for it.
+ * @param {string} text - Template text
+ * @returns {TemplateVariable[]} Variables
+ */
+export function parseTemplateVariables(text: string): TemplateVariable[] {
+    const variables: TemplateVariable[] = [];
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        const existing = variables.find(function(v: TemplateVariable) { return v.name === match[1]; });
+        if (!existing) {
+            variables.push({ name: match[1], defaultValue: (match[2] ?? "").trim() });
+        } else if (!existing.defaultValue && match[2]) {
+            existing.defaultValue = match[2].trim();
+        }
+    }
+    return variables;
+}
+
+/**
+ * Replaces the placeholders of a template with values, falling back to defaults
+ * @param {string} text - Template text
+ * @param {Record<string, string>} values - Values by variable name
+ * @returns {string} Filled-in prompt
+ */
+export function fillTemplate(text: string, values: Record<string, string>): string {
+    const defaults: Record<string, string> = {};
+    parseTemplateVariables(text).forEach(function(v: TemplateVariable) {
+        defaults[v.name] = v.defaultValue;
+    });
+    return text.replace(PLACEHOLDER_PATTERN, function(_match: string, name: string) {
+        const value = values[name];
+        return value !== undefined && value.trim() !== "" ? value.trim() : defaults[name];
+    });
+}
+
+/**
+ * Gets the templates available in a project: global templates and those scoped to the
+ * project or one of its ancestors
+ * @param {PromptTemplate[]} templates - All templates
+ * @param {string} projectId - Current project ID
+ * @param {Project[]} projects - All projects, for the parent chain
+ * @returns {PromptTemplate[]} Visible templates
+ */
+export function getTemplatesForProject(templates: PromptTemplate[], projectId: string, projects: Project[]): PromptTemplate[] {
+    const chain: Set<string> = new Set();
+    let current = projects.find(function(p: Project) { return p.id === projectId; }) ?? null;
+    while (current && !chain.has(current.id)) {
+        chain.add(current.id);
+        const parentId: string | null = current.parentId;
+        current = parentId ? projects.find(function(p: Project) { return p.id === parentId; }) ?? null : null;
+    }
+
+    return templates.filter(function(t: PromptTemplate) {
+        return t.projectId === null || chain.has(t.projectId);
+    });
+}
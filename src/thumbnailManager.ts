@@ -0,0 +1,54 @@
+/**
+ * Thumbnail helper functions
+ * Makes the small previews shown in image grids and lists (WebP where the browser can encode
+ * it, JPEG otherwise).
+ */
+
+import { drawRotated } from './imageTransform';
+
+/** @type {number} Longest side of a thumbnail in pixels */
+export const THUMBNAIL_SIZE: number = 512;
+
+/** @type {number} Encoder quality of thumbnails (0-1) */
+const THUMBNAIL_QUALITY: number = 0.8;
+
+/** @type {Record<string, string>} File extension of each thumbnail type, in order of preference */
+export const THUMBNAIL_EXTENSIONS: Record<string, string> = {
+    "image/webp": "webp",
+    "image/jpeg": "jpg"
+};
+
+/**
+ * Encodes a canvas as an image blob
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - MIME type
+ * @returns {Promise<Blob | null>} Encoded image, or null if the canvas could not be encoded
+ */
+function canvasToBlob(canvas: HTMLCanvasElement, type: string): Promise<Blob | null> {
+    return new Promise(function(resolve) {
+        canvas.toBlob(function(result: Blob | null) { resolve(result); }, type, THUMBNAIL_QUALITY);
+    });
+}
+
+/**
+ * Makes a thumbnail of an image, at most THUMBNAIL_SIZE pixels on its longest side.
+ * Browsers that cannot encode WebP return PNG from toBlob, so those fall back to JPEG.
+ * @param {Blob} blob - Stored image
+ * @returns {Promise<Blob>} WebP or JPEG thumbnail
+ * @throws {Error} If the image cannot be decoded or encoded
+ */
+export async function createThumbnail(blob: Blob): Promise<Blob> {
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = drawRotated(bitmap, bitmap.width, bitmap.height, 0, false, false, scale);
+        const webp = await canvasToBlob(canvas, "image/webp");
+        if (webp && webp.type === "image/webp") return webp;
+        const jpeg = await canvasToBlob(canvas, "image/jpeg");
+        if (!jpeg) throw new Error("Could not encode thumbnail");
+        return jpeg;
+    } finally {
+        bitmap.close();
+    }
+}
+
@@ -24,6 +24,25 @@ export interface Message {
     tool_calls?: unknown[];
 }
 
+/**
+ * One part of a multimodal chat message
+ */
+export interface ChatContentPart {
+    type: 'text' | 'image_url';
+    text?: string;
+    image_url?: ImageUrl;
+}
+
+/**
+ * A chat message as sent to the API. Earlier assistant turns carry their images the way the
+ * API returned them.
+ */
+export interface ChatMessage {
+    role: string;
+    content: string | ChatContentPart[];
+    images?: ImageObject[];
+}
+
 export interface ImageObject {
     type: 'image_url';
     image_url: ImageUrl;
@@ -68,6 +87,7 @@ export interface ImageConfig {
 
 export interface ImageInput {
     imageData: string;
+    maskData?: string;
 }
 
 export interface VisionModel {
@@ -1,3 +1,4 @@
 export * from './api';
 export * from './state';
 export * from './ui';
+export * from './provider';
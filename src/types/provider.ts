@@ -0,0 +1,41 @@
+import type { ChatCompletionResponse, VisionModel, BalanceInfo, GenerationInfo, ImageConfig, ImageInput, ChatMessage } from './api';
+
+/**
+ * Features an image provider supports; the UI and agent consult these before offering or sending options
+ */
+export interface ProviderCapabilities {
+    imageSizes: Array<'1K' | '2K' | '4K'>;
+    aspectRatios: string[];
+    supportsSeed: boolean;
+    supportsReferenceImages: boolean;
+    supportsBalance: boolean;
+    supportsGenerationInfo: boolean;
+    requiresApiKey: boolean;
+}
+
+/**
+ * An OpenAI-compatible image generation backend
+ */
+export interface ImageProvider {
+    id: string;
+    name: string;
+    capabilities: ProviderCapabilities;
+    fetchModels(apiKey: string): Promise<VisionModel[]>;
+    fetchVisionModels(apiKey: string): Promise<VisionModel[]>;
+    fetchTaggingModels(apiKey: string): Promise<VisionModel[]>;
+    fetchBalance(apiKey: string): Promise<BalanceInfo>;
+    generateImage(
+        apiKey: string,
+        prompt: string,
+        model: string,
+        systemPrompt: string | null,
+        conversationHistory: ChatMessage[],
+        imageConfig: ImageConfig | undefined,
+        seed: number | undefined,
+        imageInput: ImageInput | undefined,
+        referenceImages?: string[],
+        signal?: AbortSignal
+    ): Promise<ChatCompletionResponse>;
+    getGenerationInfo(apiKey: string, generationId: string): Promise<GenerationInfo>;
+    describeImage(apiKey: string, model: string, systemPrompt: string, prompt: string, imageDataUrl: string, signal?: AbortSignal): Promise<ChatCompletionResponse>;
+}
@@ -1,6 +1,9 @@
+import type { ImageConfig } from './api';
+
 export interface Message {
     role: string;
     content: string;
+    images?: ReferenceImage[];
 }
 
 export interface ReferenceImage {
@@ -15,6 +18,7 @@ export interface Conversation {
 }
 
 export interface ConversationEntry {
+    id?: string;
     message: ConversationMessage;
     response: ResponseData;
 }
@@ -25,12 +29,122 @@ export interface ConversationMessage {
     seed: number;
     modelId?: string;
     modelName?: string;
+    aspectRatio?: string;
     referenceImages?: ReferenceImage[];
+    template?: TemplateUsage;
+    batch?: BatchMembership;
+    derivedFrom?: ReferenceImage;
+}
+
+/**
+ * Provenance recorded on the message of a newly generated entry
+ */
+export type EntryAnnotations = Pick<ConversationMessage, 'template' | 'batch' | 'derivedFrom'>;
+
+/**
+ * Places a generation within a batch run (position is 1-based)
+ */
+export interface BatchMembership {
+    id: string;
+    name: string;
+    position: number;
+    total: number;
+}
+
+/**
+ * An image picked for the comparison view (imageIndex is its position in the entry)
+ */
+export interface ComparisonImage {
+    conversationTimestamp: number;
+    entryIndex: number;
+    imageIndex: number;
+}
+
+/**
+ * Reusable prompt with {variable} or {variable=default} placeholders
+ */
+export interface PromptTemplate {
+    id: string;
+    name: string;
+    text: string;
+    projectId: string | null;
+    created: number;
+    updated: number;
+}
+
+/**
+ * An image on an album (imageIndex is the storage index) with the album's note about it
+ */
+export interface AlbumImage {
+    conversationTimestamp: number;
+    imageIndex: number;
+    note: string;
+}
+
+/**
+ * Hand-picked, ordered images from any conversation, e.g. a mood board
+ */
+export interface Album {
+    id: string;
+    title: string;
+    description: string;
+    coverImage: ReferenceImage | null;
+    images: AlbumImage[];
+    created: number;
+    updated: number;
+}
+
+/**
+ * Named query over the library's images (e.g. "tag:hero AND rating>=4"), evaluated whenever it is shown
+ */
+export interface SmartCollection {
+    id: string;
+    name: string;
+    query: string;
+    created: number;
+}
+
+/**
+ * The template and variable values that produced a prompt
+ */
+export interface TemplateUsage {
+    id: string;
+    name: string;
+    values: Record<string, string>;
+}
+
+/**
+ * How an image was made: a plain generation, a regeneration with a new seed, an upscale,
+ * a generation using another image as reference, an edit, a masked edit (inpainting), or a
+ * local crop/rotate/resize/conversion
+ */
+export type LineageOperation = 'generate' | 'seed' | 'upscale' | 'reference' | 'edit' | 'inpaint' | 'transform';
+
+/**
+ * The images an image was made from (by conversation and storage index) and how
+ */
+export interface ImageLineage {
+    operation: LineageOperation;
+    parents: ReferenceImage[];
+    details?: string;
 }
 
 export interface ImageMetadata {
     tags: string[];
+    suggestedTags?: string[];
     rating?: number | null;
+    lineage?: ImageLineage;
+}
+
+/**
+ * One billed API call that produced images for an entry
+ */
+export interface GenerationCostRecord {
+    id: string;
+    modelId: string;
+    created: number;
+    cost: number | null;
+    failedLookups?: number;
 }
 
 export interface ResponseData {
@@ -40,6 +154,7 @@ export interface ResponseData {
     responseData: unknown;
     generationData: unknown;
     imageMetadata?: ImageMetadata[];
+    generations?: GenerationCostRecord[];
 }
 
 export interface TaggedImage {
@@ -50,12 +165,57 @@ export interface TaggedImage {
     conversationTitle?: string;
 }
 
+/**
+ * Searchable text of one entry (imageIndex positions line up with the entry's images)
+ */
+export interface SearchEntry {
+    entryIndex: number;
+    prompt: string;
+    response: string;
+    modelId: string;
+    modelName: string;
+    tags: string[];
+    ratings: Array<number | null>;
+}
+
+/**
+ * Search index record of a conversation, kept up to date as the conversation and its summary are saved
+ */
+export interface SearchDocument {
+    conversationTimestamp: number;
+    title: string;
+    archived: boolean;
+    indexed: number;
+    entries: SearchEntry[];
+}
+
 export interface ConversationSummary {
     title: string;
     imageCount: number;
     entryCount: number;
     created: number;
     updated: number;
+    archived?: boolean;
+}
+
+export type SyncMode = 'push' | 'bidirectional';
+
+/**
+ * File modification times on both sides at the end of the last sync
+ */
+export interface SyncManifestRecord {
+    local: number;
+    external: number;
+}
+
+/**
+ * State of the last two-way sync, keyed by path relative to the library root
+ */
+export interface SyncManifest {
+    version: number;
+    directoryName: string;
+    folderId?: string;
+    files: Record<string, SyncManifestRecord>;
 }
 
 export interface ExternalSyncState {
@@ -71,6 +231,11 @@ export interface ConversationViewState {
     imageElementCache: Map<string, HTMLElement>;
 }
 
+/**
+ * What happens to new images of a project: nothing, tags offered as suggestions, or tags applied
+ */
+export type AutoTagMode = 'off' | 'suggest' | 'apply';
+
 export interface ProjectSettings {
     model: string | null;
     instructions: string | null;
@@ -78,6 +243,9 @@ export interface ProjectSettings {
     defaultResolution: '1K' | '2K' | '4K' | null;
     defaultAspectRatio: string | null;
     defaultRatingFilter: number | null;
+    provider: string | null;
+    budget: number | null;
+    autoTag: AutoTagMode | null;
 }
 
 export interface Project {
@@ -117,6 +285,41 @@ export interface ImageViewData {
     isGenerating: boolean;
 }
 
+export type GenerationJobKind = 'generate' | 'regenerate' | 'upscale';
+
+export type GenerationJobStatus = 'queued' | 'running' | 'retrying' | 'failed' | 'cancelled';
+
+export interface GenerationJobSpec {
+    kind: GenerationJobKind;
+    providerId?: string;
+    conversationTimestamp: number;
+    entryIndex: number | null;
+    prompt: string;
+    model: string;
+    systemPrompt: string | null;
+    conversationHistory: Message[];
+    imageConfig: ImageConfig;
+    seed?: number;
+    referenceImages?: ReferenceImage[];
+    inputImage?: ReferenceImage;
+    maskFile?: string;
+    instructions?: string;
+    template?: TemplateUsage;
+    batch?: BatchMembership;
+    derivedFrom?: ReferenceImage;
+    lineage?: ImageLineage;
+}
+
+export interface GenerationJob {
+    id: string;
+    label: string;
+    spec: GenerationJobSpec;
+    status: GenerationJobStatus;
+    attempts: number;
+    error: string | null;
+    created: number;
+}
+
 export interface AppState {
     selectedModel: string | null;
     visionModels: Array<{id: string; name: string}>;
@@ -129,4 +332,13 @@ export interface AppState {
     conversationView: ConversationViewState;
     projects: Project[];
     currentProjectId: string;
+    activeProviderId: string;
+    showArchived: boolean;
+    nextSeed: number | null;
+    insertedTemplate: { usage: TemplateUsage; prompt: string } | null;
+    comparison: ComparisonImage[];
+    editMode: boolean;
+    editSource: ReferenceImage | null;
+    tagColors: Record<string, string>;
+    smartCollections: SmartCollection[];
 }
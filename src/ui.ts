@@ -5,15 +5,48 @@
 
 import { STATE, onStateChange, markDomReady } from './state';
 import { SYSTEM_PROMPT } from './prompt';
-import { savePreference, getPreference, loadConversation, getImage, loadSummary, listConversations, getReferenceImageDataUrl, getAllAvailableImages, uploadReferenceImage, saveConversation, getImageDataURL, saveProject, loadAllProjects, createRootProject, listProjectIds, deleteProject, moveConversationToProject, reparentProject, deletePreference } from './storage';
+import { savePreference, getPreference, loadConversation, getImage, loadSummary, listConversations, getReferenceImageDataUrl, getAllAvailableImages, uploadReferenceImage, saveConversation, getImageDataURL, getThumbnail, getThumbnailDataURL, saveProject, loadAllProjects, createRootProject, listProjectIds, deleteProject, moveConversationToProject, reparentProject, deletePreference, saveTemplate, loadAllTemplates, deleteTemplate, loadSearchIndex, loadAllAlbums } from './storage';
 import { generateConversationTitle, getApiKey, updateConversationSummary, cloneTemplate, generateProjectId, createDefaultProjectSettings, resolveInheritedSettings } from './util';
-import { fetchVisionModels } from './openrouter';
-import { handleRegenerateWithNewSeed, handleRegenerateLarger, handleRegenerateX5, handleRegenerateEntryX5, getUpscalingModel, handleApiKeyEntry } from './agent';
-import { getAllTags, getTagsForImage, setTags, ensureMetadataArray } from './tagManager';
-import { getRatingForImage, setRating } from './ratingManager';
-import type { Conversation, ConversationSummary, ReferenceImage, ConversationEntry, ConversationViewData, ConversationEntryViewData, ImageViewData, Project, ProjectSettings } from './types/state';
+import { getActiveProvider, listProviders } from './providers';
+import { handleRegenerateWithNewSeed, handleRegenerateLarger, handleRegenerateX5, handleRegenerateEntryX5, getUpscalingModel, handleApiKeyEntry, refreshActiveProvider, getLiveConversation, handleDeleteImage, handleDeleteEntry, handleDeleteConversation, handleSetConversationArchived, handleDuplicateConversation, handleExportLibrary, handleImportLibrary, handleStartBatch, getEditSource, handleInpaint, handleSaveTransformedImage, handleBulkEditTags, handleBulkRate, handleDeleteImages, handleMoveImages, handleRenameTag, handleDeleteTag, saveTagColors, suggestTagsForImage, handleAutoTagImages, handleAcceptSuggestedTags, handleDismissSuggestedTags, handleSaveCollection, handleDeleteCollection, handleAddImagesToAlbum, handleSaveAlbum, handleDeleteAlbum, handleUseAlbumAsReferences, handleExportStaticSite } from './agent';
+import { cancelJob, retryJob, dismissJob, getMaxConcurrent, setMaxConcurrent } from './generationQueue';
+import { runSync, getSyncMode } from './externalSync';
+import { buildGenerationMetadata, embedGenerationMetadata, readGenerationMetadata, readPngSize } from './pngMetadata';
+import type { PngGenerationMetadata } from './pngMetadata';
+import { loadSpendingRecords, summarizeSpending, formatCost, backfillMissingCosts, estimateBatchCost } from './costTracker';
+import type { SpendingRecord } from './costTracker';
+import { generateTemplateId, parseTemplateVariables, fillTemplate, getTemplatesForProject } from './templateManager';
+import { MAX_BATCH_SIZE, splitLines, expandTemplateValues, buildBatchVariants, getBatchProgress } from './batchRunner';
+import type { BatchPrompt, BatchProgress } from './batchRunner';
+import { getAllTags, getAllTagsWithCount, getTagCountsForImages, getTagsForImage, setTags, ensureMetadataArray, normalizeTag, isValidTag, compareTags, tagMatches, getTagAncestors, getTagTreeCounts, getTagColor, getReadableTextColor } from './tagManager';
+import { getRatingForImage, setRating, ratingToStars } from './ratingManager';
+import { getTagVocabulary, getSuggestedTags, setSuggestedTags, acceptSuggestedTags, dismissSuggestedTags, getSuggestedTagCountsForImages } from './autoTagger';
+import { findImageLocation } from './imageEditing';
+import { LINEAGE_OPERATION_LABELS, buildLineageForest, getAncestors } from './lineageManager';
+import type { LineageNode } from './lineageManager';
+import { toCanvasPoint, toCanvasBrushSize, paintStroke, fillLasso, drawLassoPreview, hasMaskContent, exportMaskDataUrl } from './maskEditor';
+import type { MaskTool, MaskPoint } from './maskEditor';
+import { THUMBNAIL_SIZE } from './thumbnailManager';
+import { MAX_OUTPUT_SIZE, createFullCrop, getRotatedSize, getCropSize, cropFromDrag, centeredCrop, parseAspectRatio, drawRotated, renderTransformedImage, describeTransform, reencodeAsPng } from './imageTransform';
+import type { ImageTransform, OutputFormat, Rotation } from './imageTransform';
+import { parseSearchQuery, searchDocuments } from './searchIndex';
+import type { SearchResultGroup, SearchMatch } from './searchIndex';
+import { createEmptyGalleryFilters, hasNoGalleryFilters, collectGalleryImages, galleryImageKey, toReferenceImage, filterGalleryImages, getGalleryFacets, getVisibleRange } from './galleryManager';
+import type { GalleryImage, GalleryFilters } from './galleryManager';
+import { generateCollectionId, validateCollectionQuery, getCollectionImages } from './smartCollections';
+import type { CollectionContext } from './smartCollections';
+import { findAlbumImage, removeImagesFromAlbum, moveAlbumImage, setAlbumImageNote, getAlbumCover } from './albumManager';
+import { SLIDESHOW_INTERVALS, DEFAULT_SLIDESHOW_INTERVAL, getConversationSlides, getGallerySlides, getAlbumSlides, getSlideshowAction, stepSlide } from './slideshowManager';
+import type { SlideshowSlide } from './slideshowManager';
+import { getProjectSiteSources, getStaticSiteFolderName } from './staticSiteExport';
+import type { StaticSiteSource } from './staticSiteExport';
+import { createZip } from './zip';
+import type { ZipEntry } from './zip';
+import { MIN_COMPARISON_IMAGES, MAX_COMPARISON_IMAGES, isInComparison, toggleComparison, createFitTransform, zoomAt, panBy, transformToCss } from './comparisonManager';
+import type { Conversation, ConversationSummary, ReferenceImage, ConversationEntry, ConversationViewData, ConversationEntryViewData, ImageViewData, Project, ProjectSettings, GenerationJob, PromptTemplate, TemplateUsage, BatchMembership, ComparisonImage, AutoTagMode, SmartCollection, Album, AlbumImage } from './types/state';
 import type { VisionModel, ChatCompletionResponse } from './types/api';
 import type { ErrorInfo } from './types/error';
+import type { ImageProvider, ProviderCapabilities } from './types/provider';
 
 export { getApiKey, updateConversationSummary, getUpscalingModel, handleRegenerateWithNewSeed, handleRegenerateLarger, handleRegenerateX5, handleRegenerateEntryX5 };
 
@@ -62,7 +95,7 @@ function doesRatingChangeVisibility(oldRating: number | null, newRating: number
 /**
  * Clears the conversation view caches
  */
-function clearConversationViewCaches(): void {
+export function clearConversationViewCaches(): void {
     STATE.conversationView.entryElementCache.clear();
     STATE.conversationView.imageElementCache.clear();
     const conversationArea = document.getElementById("conversation-area");
@@ -143,6 +176,9 @@ async function createEntryElement(entryView: ConversationEntryViewData, conversa
 
     const userPromptText = messageEntry.querySelector(".user-prompt-text") as HTMLElement;
     userPromptText.textContent = entryView.message.text;
+    renderTemplateBadge(messageEntry, entryView.message.template);
+    renderBatchLabel(messageEntry, entryView.message.batch);
+    renderDerivedLabel(messageEntry, conversationTimestamp, entryView.message.derivedFrom);
     userPromptText.style.maxHeight = "2.8em";
     userPromptText.style.overflow = "hidden";
     userPromptText.style.position = "relative";
@@ -242,6 +278,11 @@ async function createEntryElement(entryView: ConversationEntryViewData, conversa
         handleRegenerateEntryX5(entryView.entryIndex);
     });
 
+    const deleteEntryBtn = messageEntry.querySelector(".delete-entry-btn") as HTMLButtonElement;
+    deleteEntryBtn.addEventListener("click", function() {
+        handleDeleteEntry(conversationTimestamp, entryView.entryIndex);
+    });
+
     return messageEntry;
 }
 
@@ -317,6 +358,62 @@ async function updateEntryElement(element: HTMLElement, entryView: ConversationE
     }
 }
 
+/** @type {string} How far outside the viewport an image starts loading in full instead of its thumbnail */
+const FULL_IMAGE_MARGIN: string = "1500px 0px";
+
+/**
+ * Shows an image in the conversation view: its thumbnail first, sized like the full image so the
+ * layout does not shift, then the full image once it comes near the viewport
+ * @param {HTMLImageElement} imgElement - Image element
+ * @param {Blob} blob - Full image
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} imageIndex - Image index number
+ * @param {function(): void} [onFirstLoad] - Called when the first picture (thumbnail or full image) has loaded
+ * @returns {Promise<void>}
+ */
+async function showProgressiveImage(imgElement: HTMLImageElement, blob: Blob, conversationTimestamp: number, imageIndex: number, onFirstLoad?: () => void): Promise<void> {
+    let loaded = false;
+    const showFullImage = function() {
+        const objectUrl = URL.createObjectURL(blob);
+        imgElement.onload = function() {
+            URL.revokeObjectURL(objectUrl);
+            if (!loaded && onFirstLoad) onFirstLoad();
+            loaded = true;
+        };
+        imgElement.src = objectUrl;
+    };
+
+    const size = readPngSize(new Uint8Array(await blob.slice(0, 24).arrayBuffer()));
+    if (!size || Math.max(size.width, size.height) <= THUMBNAIL_SIZE) {
+        showFullImage();
+        return;
+    }
+    imgElement.width = size.width;
+    imgElement.height = size.height;
+    imgElement.style.height = "auto";
+
+    const thumbnail = await getThumbnail(conversationTimestamp, imageIndex);
+    // Without a thumbnail getThumbnail hands back the full PNG
+    if (!thumbnail || thumbnail.type === blob.type) {
+        showFullImage();
+        return;
+    }
+    const previewUrl = URL.createObjectURL(thumbnail);
+    imgElement.onload = function() {
+        URL.revokeObjectURL(previewUrl);
+        if (!loaded && onFirstLoad) onFirstLoad();
+        loaded = true;
+    };
+    imgElement.src = previewUrl;
+
+    const observer = new IntersectionObserver(function(entries: IntersectionObserverEntry[]) {
+        if (!entries.some(function(entry: IntersectionObserverEntry) { return entry.isIntersecting; })) return;
+        observer.disconnect();
+        showFullImage();
+    }, { rootMargin: FULL_IMAGE_MARGIN });
+    observer.observe(imgElement);
+}
+
 /**
  * Renders a single image element
  * @param {ImageViewData} imageView - Image view data
@@ -354,11 +451,7 @@ async function renderImageElement(
         throw new Error("Failed to load image");
     }
 
-    const objectUrl = URL.createObjectURL(blob);
-    imgElement.onload = function() {
-        URL.revokeObjectURL(objectUrl);
-    };
-    imgElement.src = objectUrl;
+    await showProgressiveImage(imgElement, blob, conversationTimestamp, parseInt(filename, 10));
     imgElement.style.maxWidth = "100%";
     imgElement.dataset.conversationTimestamp = String(conversationTimestamp);
     imgElement.dataset.entryIndex = String(entryIndex);
@@ -370,21 +463,15 @@ async function renderImageElement(
     downloadBtn.dataset.imageIndex = String(imageView.imageIndex);
     downloadBtn.dataset.filename = filename;
     downloadBtn.addEventListener("click", function() {
-        const ts = conversationTimestamp;
-        const fn = filename;
-        getImage(ts, parseInt(fn, 10)).then(function(imgBlob: Blob | null) {
-            if (!imgBlob) return;
-            const url = URL.createObjectURL(imgBlob);
-            const a = document.createElement("a");
-            a.href = url;
-            a.download = "image_" + ts + "_" + fn + ".png";
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            setTimeout(function() {
-                URL.revokeObjectURL(url);
-            }, 100);
-        });
+        downloadImageWithMetadata(conversationTimestamp, entryIndex, imageView.imageIndex, filename);
+    });
+
+    const deleteImageBtn = imgItemContainer.querySelector(".delete-image-btn") as HTMLButtonElement;
+    deleteImageBtn.dataset.conversationTimestamp = String(conversationTimestamp);
+    deleteImageBtn.dataset.entryIndex = String(entryIndex);
+    deleteImageBtn.dataset.imageIndex = String(imageView.imageIndex);
+    deleteImageBtn.addEventListener("click", function() {
+        handleDeleteImage(conversationTimestamp, entryIndex, imageView.imageIndex);
     });
 
     const tagBtn = imgItemContainer.querySelector(".tag-btn") as HTMLButtonElement;
@@ -395,6 +482,8 @@ async function renderImageElement(
         openTagEditor(conversationTimestamp, entryIndex, imageView.imageIndex);
     });
 
+    setupCompareButton(imgItemContainer, conversationTimestamp, entryIndex, imageView.imageIndex);
+
     const rateBtn = imgItemContainer.querySelector(".rate-btn") as HTMLButtonElement;
     rateBtn.dataset.conversationTimestamp = String(conversationTimestamp);
     rateBtn.dataset.entryIndex = String(entryIndex);
@@ -414,6 +503,20 @@ async function renderImageElement(
         await addReferenceImage(conversationTimestamp, parseInt(imageView.filename, 10), false);
     });
 
+    setupEditButton(imgItemContainer, conversationTimestamp, parseInt(imageView.filename, 10));
+    setupLineageButton(imgItemContainer, conversationTimestamp, parseInt(imageView.filename, 10));
+    setupAlbumButton(imgItemContainer, conversationTimestamp, parseInt(imageView.filename, 10));
+
+    const inpaintBtn = imgItemContainer.querySelector(".inpaint-btn") as HTMLButtonElement;
+    inpaintBtn.addEventListener("click", function() {
+        openMaskEditor(conversationTimestamp, entryIndex, imageView.imageIndex);
+    });
+
+    const transformBtn = imgItemContainer.querySelector(".transform-btn") as HTMLButtonElement;
+    transformBtn.addEventListener("click", function() {
+        openTransformEditor(conversationTimestamp, entryIndex, imageView.imageIndex);
+    });
+
     const regenerateNewBtn = imgItemContainer.querySelector(".regenerate-new-btn") as HTMLButtonElement;
     regenerateNewBtn.dataset.entryIndex = String(entryIndex);
     regenerateNewBtn.dataset.imageIndex = String(imageView.imageIndex);
@@ -446,6 +549,7 @@ async function renderImageElement(
             const tagSpan = document.createElement("span");
             tagSpan.className = "badge bg-secondary me-1";
             tagSpan.textContent = tags[i];
+            applyTagColor(tagSpan, tags[i]);
             imageTagsContainer.appendChild(tagSpan);
         }
         if (tags.length > 3) {
@@ -455,6 +559,7 @@ async function renderImageElement(
             imageTagsContainer.appendChild(moreSpan);
         }
     }
+    renderImageTagSuggestions(imgItemContainer, conversationTimestamp, imageView.filename, imageView.metadata.suggestedTags ?? []);
 
     STATE.conversationView.imageElementCache.set(imageView.imageId, imgItemContainer);
     return imgItemContainer;
@@ -502,6 +607,8 @@ let dialogState: {
     searchTerm: string;
     tagFilter: string;
     ratingFilter: number | null;
+    source: string;
+    sourceItems: Array<Awaited<ReturnType<typeof createImageItem>>>;
     conversations: Array<{
         timestamp: number;
         title: string;
@@ -534,6 +641,8 @@ let dialogState: {
     searchTerm: "",
     tagFilter: "",
     ratingFilter: null,
+    source: "",
+    sourceItems: [],
     conversations: [],
     lastUpdated: 0
 };
@@ -650,6 +759,25 @@ export function populateProjectSelectorMenu(): void {
         li.appendChild(a);
         menu.appendChild(li);
     }
+
+    const dividerItem = document.createElement('li');
+    dividerItem.innerHTML = '<hr class="dropdown-divider">';
+    menu.appendChild(dividerItem);
+    const exportItem = document.createElement('li');
+    const exportLink = document.createElement('a');
+    exportLink.className = 'dropdown-item';
+    exportLink.href = '#';
+    exportLink.textContent = 'Export project as website…';
+    exportLink.addEventListener('click', function(e: Event) {
+        e.preventDefault();
+        const project = STATE.projects.find(function(p: Project) { return p.id === STATE.currentProjectId; });
+        if (!project) return;
+        openStaticSiteExport(project.name, project.description, function() {
+            return getProjectSiteSources(project.id, STATE.projects);
+        });
+    });
+    exportItem.appendChild(exportLink);
+    menu.appendChild(exportItem);
 }
 
 /**
@@ -683,15 +811,11 @@ export function selectProject(projectId: string): void {
         });
     }
 
+    // Switch provider (menus, models) if this project uses a different one
+    refreshActiveProvider();
+
     // Apply project's model override if set
-    const effective = getEffectiveProjectSettings({
-        model: null,
-        instructions: null,
-        systemPrompt: null,
-        defaultResolution: null,
-        defaultAspectRatio: null,
-        defaultRatingFilter: null
-    });
+    const effective = getEffectiveProjectSettings(createDefaultProjectSettings());
 
     if (effective.model && STATE.visionModels.length > 0) {
         selectModelById(effective.model, STATE.visionModels);
@@ -738,14 +862,9 @@ export async function getProjectSystemPrompt(): Promise<string> {
     const savedGlobal = await getPreference('systemPrompt');
     const globalSystemPrompt = savedGlobal || SYSTEM_PROMPT;
 
-    const effective = getEffectiveProjectSettings({
-        model: null,
-        instructions: null,
-        systemPrompt: globalSystemPrompt,
-        defaultResolution: null,
-        defaultAspectRatio: null,
-        defaultRatingFilter: null
-    });
+    const defaults = createDefaultProjectSettings();
+    defaults.systemPrompt = globalSystemPrompt;
+    const effective = getEffectiveProjectSettings(defaults);
 
     return effective.systemPrompt || globalSystemPrompt;
 }
@@ -991,6 +1110,17 @@ export async function handleNewConversation(): Promise<void> {
     }
 }
 
+/**
+ * Shows the progress or outcome of a library export or import in the settings dialog
+ * @param {string} message - Status text
+ */
+function setLibraryArchiveStatus(message: string): void {
+    const status = document.getElementById('library-archive-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
 /**
  * Populates the default model dropdown in the General tab with vision models
  * @param {VisionModel[]} visionModels - Array of vision model objects
@@ -1056,16 +1186,91 @@ export async function initSettingsDialog(): Promise<void> {
         });
     }
 
+    const exportLibraryBtn = document.getElementById('export-library-btn') as HTMLButtonElement | null;
+    if (exportLibraryBtn) {
+        exportLibraryBtn.addEventListener('click', async function() {
+            exportLibraryBtn.disabled = true;
+            setLibraryArchiveStatus('Exporting library...');
+            try {
+                await handleExportLibrary();
+                setLibraryArchiveStatus('Library exported.');
+            } catch (e) {
+                console.error('Error exporting library:', e);
+                setLibraryArchiveStatus('Export failed: ' + (e as Error).message);
+            } finally {
+                exportLibraryBtn.disabled = false;
+            }
+        });
+    }
+
+    const importLibraryBtn = document.getElementById('import-library-btn') as HTMLButtonElement | null;
+    const importLibraryInput = document.getElementById('import-library-input') as HTMLInputElement | null;
+    if (importLibraryBtn && importLibraryInput) {
+        importLibraryBtn.addEventListener('click', function() {
+            importLibraryInput.click();
+        });
+        importLibraryInput.addEventListener('change', async function() {
+            const file = importLibraryInput.files?.[0];
+            importLibraryInput.value = '';
+            if (!file) return;
+
+            importLibraryBtn.disabled = true;
+            setLibraryArchiveStatus('Importing ' + file.name + '...');
+            try {
+                const result = await handleImportLibrary(file);
+                let message = 'Imported ' + result.conversations + ' conversations, ' + result.projects + ' projects, ' + result.templates + ' templates, ' + result.albums + ' albums and ' + result.preferences + ' preferences.';
+                if (result.remapped > 0) {
+                    message += ' ' + result.remapped + ' conversations got a new timestamp because it was already in use.';
+                }
+                setLibraryArchiveStatus(message);
+            } catch (e) {
+                console.error('Error importing library:', e);
+                setLibraryArchiveStatus('Import failed: ' + (e as Error).message);
+            } finally {
+                importLibraryBtn.disabled = false;
+            }
+        });
+    }
+
+    const syncNowBtn = document.getElementById('sync-now-btn') as HTMLButtonElement | null;
+    const syncModeSelect = document.getElementById('sync-mode-select') as HTMLSelectElement | null;
+    if (syncNowBtn && syncModeSelect) {
+        syncNowBtn.addEventListener('click', async function() {
+            const status = document.getElementById('sync-now-status');
+            if (!STATE.externalSync.syncEnabled) {
+                if (status) status.textContent = 'Choose a sync folder with the 🖴 button first.';
+                return;
+            }
+            await savePreference('syncMode', syncModeSelect.value);
+            syncNowBtn.disabled = true;
+            if (status) status.textContent = 'Syncing...';
+            try {
+                await runSync();
+                if (status) status.textContent = 'Sync complete.';
+            } catch (e) {
+                console.error('Error syncing:', e);
+                if (status) status.textContent = 'Sync failed: ' + (e as Error).message;
+            } finally {
+                syncNowBtn.disabled = false;
+            }
+        });
+    }
+
     const apiKey = getApiKey();
 
     if (apiKey && apiKey.length > 0) {
         try {
-            const visionModels = await fetchVisionModels(apiKey);
+            const visionModels = await getActiveProvider().fetchVisionModels(apiKey);
             populateUpscalingModelDropdown(visionModels);
             populateDefaultModelDropdown(visionModels);
         } catch (error) {
             console.error('Error fetching vision models:', error);
         }
+        try {
+            populateAutoTagModelDropdown(await getActiveProvider().fetchTaggingModels(apiKey));
+        } catch (error) {
+            console.error('Error fetching tagging models:', error);
+        }
     }
 
     const upscalingModelSelect = document.getElementById('upscaling-model-select') as HTMLSelectElement | null;
@@ -1113,6 +1318,11 @@ export async function initSettingsDialog(): Promise<void> {
     // Initialize default model dropdown with available models
     populateDefaultModelDropdown();
 
+    const providerSelect = document.getElementById('default-provider-select') as HTMLSelectElement | null;
+    if (providerSelect) {
+        populateProviderSelect(providerSelect);
+    }
+
     // Save button — collects all fields and persists
     const saveBtn = document.getElementById('settings-save-btn');
     if (saveBtn) {
@@ -1133,12 +1343,58 @@ export async function initSettingsDialog(): Promise<void> {
                 }
             }
 
+            // Save OpenAI-compatible provider connection
+            const baseUrlInput = document.getElementById('custom-provider-base-url-input') as HTMLInputElement | null;
+            if (baseUrlInput) {
+                const baseUrl = baseUrlInput.value.trim();
+                if (baseUrl) {
+                    await savePreference('customProviderBaseUrl', baseUrl);
+                } else {
+                    await deletePreference('customProviderBaseUrl');
+                }
+            }
+            const customKeyInput = document.getElementById('custom-provider-api-key-input') as HTMLInputElement | null;
+            if (customKeyInput) {
+                const customKey = customKeyInput.value.trim();
+                if (customKey) {
+                    await savePreference('customProviderApiKey', customKey);
+                } else {
+                    await deletePreference('customProviderApiKey');
+                }
+            }
+
+            // Save concurrency limit
+            const concurrencyInput = document.getElementById('max-concurrent-generations-input') as HTMLInputElement | null;
+            if (concurrencyInput) {
+                const limit = parseInt(concurrencyInput.value, 10);
+                if (!isNaN(limit) && limit > 0) {
+                    setMaxConcurrent(limit);
+                    savePreference('maxConcurrentGenerations', String(limit));
+                }
+            }
+
+            // Save sync mode
+            const syncModeSelect = document.getElementById('sync-mode-select') as HTMLSelectElement | null;
+            if (syncModeSelect) {
+                savePreference('syncMode', syncModeSelect.value);
+            }
+
             // Save upscaling model
             const upscalingSelect = document.getElementById('upscaling-model-select') as HTMLSelectElement | null;
             if (upscalingSelect && upscalingSelect.value) {
                 savePreference('upscalingModel', upscalingSelect.value);
             }
 
+            // Save auto-tagging model; none turns auto-tagging off everywhere
+            const autoTagModelSelect = document.getElementById('auto-tag-model-select') as HTMLSelectElement | null;
+            if (autoTagModelSelect) {
+                if (autoTagModelSelect.value) {
+                    savePreference('autoTagModel', autoTagModelSelect.value);
+                } else {
+                    deletePreference('autoTagModel');
+                }
+            }
+
             // Save system prompt
             const systemPromptInput = document.getElementById('default-system-prompt-textarea') as HTMLTextAreaElement | null;
             if (systemPromptInput) {
@@ -1153,7 +1409,15 @@ export async function initSettingsDialog(): Promise<void> {
                 const aspectRatioSelect = document.getElementById('default-aspect-ratio-select') as HTMLSelectElement | null;
                 const ratingFilterSelect = document.getElementById('default-rating-filter-select') as HTMLSelectElement | null;
                 const modelSelect = document.getElementById('default-model-select') as HTMLSelectElement | null;
+                const providerSelect = document.getElementById('default-provider-select') as HTMLSelectElement | null;
+                const autoTagSelect = document.getElementById('default-auto-tag-select') as HTMLSelectElement | null;
 
+                if (providerSelect) {
+                    rootProject.settings.provider = providerSelect.value || null;
+                }
+                if (autoTagSelect) {
+                    rootProject.settings.autoTag = (autoTagSelect.value || 'off') as AutoTagMode;
+                }
                 if (resolutionSelect) {
                     rootProject.settings.defaultResolution = resolutionSelect.value as '1K' | '2K' | '4K' || null;
                 }
@@ -1168,6 +1432,7 @@ export async function initSettingsDialog(): Promise<void> {
                     rootProject.settings.model = modelSelect.value || null;
                 }
                 await saveProject(rootProject);
+                refreshActiveProvider();
             }
 
             // Close modal
@@ -1179,6 +1444,19 @@ export async function initSettingsDialog(): Promise<void> {
     }
 }
 
+/**
+ * Appends an option for each registered image provider to a select element
+ * @param {HTMLSelectElement} select - Select element to populate
+ */
+function populateProviderSelect(select: HTMLSelectElement): void {
+    listProviders().forEach(function(provider: ImageProvider) {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        select.appendChild(option);
+    });
+}
+
 /**
  * Populates the upscaling model dropdown with available vision models
  * @param {VisionModel[]} visionModels - Array of vision model objects
@@ -1219,6 +1497,34 @@ export function populateUpscalingModelDropdown(visionModels: VisionModel[]): voi
     });
 }
 
+/**
+ * Populates the auto-tagging model dropdown with models that read images and write text
+ * @param {VisionModel[]} models - Array of tagging-capable models
+ */
+export function populateAutoTagModelDropdown(models: VisionModel[]): void {
+    const select = document.getElementById("auto-tag-model-select") as HTMLSelectElement | null;
+    if (!select) return;
+
+    select.innerHTML = "";
+    const noneOption = document.createElement("option");
+    noneOption.value = "";
+    noneOption.textContent = "None (auto-tagging off)";
+    select.appendChild(noneOption);
+
+    models.forEach(function(model: VisionModel) {
+        const item = document.createElement("option");
+        item.value = model.id;
+        item.textContent = model.name;
+        select.appendChild(item);
+    });
+
+    getPreference("autoTagModel").then(function(savedModelId: string | null) {
+        if (savedModelId && savedModelId.length > 0) {
+            select.value = savedModelId;
+        }
+    });
+}
+
 /**
  * Handles settings dialog open - loads saved preferences and project data
  */
@@ -1228,7 +1534,7 @@ export async function handleSettingsOpen(): Promise<void> {
     
     if (apiKey && apiKey.length > 0 && select && select.options.length <= 2) {
         try {
-            const visionModels = await fetchVisionModels(apiKey);
+            const visionModels = await getActiveProvider().fetchVisionModels(apiKey);
             populateUpscalingModelDropdown(visionModels);
         } catch (error) {
             console.error("Error fetching vision models:", error);
@@ -1240,12 +1546,43 @@ export async function handleSettingsOpen(): Promise<void> {
         select.value = modelId;
     }
 
+    const autoTagSelect = document.getElementById("auto-tag-model-select") as HTMLSelectElement | null;
+    if (apiKey && apiKey.length > 0 && autoTagSelect && autoTagSelect.options.length <= 1) {
+        try {
+            populateAutoTagModelDropdown(await getActiveProvider().fetchTaggingModels(apiKey));
+        } catch (error) {
+            console.error("Error fetching tagging models:", error);
+        }
+    }
+
     // Populate API key input in settings
     const settingsApiKeyInput = document.getElementById('settings-api-key-input') as HTMLInputElement | null;
     if (settingsApiKeyInput) {
         settingsApiKeyInput.value = STATE.apiKey;
     }
 
+    // Populate concurrency limit
+    const concurrencyInput = document.getElementById('max-concurrent-generations-input') as HTMLInputElement | null;
+    if (concurrencyInput) {
+        concurrencyInput.value = String(getMaxConcurrent());
+    }
+
+    // Populate sync mode
+    const syncModeSelect = document.getElementById('sync-mode-select') as HTMLSelectElement | null;
+    if (syncModeSelect) {
+        syncModeSelect.value = await getSyncMode();
+    }
+
+    // Populate OpenAI-compatible provider connection
+    const baseUrlInput = document.getElementById('custom-provider-base-url-input') as HTMLInputElement | null;
+    if (baseUrlInput) {
+        baseUrlInput.value = (await getPreference('customProviderBaseUrl')) || '';
+    }
+    const customKeyInput = document.getElementById('custom-provider-api-key-input') as HTMLInputElement | null;
+    if (customKeyInput) {
+        customKeyInput.value = (await getPreference('customProviderApiKey')) || '';
+    }
+
     // Populate General tab fields from root project settings
     const rootProject = STATE.projects.find(function(p: Project) { return p.id === 'root'; });
     if (rootProject) {
@@ -1254,7 +1591,15 @@ export async function handleSettingsOpen(): Promise<void> {
         const aspectRatioSelect = document.getElementById('default-aspect-ratio-select') as HTMLSelectElement | null;
         const ratingFilterSelect = document.getElementById('default-rating-filter-select') as HTMLSelectElement | null;
         const modelSelect = document.getElementById('default-model-select') as HTMLSelectElement | null;
+        const providerSelect = document.getElementById('default-provider-select') as HTMLSelectElement | null;
+        const autoTagModeSelect = document.getElementById('default-auto-tag-select') as HTMLSelectElement | null;
 
+        if (providerSelect) {
+            providerSelect.value = rootProject.settings.provider || 'openrouter';
+        }
+        if (autoTagModeSelect) {
+            autoTagModeSelect.value = rootProject.settings.autoTag || 'off';
+        }
         if (systemPromptInput) {
             const savedPrompt = await getPreference('systemPrompt');
             systemPromptInput.value = savedPrompt || SYSTEM_PROMPT;
@@ -1360,10 +1705,14 @@ function createProjectEditor(project: Project): HTMLElement | null {
     const instructionsInput = editor.querySelector('.project-instructions-input') as HTMLTextAreaElement;
     const systemPromptInput = editor.querySelector('.project-system-prompt-input') as HTMLTextAreaElement;
     const systemPromptBtn = editor.querySelector('.project-set-system-prompt-btn') as HTMLButtonElement;
+    const providerInput = editor.querySelector('.project-provider-input') as HTMLSelectElement;
     const modelInput = editor.querySelector('.project-model-input') as HTMLSelectElement;
     const resolutionInput = editor.querySelector('.project-resolution-input') as HTMLSelectElement;
     const aspectRatioInput = editor.querySelector('.project-aspect-ratio-input') as HTMLSelectElement;
     const ratingFilterInput = editor.querySelector('.project-rating-filter-input') as HTMLSelectElement;
+    const budgetInput = editor.querySelector('.project-budget-input') as HTMLInputElement;
+    const autoTagInput = editor.querySelector('.project-auto-tag-input') as HTMLSelectElement;
+    const budgetSpent = editor.querySelector('.project-budget-spent') as HTMLElement;
     const conversationsList = editor.querySelector('.project-conversations-list') as HTMLElement;
     const deleteBtn = editor.querySelector('.project-delete-btn') as HTMLButtonElement;
     const reparentBtn = editor.querySelector('.project-reparent-btn') as HTMLButtonElement;
@@ -1408,6 +1757,12 @@ function createProjectEditor(project: Project): HTMLElement | null {
         }
     }
 
+    // Provider — empty means null (inherit)
+    if (providerInput) {
+        populateProviderSelect(providerInput);
+        providerInput.value = project.settings.provider || '';
+    }
+
     // Model — empty means null (inherit)
     if (modelInput) {
         if (project.settings.model) {
@@ -1438,6 +1793,22 @@ function createProjectEditor(project: Project): HTMLElement | null {
         ratingFilterInput.value = String(project.settings.defaultRatingFilter);
     }
 
+    // Auto-tagging — empty means null (inherit)
+    if (autoTagInput && project.settings.autoTag) {
+        autoTagInput.value = project.settings.autoTag;
+    }
+
+    // Budget — empty means no limit; not inherited
+    if (budgetInput && typeof project.settings.budget === 'number') {
+        budgetInput.value = String(project.settings.budget);
+    }
+    if (budgetSpent) {
+        loadSpendingRecords().then(function(records: SpendingRecord[]) {
+            const summary = summarizeSpending(records, [project]);
+            budgetSpent.textContent = 'Spent directly in this project: ' + formatCost(summary.byProject.get(project.id) ?? 0);
+        });
+    }
+
     // Conversations list
     if (conversationsList) {
         renderProjectConversations(conversationsList, project);
@@ -1512,6 +1883,14 @@ function createProjectEditor(project: Project): HTMLElement | null {
             saveProject(project);
         });
     }
+    if (providerInput) {
+        providerInput.addEventListener('change', function() {
+            project.settings.provider = providerInput.value || null;
+            saveProject(project).then(function() {
+                refreshActiveProvider();
+            });
+        });
+    }
     if (modelInput) {
         modelInput.addEventListener('change', function() {
             project.settings.model = modelInput.value || null;
@@ -1537,6 +1916,19 @@ function createProjectEditor(project: Project): HTMLElement | null {
             saveProject(project);
         });
     }
+    if (autoTagInput) {
+        autoTagInput.addEventListener('change', function() {
+            project.settings.autoTag = (autoTagInput.value || null) as AutoTagMode | null;
+            saveProject(project);
+        });
+    }
+    if (budgetInput) {
+        budgetInput.addEventListener('change', function() {
+            const val = parseFloat(budgetInput.value);
+            project.settings.budget = !isNaN(val) && val >= 0 ? val : null;
+            saveProject(project);
+        });
+    }
 
     // Delete button
     if (deleteBtn) {
@@ -1711,16 +2103,74 @@ export async function updateConversationList(): Promise<void> {
 }
 
 /**
- * Loads a conversation into the main view
+ * Downloads an image with its generation parameters, tags and rating embedded in the PNG
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Index of the entry in the conversation
+ * @param {number} imageIndex - Position of the image within the entry
+ * @param {string} filename - Image filename (storage index)
+ * @returns {Promise<void>}
+ */
+async function downloadImageWithMetadata(conversationTimestamp: number, entryIndex: number, imageIndex: number, filename: string): Promise<void> {
+    const bytes = await getImageBytesWithMetadata(conversationTimestamp, entryIndex, imageIndex, filename);
+    if (!bytes) return;
+
+    const url = URL.createObjectURL(new Blob([bytes], { type: "image/png" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "image_" + conversationTimestamp + "_" + filename + ".png";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * Reads an image with its generation parameters, tags and rating embedded in the PNG
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Index of the entry in the conversation
+ * @param {number} imageIndex - Position of the image within the entry
+ * @param {string} filename - Image filename (storage index)
+ * @returns {Promise<Uint8Array | null>} PNG bytes, or null if the image is missing
+ */
+async function getImageBytesWithMetadata(conversationTimestamp: number, entryIndex: number, imageIndex: number, filename: string): Promise<Uint8Array<ArrayBuffer> | null> {
+    const imgBlob = await getImage(conversationTimestamp, parseInt(filename, 10));
+    if (!imgBlob) return null;
+
+    let bytes = new Uint8Array(await imgBlob.arrayBuffer());
+    const conversation = await getConversationForEdit(conversationTimestamp);
+    const entry = conversation?.entries[entryIndex];
+    if (entry) {
+        const current = buildGenerationMetadata(entry, imageIndex);
+        // Values written at generation time (e.g. the seed of a regeneration) are more precise
+        // than the entry's; only tags and rating change afterwards
+        const saved = await readGenerationMetadata(bytes);
+        const metadata = saved ? Object.assign({}, saved, { tags: current.tags, rating: current.rating }) : current;
+        bytes = embedGenerationMetadata(bytes, metadata);
+    }
+    return bytes;
+}
+
+/**
+ * Gets a conversation for editing, preferring the in-memory copy that is displayed
+ * or being generated into so edits and running generations do not overwrite each other
  * @param {number} timestamp - Conversation timestamp
+ * @returns {Promise<Conversation | null>} Conversation or null if not found
  */
-export async function loadConversationIntoView(timestamp: number): Promise<void> {
-    const conversation = await loadConversation(timestamp);
-    if (!conversation) return;
+export async function getConversationForEdit(timestamp: number): Promise<Conversation | null> {
+    if (STATE.currentConversation && STATE.currentConversation.timestamp === timestamp) {
+        return STATE.currentConversation;
+    }
+    return getLiveConversation(timestamp) ?? await loadConversation(timestamp);
+}
 
-    STATE.currentConversation = conversation;
+/**
+ * Rebuilds STATE.conversationHistory from the entries of a conversation
+ * @param {Conversation} conversation - Conversation being viewed
+ */
+export function rebuildConversationHistory(conversation: Conversation): void {
     STATE.conversationHistory = [];
-    clearConversationViewCaches();
 
     if (conversation.entries) {
         conversation.entries.forEach(function(entry) {
@@ -1737,6 +2187,19 @@ export async function loadConversationIntoView(timestamp: number): Promise<void>
             }
         });
     }
+}
+
+/**
+ * Loads a conversation into the main view
+ * @param {number} timestamp - Conversation timestamp
+ */
+export async function loadConversationIntoView(timestamp: number): Promise<void> {
+    const conversation = getLiveConversation(timestamp) ?? await loadConversation(timestamp);
+    if (!conversation) return;
+
+    STATE.currentConversation = conversation;
+    rebuildConversationHistory(conversation);
+    clearConversationViewCaches();
 
     // Remember this as the last viewed conversation
     savePreference("lastConversation", String(timestamp));
@@ -1745,7 +2208,7 @@ export async function loadConversationIntoView(timestamp: number): Promise<void>
     setTextareaInitialState(hasMessages);
     clearConversationArea();
     clearReferenceImagesToolbar();
-    renderConversation(conversation);
+    await renderConversation(conversation);
     renderReferenceImagesToolbar(conversation);
 
     const historyContainer = document.getElementById("conversation-history");
@@ -1798,6 +2261,10 @@ export async function populateConversationList(timestamps: number[], projectFilt
 
     for (let i = 0; i < filteredTimestamps.length; i++) {
         const timestamp = filteredTimestamps[i];
+        if (!STATE.showArchived) {
+            const summary = await loadSummary(timestamp);
+            if (summary && summary.archived) continue;
+        }
         const conversation = await loadConversation(timestamp);
         if (conversation && conversation.entries && conversation.entries.length > 0) {
             createConversationItem(timestamp, conversation);
@@ -1805,6 +2272,191 @@ export async function populateConversationList(timestamps: number[], projectFilt
     }
 }
 
+/** @type {number} Most images of a collection or album listed in the reference dialog */
+const MAX_REFERENCE_COLLECTION_IMAGES: number = 200;
+
+/** @type {number} Wait in ms after the last image change before recounting collections */
+const SMART_COLLECTION_REFRESH_DELAY: number = 500;
+
+/** @type {ReturnType<typeof setTimeout> | null} Pending recount of the sidebar collections */
+let smartCollectionRefreshTimer: ReturnType<typeof setTimeout> | null = null;
+
+/**
+ * Gets what collection queries are evaluated against
+ * @returns {CollectionContext} Projects and the current time
+ */
+function getCollectionContext(): CollectionContext {
+    return { projects: STATE.projects, now: Date.now() };
+}
+
+/**
+ * Loads every image of the library, leaving out archived conversations unless they are shown
+ * @returns {Promise<{images: GalleryImage[], titles: Map<number, string>}>} Images and conversation titles
+ */
+async function loadLibraryImages(): Promise<{images: GalleryImage[]; titles: Map<number, string>}> {
+    const images: GalleryImage[] = [];
+    const titles: Map<number, string> = new Map();
+    for (const timestamp of await listConversations()) {
+        const summary = await loadSummary(timestamp);
+        if (summary?.archived && !STATE.showArchived) continue;
+        const conversation = await getConversationForEdit(timestamp);
+        if (!conversation) continue;
+        const title = summary?.title || "Conversation " + timestamp;
+        titles.set(timestamp, title);
+        const project = STATE.projects.find(function(p: Project) { return p.conversationTimestamps.includes(timestamp); });
+        collectGalleryImages(conversation, title, project ? project.id : "root").forEach(function(image: GalleryImage) {
+            images.push(image);
+        });
+    }
+    return { images: images, titles: titles };
+}
+
+/**
+ * Renders the saved collections in the sidebar, then counts their images
+ */
+export function renderSmartCollections(): void {
+    renderGalleryCollections();
+    const list = document.getElementById("smart-collections-list");
+    if (!list) return;
+    list.innerHTML = "";
+
+    if (STATE.smartCollections.length === 0) {
+        const emptyDiv = document.createElement("div");
+        emptyDiv.className = "small text-muted";
+        emptyDiv.textContent = "No collections yet";
+        list.appendChild(emptyDiv);
+        return;
+    }
+
+    STATE.smartCollections.forEach(function(collection: SmartCollection) {
+        const item = cloneTemplate("smart-collection-item-template", list);
+        if (!item) return;
+        item.dataset.collectionId = collection.id;
+        item.title = collection.query;
+        (item.querySelector(".smart-collection-name") as HTMLElement).textContent = collection.name;
+        item.addEventListener("click", function() {
+            openGallery(collection.id);
+        });
+        item.addEventListener("keydown", function(e: KeyboardEvent) {
+            if (e.key === "Enter" && e.target === item) {
+                openGallery(collection.id);
+            }
+        });
+        (item.querySelector(".smart-collection-present-btn") as HTMLButtonElement).addEventListener("click", async function(e: Event) {
+            e.stopPropagation();
+            const images = getCollectionImages(collection, (await loadLibraryImages()).images, getCollectionContext());
+            openSlideshow(getGallerySlides(images));
+        });
+        (item.querySelector(".smart-collection-edit-btn") as HTMLButtonElement).addEventListener("click", function(e: Event) {
+            e.stopPropagation();
+            openSmartCollectionEditor(collection);
+        });
+        (item.querySelector(".smart-collection-delete-btn") as HTMLButtonElement).addEventListener("click", function(e: Event) {
+            e.stopPropagation();
+            if (confirm('Delete the collection "' + collection.name + '"? Its images are kept.')) {
+                handleDeleteCollection(collection.id);
+            }
+        });
+    });
+    refreshSmartCollectionCounts();
+}
+
+/**
+ * Counts the images of each collection shown in the sidebar
+ * @returns {Promise<void>}
+ */
+async function refreshSmartCollectionCounts(): Promise<void> {
+    const list = document.getElementById("smart-collections-list");
+    if (!list || STATE.smartCollections.length === 0) return;
+    const images = (await loadLibraryImages()).images;
+    const context = getCollectionContext();
+    STATE.smartCollections.forEach(function(collection: SmartCollection) {
+        const count = list.querySelector('[data-collection-id="' + CSS.escape(collection.id) + '"] .smart-collection-count');
+        if (count) {
+            count.textContent = String(getCollectionImages(collection, images, context).length);
+        }
+    });
+}
+
+/**
+ * Recounts the sidebar collections shortly after images change, once per burst of changes
+ */
+function scheduleSmartCollectionRefresh(): void {
+    if (smartCollectionRefreshTimer !== null) {
+        clearTimeout(smartCollectionRefreshTimer);
+    }
+    smartCollectionRefreshTimer = setTimeout(function() {
+        smartCollectionRefreshTimer = null;
+        refreshSmartCollectionCounts();
+    }, SMART_COLLECTION_REFRESH_DELAY);
+}
+
+/**
+ * Opens the editor for a new or existing collection, previewing how many images its query matches
+ * @param {SmartCollection | null} collection - Collection to edit, or null for a new one
+ */
+export function openSmartCollectionEditor(collection: SmartCollection | null): void {
+    document.getElementById("smart-collection-editor")?.remove();
+    const dialog = cloneTemplate("smart-collection-editor-template", document.body);
+    if (!dialog) return;
+
+    const nameInput = dialog.querySelector(".smart-collection-name-input") as HTMLInputElement;
+    const queryInput = dialog.querySelector(".smart-collection-query-input") as HTMLInputElement;
+    const errorEl = dialog.querySelector(".smart-collection-error") as HTMLElement;
+    const previewEl = dialog.querySelector(".smart-collection-preview") as HTMLElement;
+    const saveBtn = dialog.querySelector(".smart-collection-save-btn") as HTMLButtonElement;
+    (dialog.querySelector(".smart-collection-editor-title") as HTMLElement).textContent = collection ? "Edit Collection" : "New Collection";
+    nameInput.value = collection ? collection.name : "";
+    queryInput.value = collection ? collection.query : "";
+
+    let libraryImages: GalleryImage[] | null = null;
+    const updatePreview = async function(): Promise<void> {
+        const query = queryInput.value.trim();
+        const error = query ? validateCollectionQuery(query) : null;
+        errorEl.textContent = error ?? "";
+        previewEl.textContent = "";
+        if (!query || error) return;
+        if (!libraryImages) {
+            libraryImages = (await loadLibraryImages()).images;
+        }
+        if (queryInput.value.trim() !== query) return;
+        const count = getCollectionImages({ id: "", name: "", query: query, created: 0 }, libraryImages, getCollectionContext()).length;
+        previewEl.textContent = count === 1 ? "1 image matches right now" : count + " images match right now";
+    };
+    queryInput.addEventListener("input", function() {
+        updatePreview();
+    });
+
+    const modal = new bootstrap.Modal(dialog);
+    saveBtn.addEventListener("click", async function() {
+        const saved = await handleSaveCollection({
+            id: collection ? collection.id : generateCollectionId(),
+            name: nameInput.value.trim(),
+            query: queryInput.value.trim(),
+            created: collection ? collection.created : Date.now()
+        });
+        if (saved) {
+            modal.hide();
+        }
+    });
+    [nameInput, queryInput].forEach(function(input: HTMLInputElement) {
+        input.addEventListener("keydown", function(e: KeyboardEvent) {
+            if (e.key === "Enter") {
+                e.preventDefault();
+                saveBtn.click();
+            }
+        });
+    });
+    dialog.addEventListener("shown.bs.modal", function() {
+        nameInput.focus();
+    });
+    dialog.addEventListener("hidden.bs.modal", function() {
+        dialog.remove();
+    });
+    modal.show();
+    updatePreview();
+}
+
 /**
  * Sets the UI text for a conversation item in the sidebar
  * @param {HTMLElement} element - The conversation item DOM element
@@ -1848,11 +2500,18 @@ export function createConversationItem(timestamp: number, conversation: Conversa
 
     const defaultSummary: ConversationSummary = { title: "New Conversation", imageCount: 0, entryCount: 0, created: timestamp, updated: timestamp };
 
+    const archiveBtn = item.querySelector(".archive-conversation-btn") as HTMLElement;
+
     loadSummary(timestamp).then(function(summary: ConversationSummary | null) {
         const summaryTyped = summary || defaultSummary;
 
         setConversationItemUI(conversationItem, summaryTyped, timestamp, conversation);
 
+        if (summaryTyped.archived) {
+            item.classList.add("archived");
+            archiveBtn.textContent = "Unarchive";
+        }
+
         const title = (summaryTyped && summaryTyped.title && summaryTyped.title.trim().length > 0) ? summaryTyped.title : "New Conversation";
         if (title === "New Conversation" && conversation.entries && conversation.entries.length > 0) {
             const firstPrompt = conversation.entries[0].message.text;
@@ -1880,6 +2539,27 @@ export function createConversationItem(timestamp: number, conversation: Conversa
     item.addEventListener("click", function() {
         loadConversationIntoView(timestamp);
     });
+
+    const menu = item.querySelector(".conversation-menu") as HTMLElement;
+    menu.addEventListener("click", function(e: Event) {
+        // Keep menu clicks from opening the conversation
+        e.stopPropagation();
+    });
+
+    (item.querySelector(".duplicate-conversation-btn") as HTMLElement).addEventListener("click", function(e: Event) {
+        e.preventDefault();
+        handleDuplicateConversation(timestamp);
+    });
+
+    archiveBtn.addEventListener("click", function(e: Event) {
+        e.preventDefault();
+        handleSetConversationArchived(timestamp, !item.classList.contains("archived"));
+    });
+
+    (item.querySelector(".delete-conversation-btn") as HTMLElement).addEventListener("click", function(e: Event) {
+        e.preventDefault();
+        handleDeleteConversation(timestamp);
+    });
 }
 
 /**
@@ -2024,8 +2704,80 @@ export function displayError(errorInfo: ErrorInfo | string): void {
     }
 }
 
+/** @type {Record<string, {text: string; className: string}>} Badge text and color per job status */
+const JOB_STATUS_BADGES: Record<string, {text: string; className: string}> = {
+    queued: { text: 'Queued', className: 'bg-secondary' },
+    running: { text: 'Running', className: 'bg-primary' },
+    retrying: { text: 'Retrying', className: 'bg-warning text-dark' },
+    failed: { text: 'Failed', className: 'bg-danger' },
+    cancelled: { text: 'Cancelled', className: 'bg-dark border border-secondary' }
+};
+
 /**
- * Sets the loading state of the UI
+ * Renders the generation queue panel below the generate button
+ * @param {GenerationJob[]} jobs - Jobs currently in the queue
+ */
+export function renderGenerationQueue(jobs: GenerationJob[]): void {
+    const container = document.getElementById("generation-queue-container");
+    if (!container) return;
+
+    container.innerHTML = "";
+    container.style.display = jobs.length > 0 ? "block" : "none";
+
+    getBatchProgress(jobs).forEach(function(progress: BatchProgress) {
+        const row = cloneTemplate("generation-batch-progress-template", container);
+        if (!row) return;
+        const finished = progress.total - progress.pending - progress.failed;
+        const name = row.querySelector(".batch-progress-name") as HTMLElement;
+        name.textContent = progress.name;
+        name.title = progress.name;
+        (row.querySelector(".batch-progress-count") as HTMLElement).textContent = finished + " / " + progress.total
+            + (progress.failed > 0 ? " (" + progress.failed + " failed)" : "");
+        const bar = row.querySelector(".batch-progress-bar") as HTMLElement;
+        bar.style.width = Math.round(finished / progress.total * 100) + "%";
+        bar.setAttribute("aria-valuenow", String(finished));
+        bar.setAttribute("aria-valuemax", String(progress.total));
+    });
+
+    for (const job of jobs) {
+        const item = cloneTemplate("generation-queue-item-template", container);
+        if (!item) continue;
+
+        const badge = item.querySelector(".job-status-badge") as HTMLElement;
+        const label = item.querySelector(".job-label") as HTMLElement;
+        const errorText = item.querySelector(".job-error") as HTMLElement;
+        const retryBtn = item.querySelector(".job-retry-btn") as HTMLButtonElement;
+        const cancelBtn = item.querySelector(".job-cancel-btn") as HTMLButtonElement;
+
+        const statusBadge = JOB_STATUS_BADGES[job.status];
+        badge.textContent = job.status === 'retrying'
+            ? statusBadge.text + " " + job.attempts
+            : statusBadge.text;
+        badge.className = "badge job-status-badge " + statusBadge.className;
+        label.textContent = job.label;
+        label.title = job.label;
+        errorText.textContent = job.error || "";
+        errorText.title = job.error || "";
+
+        const isFinished = job.status === 'failed' || job.status === 'cancelled';
+        retryBtn.style.display = isFinished ? "" : "none";
+        cancelBtn.title = isFinished ? "Dismiss" : "Cancel";
+
+        retryBtn.addEventListener("click", function() {
+            retryJob(job.id);
+        });
+        cancelBtn.addEventListener("click", function() {
+            if (isFinished) {
+                dismissJob(job.id);
+            } else {
+                cancelJob(job.id);
+            }
+        });
+    }
+}
+
+/**
+ * Sets the loading state of the UI
  * @param {boolean} isLoading - Whether the UI is in loading state
  */
 export function setLoadingState(isLoading: boolean): void {
@@ -2062,13 +2814,61 @@ export function setLoadingState(isLoading: boolean): void {
     }
 }
 
+/**
+ * Rebuilds a dropdown menu with one item per value
+ * @param {string} menuId - ID of the dropdown menu element
+ * @param {string[]} values - Values to list
+ * @param {function(string): void} onSelect - Called with the chosen value
+ */
+function populateOptionMenu(menuId: string, values: string[], onSelect: (value: string) => void): void {
+    const menu = document.getElementById(menuId);
+    if (!menu) return;
+    menu.innerHTML = "";
+    values.forEach(function(value: string) {
+        const li = document.createElement("li");
+        const item = document.createElement("a");
+        item.className = "dropdown-item";
+        item.href = "#";
+        item.textContent = value;
+        item.addEventListener("click", function(e: Event) {
+            e.preventDefault();
+            onSelect(value);
+        });
+        li.appendChild(item);
+        menu.appendChild(li);
+    });
+}
+
+/**
+ * Rebuilds the resolution and aspect ratio menus from a provider's capabilities
+ * and moves the current selections onto supported values
+ * @param {ProviderCapabilities} capabilities - Active provider capabilities
+ */
+export function applyProviderCapabilities(capabilities: ProviderCapabilities): void {
+    populateOptionMenu("resolution-menu", capabilities.imageSizes, function(value: string) {
+        setResolution(value);
+        savePreference("defaultResolution", value);
+    });
+    populateOptionMenu("aspect-ratio-menu", capabilities.aspectRatios, function(value: string) {
+        setAspectRatio(value);
+        savePreference("defaultAspectRatio", value);
+    });
+    setResolution(getResolution());
+    setAspectRatio(getAspectRatio());
+}
+
 /**
  * Programmatically sets the resolution dropdown value
+ * Unsupported values fall back to the active provider's first resolution
  * @param {string} resolution - Resolution value (1K, 2K, 4K)
  */
 export function setResolution(resolution: string): void {
     const dropdown = document.getElementById("resolution-dropdown");
     if (!dropdown) return;
+    const supported: string[] = getActiveProvider().capabilities.imageSizes;
+    if (supported.indexOf(resolution) === -1) {
+        resolution = supported[0];
+    }
     dropdown.textContent = "";
     dropdown.textContent = resolution + " ";
     const caret = document.createElement("span");
@@ -2078,11 +2878,16 @@ export function setResolution(resolution: string): void {
 
 /**
  * Programmatically sets the aspect ratio dropdown value
+ * Unsupported values fall back to the active provider's first aspect ratio
  * @param {string} aspectRatio - Aspect ratio value (1:1, 16:9, 3:2, 21:9)
  */
 export function setAspectRatio(aspectRatio: string): void {
     const dropdown = document.getElementById("aspect-ratio-dropdown");
     if (!dropdown) return;
+    const supported = getActiveProvider().capabilities.aspectRatios;
+    if (supported.indexOf(aspectRatio) === -1) {
+        aspectRatio = supported[0];
+    }
     dropdown.textContent = "";
     dropdown.textContent = aspectRatio + " ";
     const caret = document.createElement("span");
@@ -2138,6 +2943,38 @@ export function displayWarning(message: string): void {
     }
 }
 
+/**
+ * Shows the undo toast for a reversible action
+ * @param {string} message - Description of the action
+ * @param {function(): void} onUndo - Called when the user clicks Undo
+ */
+export function showUndoToast(message: string, onUndo: () => void): void {
+    const toast = document.getElementById("undo-toast");
+    if (!toast) return;
+
+    (toast.querySelector(".undo-message") as HTMLElement).textContent = message;
+
+    // Replace the button so handlers from earlier toasts are dropped
+    const oldBtn = toast.querySelector(".undo-btn") as HTMLButtonElement;
+    const undoBtn = oldBtn.cloneNode(true) as HTMLButtonElement;
+    oldBtn.replaceWith(undoBtn);
+    undoBtn.addEventListener("click", function() {
+        onUndo();
+    });
+
+    toast.style.display = "flex";
+}
+
+/**
+ * Hides the undo toast
+ */
+export function hideUndoToast(): void {
+    const toast = document.getElementById("undo-toast");
+    if (toast) {
+        toast.style.display = "none";
+    }
+}
+
 /**
  * Clears the conversation area in the right column
  */
@@ -2157,6 +2994,38 @@ export function clearUserInput(): void {
     setGenerateButtonState(false);
 }
 
+/**
+ * Fills the input area with settings read from an image: prompt, model, aspect ratio and resolution
+ * @param {PngGenerationMetadata} metadata - Settings read from the image
+ * @returns {Promise<string[]>} Notes about settings that could not be applied
+ */
+export async function applyGenerationSettings(metadata: PngGenerationMetadata): Promise<string[]> {
+    const notes: string[] = [];
+
+    const textarea = document.getElementById("user-input") as HTMLTextAreaElement | null;
+    if (textarea) {
+        textarea.value = metadata.prompt;
+        expandTextarea();
+        setGenerateButtonState(metadata.prompt.trim().length > 0);
+    }
+
+    if (metadata.modelId && !selectModelById(metadata.modelId, STATE.visionModels)) {
+        notes.push("model " + (metadata.modelName || metadata.modelId) + " is not available");
+    }
+    if (metadata.aspectRatio) {
+        setAspectRatio(metadata.aspectRatio);
+    }
+    if (metadata.resolution) {
+        setResolution(metadata.resolution);
+    }
+    if (metadata.systemPrompt && metadata.systemPrompt !== await getSystemPrompt()) {
+        // The system prompt comes from project settings and is not replaced
+        notes.push("the image used a different system prompt than this project");
+    }
+
+    return notes;
+}
+
 /**
  * Smoothly scrolls the conversation area to the bottom
  */
@@ -2197,24 +3066,20 @@ function renderExistingImages(
 
             const resolution = entry.response.imageResolutions?.[imgIndex] ?? "1K";
 
-            getImage(conversationTimestamp, parseInt(filename, 10)).then(function(blob: Blob | null) {
+            getImage(conversationTimestamp, parseInt(filename, 10)).then(async function(blob: Blob | null) {
                 if (!blob) return;
 
                 const imgItemContainer = cloneTemplate("image-entry-template", imagesContainer);
                 if (!imgItemContainer) return;
                 const imgElement = imgItemContainer.querySelector(".generated-image") as HTMLImageElement;
 
-                const objectUrl = URL.createObjectURL(blob);
-                imgElement.onload = function() {
-                    URL.revokeObjectURL(objectUrl);
-                    
+                await showProgressiveImage(imgElement, blob, conversationTimestamp, parseInt(filename, 10), function() {
                     if (entry.response.imageFilenames.includes("generating")) {
                         setTimeout(function() {
                             scrollConversationToBottom();
                         }, 50);
                     }
-                };
-                imgElement.src = objectUrl;
+                });
                 imgElement.style.maxWidth = "100%";
                 imgElement.dataset.conversationTimestamp = String(conversationTimestamp);
                 imgElement.dataset.entryIndex = String(entryIndex);
@@ -2226,21 +3091,15 @@ function renderExistingImages(
                 downloadBtn.dataset.imageIndex = String(imgIndex);
                 downloadBtn.dataset.filename = filename;
                 downloadBtn.addEventListener("click", function() {
-                    const ts = parseInt(String(conversationTimestamp), 10);
-                    const fn = filename;
-                    getImage(ts, parseInt(fn, 10)).then(function(imgBlob: Blob | null) {
-                        if (!imgBlob) return;
-                        const url = URL.createObjectURL(imgBlob);
-                        const a = document.createElement("a");
-                        a.href = url;
-                        a.download = "image_" + ts + "_" + fn + ".png";
-                        document.body.appendChild(a);
-                        a.click();
-                        document.body.removeChild(a);
-                        setTimeout(function() {
-                            URL.revokeObjectURL(url);
-                        }, 100);
+                    downloadImageWithMetadata(parseInt(String(conversationTimestamp), 10), entryIndex, imgIndex, filename);
                     });
+
+                    const deleteImageBtn = imgItemContainer.querySelector(".delete-image-btn") as HTMLButtonElement;
+                    deleteImageBtn.dataset.conversationTimestamp = String(conversationTimestamp);
+                    deleteImageBtn.dataset.entryIndex = String(entryIndex);
+                    deleteImageBtn.dataset.imageIndex = String(imgIndex);
+                    deleteImageBtn.addEventListener("click", function() {
+                        handleDeleteImage(conversationTimestamp, entryIndex, imgIndex);
                     });
 
                     const tagBtn = imgItemContainer.querySelector(".tag-btn") as HTMLButtonElement;
@@ -2254,6 +3113,8 @@ function renderExistingImages(
                         openTagEditor(ts, eIdx, iIdx);
                     });
 
+                    setupCompareButton(imgItemContainer, conversationTimestamp, entryIndex, imgIndex);
+
                     const rateBtn = imgItemContainer.querySelector(".rate-btn") as HTMLButtonElement;
                     rateBtn.dataset.conversationTimestamp = String(conversationTimestamp);
                     rateBtn.dataset.entryIndex = String(entryIndex);
@@ -2277,6 +3138,20 @@ function renderExistingImages(
                         await addReferenceImage(conversationTimestamp, parseInt(filename, 10), false);
                     });
 
+                    setupEditButton(imgItemContainer, conversationTimestamp, parseInt(filename, 10));
+                    setupLineageButton(imgItemContainer, conversationTimestamp, parseInt(filename, 10));
+                    setupAlbumButton(imgItemContainer, conversationTimestamp, parseInt(filename, 10));
+
+                    const inpaintBtn = imgItemContainer.querySelector(".inpaint-btn") as HTMLButtonElement;
+                    inpaintBtn.addEventListener("click", function() {
+                        openMaskEditor(conversationTimestamp, entryIndex, imgIndex);
+                    });
+
+                    const transformBtn = imgItemContainer.querySelector(".transform-btn") as HTMLButtonElement;
+                    transformBtn.addEventListener("click", function() {
+                        openTransformEditor(conversationTimestamp, entryIndex, imgIndex);
+                    });
+
                     const regenerateNewBtn = imgItemContainer.querySelector(".regenerate-new-btn") as HTMLButtonElement;
                     regenerateNewBtn.dataset.entryIndex = String(entryIndex);
                     regenerateNewBtn.dataset.imageIndex = String(imgIndex);
@@ -2314,6 +3189,7 @@ function renderExistingImages(
                 if (metadata && metadata.tags.length > 0) {
                     renderImageTags(tagsContainer, metadata.tags, conversationTimestamp, entryIndex, imgIndex);
                 }
+                renderImageTagSuggestions(imgItemContainer, conversationTimestamp, filename, metadata?.suggestedTags ?? []);
             });
         }
     });
@@ -2341,6 +3217,9 @@ export async function renderMessageEntry(entry: Conversation['entries'][0], inde
 
     const userPromptText = messageEntry.querySelector(".user-prompt-text") as HTMLElement;
     userPromptText.textContent = entry.message.text;
+    renderTemplateBadge(messageEntry, entry.message.template);
+    renderBatchLabel(messageEntry, entry.message.batch);
+    renderDerivedLabel(messageEntry, conversationTimestamp, entry.message.derivedFrom);
     userPromptText.style.maxHeight = "2.8em";
     userPromptText.style.overflow = "hidden";
     userPromptText.style.position = "relative";
@@ -2455,6 +3334,11 @@ export async function renderMessageEntry(entry: Conversation['entries'][0], inde
         handleRegenerateEntryX5(index);
     });
 
+    const deleteEntryBtn = messageEntry.querySelector(".delete-entry-btn") as HTMLButtonElement;
+    deleteEntryBtn.addEventListener("click", function() {
+        handleDeleteEntry(conversationTimestamp, index);
+    });
+
     if (scrollTo) {
         await new Promise(function(resolve) {
             setTimeout(resolve, 50);
@@ -2473,6 +3357,8 @@ export async function renderConversation(conversation: Conversation | null, scro
     const conversationArea = document.getElementById("conversation-area");
     if (!conversationArea) return;
 
+    renderEditSourceBanner();
+
     if (!conversation || !conversation.entries || conversation.entries.length === 0) {
         clearConversationViewCaches();
         return;
@@ -2588,7 +3474,7 @@ async function renderReferenceImageThumbnail(refImage: ReferenceImage, index: nu
         const timestamp = Math.abs(refImage.conversationTimestamp);
         dataUrl = await getReferenceImageDataUrl(timestamp, refImage.imageIndex);
     } else {
-        dataUrl = await getImageDataURL(refImage.conversationTimestamp, refImage.imageIndex);
+        dataUrl = await getThumbnailDataURL(refImage.conversationTimestamp, refImage.imageIndex);
     }
 
     if (dataUrl && img) {
@@ -2622,6 +3508,10 @@ export function invalidateDialogState(): void {
     dialogState.searchTerm = "";
     dialogState.tagFilter = "";
     dialogState.ratingFilter = null;
+    dialogState.source = "";
+    dialogState.sourceItems = [];
+    // Images changed, so the sidebar collection counts may have too
+    scheduleSmartCollectionRefresh();
 }
 
 /**
@@ -2905,7 +3795,7 @@ async function createImageItem(imgData: {
     const checkbox = itemElement.querySelector(".ref-image-checkbox") as HTMLInputElement;
     const img = itemElement.querySelector(".ref-image-dialog-thumbnail") as HTMLImageElement;
     
-    const dataUrl = await getImageDataURL(imgData.timestamp, imgData.imageIndex);
+    const dataUrl = await getThumbnailDataURL(imgData.timestamp, imgData.imageIndex);
     const isBroken = !dataUrl;
     
     /** @type {string[]} */
@@ -3022,6 +3912,11 @@ function updateSelectedCount(): void {
             }
         }
     }
+    for (const imageItem of dialogState.sourceItems) {
+        if (imageItem.isSelected) {
+            count++;
+        }
+    }
     
     const countEl = document.getElementById("ref-images-selected-count");
     const addBtn = document.getElementById("ref-images-add-selected-btn") as HTMLButtonElement;
@@ -3331,6 +4226,30 @@ export async function openReferenceImagesDialog(): Promise<void> {
         ratingFilterSelect.value = dialogState.ratingFilter !== undefined ? String(dialogState.ratingFilter) : "";
     }
 
+    const collectionSelect = dialog.querySelector("#ref-images-collection-filter") as HTMLSelectElement | null;
+    if (collectionSelect) {
+        const albums = await loadAllAlbums();
+        const addGroup = function(label: string, options: Array<{ value: string; text: string }>) {
+            if (options.length === 0) return;
+            const group = document.createElement("optgroup");
+            group.label = label;
+            options.forEach(function(o: { value: string; text: string }) {
+                const option = document.createElement("option");
+                option.value = o.value;
+                option.textContent = o.text;
+                group.appendChild(option);
+            });
+            collectionSelect.appendChild(group);
+        };
+        addGroup("Collections", STATE.smartCollections.map(function(collection: SmartCollection) {
+            return { value: "collection:" + collection.id, text: collection.name };
+        }));
+        addGroup("Albums", albums.map(function(album: Album) {
+            return { value: "album:" + album.id, text: album.title };
+        }));
+        collectionSelect.style.display = STATE.smartCollections.length > 0 || albums.length > 0 ? "" : "none";
+    }
+
     filterConversationsBySearchAndTag(dialogState.searchTerm, dialogState.tagFilter);
     
     for (const group of dialogState.conversations) {
@@ -3384,6 +4303,13 @@ export function setupReferenceImagesDialogListeners(dialogElement: HTMLElement):
                     }
                 }
             }
+            for (const imageItem of dialogState.sourceItems) {
+                if (imageItem.isSelected) {
+                    await addReferenceImage(imageItem.timestamp, imageItem.imageIndex, false);
+                    imageItem.isSelected = false;
+                    imageItem.checkbox.checked = false;
+                }
+            }
             modalElement.instance?.hide();
         });
     }
@@ -3413,6 +4339,13 @@ export function setupReferenceImagesDialogListeners(dialogElement: HTMLElement):
         });
     }
 
+    const collectionSelect = dialogElement.querySelector("#ref-images-collection-filter") as HTMLSelectElement | null;
+    if (collectionSelect) {
+        collectionSelect.addEventListener("change", function() {
+            showReferenceSource(dialogElement, collectionSelect.value);
+        });
+    }
+
     const ratingFilterSelect = dialogElement.querySelector("#ref-images-rating-filter") as HTMLSelectElement;
     if (ratingFilterSelect) {
         ratingFilterSelect.addEventListener("change", async function(e) {
@@ -3430,6 +4363,73 @@ export function setupReferenceImagesDialogListeners(dialogElement: HTMLElement):
     });
 }
 
+/**
+ * Shows the images of a saved collection or an album in the reference dialog in place of
+ * the conversation list, or goes back to the list
+ * @param {HTMLElement} dialogElement - Reference images dialog
+ * @param {string} source - "collection:<id>", "album:<id>", or "" for the conversation list
+ * @returns {Promise<void>}
+ */
+async function showReferenceSource(dialogElement: HTMLElement, source: string): Promise<void> {
+    dialogState.source = source;
+    dialogState.sourceItems = [];
+    const separator = source.indexOf(":");
+    const kind = source.slice(0, separator);
+    const id = source.slice(separator + 1);
+    const browseList = dialogElement.querySelector("#ref-images-browse-list") as HTMLElement;
+    const sourceList = dialogElement.querySelector("#ref-images-collection-list") as HTMLElement;
+    browseList.style.display = source ? "none" : "";
+    sourceList.style.display = source ? "flex" : "none";
+    sourceList.innerHTML = "";
+    // The collection or album replaces the title, tag and rating filters
+    dialogElement.querySelectorAll("#ref-images-search, #ref-images-tag-filter, #ref-images-rating-filter").forEach(function(control: Element) {
+        (control as HTMLInputElement | HTMLSelectElement).disabled = !!source;
+    });
+    updateSelectedCount();
+    if (!source) return;
+
+    const status = document.createElement("div");
+    status.className = "small text-muted";
+    status.textContent = "Loading…";
+    sourceList.appendChild(status);
+
+    let images: Array<{ timestamp: number; imageIndex: number; title: string }> = [];
+    if (kind === "collection") {
+        const collection = STATE.smartCollections.find(function(c: SmartCollection) { return c.id === id; });
+        const library = (await loadLibraryImages()).images;
+        images = collection ? getCollectionImages(collection, library, getCollectionContext()).map(function(image: GalleryImage) {
+            return { timestamp: image.conversationTimestamp, imageIndex: parseInt(image.filename, 10), title: image.conversationTitle };
+        }) : [];
+    } else {
+        // Albums keep their own order; images deleted since they were added are left out
+        const album = (await loadAllAlbums()).find(function(a: Album) { return a.id === id; });
+        const library = (await loadLibraryImages()).images;
+        images = (album ? album.images : []).map(function(albumImage: AlbumImage) {
+            const image = library.find(function(i: GalleryImage) {
+                return i.conversationTimestamp === albumImage.conversationTimestamp && parseInt(i.filename, 10) === albumImage.imageIndex;
+            });
+            return image ? { timestamp: image.conversationTimestamp, imageIndex: albumImage.imageIndex, title: image.conversationTitle } : null;
+        }).filter(function(image): image is { timestamp: number; imageIndex: number; title: string } { return image !== null; });
+    }
+    if (dialogState.source !== source) return;
+    if (images.length === 0) {
+        status.textContent = kind === "collection" ? "No images in this collection" : "No images in this album";
+        return;
+    }
+    status.remove();
+
+    for (const image of images.slice(0, MAX_REFERENCE_COLLECTION_IMAGES)) {
+        const imageItem = await createImageItem(image);
+        if (dialogState.source !== source) return;
+        dialogState.sourceItems.push(imageItem);
+        sourceList.appendChild(imageItem.item);
+    }
+    if (images.length > MAX_REFERENCE_COLLECTION_IMAGES) {
+        status.textContent = "Showing the first " + MAX_REFERENCE_COLLECTION_IMAGES + " of " + images.length + " images";
+        sourceList.appendChild(status);
+    }
+}
+
 /**
  * Adds a reference image to the current conversation's reference list and saves conversation
  * @param {number} conversationTimestamp - Source conversation's timestamp
@@ -3512,6 +4512,75 @@ export function loadReferenceImagesToolbar(conversation: Conversation): void {
     }
 }
 
+/**
+ * Colors a tag badge with the tag's color, or its parent's, keeping the text readable
+ * @param {HTMLElement} badge - Badge element
+ * @param {string} tag - Tag shown on the badge
+ */
+function applyTagColor(badge: HTMLElement, tag: string): void {
+    const color = getTagColor(STATE.tagColors, tag);
+    if (!color) return;
+    const textColor = getReadableTextColor(color);
+    badge.classList.remove("bg-secondary");
+    badge.style.backgroundColor = color;
+    badge.style.color = textColor;
+    if (textColor === "#000") {
+        badge.querySelectorAll(".btn-close-white, .text-light").forEach(function(el: Element) {
+            el.classList.remove("btn-close-white", "text-light");
+        });
+    }
+}
+
+/**
+ * Shows tags suggested by the auto-tagger, each accepted by a click
+ * @param {HTMLElement} container - Container to render in (emptied first)
+ * @param {string[]} tags - Suggested tags
+ * @param {function(string[] | null): void} onAccept - Accepts the given tags, or all of them for null
+ * @param {function(): void} onDismiss - Dismisses all suggestions
+ */
+function renderTagSuggestions(container: HTMLElement, tags: string[], onAccept: (tags: string[] | null) => void, onDismiss: () => void): void {
+    container.innerHTML = "";
+    if (tags.length === 0) return;
+    const bar = cloneTemplate("tag-suggestions-template", container);
+    if (!bar) return;
+    const list = bar.querySelector(".tag-suggestions-list") as HTMLElement;
+    tags.forEach(function(tag: string) {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "badge tag-suggestion me-1";
+        chip.textContent = "+ " + tag;
+        chip.title = "Accept suggested tag";
+        chip.addEventListener("click", function() {
+            onAccept([tag]);
+        });
+        list.appendChild(chip);
+    });
+    (bar.querySelector(".accept-all-suggestions-btn") as HTMLButtonElement).addEventListener("click", function() {
+        onAccept(null);
+    });
+    (bar.querySelector(".dismiss-suggestions-btn") as HTMLButtonElement).addEventListener("click", function() {
+        onDismiss();
+    });
+}
+
+/**
+ * Shows the tag suggestions of an image in the conversation view
+ * @param {HTMLElement} imgItemContainer - Image item element
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {string} filename - Storage filename of the image
+ * @param {string[]} tags - Suggested tags
+ */
+function renderImageTagSuggestions(imgItemContainer: HTMLElement, conversationTimestamp: number, filename: string, tags: string[]): void {
+    const container = imgItemContainer.querySelector(".image-tag-suggestions") as HTMLElement | null;
+    if (!container) return;
+    const image: ReferenceImage = { conversationTimestamp: conversationTimestamp, imageIndex: parseInt(filename, 10) };
+    renderTagSuggestions(container, tags, function(accepted: string[] | null) {
+        handleAcceptSuggestedTags([image], accepted);
+    }, function() {
+        handleDismissSuggestedTags([image], null);
+    });
+}
+
 /**
  * Renders tag badges on an image entry
  * @param {HTMLElement} container - Container to render tags in
@@ -3529,6 +4598,7 @@ function renderImageTags(container: HTMLElement, tags: string[], conversationTim
         const badge = clone.firstElementChild as HTMLElement;
         const tagText = badge.querySelector(".tag-text") as HTMLElement;
         tagText.textContent = tag;
+        applyTagColor(badge, tag);
         const removeBtn = badge.querySelector(".remove-tag-btn") as HTMLButtonElement;
         removeBtn.addEventListener("click", function(e) {
             e.stopPropagation();
@@ -3543,9 +4613,10 @@ function renderImageTags(container: HTMLElement, tags: string[], conversationTim
  * @param {number} conversationTimestamp - Conversation timestamp
  * @param {number} entryIndex - Entry index in conversation
  * @param {number} imageIndex - Image index in entry
+ * @param {function(string[]): void} [onSaved] - Called with the saved tags
  */
-export async function openTagEditor(conversationTimestamp: number, entryIndex: number, imageIndex: number): Promise<void> {
-    const conversation = await loadConversation(conversationTimestamp);
+export async function openTagEditor(conversationTimestamp: number, entryIndex: number, imageIndex: number, onSaved?: (tags: string[]) => void): Promise<void> {
+    const conversation = await getConversationForEdit(conversationTimestamp);
     if (!conversation) {
         displayError("Conversation not found");
         return;
@@ -3599,6 +4670,7 @@ export async function openTagEditor(conversationTimestamp: number, entryIndex: n
             const badge = clone.firstElementChild as HTMLElement;
             const tagText = badge.querySelector(".tag-text") as HTMLElement;
             tagText.textContent = tag;
+            applyTagColor(badge, tag);
             const removeBtn = badge.querySelector(".remove-tag-btn") as HTMLButtonElement;
             removeBtn.addEventListener("click", function(e) {
                 e.stopPropagation();
@@ -3609,6 +4681,41 @@ export async function openTagEditor(conversationTimestamp: number, entryIndex: n
         }
     }
 
+    const suggestedContainer = modalElement.querySelector(".tag-editor-suggested") as HTMLElement;
+    const suggestBtn = modalElement.querySelector(".suggest-tags-btn") as HTMLButtonElement;
+
+    function renderSuggestedTags(): void {
+        renderTagSuggestions(suggestedContainer, getSuggestedTags(entry, imageIndex), function(tags: string[] | null) {
+            acceptSuggestedTags(entry, imageIndex, tags);
+            renderCurrentTags();
+            renderSuggestedTags();
+        }, function() {
+            dismissSuggestedTags(entry, imageIndex, null);
+            renderSuggestedTags();
+        });
+    }
+
+    suggestBtn.addEventListener("click", async function() {
+        suggestBtn.disabled = true;
+        suggestBtn.textContent = "Suggesting…";
+        try {
+            const image: ReferenceImage = { conversationTimestamp: conversationTimestamp, imageIndex: parseInt(entry.response.imageFilenames[imageIndex], 10) };
+            const tags = await suggestTagsForImage(image, getTagVocabulary(allConversations), conversation);
+            if (tags === null) return;
+            setSuggestedTags(entry, imageIndex, tags);
+            renderSuggestedTags();
+            if (getSuggestedTags(entry, imageIndex).length === 0) {
+                displayWarning("No new tags were suggested for this image");
+            }
+        } catch (error) {
+            console.error("Error suggesting tags:", error);
+            displayError("Auto-tagging failed: " + (error as Error).message);
+        } finally {
+            suggestBtn.disabled = false;
+            suggestBtn.textContent = "Suggest tags";
+        }
+    });
+
     function showSuggestions(filter: string): void {
         suggestionsContainer.innerHTML = "";
         if (allConversations.length === 0) return;
@@ -3676,6 +4783,7 @@ export async function openTagEditor(conversationTimestamp: number, entryIndex: n
     });
 
     renderCurrentTags();
+    renderSuggestedTags();
 
     const modal = new bootstrap.Modal(modalElement);
     modal.show();
@@ -3687,130 +4795,3200 @@ export async function openTagEditor(conversationTimestamp: number, entryIndex: n
     saveBtn.addEventListener("click", async function() {
         await saveConversation(conversationTimestamp, conversation);
         invalidateDialogState();
-        await renderConversation(conversation);
+        if (STATE.currentConversation && STATE.currentConversation.timestamp === conversationTimestamp) {
+            await renderConversation(conversation);
+        }
+        if (onSaved) {
+            onSaved(getTagsForImage(entry, imageIndex));
+        }
         modal.hide();
     });
 }
 
 /**
- * Updates the sync button appearance based on state
- * @param {boolean} enabled - Whether sync is enabled
- * @param {boolean} syncing - Whether sync is in progress
- * @param {boolean} needsReauth - Whether the directory needs re-authorization
+ * Fills one spending table with rows in the given order
+ * @param {HTMLElement | null} tbody - Table body
+ * @param {Array<[string, number]>} rows - Label and amount pairs
  */
-export function updateSyncButton(enabled: boolean, syncing: boolean, needsReauth: boolean = false): void {
-    const syncBtn = document.getElementById("sync-directory-btn");
-    if (!syncBtn) return;
-
-    if (needsReauth) {
-        syncBtn.textContent = "🖴";
-        syncBtn.setAttribute("title", "Click to re-authorize folder access");
-    } else if (enabled) {
-        syncBtn.textContent = "✓🖴";
-        if (syncing) {
-            syncBtn.setAttribute("title", "Syncing to folder... (click to stop)");
-        } else {
-            syncBtn.setAttribute("title", "Syncing to folder (click to stop)");
-        }
-    } else {
-        syncBtn.textContent = "🖴";
-        syncBtn.setAttribute("title", "Sync images to external folder");
+function renderSpendingRows(tbody: HTMLElement | null, rows: Array<[string, number]>): void {
+    if (!tbody) return;
+    tbody.innerHTML = "";
+    if (rows.length === 0) {
+        const row = cloneTemplate("spending-row-template", tbody);
+        const label = row?.querySelector(".spending-label");
+        if (label) label.textContent = "Nothing yet";
+        return;
+    }
+    for (const [labelText, amount] of rows) {
+        const row = cloneTemplate("spending-row-template", tbody);
+        if (!row) continue;
+        const label = row.querySelector(".spending-label") as HTMLElement;
+        label.textContent = labelText;
+        label.title = labelText;
+        (row.querySelector(".spending-amount") as HTMLElement).textContent = formatCost(amount);
     }
 }
 
 /**
- * Shows the sync progress bar
- * @param {number} current - Current progress value
- * @param {number} total - Total progress value
+ * Sorts a totals map by amount, largest first
+ * @param {Map<K, number>} totals - Totals
+ * @returns {Array<[K, number]>} Sorted pairs
  */
-export function showSyncProgress(current: number, total: number): void {
-    const container = document.getElementById("sync-progress-container");
-    const progressBar = document.getElementById("sync-progress-bar");
-    const progressText = document.getElementById("sync-progress-text");
-
-    if (!container || !progressBar || !progressText) return;
-
-    container.style.display = "block";
-    const percentage = Math.round((current / total) * 100);
-    progressBar.style.width = percentage + "%";
-    progressText.textContent = "Syncing " + current + "/" + total + " conversations...";
+function sortByAmount<K>(totals: Map<K, number>): Array<[K, number]> {
+    return Array.from(totals.entries()).sort(function(a: [K, number], b: [K, number]) { return b[1] - a[1]; });
 }
 
 /**
- * Hides the sync progress bar
- * @param {boolean} showComplete - Whether to show "Complete" message
+ * Fills the spending dialog with current totals
+ * @param {HTMLElement} modalElement - Spending modal
+ * @returns {Promise<void>}
  */
-export function hideSyncProgress(showComplete: boolean = false): void {
-    const container = document.getElementById("sync-progress-container");
-    const progressBar = document.getElementById("sync-progress-bar");
-    const progressText = document.getElementById("sync-progress-text");
+async function renderSpendingDialog(modalElement: HTMLElement): Promise<void> {
+    const records = await loadSpendingRecords();
+    const summary = summarizeSpending(records, STATE.projects);
 
-    if (!container || !progressBar || !progressText) return;
+    (modalElement.querySelector(".spending-total") as HTMLElement).textContent = formatCost(summary.total);
+    (modalElement.querySelector(".spending-unknown") as HTMLElement).textContent = summary.unknownCount > 0
+        ? summary.unknownCount + " generation(s) without a known cost"
+        : "";
 
-    if (showComplete) {
-        progressBar.style.width = "100%";
-        progressBar.classList.remove("progress-bar-animated");
-        progressText.textContent = "Sync complete!";
-        setTimeout(function() {
-            container.style.display = "none";
-            progressBar.classList.add("progress-bar-animated");
-            progressBar.style.width = "0%";
-        }, 2000);
-    } else {
-        container.style.display = "none";
-        progressBar.style.width = "0%";
+    const days = Array.from(summary.byDay.entries()).sort(function(a: [string, number], b: [string, number]) {
+        return a[0] < b[0] ? 1 : -1;
+    });
+    renderSpendingRows(modalElement.querySelector(".spending-by-day"), days);
+
+    renderSpendingRows(modalElement.querySelector(".spending-by-model"), sortByAmount(summary.byModel).map(function([modelId, amount]): [string, number] {
+        const model = STATE.visionModels.find(function(m: {id: string; name: string}) { return m.id === modelId; });
+        return [model ? model.name : modelId, amount];
+    }));
+
+    renderSpendingRows(modalElement.querySelector(".spending-by-project"), sortByAmount(summary.byProject).map(function([projectId, amount]): [string, number] {
+        const project = STATE.projects.find(function(p: Project) { return p.id === projectId; });
+        return [project ? project.name : projectId, amount];
+    }));
+
+    const conversationRows: Array<[string, number]> = [];
+    for (const [timestamp, amount] of sortByAmount(summary.byConversation)) {
+        const convSummary = await loadSummary(timestamp);
+        conversationRows.push([convSummary?.title || new Date(timestamp * 1000).toLocaleString(), amount]);
     }
+    renderSpendingRows(modalElement.querySelector(".spending-by-conversation"), conversationRows);
 }
 
 /**
- * Renders the rating overlay stars on an image
- * @param {HTMLElement} container - Rating overlay element
- * @param {number | null} rating - Current rating or null
+ * Opens the spending dialog
+ * @returns {Promise<void>}
  */
-function renderRatingOverlay(container: HTMLElement, rating: number | null): void {
-    container.innerHTML = "";
-    if (rating === null) {
-        container.style.display = "none";
-        return;
+export async function openSpendingDialog(): Promise<void> {
+    const existing = document.getElementById("spending-modal");
+    if (existing) {
+        existing.remove();
     }
 
-    container.style.display = "flex";
-    for (let i = 1; i <= 5; i++) {
-        const star = document.createElement("span");
-        star.className = "star" + (i <= rating ? "" : " empty");
-        star.textContent = "★";
-        container.appendChild(star);
-    }
+    const modalElement = cloneTemplate("spending-modal-template", document.body);
+    if (!modalElement) return;
+
+    const modal = new bootstrap.Modal(modalElement);
+    modalElement.addEventListener("hidden.bs.modal", function() {
+        modalElement.remove();
+    });
+
+    const backfillBtn = modalElement.querySelector(".spending-backfill-btn") as HTMLButtonElement;
+    backfillBtn.addEventListener("click", async function() {
+        backfillBtn.disabled = true;
+        backfillBtn.textContent = "Fetching...";
+        const filled = await backfillMissingCosts(getApiKey());
+        backfillBtn.textContent = filled > 0 ? "Filled in " + filled : "No new costs available";
+        await renderSpendingDialog(modalElement);
+        backfillBtn.disabled = false;
+    });
+
+    modal.show();
+    await renderSpendingDialog(modalElement);
 }
 
 /**
- * Shows the rating picker popup for an image
- * @param {HTMLElement} imageContainer - The image item container
+ * Wires the compare button of an image in the conversation view
+ * @param {HTMLElement} imgItemContainer - Image item element
  * @param {number} conversationTimestamp - Conversation timestamp
  * @param {number} entryIndex - Entry index in conversation
  * @param {number} imageIndex - Image index within the entry
  */
-function showRatingPicker(imageContainer: HTMLElement, conversationTimestamp: number, entryIndex: number, imageIndex: number): void {
-    const existingPicker = imageContainer.querySelector(".rating-picker");
-    if (existingPicker) {
-        existingPicker.remove();
-    }
+function setupCompareButton(imgItemContainer: HTMLElement, conversationTimestamp: number, entryIndex: number, imageIndex: number): void {
+    const compareBtn = imgItemContainer.querySelector(".compare-btn") as HTMLButtonElement | null;
+    if (!compareBtn) return;
+    compareBtn.dataset.conversationTimestamp = String(conversationTimestamp);
+    compareBtn.dataset.entryIndex = String(entryIndex);
+    compareBtn.dataset.imageIndex = String(imageIndex);
+    markCompareButton(compareBtn);
+    compareBtn.addEventListener("click", function() {
+        const result = toggleComparison({ conversationTimestamp: conversationTimestamp, entryIndex: entryIndex, imageIndex: imageIndex });
+        if (result === 'full') {
+            displayWarning("Up to " + MAX_COMPARISON_IMAGES + " images can be compared. Remove one first.");
+            return;
+        }
+        updateComparisonTray();
+    });
+}
 
-    loadConversation(conversationTimestamp).then(function(conversation: Conversation | null) {
-        if (!conversation || !conversation.entries[entryIndex]) return;
+/**
+ * Shows whether the image behind a compare button is picked
+ * @param {HTMLButtonElement} compareBtn - Compare button carrying the image reference in its dataset
+ */
+function markCompareButton(compareBtn: HTMLButtonElement): void {
+    const picked = isInComparison({
+        conversationTimestamp: parseInt(compareBtn.dataset.conversationTimestamp || "0", 10),
+        entryIndex: parseInt(compareBtn.dataset.entryIndex || "0", 10),
+        imageIndex: parseInt(compareBtn.dataset.imageIndex || "0", 10)
+    });
+    compareBtn.classList.toggle("active", picked);
+    compareBtn.title = picked ? "Remove from comparison" : "Add to comparison";
+}
 
-        const entry = conversation.entries[entryIndex];
-        const currentRating = getRatingForImage(entry, imageIndex);
+/**
+ * Updates the comparison tray and the compare buttons after the picked images changed
+ */
+export function updateComparisonTray(): void {
+    document.querySelectorAll(".compare-btn").forEach(function(btn: Element) {
+        markCompareButton(btn as HTMLButtonElement);
+    });
+    // Cached image elements are re-attached later without being rebuilt
+    STATE.conversationView.imageElementCache.forEach(function(element: HTMLElement) {
+        const btn = element.querySelector(".compare-btn") as HTMLButtonElement | null;
+        if (btn) markCompareButton(btn);
+    });
 
-        const pickerTemplate = document.getElementById("rating-picker-template") as HTMLTemplateElement | null;
-        if (!pickerTemplate) return;
+    const tray = document.getElementById("compare-tray");
+    if (!tray) return;
+    const count = STATE.comparison.length;
+    tray.style.display = count > 0 ? "flex" : "none";
+    (tray.querySelector(".compare-tray-count") as HTMLElement).textContent = count + " of " + MAX_COMPARISON_IMAGES + " images picked";
+    const openBtn = document.getElementById("compare-open-btn") as HTMLButtonElement | null;
+    if (openBtn) {
+        openBtn.disabled = count < MIN_COMPARISON_IMAGES;
+    }
+}
 
-        const pickerClone = pickerTemplate.content.cloneNode(true) as DocumentFragment;
-        const picker = pickerClone.firstElementChild as HTMLElement;
+/**
+ * Clears the images picked for comparison
+ */
+export function clearComparison(): void {
+    STATE.comparison = [];
+    updateComparisonTray();
+}
 
-        const stars = picker.querySelectorAll(".rating-star");
-        stars.forEach(function(starEl) {
-            const value = parseInt((starEl as HTMLElement).dataset.value || "0", 10);
+/**
+ * Shows tags as badges in the comparison view
+ * @param {HTMLElement} container - Tags container
+ * @param {string[]} tags - Tags
+ */
+function renderComparisonTags(container: HTMLElement, tags: string[]): void {
+    container.innerHTML = "";
+    tags.forEach(function(tag: string) {
+        const badge = document.createElement("span");
+        badge.className = "badge bg-secondary me-1";
+        badge.textContent = tag;
+        applyTagColor(badge, tag);
+        container.appendChild(badge);
+    });
+}
+
+/**
+ * Opens the comparison view for the picked images. Side by side shows each image with its
+ * prompt, seed and model and allows rating and tagging; overlay shows two images split by a
+ * slider. Zoom (wheel) and pan (drag) are shared by all images.
+ * @returns {Promise<void>}
+ */
+export async function openComparisonView(): Promise<void> {
+    const existing = document.getElementById("compare-view");
+    if (existing) {
+        existing.remove();
+    }
+
+    /** @type {Array<{ref: ComparisonImage, entry: ConversationEntry, url: string}>} */
+    const items: Array<{ ref: ComparisonImage; entry: ConversationEntry; url: string }> = [];
+    for (const ref of STATE.comparison) {
+        const conversation = await getConversationForEdit(ref.conversationTimestamp);
+        const entry = conversation ? conversation.entries[ref.entryIndex] : undefined;
+        const filename = entry ? entry.response.imageFilenames[ref.imageIndex] : undefined;
+        const blob = filename && filename !== "generating" ? await getImage(ref.conversationTimestamp, parseInt(filename, 10)) : null;
+        if (entry && blob) {
+            items.push({ ref: ref, entry: entry, url: URL.createObjectURL(blob) });
+        }
+    }
+
+    if (items.length < STATE.comparison.length) {
+        // Drop picks whose image is gone
+        STATE.comparison = items.map(function(item) { return item.ref; });
+        updateComparisonTray();
+    }
+    if (items.length < MIN_COMPARISON_IMAGES) {
+        items.forEach(function(item) { URL.revokeObjectURL(item.url); });
+        displayError("Pick at least " + MIN_COMPARISON_IMAGES + " images to compare");
+        return;
+    }
+
+    const view = cloneTemplate("compare-view-template", document.body);
+    if (!view) return;
+
+    const panelsContainer = view.querySelector(".compare-panels") as HTMLElement;
+    const overlay = view.querySelector(".compare-overlay") as HTMLElement;
+    const overlayPickers = view.querySelector(".compare-overlay-pickers") as HTMLElement;
+    const leftSelect = view.querySelector(".compare-overlay-left") as HTMLSelectElement;
+    const rightSelect = view.querySelector(".compare-overlay-right") as HTMLSelectElement;
+    const leftImage = view.querySelector(".compare-overlay-left-image") as HTMLImageElement;
+    const rightImage = view.querySelector(".compare-overlay-right-image") as HTMLImageElement;
+    const overlayClip = view.querySelector(".compare-overlay-clip") as HTMLElement;
+    const overlayDivider = view.querySelector(".compare-overlay-divider") as HTMLElement;
+    const slider = view.querySelector(".compare-overlay-slider") as HTMLInputElement;
+    const zoomLevel = view.querySelector(".compare-zoom-level") as HTMLElement;
+
+    let transform = createFitTransform();
+    const images: HTMLImageElement[] = [leftImage, rightImage];
+    let changed = false;
+
+    /**
+     * Applies the shared zoom and pan to every image
+     */
+    function applyTransform(): void {
+        const css = transformToCss(transform);
+        images.forEach(function(img: HTMLImageElement) {
+            img.style.transform = css;
+        });
+        zoomLevel.textContent = Math.round(transform.scale * 100) + "%";
+    }
+
+    /**
+     * Lets a viewport zoom with the wheel and pan by dragging
+     * @param {HTMLElement} viewport - Viewport element
+     */
+    function attachZoomAndPan(viewport: HTMLElement): void {
+        let last: { x: number; y: number } | null = null;
+
+        viewport.addEventListener("wheel", function(e: WheelEvent) {
+            e.preventDefault();
+            const rect = viewport.getBoundingClientRect();
+            const px = (e.clientX - rect.left) / rect.width - 0.5;
+            const py = (e.clientY - rect.top) / rect.height - 0.5;
+            transform = zoomAt(transform, e.deltaY < 0 ? 1.25 : 0.8, px, py);
+            applyTransform();
+        }, { passive: false });
+
+        viewport.addEventListener("pointerdown", function(e: PointerEvent) {
+            if ((e.target as HTMLElement).closest(".rating-picker")) return;
+            last = { x: e.clientX, y: e.clientY };
+            viewport.setPointerCapture(e.pointerId);
+            viewport.classList.add("panning");
+        });
+        viewport.addEventListener("pointermove", function(e: PointerEvent) {
+            if (!last) return;
+            const rect = viewport.getBoundingClientRect();
+            transform = panBy(transform, (e.clientX - last.x) / rect.width, (e.clientY - last.y) / rect.height);
+            last = { x: e.clientX, y: e.clientY };
+            applyTransform();
+        });
+        const endPan = function() {
+            last = null;
+            viewport.classList.remove("panning");
+        };
+        viewport.addEventListener("pointerup", endPan);
+        viewport.addEventListener("pointercancel", endPan);
+
+        viewport.addEventListener("dblclick", function() {
+            transform = createFitTransform();
+            applyTransform();
+        });
+    }
+
+    /**
+     * Closes the view, releasing image URLs and refreshing the conversation if ratings or tags changed
+     */
+    function close(): void {
+        document.removeEventListener("keydown", handleKeydown);
+        items.forEach(function(item) { URL.revokeObjectURL(item.url); });
+        view!.remove();
+        if (changed && STATE.currentConversation) {
+            renderConversation(STATE.currentConversation, false);
+        }
+    }
+
+    /**
+     * Closes the view on Escape unless a dialog (e.g. the tag editor) is open on top of it
+     * @param {KeyboardEvent} e - Key event
+     */
+    function handleKeydown(e: KeyboardEvent): void {
+        if (e.key === "Escape" && !document.querySelector(".modal.show")) {
+            close();
+        }
+    }
+
+    /**
+     * Describes an image for captions and pickers
+     * @param {ConversationEntry} entry - Entry holding the image
+     * @param {number} position - 1-based position in the comparison
+     * @returns {string} Short description
+     */
+    function describe(entry: ConversationEntry, position: number): string {
+        return position + ": " + (entry.message.modelName || entry.message.modelId || "Unknown model") + " · seed " + entry.message.seed;
+    }
+
+    items.forEach(function(item, i: number) {
+        const panel = cloneTemplate("compare-panel-template", panelsContainer);
+        if (!panel) return;
+        const ref = item.ref;
+        const entry = item.entry;
+
+        const img = panel.querySelector(".compare-image") as HTMLImageElement;
+        img.src = item.url;
+        images.push(img);
+
+        const resolution = entry.response.imageResolutions?.[ref.imageIndex];
+        (panel.querySelector(".compare-model") as HTMLElement).textContent = (i + 1) + ". " + (entry.message.modelName || entry.message.modelId || "Unknown model");
+        (panel.querySelector(".compare-seed") as HTMLElement).textContent = "Seed " + entry.message.seed
+            + (entry.message.aspectRatio ? " · " + entry.message.aspectRatio : "")
+            + (resolution ? " · " + resolution : "");
+        (panel.querySelector(".compare-prompt") as HTMLElement).textContent = entry.message.text;
+
+        const tagsContainer = panel.querySelector(".compare-tags") as HTMLElement;
+        renderComparisonTags(tagsContainer, getTagsForImage(entry, ref.imageIndex));
+        renderRatingOverlay(panel.querySelector(".rating-overlay") as HTMLElement, getRatingForImage(entry, ref.imageIndex));
+
+        (panel.querySelector(".tag-btn") as HTMLElement).addEventListener("click", function() {
+            openTagEditor(ref.conversationTimestamp, ref.entryIndex, ref.imageIndex, function(tags: string[]) {
+                changed = true;
+                renderComparisonTags(tagsContainer, tags);
+            });
+        });
+        (panel.querySelector(".rate-btn") as HTMLElement).addEventListener("click", function(e) {
+            e.stopPropagation();
+            changed = true;
+            showRatingPicker(panel, ref.conversationTimestamp, ref.entryIndex, ref.imageIndex);
+        });
+        (panel.querySelector(".compare-remove-btn") as HTMLElement).addEventListener("click", function() {
+            toggleComparison(ref);
+            updateComparisonTray();
+            close();
+            if (STATE.comparison.length >= MIN_COMPARISON_IMAGES) {
+                openComparisonView();
+            }
+        });
+
+        attachZoomAndPan(panel.querySelector(".compare-viewport") as HTMLElement);
+
+        [leftSelect, rightSelect].forEach(function(select: HTMLSelectElement) {
+            const option = document.createElement("option");
+            option.value = String(i);
+            option.textContent = describe(entry, i + 1);
+            select.appendChild(option);
+        });
+    });
+
+    /**
+     * Shows the images chosen for the overlay
+     */
+    function updateOverlayImages(): void {
+        const left = items[parseInt(leftSelect.value, 10)];
+        const right = items[parseInt(rightSelect.value, 10)];
+        leftImage.src = left.url;
+        rightImage.src = right.url;
+        (view!.querySelector(".compare-overlay-left-caption") as HTMLElement).textContent = "◀ " + describe(left.entry, parseInt(leftSelect.value, 10) + 1);
+        (view!.querySelector(".compare-overlay-right-caption") as HTMLElement).textContent = describe(right.entry, parseInt(rightSelect.value, 10) + 1) + " ▶";
+    }
+
+    leftSelect.value = "0";
+    rightSelect.value = "1";
+    updateOverlayImages();
+    leftSelect.addEventListener("change", updateOverlayImages);
+    rightSelect.addEventListener("change", updateOverlayImages);
+    attachZoomAndPan(view.querySelector(".compare-overlay-viewport") as HTMLElement);
+
+    slider.addEventListener("input", function() {
+        const position = parseInt(slider.value, 10);
+        overlayClip.style.clipPath = "inset(0 " + (100 - position) + "% 0 0)";
+        overlayDivider.style.left = position + "%";
+    });
+
+    view.querySelectorAll(".compare-mode-btn").forEach(function(btn: Element) {
+        btn.addEventListener("click", function() {
+            const isOverlay = (btn as HTMLElement).dataset.mode === "overlay";
+            view!.querySelectorAll(".compare-mode-btn").forEach(function(other: Element) {
+                other.classList.toggle("active", other === btn);
+            });
+            panelsContainer.style.display = isOverlay ? "none" : "";
+            overlay.style.display = isOverlay ? "flex" : "none";
+            overlayPickers.style.display = isOverlay ? "flex" : "none";
+        });
+    });
+
+    (view.querySelector(".compare-reset-zoom-btn") as HTMLElement).addEventListener("click", function() {
+        transform = createFitTransform();
+        applyTransform();
+    });
+    (view.querySelector(".compare-close-btn") as HTMLElement).addEventListener("click", close);
+    document.addEventListener("keydown", handleKeydown);
+
+    applyTransform();
+    view.focus();
+}
+
+/** @type {number} Time without mouse movement before the slideshow toolbar and cursor hide */
+const SLIDESHOW_IDLE_DELAY: number = 2500;
+
+/**
+ * Presents images one at a time over the whole window (full screen where allowed) with a
+ * caption showing the conversation title, prompt and rating. Keys navigate, play and pause
+ * auto-advance and rate the image shown; images are read from local storage only.
+ * @param {SlideshowSlide[]} slides - Images to present, in order
+ * @param {number} startIndex - Slide shown first
+ * @returns {Promise<void>}
+ */
+export async function openSlideshow(slides: SlideshowSlide[], startIndex: number = 0): Promise<void> {
+    if (slides.length === 0) {
+        displayWarning("There are no images to present");
+        return;
+    }
+    if (document.getElementById("slideshow-view")) return;
+    const view = cloneTemplate("slideshow-view-template", document.body);
+    if (!view) return;
+
+    const image = view.querySelector(".slideshow-image") as HTMLImageElement;
+    const missing = view.querySelector(".slideshow-missing") as HTMLElement;
+    const position = view.querySelector(".slideshow-position") as HTMLElement;
+    const titleEl = view.querySelector(".slideshow-title") as HTMLElement;
+    const promptEl = view.querySelector(".slideshow-prompt") as HTMLElement;
+    const noteEl = view.querySelector(".slideshow-note") as HTMLElement;
+    const ratingEl = view.querySelector(".slideshow-rating") as HTMLElement;
+    const playBtn = view.querySelector(".slideshow-play-btn") as HTMLButtonElement;
+    const intervalSelect = view.querySelector(".slideshow-interval-select") as HTMLSelectElement;
+    const captionBtn = view.querySelector(".slideshow-caption-btn") as HTMLButtonElement;
+
+    let index = stepSlide(startIndex, 0, slides.length);
+    let playing = false;
+    let url: string | null = null;
+    let showCount = 0;
+    let changed = false;
+    let advanceTimer: ReturnType<typeof setTimeout> | null = null;
+    let idleTimer: ReturnType<typeof setTimeout> | null = null;
+    /** @type {Map<number, Promise<string>>} */
+    const titles: Map<number, Promise<string>> = new Map();
+
+    SLIDESHOW_INTERVALS.forEach(function(seconds: number) {
+        const option = document.createElement("option");
+        option.value = String(seconds);
+        option.textContent = seconds + " s";
+        intervalSelect.appendChild(option);
+    });
+    intervalSelect.value = String(DEFAULT_SLIDESHOW_INTERVAL);
+
+    /**
+     * Gets the title of a conversation, loading each one once
+     * @param {number} timestamp - Conversation timestamp
+     * @returns {Promise<string>} Title
+     */
+    function getTitle(timestamp: number): Promise<string> {
+        if (!titles.has(timestamp)) {
+            titles.set(timestamp, loadSummary(timestamp).then(function(summary: ConversationSummary | null) {
+                return summary?.title || "Untitled conversation";
+            }));
+        }
+        return titles.get(timestamp)!;
+    }
+
+    /**
+     * Restarts the auto-advance countdown if playing
+     */
+    function scheduleAdvance(): void {
+        if (advanceTimer !== null) {
+            clearTimeout(advanceTimer);
+            advanceTimer = null;
+        }
+        if (!playing) return;
+        advanceTimer = setTimeout(function() {
+            go(stepSlide(index, 1, slides.length));
+        }, parseInt(intervalSelect.value, 10) * 1000);
+    }
+
+    /**
+     * Shows the current slide with its caption
+     * @returns {Promise<void>}
+     */
+    async function show(): Promise<void> {
+        const count = ++showCount;
+        const slide = slides[index];
+        position.textContent = (index + 1) + " / " + slides.length;
+        const [blob, conversation, title] = await Promise.all([
+            getImage(slide.conversationTimestamp, slide.imageIndex),
+            getConversationForEdit(slide.conversationTimestamp),
+            getTitle(slide.conversationTimestamp)
+        ]);
+        if (count !== showCount || !view!.isConnected) return;
+
+        if (url) URL.revokeObjectURL(url);
+        url = blob ? URL.createObjectURL(blob) : null;
+        if (url) {
+            image.src = url;
+        } else {
+            image.removeAttribute("src");
+        }
+        image.style.display = url ? "" : "none";
+        missing.style.display = url ? "none" : "";
+
+        const location = conversation ? findImageLocation(conversation, slide) : null;
+        const entry = conversation && location ? conversation.entries[location.entryIndex] : null;
+        titleEl.textContent = title;
+        promptEl.textContent = entry ? entry.message.text : "";
+        noteEl.textContent = slide.note;
+        ratingEl.textContent = entry && location ? ratingToStars(getRatingForImage(entry, location.imageIndex)) : "";
+        scheduleAdvance();
+    }
+
+    /**
+     * Moves to a slide
+     * @param {number} target - Slide index
+     */
+    function go(target: number): void {
+        index = target;
+        show();
+    }
+
+    /**
+     * Starts or stops auto-advance
+     * @param {boolean} play - Whether to play
+     */
+    function setPlaying(play: boolean): void {
+        playing = play;
+        playBtn.textContent = play ? "Pause" : "Play";
+        playBtn.classList.toggle("active", play);
+        scheduleAdvance();
+    }
+
+    /**
+     * Rates the image shown and saves its conversation
+     * @param {number | null} rating - Rating (1-5) or null to clear
+     * @returns {Promise<void>}
+     */
+    async function rate(rating: number | null): Promise<void> {
+        const slide = slides[index];
+        const conversation = await getConversationForEdit(slide.conversationTimestamp);
+        const location = conversation ? findImageLocation(conversation, slide) : null;
+        if (!conversation || !location) return;
+        const entry = conversation.entries[location.entryIndex];
+        if (getRatingForImage(entry, location.imageIndex) === rating) return;
+        if (!setRating(entry, location.imageIndex, rating)) return;
+
+        await saveConversation(conversation.timestamp, conversation);
+        invalidateDialogState();
+        changed = true;
+        if (slides[index] === slide) {
+            ratingEl.textContent = ratingToStars(rating);
+        }
+    }
+
+    /**
+     * Enters or leaves full screen
+     */
+    function toggleFullscreen(): void {
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(function() {});
+        } else {
+            view!.requestFullscreen().catch(function() {});
+        }
+    }
+
+    /**
+     * Shows the toolbar and cursor, hiding them again after a while without mouse movement
+     */
+    function wake(): void {
+        view!.classList.remove("idle");
+        if (idleTimer !== null) clearTimeout(idleTimer);
+        idleTimer = setTimeout(function() {
+            view!.classList.add("idle");
+        }, SLIDESHOW_IDLE_DELAY);
+    }
+
+    /**
+     * Closes the slideshow, releasing the image URL and refreshing views whose ratings changed
+     */
+    function close(): void {
+        document.removeEventListener("keydown", handleKeydown);
+        if (advanceTimer !== null) clearTimeout(advanceTimer);
+        if (idleTimer !== null) clearTimeout(idleTimer);
+        showCount++;
+        if (url) URL.revokeObjectURL(url);
+        if (document.fullscreenElement === view) {
+            document.exitFullscreen().catch(function() {});
+        }
+        view!.remove();
+        if (changed && STATE.currentConversation) {
+            renderConversation(STATE.currentConversation, false);
+        }
+        if (changed && galleryState.dialog) {
+            refreshGallery();
+        }
+    }
+
+    /**
+     * Handles slideshow keys unless a dialog is open on top or a control has focus
+     * @param {KeyboardEvent} e - Key event
+     */
+    function handleKeydown(e: KeyboardEvent): void {
+        if (e.ctrlKey || e.metaKey || e.altKey || document.querySelector(".modal.show")) return;
+        if ((e.target as HTMLElement).closest("select, input, textarea")) return;
+        // Space on a focused toolbar button presses that button instead
+        if (e.key === " " && (e.target as HTMLElement).closest("button")) return;
+        const action = getSlideshowAction(e.key);
+        if (!action) return;
+        e.preventDefault();
+        switch (action.type) {
+            case 'next': go(stepSlide(index, 1, slides.length)); break;
+            case 'previous': go(stepSlide(index, -1, slides.length)); break;
+            case 'first': go(0); break;
+            case 'last': go(slides.length - 1); break;
+            case 'toggle-play': setPlaying(!playing); break;
+            case 'toggle-caption': captionBtn.click(); break;
+            case 'toggle-fullscreen': toggleFullscreen(); break;
+            case 'close': close(); break;
+            case 'rate': rate(action.rating); break;
+        }
+    }
+
+    (view.querySelector(".slideshow-prev-btn") as HTMLButtonElement).addEventListener("click", function() {
+        go(stepSlide(index, -1, slides.length));
+    });
+    (view.querySelector(".slideshow-next-btn") as HTMLButtonElement).addEventListener("click", function() {
+        go(stepSlide(index, 1, slides.length));
+    });
+    (view.querySelector(".slideshow-stage") as HTMLElement).addEventListener("click", function() {
+        go(stepSlide(index, 1, slides.length));
+    });
+    playBtn.addEventListener("click", function() {
+        setPlaying(!playing);
+    });
+    intervalSelect.addEventListener("change", function() {
+        scheduleAdvance();
+        intervalSelect.blur();
+    });
+    captionBtn.addEventListener("click", function() {
+        const hidden = view!.classList.toggle("no-caption");
+        captionBtn.classList.toggle("active", !hidden);
+    });
+    (view.querySelector(".slideshow-fullscreen-btn") as HTMLButtonElement).addEventListener("click", toggleFullscreen);
+    (view.querySelector(".slideshow-close-btn") as HTMLButtonElement).addEventListener("click", close);
+    view.addEventListener("mousemove", wake);
+    document.addEventListener("keydown", handleKeydown);
+
+    view.requestFullscreen().catch(function() {});
+    view.focus();
+    wake();
+    await show();
+}
+
+/**
+ * Presents the images of the current conversation that pass the view's rating filter
+ * @returns {Promise<void>}
+ */
+export async function openConversationSlideshow(): Promise<void> {
+    if (!STATE.currentConversation) return;
+    await openSlideshow(getConversationSlides(STATE.currentConversation, STATE.conversationView.minRatingFilter));
+}
+
+/**
+ * Shows which template produced an entry's prompt. Clicking it reopens the template with the same values.
+ * @param {HTMLElement} messageEntry - Message entry element
+ * @param {TemplateUsage | undefined} usage - Template recorded on the entry
+ */
+function renderTemplateBadge(messageEntry: HTMLElement, usage: TemplateUsage | undefined): void {
+    const badge = messageEntry.querySelector(".entry-template-badge") as HTMLElement | null;
+    if (!badge || !usage) return;
+
+    badge.textContent = "Template: " + usage.name;
+    const valueLines = Object.keys(usage.values).map(function(name: string) {
+        return name + " = " + usage.values[name];
+    });
+    badge.title = valueLines.length > 0 ? valueLines.join("\n") : "Use this template again";
+    badge.style.display = "";
+    badge.addEventListener("click", async function() {
+        const template = (await loadAllTemplates()).find(function(t: PromptTemplate) { return t.id === usage.id; });
+        if (!template) {
+            displayError("The template \"" + usage.name + "\" no longer exists");
+            return;
+        }
+        openTemplateVariablesForm(template, usage.values);
+    });
+}
+
+/**
+ * Shows which batch an entry was generated in
+ * @param {HTMLElement} messageEntry - Message entry element
+ * @param {BatchMembership | undefined} batch - Batch recorded on the entry
+ */
+function renderBatchLabel(messageEntry: HTMLElement, batch: BatchMembership | undefined): void {
+    const label = messageEntry.querySelector(".entry-batch-label") as HTMLElement | null;
+    if (!label || !batch) return;
+    label.textContent = "Batch: " + batch.name + " · " + batch.position + " of " + batch.total;
+    label.style.display = "";
+}
+
+/**
+ * Shows which image an entry was edited from. Clicking it scrolls to that image's entry.
+ * @param {HTMLElement} messageEntry - Message entry element
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {ReferenceImage | undefined} derivedFrom - Source image recorded on the entry
+ */
+function renderDerivedLabel(messageEntry: HTMLElement, conversationTimestamp: number, derivedFrom: ReferenceImage | undefined): void {
+    const label = messageEntry.querySelector(".entry-derived-label") as HTMLElement | null;
+    if (!label || !derivedFrom) return;
+
+    const conversation = STATE.currentConversation && STATE.currentConversation.timestamp === conversationTimestamp ? STATE.currentConversation : null;
+    const location = conversation ? findImageLocation(conversation, derivedFrom) : null;
+    label.style.display = "";
+    if (!location) {
+        label.textContent = "✎ Edited from a deleted image";
+        label.setAttribute("disabled", "true");
+        return;
+    }
+
+    label.textContent = "✎ Edited from entry " + (location.entryIndex + 1);
+    label.title = "Show the source image";
+    label.addEventListener("click", function() {
+        const sourceEntry = STATE.conversationView.entryElementCache.get(conversationTimestamp + "-" + location.entryIndex);
+        if (sourceEntry) {
+            sourceEntry.scrollIntoView({ behavior: "smooth", block: "center" });
+        }
+    });
+}
+
+/**
+ * Wires the "Edit this image" button of an image in the conversation view
+ * @param {HTMLElement} imgItemContainer - Image item element
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} storageIndex - Storage index of the image
+ */
+function setupEditButton(imgItemContainer: HTMLElement, conversationTimestamp: number, storageIndex: number): void {
+    const editBtn = imgItemContainer.querySelector(".edit-image-btn") as HTMLButtonElement | null;
+    if (!editBtn) return;
+    editBtn.dataset.conversationTimestamp = String(conversationTimestamp);
+    editBtn.dataset.storageIndex = String(storageIndex);
+    editBtn.addEventListener("click", function() {
+        setEditSource(conversationTimestamp, storageIndex);
+    });
+}
+
+/**
+ * Turns on edit mode with an image as the one the next prompt edits
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} storageIndex - Storage index of the image
+ */
+export function setEditSource(conversationTimestamp: number, storageIndex: number): void {
+    STATE.editMode = true;
+    STATE.editSource = { conversationTimestamp: conversationTimestamp, imageIndex: storageIndex };
+    renderEditSourceBanner();
+
+    const textarea = document.getElementById("user-input") as HTMLTextAreaElement | null;
+    if (textarea) {
+        textarea.focus();
+    }
+}
+
+/**
+ * Updates the edit mode button, the banner above the generate button and the highlighted
+ * edit buttons to show which image the next prompt edits
+ */
+export function renderEditSourceBanner(): void {
+    const modeButton = document.getElementById("edit-mode-button");
+    if (modeButton) {
+        modeButton.classList.toggle("active", STATE.editMode);
+    }
+
+    const conversation = STATE.currentConversation;
+    const source = STATE.editMode && conversation ? getEditSource(conversation) : null;
+    const sourceKey = source ? source.conversationTimestamp + "-" + source.imageIndex : "";
+
+    document.querySelectorAll<HTMLButtonElement>(".edit-image-btn").forEach(function(btn: HTMLButtonElement) {
+        btn.classList.toggle("active", sourceKey !== "" && btn.dataset.conversationTimestamp + "-" + btn.dataset.storageIndex === sourceKey);
+    });
+
+    const banner = document.getElementById("edit-source-banner");
+    if (!banner) return;
+    if (!STATE.editMode) {
+        banner.style.display = "none";
+        return;
+    }
+    banner.style.display = "";
+
+    const text = banner.querySelector(".edit-source-text") as HTMLElement;
+    const thumb = banner.querySelector(".edit-source-thumb") as HTMLImageElement;
+    const location = source && conversation ? findImageLocation(conversation, source) : null;
+    if (!source || !location) {
+        text.textContent = "Edit mode: the next prompt creates an image, later prompts edit it";
+        thumb.style.display = "none";
+        banner.dataset.sourceKey = "";
+        return;
+    }
+
+    text.textContent = "Editing the image from entry " + (location.entryIndex + 1) + (STATE.editSource ? "" : " (latest)");
+    if (banner.dataset.sourceKey === sourceKey) return;
+    banner.dataset.sourceKey = sourceKey;
+    thumb.style.display = "none";
+    getThumbnailDataURL(source.conversationTimestamp, source.imageIndex).then(function(dataUrl: string | null) {
+        // Another image may have been picked while this one loaded
+        if (!dataUrl || banner.dataset.sourceKey !== sourceKey) return;
+        thumb.src = dataUrl;
+        thumb.style.display = "";
+    });
+}
+
+/**
+ * Opens the mask editor on an image of the current conversation. The painted mask, the image
+ * and a description of the change are queued as an inpainting edit with a vision model.
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Entry index in conversation
+ * @param {number} imageIndex - Image index within the entry
+ */
+export async function openMaskEditor(conversationTimestamp: number, entryIndex: number, imageIndex: number): Promise<void> {
+    const conversation = STATE.currentConversation;
+    if (!conversation || conversation.timestamp !== conversationTimestamp) return;
+    const entry = conversation.entries[entryIndex];
+    const filename = entry ? entry.response.imageFilenames[imageIndex] : undefined;
+    if (!filename || filename === "generating") return;
+
+    const blob = await getImage(conversationTimestamp, parseInt(filename, 10));
+    if (!blob) {
+        displayError("Failed to load image");
+        return;
+    }
+
+    const existing = document.getElementById("mask-editor-modal");
+    if (existing) {
+        existing.remove();
+    }
+    const modalElement = cloneTemplate("mask-editor-modal-template", document.body);
+    if (!modalElement) return;
+
+    const modal = new bootstrap.Modal(modalElement);
+    const objectUrl = URL.createObjectURL(blob);
+    modalElement.addEventListener("hidden.bs.modal", function() {
+        URL.revokeObjectURL(objectUrl);
+        modalElement.remove();
+    });
+
+    const sourceImage = modalElement.querySelector(".mask-source-image") as HTMLImageElement;
+    const maskCanvas = modalElement.querySelector(".mask-canvas") as HTMLCanvasElement;
+    const previewCanvas = modalElement.querySelector(".mask-preview-canvas") as HTMLCanvasElement;
+    const sizeInput = modalElement.querySelector(".mask-brush-size") as HTMLInputElement;
+    const promptInput = modalElement.querySelector(".mask-prompt-input") as HTMLTextAreaElement;
+    const modelSelect = modalElement.querySelector(".mask-model-select") as HTMLSelectElement;
+    const sendBtn = modalElement.querySelector(".mask-send-btn") as HTMLButtonElement;
+    const toolButtons = Array.from(modalElement.querySelectorAll<HTMLButtonElement>(".mask-tool-btn"));
+    const maskCtx = maskCanvas.getContext("2d");
+    if (!maskCtx) return;
+
+    // Only models that accept image input can edit an image
+    if (STATE.visionModels.length === 0) {
+        const option = document.createElement("option");
+        option.textContent = "No vision models loaded";
+        modelSelect.appendChild(option);
+        modelSelect.disabled = true;
+        sendBtn.disabled = true;
+    }
+    STATE.visionModels.forEach(function(model: {id: string; name: string}) {
+        const option = document.createElement("option");
+        option.value = model.id;
+        option.textContent = model.name;
+        modelSelect.appendChild(option);
+    });
+    const preferredModel = STATE.visionModels.find(function(m: {id: string; name: string}) {
+        return m.id === entry.message.modelId;
+    }) ?? STATE.visionModels.find(function(m: {id: string; name: string}) {
+        return m.id === STATE.selectedModel;
+    });
+    if (preferredModel) {
+        modelSelect.value = preferredModel.id;
+    }
+
+    let tool: MaskTool = 'brush';
+    let lastPoint: MaskPoint | null = null;
+    let lassoPoints: MaskPoint[] = [];
+    let activePointer: number | null = null;
+
+    /**
+     * Switches the active mask tool
+     * @param {MaskTool} next - Tool to use
+     */
+    function selectTool(next: MaskTool): void {
+        tool = next;
+        toolButtons.forEach(function(btn: HTMLButtonElement) {
+            btn.classList.toggle("active", btn.dataset.tool === next);
+        });
+    }
+
+    toolButtons.forEach(function(btn: HTMLButtonElement) {
+        btn.addEventListener("click", function() {
+            selectTool(btn.dataset.tool as MaskTool);
+        });
+    });
+
+    modalElement.addEventListener("keydown", function(e: KeyboardEvent) {
+        if (e.target === promptInput || e.target === modelSelect || e.ctrlKey || e.metaKey || e.altKey) return;
+        const shortcuts: Record<string, MaskTool> = { b: 'brush', e: 'eraser', l: 'lasso' };
+        const next = shortcuts[e.key.toLowerCase()];
+        if (next) {
+            selectTool(next);
+        }
+    });
+
+    (modalElement.querySelector(".mask-clear-btn") as HTMLButtonElement).addEventListener("click", function() {
+        maskCtx.clearRect(0, 0, maskCanvas.width, maskCanvas.height);
+    });
+
+    maskCanvas.addEventListener("pointerdown", function(e: PointerEvent) {
+        if (activePointer !== null) return;
+        activePointer = e.pointerId;
+        maskCanvas.setPointerCapture(e.pointerId);
+        const point = toCanvasPoint(maskCanvas, e);
+        if (tool === 'lasso') {
+            lassoPoints = [point];
+        } else {
+            paintStroke(maskCtx, point, point, toCanvasBrushSize(maskCanvas, parseInt(sizeInput.value, 10)), tool);
+            lastPoint = point;
+        }
+    });
+
+    maskCanvas.addEventListener("pointermove", function(e: PointerEvent) {
+        if (e.pointerId !== activePointer) return;
+        const point = toCanvasPoint(maskCanvas, e);
+        if (tool === 'lasso') {
+            lassoPoints.push(point);
+            drawLassoPreview(previewCanvas, lassoPoints);
+        } else if (lastPoint) {
+            paintStroke(maskCtx, lastPoint, point, toCanvasBrushSize(maskCanvas, parseInt(sizeInput.value, 10)), tool);
+            lastPoint = point;
+        }
+    });
+
+    /**
+     * Ends the current stroke or lasso
+     * @param {PointerEvent} e - Pointer event
+     */
+    function endStroke(e: PointerEvent): void {
+        if (e.pointerId !== activePointer) return;
+        activePointer = null;
+        lastPoint = null;
+        if (tool === 'lasso') {
+            fillLasso(maskCtx!, lassoPoints);
+            lassoPoints = [];
+            drawLassoPreview(previewCanvas, lassoPoints);
+        }
+    }
+    maskCanvas.addEventListener("pointerup", endStroke);
+    maskCanvas.addEventListener("pointercancel", endStroke);
+
+    sourceImage.onload = function() {
+        maskCanvas.width = sourceImage.naturalWidth;
+        maskCanvas.height = sourceImage.naturalHeight;
+        previewCanvas.width = sourceImage.naturalWidth;
+        previewCanvas.height = sourceImage.naturalHeight;
+    };
+    sourceImage.src = objectUrl;
+
+    sendBtn.addEventListener("click", async function() {
+        const prompt = promptInput.value.trim();
+        if (!prompt) {
+            displayError("Please describe the change");
+            promptInput.focus();
+            return;
+        }
+        if (!hasMaskContent(maskCanvas)) {
+            displayError("Paint the area to change first");
+            return;
+        }
+
+        sendBtn.disabled = true;
+        const queued = await handleInpaint(entryIndex, imageIndex, prompt, modelSelect.value, exportMaskDataUrl(maskCanvas));
+        sendBtn.disabled = false;
+        if (queued) {
+            modal.hide();
+        }
+    });
+
+    modal.show();
+}
+
+/**
+ * Opens the transform editor on an image of the current conversation: crop, rotate, flip,
+ * resize and format conversion. The result is saved as a new image in the entry or as a
+ * reference image; the original is never changed.
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Entry index in conversation
+ * @param {number} imageIndex - Image index within the entry
+ */
+export async function openTransformEditor(conversationTimestamp: number, entryIndex: number, imageIndex: number): Promise<void> {
+    const conversation = STATE.currentConversation;
+    if (!conversation || conversation.timestamp !== conversationTimestamp) return;
+    const entry = conversation.entries[entryIndex];
+    const filename = entry ? entry.response.imageFilenames[imageIndex] : undefined;
+    if (!filename || filename === "generating") return;
+
+    const blob = await getImage(conversationTimestamp, parseInt(filename, 10));
+    if (!blob) {
+        displayError("Failed to load image");
+        return;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    const source = new Image();
+    try {
+        await new Promise<void>(function(resolve, reject) {
+            source.onload = function() { resolve(); };
+            source.onerror = function() { reject(new Error("Failed to decode image")); };
+            source.src = objectUrl;
+        });
+    } catch (e) {
+        URL.revokeObjectURL(objectUrl);
+        displayError((e as Error).message);
+        return;
+    }
+
+    const existing = document.getElementById("transform-modal");
+    if (existing) {
+        existing.remove();
+    }
+    const modalElement = cloneTemplate("transform-modal-template", document.body);
+    if (!modalElement) {
+        URL.revokeObjectURL(objectUrl);
+        return;
+    }
+
+    const modal = new bootstrap.Modal(modalElement);
+    modalElement.addEventListener("hidden.bs.modal", function() {
+        URL.revokeObjectURL(objectUrl);
+        modalElement.remove();
+    });
+
+    const stage = modalElement.querySelector(".transform-stage") as HTMLElement;
+    const preview = modalElement.querySelector(".transform-preview") as HTMLCanvasElement;
+    const cropBox = modalElement.querySelector(".transform-crop-box") as HTMLElement;
+    const aspectSelect = modalElement.querySelector(".transform-aspect-select") as HTMLSelectElement;
+    const widthInput = modalElement.querySelector(".transform-width-input") as HTMLInputElement;
+    const heightInput = modalElement.querySelector(".transform-height-input") as HTMLInputElement;
+    const lockInput = modalElement.querySelector(".transform-lock-input") as HTMLInputElement;
+    const formatSelect = modalElement.querySelector(".transform-format-select") as HTMLSelectElement;
+    const qualityLabel = modalElement.querySelector(".transform-quality-label") as HTMLElement;
+    const qualityInput = modalElement.querySelector(".transform-quality-input") as HTMLInputElement;
+    const saveBtn = modalElement.querySelector(".transform-save-btn") as HTMLButtonElement;
+    const saveRefBtn = modalElement.querySelector(".transform-save-ref-btn") as HTMLButtonElement;
+    const downloadBtn = modalElement.querySelector(".transform-download-btn") as HTMLButtonElement;
+    const saveHint = modalElement.querySelector(".transform-save-hint") as HTMLElement;
+
+    const sourceWidth = source.naturalWidth;
+    const sourceHeight = source.naturalHeight;
+    // The preview is drawn smaller; crops are kept as fractions so they apply to the full image
+    const previewScale = Math.min(1, 1200 / Math.max(sourceWidth, sourceHeight));
+    const transform: ImageTransform = {
+        rotation: 0,
+        flipHorizontal: false,
+        flipVertical: false,
+        crop: createFullCrop(),
+        width: sourceWidth,
+        height: sourceHeight,
+        format: 'png',
+        quality: parseFloat(qualityInput.value)
+    };
+
+    /**
+     * Gets the crop aspect ratio picked in the dialog
+     * @returns {number | null} Width / height, or null for a free crop
+     */
+    function getCropAspect(): number | null {
+        if (aspectSelect.value === "original") return sourceWidth / sourceHeight;
+        return parseAspectRatio(aspectSelect.value);
+    }
+
+    /**
+     * Shows the crop rectangle and resets the output size to the cropped size
+     */
+    function updateCrop(): void {
+        cropBox.style.left = (transform.crop.x * 100) + "%";
+        cropBox.style.top = (transform.crop.y * 100) + "%";
+        cropBox.style.width = (transform.crop.width * 100) + "%";
+        cropBox.style.height = (transform.crop.height * 100) + "%";
+        const size = getCropSize(sourceWidth, sourceHeight, transform.rotation, transform.crop);
+        transform.width = size.width;
+        transform.height = size.height;
+        widthInput.value = String(size.width);
+        heightInput.value = String(size.height);
+    }
+
+    /**
+     * Redraws the rotated preview and resets the crop for the new orientation
+     */
+    function updatePreview(): void {
+        const rotated = drawRotated(source, sourceWidth, sourceHeight, transform.rotation, transform.flipHorizontal, transform.flipVertical, previewScale);
+        preview.width = rotated.width;
+        preview.height = rotated.height;
+        const ctx = preview.getContext("2d");
+        if (ctx) {
+            ctx.drawImage(rotated, 0, 0);
+        }
+        resetCrop();
+    }
+
+    /**
+     * Resets the crop to the whole image, or the largest centered crop of the picked ratio
+     */
+    function resetCrop(): void {
+        const aspect = getCropAspect();
+        const rotated = getRotatedSize(sourceWidth, sourceHeight, transform.rotation);
+        transform.crop = aspect !== null ? centeredCrop(aspect, rotated.width, rotated.height) : createFullCrop();
+        updateCrop();
+    }
+
+    /**
+     * Rotates the image by a quarter turn
+     * @param {number} degrees - 90 or -90
+     */
+    function rotateBy(degrees: number): void {
+        transform.rotation = (((transform.rotation + degrees) % 360 + 360) % 360) as Rotation;
+        updatePreview();
+    }
+
+    (modalElement.querySelector(".transform-rotate-left-btn") as HTMLButtonElement).addEventListener("click", function() { rotateBy(-90); });
+    (modalElement.querySelector(".transform-rotate-right-btn") as HTMLButtonElement).addEventListener("click", function() { rotateBy(90); });
+    (modalElement.querySelector(".transform-flip-h-btn") as HTMLButtonElement).addEventListener("click", function() {
+        transform.flipHorizontal = !transform.flipHorizontal;
+        updatePreview();
+    });
+    (modalElement.querySelector(".transform-flip-v-btn") as HTMLButtonElement).addEventListener("click", function() {
+        transform.flipVertical = !transform.flipVertical;
+        updatePreview();
+    });
+    (modalElement.querySelector(".transform-reset-crop-btn") as HTMLButtonElement).addEventListener("click", resetCrop);
+    aspectSelect.addEventListener("change", resetCrop);
+
+    let dragStart: {x: number; y: number} | null = null;
+    let dragPointer: number | null = null;
+
+    /**
+     * Converts a pointer position to fractions of the preview
+     * @param {PointerEvent} e - Pointer event
+     * @returns {{x: number, y: number}} Position as fractions
+     */
+    function toFraction(e: PointerEvent): {x: number; y: number} {
+        const rect = preview.getBoundingClientRect();
+        return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+    }
+
+    stage.addEventListener("pointerdown", function(e: PointerEvent) {
+        if (dragPointer !== null) return;
+        dragPointer = e.pointerId;
+        stage.setPointerCapture(e.pointerId);
+        dragStart = toFraction(e);
+    });
+    stage.addEventListener("pointermove", function(e: PointerEvent) {
+        if (e.pointerId !== dragPointer || !dragStart) return;
+        const rotated = getRotatedSize(sourceWidth, sourceHeight, transform.rotation);
+        const crop = cropFromDrag(dragStart, toFraction(e), getCropAspect(), rotated.width, rotated.height);
+        // Ignore tiny drags so a click does not collapse the crop
+        if (crop.width * rotated.width < 8 || crop.height * rotated.height < 8) return;
+        transform.crop = crop;
+        updateCrop();
+    });
+    stage.addEventListener("pointerup", function(e: PointerEvent) {
+        if (e.pointerId !== dragPointer) return;
+        dragPointer = null;
+        dragStart = null;
+    });
+    stage.addEventListener("pointercancel", function(e: PointerEvent) {
+        if (e.pointerId !== dragPointer) return;
+        dragPointer = null;
+        dragStart = null;
+    });
+
+    widthInput.addEventListener("input", function() {
+        const width = Math.min(MAX_OUTPUT_SIZE, Math.max(1, parseInt(widthInput.value, 10) || 1));
+        transform.width = width;
+        if (lockInput.checked) {
+            const size = getCropSize(sourceWidth, sourceHeight, transform.rotation, transform.crop);
+            transform.height = Math.max(1, Math.round(width * size.height / size.width));
+            heightInput.value = String(transform.height);
+        }
+    });
+    heightInput.addEventListener("input", function() {
+        const height = Math.min(MAX_OUTPUT_SIZE, Math.max(1, parseInt(heightInput.value, 10) || 1));
+        transform.height = height;
+        if (lockInput.checked) {
+            const size = getCropSize(sourceWidth, sourceHeight, transform.rotation, transform.crop);
+            transform.width = Math.max(1, Math.round(height * size.width / size.height));
+            widthInput.value = String(transform.width);
+        }
+    });
+
+    formatSelect.addEventListener("change", function() {
+        transform.format = formatSelect.value as OutputFormat;
+        qualityLabel.classList.toggle("d-none", transform.format === 'png');
+        saveHint.classList.toggle("d-none", transform.format === 'png');
+    });
+    qualityInput.addEventListener("input", function() {
+        transform.quality = parseFloat(qualityInput.value);
+    });
+
+    /**
+     * Renders the result, reporting failures
+     * @returns {Promise<Blob | null>} Encoded image, or null on failure
+     */
+    async function renderResult(): Promise<Blob | null> {
+        if (transform.width > MAX_OUTPUT_SIZE || transform.height > MAX_OUTPUT_SIZE) {
+            displayError("Images can be at most " + MAX_OUTPUT_SIZE + " pixels wide or high");
+            return null;
+        }
+        try {
+            return await renderTransformedImage(source, transform);
+        } catch (e) {
+            console.error("Error transforming image:", e);
+            displayError((e as Error).message);
+            return null;
+        }
+    }
+
+    /**
+     * Re-encodes a JPEG or WebP result as PNG for the conversation, reporting failures
+     * @param {Blob} result - Encoded result
+     * @returns {Promise<Blob | null>} PNG image, or null on failure
+     */
+    async function toPng(result: Blob): Promise<Blob | null> {
+        try {
+            return await reencodeAsPng(result);
+        } catch (e) {
+            console.error("Error converting image to PNG:", e);
+            displayError((e as Error).message);
+            return null;
+        }
+    }
+
+    saveBtn.addEventListener("click", async function() {
+        saveBtn.disabled = true;
+        const result = await renderResult();
+        // Conversation images are PNG; JPEG and WebP results keep their compression inside one
+        const stored = result !== null && transform.format !== 'png' ? await toPng(result) : result;
+        const saved = stored !== null && await handleSaveTransformedImage(conversationTimestamp, entryIndex, imageIndex, stored, transform.width, transform.height, describeTransform(transform));
+        saveBtn.disabled = false;
+        if (saved) {
+            modal.hide();
+        }
+    });
+
+    saveRefBtn.addEventListener("click", async function() {
+        saveRefBtn.disabled = true;
+        const result = await renderResult();
+        saveRefBtn.disabled = false;
+        if (!result || !STATE.currentConversation) return;
+
+        const targetTimestamp = STATE.currentConversation.timestamp;
+        const file = new File([result], "transformed." + (transform.format === 'jpeg' ? "jpg" : transform.format), { type: result.type });
+        const index = await uploadReferenceImage(targetTimestamp, file);
+        if (index === null) {
+            displayError("Failed to save the reference image");
+            return;
+        }
+        invalidateDialogState();
+        await addReferenceImage(targetTimestamp, index, true);
+        modal.hide();
+    });
+
+    downloadBtn.addEventListener("click", async function() {
+        downloadBtn.disabled = true;
+        const result = await renderResult();
+        downloadBtn.disabled = false;
+        if (!result) return;
+
+        const url = URL.createObjectURL(result);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = "image_" + conversationTimestamp + "_" + filename + "-transformed." + (transform.format === 'jpeg' ? "jpg" : transform.format);
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 100);
+    });
+
+    updatePreview();
+    modal.show();
+}
+
+/** @type {number} Search requests started; results of older ones are dropped */
+let searchGeneration: number = 0;
+
+/**
+ * Runs a global search and shows the results in place of the conversation list.
+ * An empty query shows the conversation list again.
+ * @param {string} text - Query text
+ * @returns {Promise<void>}
+ */
+export async function runConversationSearch(text: string): Promise<void> {
+    const resultsContainer = document.getElementById("conversation-search-results");
+    const historyContainer = document.getElementById("conversation-history");
+    if (!resultsContainer || !historyContainer) return;
+
+    const generation = ++searchGeneration;
+    const query = parseSearchQuery(text);
+    if (text.trim() === "") {
+        resultsContainer.style.display = "none";
+        resultsContainer.innerHTML = "";
+        historyContainer.style.display = "";
+        return;
+    }
+
+    const docs = await loadSearchIndex();
+    if (generation !== searchGeneration) return;
+    const groups = searchDocuments(docs, query, STATE.showArchived);
+
+    resultsContainer.innerHTML = "";
+    resultsContainer.style.display = "";
+    historyContainer.style.display = "none";
+
+    if (groups.length === 0) {
+        const emptyDiv = document.createElement("div");
+        emptyDiv.className = "small text-muted";
+        emptyDiv.textContent = "No matches";
+        resultsContainer.appendChild(emptyDiv);
+        return;
+    }
+
+    groups.forEach(function(group: SearchResultGroup) {
+        const groupElement = cloneTemplate("search-result-group-template", resultsContainer);
+        if (!groupElement) return;
+        const project = STATE.projects.find(function(p: Project) { return p.conversationTimestamps.includes(group.conversationTimestamp); });
+        const title = groupElement.querySelector(".search-result-title") as HTMLElement;
+        title.textContent = group.title + (group.archived ? " (archived)" : "");
+        if (project && project.id !== STATE.currentProjectId) {
+            title.title = "In project " + project.name;
+        }
+
+        const matchList = groupElement.querySelector(".search-result-matches") as HTMLElement;
+        group.matches.forEach(function(match: SearchMatch) {
+            const matchElement = cloneTemplate("search-result-match-template", matchList);
+            if (!matchElement) return;
+            (matchElement.querySelector(".search-result-entry") as HTMLElement).textContent = "#" + (match.entryIndex + 1) + " ";
+            (matchElement.querySelector(".search-result-snippet") as HTMLElement).textContent = match.snippet;
+            matchElement.addEventListener("click", function() {
+                openSearchMatch(group.conversationTimestamp, match.entryIndex);
+            });
+        });
+    });
+}
+
+/**
+ * Opens a conversation from the search results and scrolls to the matching entry,
+ * switching to the conversation's project first if needed
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Matching entry
+ * @returns {Promise<void>}
+ */
+async function openSearchMatch(conversationTimestamp: number, entryIndex: number): Promise<void> {
+    await showConversation(conversationTimestamp);
+
+    const entryElement = STATE.conversationView.entryElementCache.get(conversationTimestamp + "-" + entryIndex);
+    if (!entryElement) {
+        displayWarning("The matching entry is hidden by the rating filter.");
+        return;
+    }
+    entryElement.scrollIntoView({ behavior: "smooth", block: "start" });
+    entryElement.classList.add("search-highlight");
+    setTimeout(function() {
+        entryElement.classList.remove("search-highlight");
+    }, 2000);
+}
+
+/**
+ * Switches to the project holding a conversation, if needed, and shows the conversation
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @returns {Promise<void>}
+ */
+async function showConversation(conversationTimestamp: number): Promise<void> {
+    const project = STATE.projects.find(function(p: Project) { return p.conversationTimestamps.includes(conversationTimestamp); });
+    if (project && project.id !== STATE.currentProjectId) {
+        selectProject(project.id);
+    }
+    await loadConversationIntoView(conversationTimestamp);
+}
+
+/** @type {number} Preferred width of a gallery tile */
+const GALLERY_TILE_SIZE: number = 180;
+
+/** @type {number} Gap between gallery tiles */
+const GALLERY_GAP: number = 8;
+
+/** @type {number} Most image URLs kept alive while scrolling the gallery */
+const GALLERY_URL_CACHE_SIZE: number = 300;
+
+/** @type {string} Location hash of the gallery route */
+const GALLERY_HASH: string = "#gallery";
+
+/**
+ * State of the open gallery
+ * @type {Object}
+ */
+const galleryState: {
+    dialog: HTMLElement | null;
+    library: GalleryImage[];
+    collectionId: string | null;
+    images: GalleryImage[];
+    visible: GalleryImage[];
+    filters: GalleryFilters;
+    selected: Set<string>;
+    anchor: number | null;
+    titles: Map<number, string>;
+    tiles: Map<string, HTMLElement>;
+    urls: Map<string, string>;
+    columns: number;
+    tileSize: number;
+    frame: number | null;
+    tagging: boolean;
+} = {
+    dialog: null,
+    library: [],
+    collectionId: null,
+    images: [],
+    visible: [],
+    filters: createEmptyGalleryFilters(),
+    selected: new Set(),
+    anchor: null,
+    titles: new Map(),
+    tiles: new Map(),
+    urls: new Map(),
+    columns: 1,
+    tileSize: GALLERY_TILE_SIZE,
+    frame: null,
+    tagging: false
+};
+
+/**
+ * Opens or closes the gallery to match the location hash (the #gallery route)
+ */
+export function syncGalleryWithLocation(): void {
+    if (location.hash === GALLERY_HASH && !galleryState.dialog) {
+        openGallery();
+    } else if (location.hash !== GALLERY_HASH && galleryState.dialog) {
+        (galleryState.dialog as HTMLElement & {instance?: import("bootstrap").Modal}).instance?.hide();
+    }
+}
+
+/**
+ * Loads every image of the library for the gallery
+ * @returns {Promise<void>}
+ */
+async function loadGalleryImages(): Promise<void> {
+    const library = await loadLibraryImages();
+    galleryState.library = library.images;
+    galleryState.titles = library.titles;
+    scopeGalleryToCollection();
+}
+
+/**
+ * Narrows the gallery to the images of the chosen collection; facets and filters then
+ * apply within it
+ */
+function scopeGalleryToCollection(): void {
+    const collection = STATE.smartCollections.find(function(c: SmartCollection) { return c.id === galleryState.collectionId; });
+    if (!collection) {
+        galleryState.collectionId = null;
+    }
+    galleryState.images = collection
+        ? getCollectionImages(collection, galleryState.library, getCollectionContext())
+        : galleryState.library;
+}
+
+/**
+ * Lists the saved collections in the gallery's collection picker
+ */
+function renderGalleryCollections(): void {
+    const select = galleryState.dialog?.querySelector(".gallery-collection-select") as HTMLSelectElement | null | undefined;
+    if (!select) return;
+    select.innerHTML = "";
+    const allOption = document.createElement("option");
+    allOption.value = "";
+    allOption.textContent = "All images";
+    select.appendChild(allOption);
+    STATE.smartCollections.forEach(function(collection: SmartCollection) {
+        const option = document.createElement("option");
+        option.value = collection.id;
+        option.textContent = collection.name;
+        option.title = collection.query;
+        select.appendChild(option);
+    });
+    select.value = galleryState.collectionId ?? "";
+}
+
+/**
+ * Reloads the gallery after images changed, keeping filters and selection
+ * @returns {Promise<void>}
+ */
+export async function refreshGallery(): Promise<void> {
+    await refreshBulkTagEditor();
+    await refreshTagManager();
+    if (!galleryState.dialog) return;
+    await loadGalleryImages();
+    renderGalleryFacets();
+    renderGalleryMoveTargets();
+    applyGalleryFilters();
+}
+
+/**
+ * Renders the checkbox lists of the gallery facets with image counts
+ */
+function renderGalleryFacets(): void {
+    const dialog = galleryState.dialog;
+    if (!dialog) return;
+    const facets = getGalleryFacets(galleryState.images);
+    const projectName = function(id: string): string {
+        const project = STATE.projects.find(function(p: Project) { return p.id === id; });
+        return project ? project.name : id;
+    };
+    const byCount = function(counts: Map<string, number>): string[] {
+        return Array.from(counts.keys()).sort(function(a: string, b: string) { return (counts.get(b) ?? 0) - (counts.get(a) ?? 0) || a.localeCompare(b); });
+    };
+    const facetValues: Record<'projectIds' | 'models' | 'resolutions' | 'aspectRatios' | 'tags', {values: string[]; counts: Map<string, number>; label: (value: string) => string}> = {
+        projectIds: { values: byCount(facets.projects), counts: facets.projects, label: projectName },
+        models: { values: byCount(facets.models), counts: facets.models, label: function(id: string) { return facets.modelNames.get(id) || id; } },
+        resolutions: { values: Array.from(facets.resolutions.keys()).sort(), counts: facets.resolutions, label: function(v: string) { return v; } },
+        aspectRatios: { values: byCount(facets.aspectRatios), counts: facets.aspectRatios, label: function(v: string) { return v; } },
+        tags: { values: Array.from(facets.tags.keys()).sort(compareTags), counts: facets.tags, label: function(v: string) { return v; } }
+    };
+
+    dialog.querySelectorAll(".gallery-facet[data-facet]").forEach(function(facetElement: Element) {
+        const key = (facetElement as HTMLElement).dataset.facet as keyof typeof facetValues;
+        const facet = facetValues[key];
+        const container = facetElement.querySelector(".gallery-facet-options") as HTMLElement;
+        container.innerHTML = "";
+        const selectedValues = galleryState.filters[key];
+        // Values that are filtered on stay listed even when no image has them any more
+        const values = facet.values.concat(selectedValues.filter(function(v: string) { return facet.values.indexOf(v) === -1; }));
+        if (values.length === 0) {
+            container.innerHTML = '<div class="small text-muted">None</div>';
+            return;
+        }
+        values.forEach(function(value: string) {
+            const option = cloneTemplate("gallery-facet-option-template", container);
+            if (!option) return;
+            const checkbox = option.querySelector("input") as HTMLInputElement;
+            checkbox.checked = selectedValues.indexOf(value) !== -1;
+            (option.querySelector(".gallery-facet-label") as HTMLElement).textContent = facet.label(value);
+            (option.querySelector(".gallery-facet-count") as HTMLElement).textContent = String(facet.counts.get(value) ?? 0);
+            checkbox.addEventListener("change", function() {
+                const list = galleryState.filters[key];
+                const index = list.indexOf(value);
+                if (checkbox.checked && index === -1) {
+                    list.push(value);
+                } else if (!checkbox.checked && index !== -1) {
+                    list.splice(index, 1);
+                }
+                applyGalleryFilters();
+            });
+        });
+    });
+}
+
+/**
+ * Lists the conversations images can be moved to
+ */
+function renderGalleryMoveTargets(): void {
+    const select = galleryState.dialog?.querySelector(".gallery-move-select") as HTMLSelectElement | null;
+    if (!select) return;
+    select.innerHTML = '<option value="">Move to…</option>';
+    Array.from(galleryState.titles.keys()).sort(function(a: number, b: number) { return b - a; }).forEach(function(timestamp: number) {
+        const option = document.createElement("option");
+        option.value = String(timestamp);
+        option.textContent = galleryState.titles.get(timestamp) ?? String(timestamp);
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Applies the filters, drops hidden images from the selection and redraws the grid
+ */
+function applyGalleryFilters(): void {
+    const dialog = galleryState.dialog;
+    if (!dialog) return;
+    galleryState.visible = filterGalleryImages(galleryState.images, galleryState.filters);
+    const visibleKeys = new Set(galleryState.visible.map(galleryImageKey));
+    galleryState.selected.forEach(function(key: string) {
+        if (!visibleKeys.has(key)) galleryState.selected.delete(key);
+    });
+    galleryState.anchor = null;
+
+    const count = dialog.querySelector(".gallery-count") as HTMLElement;
+    count.textContent = hasNoGalleryFilters(galleryState.filters)
+        ? galleryState.images.length + " images"
+        : galleryState.visible.length + " of " + galleryState.images.length + " images";
+
+    galleryState.tiles.forEach(function(tile: HTMLElement) { tile.remove(); });
+    galleryState.tiles.clear();
+    (dialog.querySelector(".gallery-scroller") as HTMLElement).scrollTop = 0;
+    layoutGallery();
+    updateGallerySelection();
+}
+
+/**
+ * Works out the grid columns for the current width and draws the visible tiles
+ */
+function layoutGallery(): void {
+    const dialog = galleryState.dialog;
+    if (!dialog) return;
+    const scroller = dialog.querySelector(".gallery-scroller") as HTMLElement;
+    const canvas = dialog.querySelector(".gallery-canvas") as HTMLElement;
+    const width = Math.max(GALLERY_TILE_SIZE, scroller.clientWidth);
+    const columns = Math.max(1, Math.floor((width + GALLERY_GAP) / (GALLERY_TILE_SIZE + GALLERY_GAP)));
+    const tileSize = Math.floor((width - GALLERY_GAP * (columns - 1)) / columns);
+    if (columns !== galleryState.columns || tileSize !== galleryState.tileSize) {
+        // Every position changes, so tiles are placed again
+        galleryState.tiles.forEach(function(tile: HTMLElement) { tile.remove(); });
+        galleryState.tiles.clear();
+    }
+    galleryState.columns = columns;
+    galleryState.tileSize = tileSize;
+    canvas.style.height = Math.ceil(galleryState.visible.length / columns) * (tileSize + GALLERY_GAP) + "px";
+    renderGalleryTiles();
+}
+
+/**
+ * Draws the tiles in and near the viewport and removes the others
+ */
+function renderGalleryTiles(): void {
+    const dialog = galleryState.dialog;
+    if (!dialog) return;
+    const scroller = dialog.querySelector(".gallery-scroller") as HTMLElement;
+    const canvas = dialog.querySelector(".gallery-canvas") as HTMLElement;
+    const rowHeight = galleryState.tileSize + GALLERY_GAP;
+    const range = getVisibleRange(scroller.scrollTop, scroller.clientHeight, galleryState.columns, rowHeight, galleryState.visible.length);
+
+    const wanted: Set<string> = new Set();
+    for (let i = range.start; i < range.end; i++) {
+        const image = galleryState.visible[i];
+        const key = galleryImageKey(image);
+        wanted.add(key);
+        if (galleryState.tiles.has(key)) continue;
+
+        const tile = createGalleryTile(image, i, canvas);
+        if (!tile) continue;
+        tile.style.left = (i % galleryState.columns) * rowHeight + "px";
+        tile.style.top = Math.floor(i / galleryState.columns) * rowHeight + "px";
+        tile.style.width = galleryState.tileSize + "px";
+        tile.style.height = galleryState.tileSize + "px";
+        galleryState.tiles.set(key, tile);
+    }
+    galleryState.tiles.forEach(function(tile: HTMLElement, key: string) {
+        if (!wanted.has(key)) {
+            tile.remove();
+            galleryState.tiles.delete(key);
+        }
+    });
+}
+
+/**
+ * Creates the tile of one gallery image and loads its picture
+ * @param {GalleryImage} image - Image
+ * @param {number} index - Position in the filtered list
+ * @param {HTMLElement} canvas - Grid element
+ * @returns {HTMLElement | null} Tile element
+ */
+function createGalleryTile(image: GalleryImage, index: number, canvas: HTMLElement): HTMLElement | null {
+    const tile = cloneTemplate("gallery-tile-template", canvas);
+    if (!tile) return null;
+    const key = galleryImageKey(image);
+    const selected = galleryState.selected.has(key);
+    tile.classList.toggle("selected", selected);
+    (tile.querySelector(".gallery-tile-checkbox") as HTMLInputElement).checked = selected;
+    (tile.querySelector(".gallery-tile-rating") as HTMLElement).textContent = image.rating !== null ? "★" + image.rating : "";
+    tile.title = [image.prompt, image.conversationTitle, image.modelName, [image.resolution, image.aspectRatio].filter(Boolean).join(" · "), image.tags.join(", ")]
+        .filter(Boolean).join("\n");
+
+    const img = tile.querySelector(".gallery-tile-image") as HTMLImageElement;
+    getGalleryImageUrl(image).then(function(url: string | null) {
+        if (url && tile.isConnected) img.src = url;
+    });
+
+    tile.addEventListener("click", function(e: MouseEvent) {
+        const position = galleryState.visible.indexOf(image);
+        if (position === -1) return;
+        if (e.shiftKey && galleryState.anchor !== null) {
+            const from = Math.min(galleryState.anchor, position);
+            const to = Math.max(galleryState.anchor, position);
+            for (let i = from; i <= to; i++) {
+                galleryState.selected.add(galleryImageKey(galleryState.visible[i]));
+            }
+        } else if (galleryState.selected.has(key)) {
+            galleryState.selected.delete(key);
+        } else {
+            galleryState.selected.add(key);
+        }
+        galleryState.anchor = position;
+        updateGallerySelection();
+    });
+    tile.addEventListener("dblclick", async function() {
+        (galleryState.dialog as HTMLElement & {instance?: import("bootstrap").Modal} | null)?.instance?.hide();
+        await showConversation(image.conversationTimestamp);
+        scrollToImage(image.conversationTimestamp, image.entryIndex, image.imageIndex);
+    });
+    tile.dataset.index = String(index);
+    return tile;
+}
+
+/**
+ * Gets a URL for an image, reusing URLs of recently shown images
+ * @param {GalleryImage} image - Image
+ * @returns {Promise<string | null>} Object URL, or null if the file is missing
+ */
+async function getGalleryImageUrl(image: GalleryImage): Promise<string | null> {
+    const key = galleryImageKey(image);
+    const cached = galleryState.urls.get(key);
+    if (cached) return cached;
+
+    const blob = await getThumbnail(image.conversationTimestamp, parseInt(image.filename, 10));
+    if (!blob || !galleryState.dialog) return null;
+    const url = URL.createObjectURL(blob);
+    galleryState.urls.set(key, url);
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (galleryState.urls.size > GALLERY_URL_CACHE_SIZE) {
+        const oldest = galleryState.urls.keys().next().value as string;
+        const oldestTile = galleryState.tiles.get(oldest);
+        if (!oldestTile) {
+            URL.revokeObjectURL(galleryState.urls.get(oldest) as string);
+            galleryState.urls.delete(oldest);
+        }
+    }
+    return url;
+}
+
+/**
+ * Gets the selected images, in grid order
+ * @returns {GalleryImage[]} Selected images
+ */
+function getSelectedGalleryImages(): GalleryImage[] {
+    return galleryState.visible.filter(function(image: GalleryImage) { return galleryState.selected.has(galleryImageKey(image)); });
+}
+
+/**
+ * Updates tiles, the selection count and the bulk action controls after the selection changed
+ */
+function updateGallerySelection(): void {
+    const dialog = galleryState.dialog;
+    if (!dialog) return;
+    galleryState.tiles.forEach(function(tile: HTMLElement, key: string) {
+        const selected = galleryState.selected.has(key);
+        tile.classList.toggle("selected", selected);
+        (tile.querySelector(".gallery-tile-checkbox") as HTMLInputElement).checked = selected;
+    });
+    const count = galleryState.selected.size;
+    (dialog.querySelector(".gallery-selected-count") as HTMLElement).textContent = count + " selected";
+    dialog.querySelectorAll(".gallery-tag-btn, .gallery-rate-select, .gallery-album-btn, .gallery-download-btn, .gallery-move-select, .gallery-delete-btn").forEach(function(control: Element) {
+        (control as HTMLButtonElement | HTMLSelectElement).disabled = count === 0;
+    });
+    (dialog.querySelector(".gallery-suggest-tags-btn") as HTMLButtonElement).disabled = count === 0 || galleryState.tagging;
+}
+
+/**
+ * Downloads the selected images with their metadata: one PNG directly, several as a ZIP file
+ * @param {GalleryImage[]} images - Images to download
+ * @returns {Promise<void>}
+ */
+async function downloadGalleryImages(images: GalleryImage[]): Promise<void> {
+    if (images.length === 1) {
+        const image = images[0];
+        await downloadImageWithMetadata(image.conversationTimestamp, image.entryIndex, image.imageIndex, image.filename);
+        return;
+    }
+
+    const entries: ZipEntry[] = [];
+    for (const image of images) {
+        const bytes = await getImageBytesWithMetadata(image.conversationTimestamp, image.entryIndex, image.imageIndex, image.filename);
+        if (bytes) {
+            entries.push({ name: "image_" + image.conversationTimestamp + "_" + image.filename + ".png", data: bytes });
+        }
+    }
+    const archive = await createZip(entries);
+    const url = URL.createObjectURL(archive);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "gallery-" + new Date().toISOString().slice(0, 10) + ".zip";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * State of the open bulk tag editor
+ * @type {Object}
+ */
+const bulkTagState: {
+    dialog: HTMLElement | null;
+    images: ReferenceImage[];
+    conversations: Map<number, Conversation>;
+} = {
+    dialog: null,
+    images: [],
+    conversations: new Map()
+};
+
+/**
+ * Opens the bulk tag editor for a selection of images, which may span conversations.
+ * Tags are added or removed on every selected image at once; each change can be undone.
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {Promise<void>}
+ */
+export async function openBulkTagEditor(images: ReferenceImage[]): Promise<void> {
+    const existing = document.getElementById("bulk-tags-modal");
+    if (existing) existing.remove();
+    const dialog = cloneTemplate("bulk-tags-modal-template", document.body);
+    if (!dialog) return;
+
+    bulkTagState.dialog = dialog;
+    bulkTagState.images = images.slice();
+    bulkTagState.conversations = new Map();
+    for (const timestamp of await listConversations()) {
+        const conversation = await getConversationForEdit(timestamp);
+        if (conversation) bulkTagState.conversations.set(timestamp, conversation);
+    }
+
+    const input = dialog.querySelector(".bulk-tags-input") as HTMLInputElement;
+    const addTags = async function() {
+        const tags = input.value.split(",").map(normalizeTag).filter(isValidTag);
+        if (tags.length === 0) return;
+        input.value = "";
+        await applyBulkTagChange(tags, []);
+    };
+    (dialog.querySelector(".bulk-tags-add-btn") as HTMLButtonElement).addEventListener("click", addTags);
+    input.addEventListener("keydown", function(e: KeyboardEvent) {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            addTags();
+        }
+    });
+    input.addEventListener("input", function() {
+        renderBulkTagEditor();
+    });
+    (dialog.querySelector(".bulk-tags-accept-all-btn") as HTMLButtonElement).addEventListener("click", function() {
+        handleAcceptSuggestedTags(bulkTagState.images, null);
+    });
+    (dialog.querySelector(".bulk-tags-dismiss-all-btn") as HTMLButtonElement).addEventListener("click", function() {
+        handleDismissSuggestedTags(bulkTagState.images, null);
+    });
+    dialog.addEventListener("hidden.bs.modal", function() {
+        if (bulkTagState.dialog === dialog) {
+            bulkTagState.dialog = null;
+            bulkTagState.images = [];
+            bulkTagState.conversations = new Map();
+        }
+        dialog.remove();
+    });
+
+    renderBulkTagEditor();
+    const modal = new bootstrap.Modal(dialog);
+    modal.show();
+    input.focus();
+}
+
+/**
+ * Adds and removes tags on every image of the bulk tag editor's selection
+ * @param {string[]} add - Tags to add
+ * @param {string[]} remove - Tags to remove
+ * @returns {Promise<void>}
+ */
+async function applyBulkTagChange(add: string[], remove: string[]): Promise<void> {
+    const changed = await handleBulkEditTags(bulkTagState.images, add, remove);
+    if (changed > 0) {
+        await refreshGallery();
+    }
+}
+
+/**
+ * Reloads the selected images' conversations so the bulk tag editor shows current counts
+ * @returns {Promise<void>}
+ */
+async function refreshBulkTagEditor(): Promise<void> {
+    if (!bulkTagState.dialog) return;
+    const timestamps = new Set(bulkTagState.images.map(function(image: ReferenceImage) { return image.conversationTimestamp; }));
+    for (const timestamp of timestamps) {
+        const conversation = await getConversationForEdit(timestamp);
+        if (conversation) bulkTagState.conversations.set(timestamp, conversation);
+    }
+    renderBulkTagEditor();
+}
+
+/**
+ * Draws the tags of the selection ("on k of n images") and of the whole library with their counts
+ */
+function renderBulkTagEditor(): void {
+    const dialog = bulkTagState.dialog;
+    if (!dialog) return;
+    const total = bulkTagState.images.length;
+    const conversations = Array.from(bulkTagState.conversations.values());
+    (dialog.querySelector(".bulk-tags-count") as HTMLElement).textContent = total + (total === 1 ? " image" : " images");
+
+    const byCount = function(counts: Map<string, number>): string[] {
+        return Array.from(counts.keys()).sort(function(a: string, b: string) { return (counts.get(b) ?? 0) - (counts.get(a) ?? 0) || a.localeCompare(b); });
+    };
+
+    const selectionCounts = getTagCountsForImages(conversations, bulkTagState.images);
+    const selectionContainer = dialog.querySelector(".bulk-tags-selection") as HTMLElement;
+    selectionContainer.innerHTML = "";
+    if (selectionCounts.size === 0) {
+        selectionContainer.innerHTML = '<div class="small text-muted">No tags yet</div>';
+    }
+    byCount(selectionCounts).forEach(function(tag: string) {
+        const count = selectionCounts.get(tag) ?? 0;
+        const chip = cloneTemplate("bulk-tag-chip-template", selectionContainer);
+        if (!chip) return;
+        const label = chip.querySelector(".bulk-tag-chip-label") as HTMLButtonElement;
+        label.textContent = tag;
+        applyTagColor(chip, tag);
+        (chip.querySelector(".bulk-tag-chip-count") as HTMLElement).textContent = count + "/" + total;
+        if (count < total) {
+            label.title = "Add to all selected images";
+            label.addEventListener("click", function() {
+                applyBulkTagChange([tag], []);
+            });
+        } else {
+            label.disabled = true;
+        }
+        (chip.querySelector(".bulk-tag-chip-remove") as HTMLButtonElement).addEventListener("click", function() {
+            applyBulkTagChange([], [tag]);
+        });
+    });
+
+    // Tags the auto-tagger suggested; accepting one adds it where it was suggested
+    const suggestedCounts = getSuggestedTagCountsForImages(conversations, bulkTagState.images);
+    const suggestedContainer = dialog.querySelector(".bulk-tags-suggested") as HTMLElement;
+    (dialog.querySelector(".bulk-tags-suggested-section") as HTMLElement).style.display = suggestedCounts.size > 0 ? "" : "none";
+    suggestedContainer.innerHTML = "";
+    byCount(suggestedCounts).forEach(function(tag: string) {
+        const chip = cloneTemplate("bulk-tag-chip-template", suggestedContainer);
+        if (!chip) return;
+        chip.classList.remove("bg-secondary");
+        chip.classList.add("tag-suggestion");
+        const label = chip.querySelector(".bulk-tag-chip-label") as HTMLButtonElement;
+        label.textContent = "+ " + tag;
+        label.title = "Accept on the images it was suggested for";
+        label.addEventListener("click", function() {
+            handleAcceptSuggestedTags(bulkTagState.images, [tag]);
+        });
+        (chip.querySelector(".bulk-tag-chip-count") as HTMLElement).textContent = (suggestedCounts.get(tag) ?? 0) + "/" + total;
+        const dismiss = chip.querySelector(".bulk-tag-chip-remove") as HTMLButtonElement;
+        dismiss.title = "Dismiss this suggestion";
+        dismiss.setAttribute("aria-label", "Dismiss this suggestion");
+        dismiss.addEventListener("click", function() {
+            handleDismissSuggestedTags(bulkTagState.images, [tag]);
+        });
+    });
+
+    // The library list doubles as suggestions for what is typed in the input
+    const filter = normalizeTag((dialog.querySelector(".bulk-tags-input") as HTMLInputElement).value.split(",").pop() ?? "");
+    const libraryCounts = getAllTagsWithCount(conversations);
+    const libraryContainer = dialog.querySelector(".bulk-tags-library") as HTMLElement;
+    libraryContainer.innerHTML = "";
+    const libraryTags = byCount(libraryCounts).filter(function(tag: string) { return filter === "" || tag.includes(filter); });
+    if (libraryTags.length === 0) {
+        libraryContainer.innerHTML = '<div class="small text-muted">No matching tags</div>';
+    }
+    libraryTags.forEach(function(tag: string) {
+        const chip = cloneTemplate("bulk-tag-chip-template", libraryContainer);
+        if (!chip) return;
+        const label = chip.querySelector(".bulk-tag-chip-label") as HTMLButtonElement;
+        label.textContent = tag;
+        label.title = "Add to all selected images";
+        applyTagColor(chip, tag);
+        (chip.querySelector(".bulk-tag-chip-count") as HTMLElement).textContent = String(libraryCounts.get(tag) ?? 0);
+        (chip.querySelector(".bulk-tag-chip-remove") as HTMLElement).remove();
+        label.addEventListener("click", function() {
+            applyBulkTagChange([tag], []);
+        });
+    });
+}
+
+/** @type {string} Color input value for tags without a color (the default badge color) */
+const DEFAULT_TAG_COLOR: string = "#6c757d";
+
+/**
+ * State of the open tag manager
+ * @type {Object}
+ */
+const tagManagerState: {
+    dialog: HTMLElement | null;
+    counts: Map<string, number>;
+} = {
+    dialog: null,
+    counts: new Map()
+};
+
+/**
+ * Opens the tag manager, which renames, merges, deletes and colors tags across the library
+ * @returns {Promise<void>}
+ */
+export async function openTagManager(): Promise<void> {
+    const existing = document.getElementById("tag-manager-modal");
+    if (existing) existing.remove();
+    const dialog = cloneTemplate("tag-manager-modal-template", document.body);
+    if (!dialog) return;
+    tagManagerState.dialog = dialog;
+
+    (dialog.querySelector(".tag-manager-filter") as HTMLInputElement).addEventListener("input", function() {
+        renderTagManager();
+    });
+    dialog.addEventListener("hidden.bs.modal", function() {
+        if (tagManagerState.dialog === dialog) {
+            tagManagerState.dialog = null;
+            tagManagerState.counts = new Map();
+        }
+        dialog.remove();
+    });
+
+    await refreshTagManager();
+    const modal = new bootstrap.Modal(dialog);
+    modal.show();
+}
+
+/**
+ * Recounts the tags of the library for the tag manager
+ * @returns {Promise<void>}
+ */
+async function refreshTagManager(): Promise<void> {
+    if (!tagManagerState.dialog) return;
+    const conversations: Conversation[] = [];
+    for (const timestamp of await listConversations()) {
+        const conversation = await getConversationForEdit(timestamp);
+        if (conversation) conversations.push(conversation);
+    }
+    tagManagerState.counts = getTagTreeCounts(conversations);
+    renderTagManager();
+}
+
+/**
+ * Draws the tags of the library as a tree, each with its color, name, image count and actions
+ */
+function renderTagManager(): void {
+    const dialog = tagManagerState.dialog;
+    if (!dialog) return;
+    const counts = tagManagerState.counts;
+    const tags = Array.from(counts.keys()).sort(compareTags);
+    (dialog.querySelector(".tag-manager-count") as HTMLElement).textContent = tags.length + (tags.length === 1 ? " tag" : " tags");
+
+    const filter = normalizeTag((dialog.querySelector(".tag-manager-filter") as HTMLInputElement).value);
+    const visible = tags.filter(function(tag: string) { return filter === "" || tag.includes(filter); });
+    const list = dialog.querySelector(".tag-manager-list") as HTMLElement;
+    list.innerHTML = "";
+    if (visible.length === 0) {
+        list.innerHTML = '<div class="small text-muted">' + (tags.length === 0 ? "No tags yet" : "No matching tags") + '</div>';
+    }
+
+    visible.forEach(function(tag: string) {
+        const row = cloneTemplate("tag-manager-row-template", list);
+        if (!row) return;
+        row.style.paddingLeft = (getTagAncestors(tag).length * 1.5) + "rem";
+        const count = counts.get(tag) ?? 0;
+        const hasChildren = tags.some(function(other: string) { return other !== tag && tagMatches(other, tag); });
+
+        const colorInput = row.querySelector(".tag-manager-color") as HTMLInputElement;
+        colorInput.value = getTagColor(STATE.tagColors, tag) ?? DEFAULT_TAG_COLOR;
+        colorInput.addEventListener("change", function() {
+            setTagColor(tag, colorInput.value);
+        });
+        const clearColorBtn = row.querySelector(".tag-manager-clear-color") as HTMLButtonElement;
+        clearColorBtn.style.visibility = STATE.tagColors[tag] ? "" : "hidden";
+        clearColorBtn.addEventListener("click", function() {
+            setTagColor(tag, null);
+        });
+
+        const nameInput = row.querySelector(".tag-manager-name") as HTMLInputElement;
+        nameInput.value = tag;
+        nameInput.addEventListener("keydown", function(e: KeyboardEvent) {
+            if (e.key === "Enter") {
+                e.preventDefault();
+                nameInput.blur();
+            }
+        });
+        nameInput.addEventListener("change", function() {
+            renameManagedTag(tag, nameInput.value);
+        });
+
+        (row.querySelector(".tag-manager-images") as HTMLElement).textContent = count + (count === 1 ? " image" : " images");
+
+        // Merging into a sub-tag would nest the tag inside itself
+        const mergeSelect = row.querySelector(".tag-manager-merge") as HTMLSelectElement;
+        tags.filter(function(other: string) { return !tagMatches(other, tag); }).forEach(function(other: string) {
+            const option = document.createElement("option");
+            option.value = other;
+            option.textContent = other;
+            mergeSelect.appendChild(option);
+        });
+        mergeSelect.addEventListener("change", function() {
+            if (mergeSelect.value) {
+                renameManagedTag(tag, mergeSelect.value);
+            }
+        });
+
+        (row.querySelector(".tag-manager-delete") as HTMLButtonElement).addEventListener("click", async function() {
+            const what = hasChildren ? '"' + tag + '" and its sub-tags' : '"' + tag + '"';
+            if (!confirm("Remove " + what + " from " + count + (count === 1 ? " image?" : " images?"))) return;
+            await handleDeleteTag(tag);
+            await refreshGallery();
+        });
+    });
+}
+
+/**
+ * Renames a tag from the tag manager, asking first when the new name merges two tags
+ * @param {string} from - Current tag
+ * @param {string} to - New name as typed
+ * @returns {Promise<void>}
+ */
+async function renameManagedTag(from: string, to: string): Promise<void> {
+    const target = normalizeTag(to);
+    if (!isValidTag(target) || target === from) {
+        renderTagManager();
+        return;
+    }
+    if (tagManagerState.counts.has(target) && !confirm('Merge "' + from + '" into "' + target + '"?')) {
+        renderTagManager();
+        return;
+    }
+    await handleRenameTag(from, target);
+    await refreshGallery();
+}
+
+/**
+ * Sets or clears the color of a tag and redraws the badges showing it
+ * @param {string} tag - Tag
+ * @param {string | null} color - Color as #rrggbb, or null to use the parent's
+ * @returns {Promise<void>}
+ */
+async function setTagColor(tag: string, color: string | null): Promise<void> {
+    const colors = Object.assign({}, STATE.tagColors);
+    if (color) {
+        colors[tag] = color;
+    } else {
+        delete colors[tag];
+    }
+    await saveTagColors(colors);
+    if (STATE.currentConversation) {
+        clearConversationViewCaches();
+        await renderConversation(STATE.currentConversation);
+    }
+    renderTagManager();
+}
+
+/**
+ * Wires the filters, selection and bulk actions of the gallery
+ * @param {HTMLElement} dialog - Gallery dialog
+ */
+function setupGalleryListeners(dialog: HTMLElement): void {
+    const scroller = dialog.querySelector(".gallery-scroller") as HTMLElement;
+    scroller.addEventListener("scroll", function() {
+        if (galleryState.frame !== null) return;
+        galleryState.frame = requestAnimationFrame(function() {
+            galleryState.frame = null;
+            renderGalleryTiles();
+        });
+    });
+
+    const collectionSelect = dialog.querySelector(".gallery-collection-select") as HTMLSelectElement;
+    collectionSelect.addEventListener("change", function() {
+        galleryState.collectionId = collectionSelect.value || null;
+        scopeGalleryToCollection();
+        renderGalleryFacets();
+        applyGalleryFilters();
+    });
+
+    const ratingSelect = dialog.querySelector(".gallery-rating-filter") as HTMLSelectElement;
+    ratingSelect.addEventListener("change", function() {
+        galleryState.filters.rating = ratingSelect.value === "" ? null : parseInt(ratingSelect.value, 10);
+        applyGalleryFilters();
+    });
+
+    const fromInput = dialog.querySelector(".gallery-date-from") as HTMLInputElement;
+    const toInput = dialog.querySelector(".gallery-date-to") as HTMLInputElement;
+    const applyDates = function() {
+        // Date inputs give UTC midnight; compare against local days instead
+        galleryState.filters.from = fromInput.value ? new Date(fromInput.value + "T00:00:00").getTime() : null;
+        galleryState.filters.to = toInput.value ? new Date(toInput.value + "T23:59:59.999").getTime() : null;
+        applyGalleryFilters();
+    };
+    fromInput.addEventListener("change", applyDates);
+    toInput.addEventListener("change", applyDates);
+
+    (dialog.querySelector(".gallery-clear-filters-btn") as HTMLButtonElement).addEventListener("click", function() {
+        galleryState.filters = createEmptyGalleryFilters();
+        ratingSelect.value = "";
+        fromInput.value = "";
+        toInput.value = "";
+        renderGalleryFacets();
+        applyGalleryFilters();
+    });
+
+    (dialog.querySelector(".gallery-select-all-btn") as HTMLButtonElement).addEventListener("click", function() {
+        galleryState.visible.forEach(function(image: GalleryImage) { galleryState.selected.add(galleryImageKey(image)); });
+        updateGallerySelection();
+    });
+    (dialog.querySelector(".gallery-select-none-btn") as HTMLButtonElement).addEventListener("click", function() {
+        galleryState.selected.clear();
+        galleryState.anchor = null;
+        updateGallerySelection();
+    });
+
+    (dialog.querySelector(".gallery-tag-btn") as HTMLButtonElement).addEventListener("click", function() {
+        const selected = getSelectedGalleryImages();
+        if (selected.length > 0) {
+            openBulkTagEditor(selected.map(toReferenceImage));
+        }
+    });
+
+    const suggestButton = dialog.querySelector(".gallery-suggest-tags-btn") as HTMLButtonElement;
+    suggestButton.addEventListener("click", async function() {
+        const selected = getSelectedGalleryImages();
+        if (selected.length === 0) return;
+        if (selected.length > 1 && !confirm("Send " + selected.length + " images to the auto-tagging model?")) return;
+        const images = selected.map(toReferenceImage);
+        galleryState.tagging = true;
+        suggestButton.textContent = "Suggesting…";
+        updateGallerySelection();
+        try {
+            const tagged = await handleAutoTagImages(images, false, function(done: number, total: number) {
+                suggestButton.textContent = "Suggesting " + done + "/" + total + "…";
+            });
+            // The bulk tag editor lists the suggestions for accepting
+            if (tagged > 0 && galleryState.dialog === dialog) {
+                await openBulkTagEditor(images);
+            }
+        } finally {
+            galleryState.tagging = false;
+            suggestButton.textContent = "Suggest tags";
+            updateGallerySelection();
+        }
+    });
+
+    const rateSelect = dialog.querySelector(".gallery-rate-select") as HTMLSelectElement;
+    rateSelect.addEventListener("change", async function() {
+        const value = rateSelect.value;
+        rateSelect.value = "";
+        const selected = getSelectedGalleryImages();
+        if (value === "" || selected.length === 0) return;
+        await handleBulkRate(selected.map(toReferenceImage), value === "clear" ? null : parseInt(value, 10));
+        await refreshGallery();
+    });
+
+    (dialog.querySelector(".gallery-export-site-btn") as HTMLButtonElement).addEventListener("click", function() {
+        const selected = getSelectedGalleryImages();
+        const images = selected.length > 0 ? selected : galleryState.visible;
+        if (images.length === 0) return;
+        const collection = STATE.smartCollections.find(function(c: SmartCollection) { return c.id === galleryState.collectionId; });
+        openStaticSiteExport(collection ? collection.name : "Gallery", "", async function() {
+            return images.map(toReferenceImage);
+        });
+    });
+
+    (dialog.querySelector(".gallery-present-btn") as HTMLButtonElement).addEventListener("click", function() {
+        const selected = getSelectedGalleryImages();
+        const slides = getGallerySlides(selected.length > 0 ? selected : galleryState.visible);
+        if (slides.length === 0) return;
+        (dialog as HTMLElement & {instance?: bootstrap.Modal}).instance?.hide();
+        openSlideshow(slides);
+    });
+
+    (dialog.querySelector(".gallery-album-btn") as HTMLButtonElement).addEventListener("click", function() {
+        const selected = getSelectedGalleryImages();
+        if (selected.length === 0) return;
+        openAlbumPicker(selected.map(toReferenceImage));
+    });
+
+    const downloadButton = dialog.querySelector(".gallery-download-btn") as HTMLButtonElement;
+    downloadButton.addEventListener("click", async function() {
+        const selected = getSelectedGalleryImages();
+        if (selected.length === 0) return;
+        downloadButton.disabled = true;
+        try {
+            await downloadGalleryImages(selected);
+        } catch (e) {
+            console.error("Error downloading images:", e);
+            displayError("Could not download the selected images: " + (e as Error).message);
+        } finally {
+            downloadButton.disabled = galleryState.selected.size === 0;
+        }
+    });
+
+    const moveSelect = dialog.querySelector(".gallery-move-select") as HTMLSelectElement;
+    moveSelect.addEventListener("change", async function() {
+        const targetTimestamp = parseInt(moveSelect.value, 10);
+        moveSelect.value = "";
+        const selected = getSelectedGalleryImages();
+        if (isNaN(targetTimestamp) || selected.length === 0) return;
+        const title = galleryState.titles.get(targetTimestamp) ?? "the conversation";
+        if (!confirm("Move " + selected.length + " image(s) to \"" + title + "\"?")) return;
+        const moved = await handleMoveImages(selected.map(toReferenceImage), targetTimestamp);
+        if (moved > 0) galleryState.selected.clear();
+        await refreshGallery();
+    });
+
+    (dialog.querySelector(".gallery-delete-btn") as HTMLButtonElement).addEventListener("click", async function() {
+        const selected = getSelectedGalleryImages();
+        if (selected.length === 0) return;
+        if (!confirm("Delete " + selected.length + " image(s)?")) return;
+        await handleDeleteImages(selected.map(toReferenceImage));
+        galleryState.selected.clear();
+        await refreshGallery();
+    });
+
+    const onResize = function() {
+        layoutGallery();
+    };
+    window.addEventListener("resize", onResize);
+
+    dialog.addEventListener("shown.bs.modal", function() {
+        // Widths are only known once the dialog is visible
+        layoutGallery();
+    });
+
+    dialog.addEventListener("hidden.bs.modal", function() {
+        window.removeEventListener("resize", onResize);
+        if (galleryState.frame !== null) {
+            cancelAnimationFrame(galleryState.frame);
+            galleryState.frame = null;
+        }
+        galleryState.urls.forEach(function(url: string) { URL.revokeObjectURL(url); });
+        galleryState.urls.clear();
+        galleryState.tiles.clear();
+        galleryState.library = [];
+        galleryState.collectionId = null;
+        galleryState.images = [];
+        galleryState.visible = [];
+        galleryState.selected.clear();
+        galleryState.dialog = null;
+        dialog.remove();
+        if (location.hash === GALLERY_HASH) {
+            history.replaceState(null, "", location.pathname + location.search);
+        }
+    });
+}
+
+/**
+ * Opens the gallery: every image of the library in a virtualized grid with facets for
+ * project, model, resolution, aspect ratio, rating, tags and date, and bulk actions on a selection
+ * @param {string | null} collectionId - Saved collection to show, or null for the whole library
+ * @returns {Promise<void>}
+ */
+export async function openGallery(collectionId: string | null = null): Promise<void> {
+    if (galleryState.dialog) {
+        if (collectionId !== null && collectionId !== galleryState.collectionId) {
+            galleryState.collectionId = collectionId;
+            renderGalleryCollections();
+            scopeGalleryToCollection();
+            renderGalleryFacets();
+            applyGalleryFilters();
+        }
+        return;
+    }
+    const dialog = cloneTemplate("gallery-modal-template", document.body);
+    if (!dialog) return;
+    galleryState.dialog = dialog;
+    galleryState.collectionId = collectionId;
+    galleryState.filters = createEmptyGalleryFilters();
+    galleryState.selected.clear();
+    galleryState.anchor = null;
+    if (location.hash !== GALLERY_HASH) {
+        location.hash = GALLERY_HASH;
+    }
+
+    setupGalleryListeners(dialog);
+    const modal = new bootstrap.Modal(dialog);
+    (dialog as HTMLElement & {instance?: bootstrap.Modal}).instance = modal;
+    modal.show();
+
+    await loadGalleryImages();
+    if (galleryState.dialog !== dialog) return;
+    renderGalleryCollections();
+    renderGalleryFacets();
+    renderGalleryMoveTargets();
+    applyGalleryFilters();
+}
+
+/**
+ * Wires the lineage button of an image in the conversation view
+ * @param {HTMLElement} imgItemContainer - Image item element
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} storageIndex - Storage index of the image
+ */
+function setupLineageButton(imgItemContainer: HTMLElement, conversationTimestamp: number, storageIndex: number): void {
+    const lineageBtn = imgItemContainer.querySelector(".lineage-btn") as HTMLButtonElement | null;
+    if (!lineageBtn) return;
+    lineageBtn.addEventListener("click", function() {
+        openLineagePanel({ conversationTimestamp: conversationTimestamp, imageIndex: storageIndex });
+    });
+}
+
+/**
+ * Scrolls the conversation view to an image and outlines it briefly
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Entry holding the image
+ * @param {number} imageIndex - Position of the image within the entry
+ */
+function scrollToImage(conversationTimestamp: number, entryIndex: number, imageIndex: number): void {
+    const entryId = conversationTimestamp + "-" + entryIndex;
+    const imageElement = STATE.conversationView.imageElementCache.get(entryId + "-" + imageIndex);
+    // The image may be hidden by the rating filter; fall back to its entry
+    const target = imageElement ?? STATE.conversationView.entryElementCache.get(entryId);
+    if (!target) return;
+    target.scrollIntoView({ behavior: "smooth", block: "center" });
+    if (imageElement) {
+        imageElement.classList.add("lineage-highlight");
+        setTimeout(function() {
+            imageElement.classList.remove("lineage-highlight");
+        }, 2000);
+    }
+}
+
+/**
+ * Opens the lineage panel for the current conversation: one tree per image that was not made
+ * from another image of the conversation, with regenerations, upscales and edits below it
+ * @param {ReferenceImage | undefined} focus - Image whose ancestors are highlighted
+ */
+export function openLineagePanel(focus?: ReferenceImage): void {
+    const conversation = STATE.currentConversation;
+    if (!conversation || conversation.timestamp === 0) {
+        displayWarning("Open a conversation to see its image lineage.");
+        return;
+    }
+    const roots = buildLineageForest(conversation);
+    if (roots.length === 0) {
+        displayWarning("This conversation has no images yet.");
+        return;
+    }
+
+    const existing = document.getElementById("lineage-modal");
+    if (existing) {
+        existing.remove();
+    }
+    const modalElement = cloneTemplate("lineage-modal-template", document.body);
+    if (!modalElement) return;
+
+    const modal = new bootstrap.Modal(modalElement);
+    const objectUrls: string[] = [];
+    modalElement.addEventListener("hidden.bs.modal", function() {
+        objectUrls.forEach(function(url: string) { URL.revokeObjectURL(url); });
+        modalElement.remove();
+    });
+
+    const ancestors: Set<number> = new Set(focus ? getAncestors(conversation, focus).map(function(a: ReferenceImage) { return a.imageIndex; }) : []);
+    let focusItem: HTMLElement | null = null;
+
+    /**
+     * Renders a node and its descendants
+     * @param {LineageNode} node - Node to render
+     * @param {HTMLElement} container - List to add it to
+     */
+    function renderNode(node: LineageNode, container: HTMLElement): void {
+        const item = cloneTemplate("lineage-node-template", container);
+        if (!item) return;
+
+        const entry = conversation!.entries[node.entryIndex];
+        (item.querySelector(".lineage-operation") as HTMLElement).textContent = LINEAGE_OPERATION_LABELS[node.operation];
+        const resolution = entry.response.imageResolutions?.[node.imageIndex];
+        (item.querySelector(".lineage-location") as HTMLElement).textContent = "Entry " + (node.entryIndex + 1) + (resolution ? " · " + resolution : "");
+
+        const notes: string[] = [];
+        if (node.details) {
+            notes.push(node.details);
+        }
+        if (node.parentMissing) {
+            notes.push("source deleted");
+        }
+        const external = node.otherParents.filter(function(p: ReferenceImage) { return p.conversationTimestamp !== conversation!.timestamp; }).length;
+        if (external > 0) {
+            notes.push(external === 1 ? "uses an image from another conversation" : "uses " + external + " images from other conversations");
+        }
+        const missing = node.otherParents.filter(function(p: ReferenceImage) {
+            return p.conversationTimestamp === conversation!.timestamp && !findImageLocation(conversation!, p);
+        }).length;
+        const secondary = node.otherParents.length - external - missing;
+        if (secondary > 0) {
+            notes.push("+" + secondary + " more " + (secondary === 1 ? "source" : "sources"));
+        }
+        (item.querySelector(".lineage-note") as HTMLElement).textContent = notes.join(" · ");
+
+        const card = item.querySelector(".lineage-node-card") as HTMLButtonElement;
+        card.title = entry.message.text;
+        card.addEventListener("click", function() {
+            modal.hide();
+            scrollToImage(conversation!.timestamp, node.entryIndex, node.imageIndex);
+        });
+
+        if (focus && node.image.imageIndex === focus.imageIndex) {
+            item.classList.add("lineage-focus");
+            focusItem = item;
+        } else if (ancestors.has(node.image.imageIndex)) {
+            item.classList.add("lineage-ancestor");
+        }
+
+        const thumb = item.querySelector(".lineage-thumb") as HTMLImageElement;
+        getThumbnail(node.image.conversationTimestamp, node.image.imageIndex).then(function(blob: Blob | null) {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            objectUrls.push(url);
+            thumb.src = url;
+        });
+
+        const childList = item.querySelector(".lineage-children") as HTMLElement;
+        if (node.children.length === 0) {
+            childList.remove();
+            return;
+        }
+        node.children.forEach(function(child: LineageNode) {
+            renderNode(child, childList);
+        });
+    }
+
+    const tree = modalElement.querySelector(".lineage-tree") as HTMLElement;
+    roots.forEach(function(root: LineageNode) {
+        renderNode(root, tree);
+    });
+
+    if (focusItem) {
+        modalElement.addEventListener("shown.bs.modal", function() {
+            (focusItem as HTMLElement).scrollIntoView({ block: "center" });
+        });
+    }
+    modal.show();
+}
+
+/**
+ * Adds a labelled checkbox to a list in the batch dialog
+ * @param {HTMLElement} container - List element
+ * @param {string} value - Checkbox value
+ * @param {string} text - Label text
+ * @param {boolean} checked - Whether it starts checked
+ */
+function addBatchOption(container: HTMLElement, value: string, text: string, checked: boolean): void {
+    const option = cloneTemplate("batch-option-template", container);
+    if (!option) return;
+    const input = option.querySelector(".batch-option-input") as HTMLInputElement;
+    const label = option.querySelector(".batch-option-label") as HTMLLabelElement;
+    input.id = "batch-option-" + container.childElementCount + "-" + value.replace(/[^A-Za-z0-9_-]/g, "_");
+    input.value = value;
+    input.checked = checked;
+    label.htmlFor = input.id;
+    label.textContent = text;
+}
+
+/**
+ * Gets the values of the checked boxes in a batch dialog list
+ * @param {HTMLElement} container - List element
+ * @returns {string[]} Checked values
+ */
+function getCheckedBatchOptions(container: HTMLElement): string[] {
+    return Array.from(container.querySelectorAll(".batch-option-input:checked")).map(function(input: Element) {
+        return (input as HTMLInputElement).value;
+    });
+}
+
+/**
+ * Opens the batch dialog: prompt variants or a template with lists of values, crossed with
+ * models, aspect ratios and resolutions, with the generation count and estimated cost up front
+ * @returns {Promise<void>}
+ */
+export async function openBatchDialog(): Promise<void> {
+    if (STATE.visionModels.length === 0) {
+        displayError("Please wait for models to load");
+        return;
+    }
+
+    const existing = document.getElementById("batch-modal");
+    if (existing) {
+        existing.remove();
+    }
+
+    const modalElement = cloneTemplate("batch-modal-template", document.body);
+    if (!modalElement) return;
+
+    const modal = new bootstrap.Modal(modalElement);
+    modalElement.addEventListener("hidden.bs.modal", function() {
+        modalElement.remove();
+    });
+
+    const records = await loadSpendingRecords();
+    const templates = getTemplatesForProject(await loadAllTemplates(), STATE.currentProjectId, STATE.projects);
+    const capabilities = getActiveProvider().capabilities;
+
+    const nameInput = modalElement.querySelector(".batch-name-input") as HTMLInputElement;
+    const promptsSection = modalElement.querySelector(".batch-prompts-section") as HTMLElement;
+    const promptsInput = modalElement.querySelector(".batch-prompts-input") as HTMLTextAreaElement;
+    const templateSection = modalElement.querySelector(".batch-template-section") as HTMLElement;
+    const templateSelect = modalElement.querySelector(".batch-template-select") as HTMLSelectElement;
+    const variablesContainer = modalElement.querySelector(".batch-template-variables") as HTMLElement;
+    const modelFilter = modalElement.querySelector(".batch-model-filter") as HTMLInputElement;
+    const modelList = modalElement.querySelector(".batch-model-list") as HTMLElement;
+    const aspectRatioList = modalElement.querySelector(".batch-aspect-ratio-list") as HTMLElement;
+    const resolutionList = modalElement.querySelector(".batch-resolution-list") as HTMLElement;
+    const summary = modalElement.querySelector(".batch-summary") as HTMLElement;
+    const startBtn = modalElement.querySelector(".batch-start-btn") as HTMLButtonElement;
+    const templateRadio = modalElement.querySelector("#batch-source-template") as HTMLInputElement;
+
+    promptsInput.value = getUserPrompt();
+
+    templates.forEach(function(template: PromptTemplate) {
+        const option = document.createElement("option");
+        option.value = template.id;
+        option.textContent = template.name;
+        templateSelect.appendChild(option);
+    });
+    templateRadio.disabled = templates.length === 0;
+
+    STATE.visionModels.forEach(function(model: {id: string; name: string}) {
+        addBatchOption(modelList, model.id, model.name || model.id, model.id === STATE.selectedModel);
+    });
+    capabilities.aspectRatios.forEach(function(aspectRatio: string) {
+        addBatchOption(aspectRatioList, aspectRatio, aspectRatio, aspectRatio === getAspectRatio());
+    });
+    capabilities.imageSizes.forEach(function(size: string) {
+        addBatchOption(resolutionList, size, size, size === getResolution());
+    });
+
+    /**
+     * Gets the selected template, if the template source is active
+     * @returns {PromptTemplate | null} Selected template
+     */
+    function selectedTemplate(): PromptTemplate | null {
+        if (!templateRadio.checked) return null;
+        return templates.find(function(t: PromptTemplate) { return t.id === templateSelect.value; }) ?? null;
+    }
+
+    /**
+     * Shows one value list per variable of the selected template
+     */
+    function renderVariableFields(): void {
+        variablesContainer.innerHTML = "";
+        const template = selectedTemplate();
+        if (!template) return;
+        parseTemplateVariables(template.text).forEach(function(variable) {
+            const field = cloneTemplate("batch-variable-field-template", variablesContainer);
+            if (!field) return;
+            const textarea = field.querySelector(".batch-variable-values") as HTMLTextAreaElement;
+            const label = field.querySelector(".batch-variable-label") as HTMLLabelElement;
+            textarea.id = "batch-variable-" + variable.name;
+            textarea.dataset.variable = variable.name;
+            textarea.placeholder = "One value per line" + (variable.defaultValue ? " (default: " + variable.defaultValue + ")" : "");
+            label.htmlFor = textarea.id;
+            label.textContent = variable.name;
+        });
+    }
+
+    /**
+     * Builds the prompts of the batch from the active source
+     * @returns {BatchPrompt[]} Prompts
+     */
+    function collectPrompts(): BatchPrompt[] {
+        const template = selectedTemplate();
+        if (!template) {
+            return splitLines(promptsInput.value).map(function(text: string): BatchPrompt { return { text: text }; });
+        }
+        const valueLists: Record<string, string[]> = {};
+        variablesContainer.querySelectorAll(".batch-variable-values").forEach(function(el: Element) {
+            const textarea = el as HTMLTextAreaElement;
+            valueLists[textarea.dataset.variable!] = splitLines(textarea.value);
+        });
+        return expandTemplateValues(template, valueLists);
+    }
+
+    /**
+     * Recomputes the generation count and cost estimate
+     */
+    function updateSummary(): void {
+        const prompts = collectPrompts();
+        const modelIds = getCheckedBatchOptions(modelList);
+        const perModelRuns = prompts.length * getCheckedBatchOptions(aspectRatioList).length * getCheckedBatchOptions(resolutionList).length;
+        const count = perModelRuns * modelIds.length;
+
+        let cost = 0;
+        modelIds.forEach(function(modelId: string) {
+            cost += estimateBatchCost([modelId], records) * perModelRuns;
+        });
+
+        if (count > MAX_BATCH_SIZE) {
+            summary.textContent = count + " generations is more than the limit of " + MAX_BATCH_SIZE;
+            summary.className = "small batch-summary text-danger";
+        } else {
+            summary.textContent = count + " generation" + (count === 1 ? "" : "s")
+                + (count > 0 ? " · " + (cost > 0 ? "≈" + formatCost(cost) : "cost unknown") : "");
+            summary.className = "small batch-summary";
+        }
+        startBtn.disabled = count === 0 || count > MAX_BATCH_SIZE;
+    }
+
+    modalElement.querySelectorAll(".batch-source-radio").forEach(function(radio: Element) {
+        radio.addEventListener("change", function() {
+            const useTemplate = templateRadio.checked;
+            promptsSection.style.display = useTemplate ? "none" : "";
+            templateSection.style.display = useTemplate ? "" : "none";
+            renderVariableFields();
+            updateSummary();
+        });
+    });
+    templateSelect.addEventListener("change", function() {
+        renderVariableFields();
+        updateSummary();
+    });
+    modelFilter.addEventListener("input", function() {
+        const query = modelFilter.value.trim().toLowerCase();
+        modelList.querySelectorAll(".form-check").forEach(function(el: Element) {
+            (el as HTMLElement).style.display = !query || (el.textContent || "").toLowerCase().indexOf(query) !== -1 ? "" : "none";
+        });
+    });
+    modalElement.addEventListener("input", updateSummary);
+    modalElement.addEventListener("change", updateSummary);
+
+    startBtn.addEventListener("click", async function() {
+        const prompts = collectPrompts();
+        const variants = buildBatchVariants(
+            prompts,
+            getCheckedBatchOptions(modelList),
+            getCheckedBatchOptions(aspectRatioList),
+            getCheckedBatchOptions(resolutionList)
+        );
+        if (variants.length === 0 || variants.length > MAX_BATCH_SIZE) return;
+
+        const template = selectedTemplate();
+        const name = nameInput.value.trim() || (template ? template.name : prompts[0].text);
+        startBtn.disabled = true;
+        if (await handleStartBatch(name, variants)) {
+            modal.hide();
+        } else {
+            startBtn.disabled = false;
+        }
+    });
+
+    updateSummary();
+    modal.show();
+}
+
+/**
+ * Puts a filled-in template into the prompt input and remembers it for the next generation
+ * @param {PromptTemplate} template - Template to insert
+ * @param {Record<string, string>} values - Variable values entered by the user
+ */
+function insertTemplatePrompt(template: PromptTemplate, values: Record<string, string>): void {
+    const textarea = document.getElementById("user-input") as HTMLTextAreaElement | null;
+    if (!textarea) return;
+
+    const prompt = fillTemplate(template.text, values);
+    // Record the values actually used, with defaults filled in
+    const usedValues: Record<string, string> = {};
+    parseTemplateVariables(template.text).forEach(function(v) {
+        const value = (values[v.name] ?? "").trim();
+        usedValues[v.name] = value !== "" ? value : v.defaultValue;
+    });
+
+    textarea.value = prompt;
+    expandTextarea();
+    setGenerateButtonState(prompt.trim().length > 0);
+    textarea.focus();
+
+    STATE.insertedTemplate = {
+        usage: { id: template.id, name: template.name, values: usedValues },
+        prompt: prompt.trim()
+    };
+}
+
+/**
+ * Opens the form for a template's variables, or inserts the template directly if it has none
+ * @param {PromptTemplate} template - Template to insert
+ * @param {Record<string, string>} initialValues - Values to prefill
+ */
+function openTemplateVariablesForm(template: PromptTemplate, initialValues: Record<string, string>): void {
+    const variables = parseTemplateVariables(template.text);
+    if (variables.length === 0) {
+        insertTemplatePrompt(template, {});
+        return;
+    }
+
+    const existing = document.getElementById("template-variables-modal");
+    if (existing) {
+        existing.remove();
+    }
+
+    const modalElement = cloneTemplate("template-variables-modal-template", document.body);
+    if (!modalElement) return;
+
+    const modal = new bootstrap.Modal(modalElement);
+    modalElement.addEventListener("hidden.bs.modal", function() {
+        modalElement.remove();
+    });
+
+    (modalElement.querySelector(".template-variables-title") as HTMLElement).textContent = template.name;
+    const fieldsContainer = modalElement.querySelector(".template-variables-fields") as HTMLElement;
+    const preview = modalElement.querySelector(".template-variables-preview") as HTMLElement;
+    const inputs: Record<string, HTMLInputElement> = {};
+
+    /**
+     * Collects the values currently entered in the form
+     * @returns {Record<string, string>} Values by variable name
+     */
+    function currentValues(): Record<string, string> {
+        const values: Record<string, string> = {};
+        Object.keys(inputs).forEach(function(name: string) {
+            values[name] = inputs[name].value;
+        });
+        return values;
+    }
+
+    variables.forEach(function(variable) {
+        const field = cloneTemplate("template-variable-field-template", fieldsContainer);
+        if (!field) return;
+        const input = field.querySelector(".template-variable-input") as HTMLInputElement;
+        const label = field.querySelector(".template-variable-label") as HTMLLabelElement;
+        input.id = "template-variable-" + variable.name;
+        label.htmlFor = input.id;
+        label.textContent = variable.name;
+        input.placeholder = variable.defaultValue;
+        input.value = initialValues[variable.name] ?? "";
+        input.addEventListener("input", function() {
+            preview.textContent = fillTemplate(template.text, currentValues());
+        });
+        inputs[variable.name] = input;
+    });
+    preview.textContent = fillTemplate(template.text, currentValues());
+
+    (modalElement.querySelector(".template-variables-form") as HTMLFormElement).addEventListener("submit", function(e) {
+        e.preventDefault();
+        insertTemplatePrompt(template, currentValues());
+        modal.hide();
+    });
+
+    modalElement.addEventListener("shown.bs.modal", function() {
+        const first = fieldsContainer.querySelector("input") as HTMLInputElement | null;
+        if (first) first.focus();
+    });
+    modal.show();
+}
+
+/**
+ * Renders the templates visible in the current project
+ * @param {HTMLElement} modalElement - Templates modal
+ * @param {function(PromptTemplate): void} onInsert - Called when a template's Insert button is clicked
+ * @param {function(PromptTemplate): void} onEdit - Called when a template's Edit button is clicked
+ * @returns {Promise<void>}
+ */
+async function renderTemplateList(modalElement: HTMLElement, onInsert: (template: PromptTemplate) => void, onEdit: (template: PromptTemplate) => void): Promise<void> {
+    const list = modalElement.querySelector(".template-list") as HTMLElement;
+    list.innerHTML = "";
+
+    const templates = getTemplatesForProject(await loadAllTemplates(), STATE.currentProjectId, STATE.projects);
+    if (templates.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "text-secondary small";
+        empty.textContent = "No templates yet. Create one below.";
+        list.appendChild(empty);
+        return;
+    }
+
+    templates.forEach(function(template: PromptTemplate) {
+        const item = cloneTemplate("template-list-item-template", list);
+        if (!item) return;
+
+        (item.querySelector(".template-item-name") as HTMLElement).textContent = template.name;
+        const project = template.projectId !== null ? STATE.projects.find(function(p: Project) { return p.id === template.projectId; }) : undefined;
+        (item.querySelector(".template-item-scope") as HTMLElement).textContent = project ? project.name : "Global";
+        const textEl = item.querySelector(".template-item-text") as HTMLElement;
+        textEl.textContent = template.text;
+        textEl.title = template.text;
+
+        (item.querySelector(".template-insert-btn") as HTMLElement).addEventListener("click", function() {
+            onInsert(template);
+        });
+        (item.querySelector(".template-edit-btn") as HTMLElement).addEventListener("click", function() {
+            onEdit(template);
+        });
+        (item.querySelector(".template-delete-btn") as HTMLElement).addEventListener("click", async function() {
+            if (!confirm("Delete template \"" + template.name + "\"?")) return;
+            await deleteTemplate(template.id);
+            await renderTemplateList(modalElement, onInsert, onEdit);
+        });
+    });
+}
+
+/**
+ * Opens the prompt template library: insert, create, edit and delete templates
+ * @returns {Promise<void>}
+ */
+export async function openTemplatesDialog(): Promise<void> {
+    const existing = document.getElementById("templates-modal");
+    if (existing) {
+        existing.remove();
+    }
+
+    const modalElement = cloneTemplate("templates-modal-template", document.body);
+    if (!modalElement) return;
+
+    const modal = new bootstrap.Modal(modalElement);
+    /** @type {PromptTemplate | null} Template to open once this dialog has closed */
+    let pendingInsert: PromptTemplate | null = null;
+    modalElement.addEventListener("hidden.bs.modal", function() {
+        modalElement.remove();
+        if (pendingInsert) {
+            openTemplateVariablesForm(pendingInsert, {});
+        }
+    });
+
+    const formTitle = modalElement.querySelector(".template-form-title") as HTMLElement;
+    const nameInput = modalElement.querySelector(".template-name-input") as HTMLInputElement;
+    const textInput = modalElement.querySelector(".template-text-input") as HTMLTextAreaElement;
+    const scopeSelect = modalElement.querySelector(".template-scope-select") as HTMLSelectElement;
+    const saveBtn = modalElement.querySelector(".template-save-btn") as HTMLButtonElement;
+    const cancelEditBtn = modalElement.querySelector(".template-cancel-edit-btn") as HTMLButtonElement;
+    let editing: PromptTemplate | null = null;
+
+    const currentProject = STATE.projects.find(function(p: Project) { return p.id === STATE.currentProjectId; });
+    if (currentProject) {
+        const option = document.createElement("option");
+        option.value = currentProject.id;
+        option.textContent = "Only " + currentProject.name;
+        scopeSelect.appendChild(option);
+    }
+
+    /**
+     * Puts the form back into "new template" mode
+     */
+    function resetForm(): void {
+        editing = null;
+        formTitle.textContent = "New template";
+        nameInput.value = "";
+        textInput.value = "";
+        scopeSelect.value = "";
+        saveBtn.textContent = "Save Template";
+        cancelEditBtn.style.display = "none";
+    }
+
+    /**
+     * Loads a template into the form for editing
+     * @param {PromptTemplate} template - Template to edit
+     */
+    function startEditing(template: PromptTemplate): void {
+        editing = template;
+        formTitle.textContent = "Edit template";
+        nameInput.value = template.name;
+        textInput.value = template.text;
+        if (template.projectId !== null && !scopeSelect.querySelector('option[value="' + CSS.escape(template.projectId) + '"]')) {
+            // Scoped to an ancestor of the current project; keep that scope selectable
+            const owner = STATE.projects.find(function(p: Project) { return p.id === template.projectId; });
+            const option = document.createElement("option");
+            option.value = template.projectId;
+            option.textContent = "Only " + (owner ? owner.name : template.projectId);
+            scopeSelect.appendChild(option);
+        }
+        scopeSelect.value = template.projectId ?? "";
+        saveBtn.textContent = "Update Template";
+        cancelEditBtn.style.display = "";
+        nameInput.focus();
+    }
+
+    /**
+     * Closes the dialog and opens the variables form for a template
+     * @param {PromptTemplate} template - Template to insert
+     */
+    function insert(template: PromptTemplate): void {
+        pendingInsert = template;
+        modal.hide();
+    }
+
+    saveBtn.addEventListener("click", async function() {
+        const name = nameInput.value.trim();
+        const text = textInput.value.trim();
+        if (!name || !text) {
+            displayError("A template needs a name and text");
+            return;
+        }
+
+        const now = Date.now();
+        const template: PromptTemplate = editing
+            ? Object.assign({}, editing, { name: name, text: text, projectId: scopeSelect.value || null, updated: now })
+            : { id: generateTemplateId(), name: name, text: text, projectId: scopeSelect.value || null, created: now, updated: now };
+        await saveTemplate(template);
+        resetForm();
+        await renderTemplateList(modalElement, insert, startEditing);
+    });
+
+    cancelEditBtn.addEventListener("click", function() {
+        resetForm();
+    });
+
+    modal.show();
+    await renderTemplateList(modalElement, insert, startEditing);
+}
+
+/**
+ * Asks the user how to resolve a conversation that changed on both sides of a two-way sync
+ * @param {string} title - Conversation title
+ * @returns {Promise<'merge' | 'local' | 'external'>} Chosen resolution
+ */
+export function showSyncConflictDialog(title: string): Promise<'merge' | 'local' | 'external'> {
+    return new Promise(function(resolve) {
+        const existing = document.getElementById("sync-conflict-modal");
+        if (existing) {
+            existing.remove();
+        }
+
+        const modalElement = cloneTemplate("sync-conflict-modal-template", document.body);
+        if (!modalElement) {
+            resolve('merge');
+            return;
+        }
+
+        const titleSpan = modalElement.querySelector(".sync-conflict-title");
+        if (titleSpan) {
+            titleSpan.textContent = title;
+        }
+
+        let choice: 'merge' | 'local' | 'external' = 'merge';
+        const modal = new bootstrap.Modal(modalElement);
+
+        const choices: [string, 'merge' | 'local' | 'external'][] = [
+            [".merge-btn", 'merge'],
+            [".keep-local-btn", 'local'],
+            [".keep-external-btn", 'external']
+        ];
+        choices.forEach(function([selector, value]) {
+            modalElement.querySelector(selector)?.addEventListener("click", function() {
+                choice = value;
+                modal.hide();
+            });
+        });
+
+        modalElement.addEventListener("hidden.bs.modal", function() {
+            modalElement.remove();
+            resolve(choice);
+        });
+
+        modal.show();
+    });
+}
+
+/**
+ * Updates the sync button appearance based on state
+ * @param {boolean} enabled - Whether sync is enabled
+ * @param {boolean} syncing - Whether sync is in progress
+ * @param {boolean} needsReauth - Whether the directory needs re-authorization
+ */
+export function updateSyncButton(enabled: boolean, syncing: boolean, needsReauth: boolean = false): void {
+    const syncBtn = document.getElementById("sync-directory-btn");
+    if (!syncBtn) return;
+
+    if (needsReauth) {
+        syncBtn.textContent = "🖴";
+        syncBtn.setAttribute("title", "Click to re-authorize folder access");
+    } else if (enabled) {
+        syncBtn.textContent = "✓🖴";
+        if (syncing) {
+            syncBtn.setAttribute("title", "Syncing to folder... (click to stop)");
+        } else {
+            syncBtn.setAttribute("title", "Syncing to folder (click to stop)");
+        }
+    } else {
+        syncBtn.textContent = "🖴";
+        syncBtn.setAttribute("title", "Sync images to external folder");
+    }
+}
+
+/**
+ * Shows the sync progress bar
+ * @param {number} current - Current progress value
+ * @param {number} total - Total progress value
+ */
+export function showSyncProgress(current: number, total: number): void {
+    const container = document.getElementById("sync-progress-container");
+    const progressBar = document.getElementById("sync-progress-bar");
+    const progressText = document.getElementById("sync-progress-text");
+
+    if (!container || !progressBar || !progressText) return;
+
+    container.style.display = "block";
+    const percentage = Math.round((current / total) * 100);
+    progressBar.style.width = percentage + "%";
+    progressText.textContent = "Syncing " + current + "/" + total + " conversations...";
+}
+
+/**
+ * Hides the sync progress bar
+ * @param {boolean} showComplete - Whether to show "Complete" message
+ */
+export function hideSyncProgress(showComplete: boolean = false): void {
+    const container = document.getElementById("sync-progress-container");
+    const progressBar = document.getElementById("sync-progress-bar");
+    const progressText = document.getElementById("sync-progress-text");
+
+    if (!container || !progressBar || !progressText) return;
+
+    if (showComplete) {
+        progressBar.style.width = "100%";
+        progressBar.classList.remove("progress-bar-animated");
+        progressText.textContent = "Sync complete!";
+        setTimeout(function() {
+            container.style.display = "none";
+            progressBar.classList.add("progress-bar-animated");
+            progressBar.style.width = "0%";
+        }, 2000);
+    } else {
+        container.style.display = "none";
+        progressBar.style.width = "0%";
+    }
+}
+
+/**
+ * Renders the rating overlay stars on an image
+ * @param {HTMLElement} container - Rating overlay element
+ * @param {number | null} rating - Current rating or null
+ */
+function renderRatingOverlay(container: HTMLElement, rating: number | null): void {
+    container.innerHTML = "";
+    if (rating === null) {
+        container.style.display = "none";
+        return;
+    }
+
+    container.style.display = "flex";
+    for (let i = 1; i <= 5; i++) {
+        const star = document.createElement("span");
+        star.className = "star" + (i <= rating ? "" : " empty");
+        star.textContent = "★";
+        container.appendChild(star);
+    }
+}
+
+/**
+ * Shows the rating picker popup for an image
+ * @param {HTMLElement} imageContainer - The image item container
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} entryIndex - Entry index in conversation
+ * @param {number} imageIndex - Image index within the entry
+ */
+function showRatingPicker(imageContainer: HTMLElement, conversationTimestamp: number, entryIndex: number, imageIndex: number): void {
+    const existingPicker = imageContainer.querySelector(".rating-picker");
+    if (existingPicker) {
+        existingPicker.remove();
+    }
+
+    getConversationForEdit(conversationTimestamp).then(function(conversation: Conversation | null) {
+        if (!conversation || !conversation.entries[entryIndex]) return;
+
+        const entry = conversation.entries[entryIndex];
+        const currentRating = getRatingForImage(entry, imageIndex);
+
+        const pickerTemplate = document.getElementById("rating-picker-template") as HTMLTemplateElement | null;
+        if (!pickerTemplate) return;
+
+        const pickerClone = pickerTemplate.content.cloneNode(true) as DocumentFragment;
+        const picker = pickerClone.firstElementChild as HTMLElement;
+
+        const stars = picker.querySelectorAll(".rating-star");
+        stars.forEach(function(starEl) {
+            const value = parseInt((starEl as HTMLElement).dataset.value || "0", 10);
             if (currentRating !== null && value <= currentRating) {
                 starEl.classList.add("active");
             }
@@ -3907,14 +8085,7 @@ export async function initConversationRatingFilter(): Promise<void> {
     if (!filterContainer || !filterSelect) return;
 
     // Use project's effective default rating filter
-    const effective = getEffectiveProjectSettings({
-        model: null,
-        instructions: null,
-        systemPrompt: null,
-        defaultResolution: null,
-        defaultAspectRatio: null,
-        defaultRatingFilter: null
-    });
+    const effective = getEffectiveProjectSettings(createDefaultProjectSettings());
 
     const filterValue = effective.defaultRatingFilter !== null ? String(effective.defaultRatingFilter) : "";
     
@@ -3944,3 +8115,434 @@ export async function initConversationRatingFilter(): Promise<void> {
         }
     });
 }
+
+/**
+ * State of the open albums dialog
+ * @type {Object}
+ */
+const albumsState: {
+    dialog: HTMLElement | null;
+    albums: Album[];
+    selectedId: string | null;
+} = {
+    dialog: null,
+    albums: [],
+    selectedId: null
+};
+
+/**
+ * Opens the albums dialog: the list of albums and the images, notes and cover of the one chosen
+ * @param {string | null} albumId - Album to show, or null for the last one shown
+ * @returns {Promise<void>}
+ */
+export async function openAlbums(albumId: string | null): Promise<void> {
+    if (albumId !== null) {
+        albumsState.selectedId = albumId;
+    }
+    if (albumsState.dialog) {
+        renderAlbumsList();
+        renderAlbumDetail();
+        return;
+    }
+    const dialog = cloneTemplate("albums-modal-template", document.body);
+    if (!dialog) return;
+    albumsState.dialog = dialog;
+    setupAlbumsListeners(dialog);
+
+    const modal = new bootstrap.Modal(dialog);
+    (dialog as HTMLElement & {instance?: bootstrap.Modal}).instance = modal;
+    dialog.addEventListener("hidden.bs.modal", function() {
+        albumsState.dialog = null;
+        albumsState.albums = [];
+        dialog.remove();
+    });
+    modal.show();
+    await refreshAlbums();
+}
+
+/**
+ * Reloads the albums and redraws the albums dialog if it is open
+ * @returns {Promise<void>}
+ */
+export async function refreshAlbums(): Promise<void> {
+    if (!albumsState.dialog) return;
+    albumsState.albums = await loadAllAlbums();
+    renderAlbumsList();
+    renderAlbumDetail();
+}
+
+/**
+ * Gets the album chosen in the albums dialog
+ * @returns {Album | null} Album, or null if none is chosen
+ */
+function getSelectedAlbum(): Album | null {
+    return albumsState.albums.find(function(a: Album) { return a.id === albumsState.selectedId; }) ?? null;
+}
+
+/**
+ * Wires the controls of the albums dialog that do not depend on the album shown
+ * @param {HTMLElement} dialog - Albums dialog
+ */
+function setupAlbumsListeners(dialog: HTMLElement): void {
+    const newTitleInput = dialog.querySelector(".new-album-title-input") as HTMLInputElement;
+    const createAlbumFromInput = async function() {
+        if (!newTitleInput.value.trim()) return;
+        const album = await handleAddImagesToAlbum(null, newTitleInput.value, []);
+        if (!album) return;
+        newTitleInput.value = "";
+        albumsState.selectedId = album.id;
+        renderAlbumsList();
+        renderAlbumDetail();
+    };
+    (dialog.querySelector(".new-album-btn") as HTMLButtonElement).addEventListener("click", createAlbumFromInput);
+    newTitleInput.addEventListener("keydown", function(e: KeyboardEvent) {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            createAlbumFromInput();
+        }
+    });
+
+    const titleInput = dialog.querySelector(".album-title-input") as HTMLInputElement;
+    titleInput.addEventListener("change", async function() {
+        const album = getSelectedAlbum();
+        if (!album) return;
+        if (!titleInput.value.trim()) {
+            titleInput.value = album.title;
+            return;
+        }
+        album.title = titleInput.value.trim();
+        await handleSaveAlbum(album);
+        renderAlbumsList();
+    });
+
+    const descriptionInput = dialog.querySelector(".album-description-input") as HTMLTextAreaElement;
+    descriptionInput.addEventListener("change", async function() {
+        const album = getSelectedAlbum();
+        if (!album) return;
+        album.description = descriptionInput.value.trim();
+        await handleSaveAlbum(album);
+    });
+
+    (dialog.querySelector(".album-present-btn") as HTMLButtonElement).addEventListener("click", function() {
+        const album = getSelectedAlbum();
+        if (!album || album.images.length === 0) return;
+        (dialog as HTMLElement & {instance?: bootstrap.Modal}).instance?.hide();
+        openSlideshow(getAlbumSlides(album));
+    });
+
+    (dialog.querySelector(".album-export-site-btn") as HTMLButtonElement).addEventListener("click", function() {
+        const album = getSelectedAlbum();
+        if (!album || album.images.length === 0) return;
+        openStaticSiteExport(album.title, album.description, async function() {
+            return album.images.map(function(image: AlbumImage): StaticSiteSource {
+                return { conversationTimestamp: image.conversationTimestamp, imageIndex: image.imageIndex, note: image.note };
+            });
+        });
+    });
+
+    const useButton = dialog.querySelector(".album-use-refs-btn") as HTMLButtonElement;
+    useButton.addEventListener("click", async function() {
+        const album = getSelectedAlbum();
+        if (!album) return;
+        useButton.disabled = true;
+        try {
+            const added = await handleUseAlbumAsReferences(album);
+            if (added > 0) {
+                (dialog as HTMLElement & {instance?: bootstrap.Modal}).instance?.hide();
+            } else if (album.images.length > 0) {
+                displayWarning("The album's images are already reference images of this conversation");
+            }
+        } finally {
+            useButton.disabled = false;
+        }
+    });
+
+    (dialog.querySelector(".album-delete-btn") as HTMLButtonElement).addEventListener("click", async function() {
+        const album = getSelectedAlbum();
+        if (!album) return;
+        if (!confirm("Delete the album \"" + album.title + "\"? Its images are kept.")) return;
+        albumsState.selectedId = null;
+        await handleDeleteAlbum(album.id);
+    });
+}
+
+/**
+ * Renders the list of albums with their covers and image counts
+ */
+function renderAlbumsList(): void {
+    const dialog = albumsState.dialog;
+    if (!dialog) return;
+    const list = dialog.querySelector(".albums-list") as HTMLElement;
+    list.innerHTML = "";
+    if (albumsState.albums.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "small text-muted";
+        empty.textContent = "No albums yet";
+        list.appendChild(empty);
+        return;
+    }
+    albumsState.albums.forEach(function(album: Album) {
+        const item = cloneTemplate("album-list-item-template", list);
+        if (!item) return;
+        item.classList.toggle("active", album.id === albumsState.selectedId);
+        (item.querySelector(".album-list-title") as HTMLElement).textContent = album.title;
+        (item.querySelector(".album-list-count") as HTMLElement).textContent = String(album.images.length);
+        item.title = album.description || album.title;
+        const cover = getAlbumCover(album);
+        const coverImg = item.querySelector(".album-list-cover") as HTMLImageElement;
+        if (cover) {
+            getThumbnailDataURL(cover.conversationTimestamp, cover.imageIndex).then(function(url: string | null) {
+                if (url) coverImg.src = url;
+            });
+        }
+        item.addEventListener("click", function() {
+            albumsState.selectedId = album.id;
+            renderAlbumsList();
+            renderAlbumDetail();
+        });
+    });
+}
+
+/**
+ * Renders the chosen album: its title, description and images in album order with their
+ * notes and the controls to reorder them, pick the cover and take them off the album
+ */
+function renderAlbumDetail(): void {
+    const dialog = albumsState.dialog;
+    if (!dialog) return;
+    const album = getSelectedAlbum();
+    const detail = dialog.querySelector(".album-detail") as HTMLElement;
+    (dialog.querySelector(".album-none") as HTMLElement).style.display = album ? "none" : "";
+    detail.style.display = album ? "" : "none";
+    if (!album) return;
+
+    (detail.querySelector(".album-title-input") as HTMLInputElement).value = album.title;
+    (detail.querySelector(".album-description-input") as HTMLTextAreaElement).value = album.description;
+    (detail.querySelector(".album-use-refs-btn") as HTMLButtonElement).disabled = album.images.length === 0;
+    (detail.querySelector(".album-present-btn") as HTMLButtonElement).disabled = album.images.length === 0;
+    (detail.querySelector(".album-export-site-btn") as HTMLButtonElement).disabled = album.images.length === 0;
+    (detail.querySelector(".album-empty") as HTMLElement).style.display = album.images.length === 0 ? "" : "none";
+
+    const container = detail.querySelector(".album-images") as HTMLElement;
+    container.innerHTML = "";
+    const cover = getAlbumCover(album);
+    /** @type {Map<number, Promise<ConversationSummary | null>>} */
+    const summaries: Map<number, Promise<ConversationSummary | null>> = new Map();
+
+    album.images.forEach(function(albumImage: AlbumImage, position: number) {
+        const item = cloneTemplate("album-image-template", container);
+        if (!item) return;
+        const image: ReferenceImage = { conversationTimestamp: albumImage.conversationTimestamp, imageIndex: albumImage.imageIndex };
+        item.classList.toggle("cover", !!cover && cover.conversationTimestamp === image.conversationTimestamp && cover.imageIndex === image.imageIndex);
+
+        const thumb = item.querySelector(".album-image-thumb") as HTMLImageElement;
+        getThumbnailDataURL(image.conversationTimestamp, image.imageIndex).then(function(url: string | null) {
+            if (url) {
+                thumb.src = url;
+            } else {
+                item.classList.add("missing");
+                thumb.title = "This image was deleted";
+            }
+        });
+        thumb.addEventListener("dblclick", async function() {
+            if (item.classList.contains("missing")) return;
+            (dialog as HTMLElement & {instance?: bootstrap.Modal}).instance?.hide();
+            await showConversation(image.conversationTimestamp);
+            const conversation = STATE.currentConversation;
+            const location = conversation?.timestamp === image.conversationTimestamp ? findImageLocation(conversation, image) : null;
+            if (location) {
+                scrollToImage(image.conversationTimestamp, location.entryIndex, location.imageIndex);
+            }
+        });
+
+        const source = item.querySelector(".album-image-source") as HTMLElement;
+        if (!summaries.has(image.conversationTimestamp)) {
+            summaries.set(image.conversationTimestamp, loadSummary(image.conversationTimestamp));
+        }
+        summaries.get(image.conversationTimestamp)!.then(function(summary: ConversationSummary | null) {
+            source.textContent = summary?.title ?? "Deleted conversation";
+            source.title = source.textContent;
+        });
+
+        const noteInput = item.querySelector(".album-image-note") as HTMLTextAreaElement;
+        noteInput.value = albumImage.note;
+        noteInput.addEventListener("change", async function() {
+            if (setAlbumImageNote(album, image, noteInput.value.trim())) {
+                await handleSaveAlbum(album);
+            }
+        });
+
+        const moveLeft = item.querySelector(".album-move-left-btn") as HTMLButtonElement;
+        const moveRight = item.querySelector(".album-move-right-btn") as HTMLButtonElement;
+        moveLeft.disabled = position === 0;
+        moveRight.disabled = position === album.images.length - 1;
+        const move = async function(offset: number) {
+            if (!moveAlbumImage(album, findAlbumImage(album, image), findAlbumImage(album, image) + offset)) return;
+            await handleSaveAlbum(album);
+            renderAlbumsList();
+            renderAlbumDetail();
+        };
+        moveLeft.addEventListener("click", function() { move(-1); });
+        moveRight.addEventListener("click", function() { move(1); });
+
+        (item.querySelector(".album-cover-btn") as HTMLButtonElement).addEventListener("click", async function() {
+            album.coverImage = image;
+            await handleSaveAlbum(album);
+            renderAlbumsList();
+            renderAlbumDetail();
+        });
+
+        (item.querySelector(".album-remove-btn") as HTMLButtonElement).addEventListener("click", async function() {
+            if (removeImagesFromAlbum(album, [image]) === 0) return;
+            await handleSaveAlbum(album);
+            renderAlbumsList();
+            renderAlbumDetail();
+        });
+    });
+}
+
+/**
+ * Opens a dialog to add images to an existing album or a new one
+ * @param {ReferenceImage[]} images - Images by conversation and storage index
+ * @returns {Promise<void>}
+ */
+export async function openAlbumPicker(images: ReferenceImage[]): Promise<void> {
+    if (images.length === 0) return;
+    document.getElementById("album-picker")?.remove();
+    const dialog = cloneTemplate("album-picker-template", document.body);
+    if (!dialog) return;
+    (dialog.querySelector(".album-picker-title") as HTMLElement).textContent = images.length === 1
+        ? "Add Image to Album"
+        : "Add " + images.length + " Images to Album";
+
+    const modal = new bootstrap.Modal(dialog);
+    dialog.addEventListener("hidden.bs.modal", function() {
+        dialog.remove();
+    });
+
+    const addToAlbum = async function(albumId: string | null, title: string) {
+        const album = await handleAddImagesToAlbum(albumId, title, images);
+        if (album) modal.hide();
+    };
+
+    const list = dialog.querySelector(".album-picker-list") as HTMLElement;
+    const albums = await loadAllAlbums();
+    if (albums.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "small text-muted";
+        empty.textContent = "No albums yet";
+        list.appendChild(empty);
+    }
+    albums.forEach(function(album: Album) {
+        const contained = images.filter(function(image: ReferenceImage) { return findAlbumImage(album, image) !== -1; }).length;
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-sm btn-outline-secondary w-100 text-start mb-1 album-picker-item";
+        button.disabled = contained === images.length;
+        const title = document.createElement("span");
+        title.className = "text-white text-truncate";
+        title.textContent = album.title;
+        const count = document.createElement("span");
+        count.className = "badge bg-secondary ms-2";
+        count.textContent = contained === images.length ? "already added" : album.images.length + (album.images.length === 1 ? " image" : " images");
+        button.appendChild(title);
+        button.appendChild(count);
+        button.addEventListener("click", function() {
+            addToAlbum(album.id, "");
+        });
+        list.appendChild(button);
+    });
+
+    const newInput = dialog.querySelector(".album-picker-new-input") as HTMLInputElement;
+    (dialog.querySelector(".album-picker-create-btn") as HTMLButtonElement).addEventListener("click", function() {
+        addToAlbum(null, newInput.value);
+    });
+    newInput.addEventListener("keydown", function(e: KeyboardEvent) {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            addToAlbum(null, newInput.value);
+        }
+    });
+
+    modal.show();
+}
+
+/**
+ * Wires the album button of an image in the conversation view
+ * @param {HTMLElement} imgItemContainer - Image item element
+ * @param {number} conversationTimestamp - Conversation timestamp
+ * @param {number} storageIndex - Storage index of the image
+ */
+function setupAlbumButton(imgItemContainer: HTMLElement, conversationTimestamp: number, storageIndex: number): void {
+    const albumBtn = imgItemContainer.querySelector(".album-btn") as HTMLButtonElement | null;
+    if (!albumBtn) return;
+    albumBtn.addEventListener("click", function() {
+        openAlbumPicker([{ conversationTimestamp: conversationTimestamp, imageIndex: storageIndex }]);
+    });
+}
+
+/**
+ * Opens the dialog that exports images as a standalone website
+ * @param {string} title - Suggested site title
+ * @param {string} description - Suggested site description
+ * @param {function(): Promise<StaticSiteSource[]>} getSources - Lists the images to export, in site order
+ * @returns {Promise<void>}
+ */
+export async function openStaticSiteExport(title: string, description: string, getSources: () => Promise<StaticSiteSource[]>): Promise<void> {
+    document.getElementById("static-site-export")?.remove();
+    const dialog = cloneTemplate("static-site-export-template", document.body);
+    if (!dialog) return;
+
+    const summary = dialog.querySelector(".site-summary") as HTMLElement;
+    const titleInput = dialog.querySelector(".site-title-input") as HTMLInputElement;
+    const descriptionInput = dialog.querySelector(".site-description-input") as HTMLTextAreaElement;
+    const originalsCheck = dialog.querySelector(".site-originals-check") as HTMLInputElement;
+    const externalRadio = dialog.querySelector("#site-destination-external") as HTMLInputElement;
+    const progress = dialog.querySelector(".site-progress") as HTMLElement;
+    const exportButton = dialog.querySelector(".site-export-btn") as HTMLButtonElement;
+    titleInput.value = title;
+    descriptionInput.value = description;
+    externalRadio.disabled = !STATE.externalSync.syncEnabled || !STATE.externalSync.directoryHandle;
+    if (externalRadio.disabled) {
+        externalRadio.title = "Choose a sync folder first";
+    }
+
+    const modal = new bootstrap.Modal(dialog);
+    dialog.addEventListener("hidden.bs.modal", function() {
+        dialog.remove();
+    });
+    modal.show();
+
+    const sources = await getSources();
+    summary.textContent = sources.length === 1 ? "1 image" : sources.length + " images";
+    exportButton.disabled = sources.length === 0;
+
+    exportButton.addEventListener("click", async function() {
+        const siteTitle = titleInput.value.trim() || title;
+        const destination = externalRadio.checked ? 'external' : 'zip';
+        exportButton.disabled = true;
+        progress.textContent = "Preparing…";
+        try {
+            const exported = await handleExportStaticSite(sources, {
+                title: siteTitle,
+                description: descriptionInput.value.trim(),
+                includeOriginals: originalsCheck.checked
+            }, destination, function(done: number, total: number) {
+                progress.textContent = "Adding image " + done + " of " + total + "…";
+            });
+            if (exported === 0) {
+                progress.textContent = "";
+            } else if (destination === 'external') {
+                progress.textContent = "Wrote " + exported + (exported === 1 ? " image" : " images") + " to exports/" + getStaticSiteFolderName(siteTitle);
+            } else {
+                modal.hide();
+            }
+        } catch (e) {
+            console.error("Error exporting website:", e);
+            displayError("Could not export the website: " + (e as Error).message);
+            progress.textContent = "";
+        } finally {
+            exportButton.disabled = false;
+        }
+    });
+}
@@ -0,0 +1,82 @@
+/**
+ * Undo Manager
+ * Holds the most recent destructive action for a short window. The action is applied
+ * to the data immediately; irreversible cleanup (removing files) runs only once the
+ * undo window has passed.
+ */
+
+import * as ui from './ui';
+
+const UNDO_WINDOW_MS: number = 8000;
+
+/**
+ * @typedef {Object} PendingUndo
+ * @property {function(): Promise<void>} undo - Restores the data changed by the action
+ * @property {function(): Promise<void>} commit - Performs the irreversible cleanup
+ * @property {number} timer - Timer that commits the action when the window expires
+ */
+interface PendingUndo {
+    undo: () => Promise<void>;
+    commit: () => Promise<void>;
+    timer: number;
+}
+
+/** @type {PendingUndo | null} Action that can currently be undone */
+let pending: PendingUndo | null = null;
+
+window.addEventListener('pagehide', function() {
+    commitPendingUndo();
+});
+
+/**
+ * Registers an undoable action, committing any earlier action first
+ * @param {string} message - Message shown in the undo toast
+ * @param {function(): Promise<void>} undo - Restores the data changed by the action
+ * @param {function(): Promise<void>} commit - Irreversible cleanup to run when the window expires
+ */
+export function registerUndo(message: string, undo: () => Promise<void>, commit: () => Promise<void>): void {
+    commitPendingUndo();
+
+    const timer = window.setTimeout(function() {
+        commitPendingUndo();
+    }, UNDO_WINDOW_MS);
+
+    pending = { undo: undo, commit: commit, timer: timer };
+    ui.showUndoToast(message, function() {
+        undoPending();
+    });
+}
+
+/**
+ * Reverts the pending action, if there is one
+ * @returns {Promise<void>}
+ */
+export async function undoPending(): Promise<void> {
+    if (!pending) return;
+    const action = pending;
+    pending = null;
+    clearTimeout(action.timer);
+    ui.hideUndoToast();
+
+    try {
+        await action.undo();
+    } catch (e) {
+        console.error("Error undoing action:", e);
+        ui.displayError("Could not undo the last action");
+    }
+}
+
+/**
+ * Commits the pending action immediately, making it permanent
+ */
+export function commitPendingUndo(): void {
+    if (!pending) return;
+    const action = pending;
+    pending = null;
+    clearTimeout(action.timer);
+    ui.hideUndoToast();
+
+    action.commit().catch(function(e: unknown) {
+        console.error("Error committing deletion:", e);
+    });
+}
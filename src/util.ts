@@ -74,6 +74,14 @@ export function generateProjectId(): string {
     return 'proj_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9);
 }
 
+/**
+ * Generates a unique conversation entry ID, so two-way sync can tell entries apart
+ * @returns {string} Unique entry ID
+ */
+export function generateEntryId(): string {
+    return 'ent_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 9);
+}
+
 /**
  * Default project settings with all values null (inherit from parent)
  * @returns {import('./types/state').ProjectSettings}
@@ -85,7 +93,10 @@ export function createDefaultProjectSettings(): import('./types/state').ProjectS
         systemPrompt: null,
         defaultResolution: null,
         defaultAspectRatio: null,
-        defaultRatingFilter: null
+        defaultRatingFilter: null,
+        provider: null,
+        budget: null,
+        autoTag: null
     };
 }
 
@@ -110,7 +121,10 @@ export function resolveInheritedSettings(
         systemPrompt: null,
         defaultResolution: null,
         defaultAspectRatio: null,
-        defaultRatingFilter: null
+        defaultRatingFilter: null,
+        provider: null,
+        budget: null,
+        autoTag: null
     };
 
     /** @type {string[]} */
@@ -131,6 +145,8 @@ export function resolveInheritedSettings(
         if (resolved.defaultResolution === null && s.defaultResolution !== null) resolved.defaultResolution = s.defaultResolution;
         if (resolved.defaultAspectRatio === null && s.defaultAspectRatio !== null) resolved.defaultAspectRatio = s.defaultAspectRatio;
         if (resolved.defaultRatingFilter === null && s.defaultRatingFilter !== null) resolved.defaultRatingFilter = s.defaultRatingFilter;
+        if (resolved.provider === null && s.provider) resolved.provider = s.provider;
+        if (resolved.autoTag === null && s.autoTag) resolved.autoTag = s.autoTag;
 
         if (current.parentId) {
             current = allProjects.find(p => p.id === current!.parentId) ?? null;
@@ -151,6 +167,11 @@ export function resolveInheritedSettings(
     if (resolved.defaultResolution === null) resolved.defaultResolution = globalDefaults.defaultResolution;
     if (resolved.defaultAspectRatio === null) resolved.defaultAspectRatio = globalDefaults.defaultAspectRatio;
     if (resolved.defaultRatingFilter === null) resolved.defaultRatingFilter = globalDefaults.defaultRatingFilter;
+    if (resolved.provider === null) resolved.provider = globalDefaults.provider;
+    if (resolved.autoTag === null) resolved.autoTag = globalDefaults.autoTag;
+
+    // Budgets are not inherited: a child's spending already counts toward every ancestor's budget
+    resolved.budget = project.settings.budget ?? null;
 
     return resolved;
 }
@@ -186,6 +207,9 @@ export async function updateConversationSummary(timestamp: number, title?: strin
         created: summary.created || timestamp,
         updated: Math.floor(Date.now() / 1000)
     };
+    if (summary.archived) {
+        summaryData.archived = true;
+    }
     
     await saveSummary(timestamp, summaryData);
     return summaryData;
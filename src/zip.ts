@@ -0,0 +1,237 @@
+/**
+ * Minimal ZIP archive support
+ * Writes uncompressed (stored) archives; reads stored and deflated entries
+ * using the browser's DecompressionStream. No ZIP64, so archives are limited to 4 GB and
+ * 65535 files; createZip refuses larger archives instead of writing a corrupt one.
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE: number = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE: number = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE: number = 0x06054b50;
+const METHOD_STORED: number = 0;
+const METHOD_DEFLATED: number = 8;
+const UTF8_FLAG: number = 0x0800;
+const MAX_ZIP_SIZE: number = 0xffffffff;
+const MAX_ZIP_ENTRIES: number = 0xffff;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive, using forward slashes
+ * @property {Blob | Uint8Array} data - File contents
+ */
+export interface ZipEntry {
+    name: string;
+    data: Blob | Uint8Array<ArrayBuffer>;
+}
+
+/** @type {Uint32Array | null} Lazily built CRC-32 lookup table */
+let crcTable: Uint32Array | null = null;
+
+/**
+ * Computes the CRC-32 checksum used by ZIP (and PNG chunks)
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes: Uint8Array<ArrayBuffer>): number {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a Date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {{time: number; date: number}} DOS time and date
+ */
+function toDosDateTime(date: Date): { time: number; date: number } {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Formats a byte count for error messages
+ * @param {number} bytes - Byte count
+ * @returns {string} Size in GB or MB
+ */
+function formatSize(bytes: number): string {
+    return bytes >= 1e9 ? (bytes / 1e9).toFixed(1) + " GB" : Math.ceil(bytes / 1e6) + " MB";
+}
+
+/**
+ * Checks that an archive fits the 32-bit sizes and offsets of a ZIP without ZIP64
+ * @param {ZipEntry[]} entries - Files to add
+ * @throws {Error} If there are too many files or the archive would be too large
+ */
+function checkZipLimits(entries: ZipEntry[]): void {
+    if (entries.length > MAX_ZIP_ENTRIES) {
+        throw new Error("Too many files for one ZIP archive (" + entries.length + ", the limit is " + MAX_ZIP_ENTRIES + "). Export fewer images at a time.");
+    }
+    const encoder = new TextEncoder();
+    let size = 22;
+    for (const entry of entries) {
+        const nameLength = encoder.encode(entry.name).length;
+        const dataLength = entry.data instanceof Uint8Array ? entry.data.length : entry.data.size;
+        size += 30 + 46 + nameLength * 2 + dataLength;
+    }
+    if (size > MAX_ZIP_SIZE) {
+        throw new Error("The archive would be " + formatSize(size) + ", more than the 4 GB a ZIP file can hold. Export fewer images at a time.");
+    }
+}
+
+/**
+ * Builds a ZIP archive from a list of files (stored, no compression; PNGs are already compressed)
+ * @param {ZipEntry[]} entries - Files to add
+ * @returns {Promise<Blob>} The archive
+ * @throws {Error} If the archive would exceed the 4 GB or 65535-file limit
+ */
+export async function createZip(entries: ZipEntry[]): Promise<Blob> {
+    checkZipLimits(entries);
+    const encoder = new TextEncoder();
+    const parts: BlobPart[] = [];
+    const centralDirectory: Uint8Array<ArrayBuffer>[] = [];
+    const stamp = toDosDateTime(new Date());
+    let offset = 0;
+
+    for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.name);
+        const data = entry.data instanceof Uint8Array
+            ? entry.data
+            : new Uint8Array(await entry.data.arrayBuffer());
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, METHOD_STORED, true);
+        local.setUint16(10, stamp.time, true);
+        local.setUint16(12, stamp.date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, METHOD_STORED, true);
+        central.setUint16(12, stamp.time, true);
+        central.setUint16(14, stamp.date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        const centralRecord = new Uint8Array(46 + nameBytes.length);
+        centralRecord.set(new Uint8Array(central.buffer), 0);
+        centralRecord.set(nameBytes, 46);
+        centralDirectory.push(centralRecord);
+
+        parts.push(local.buffer, nameBytes, data);
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    let centralSize = 0;
+    for (const record of centralDirectory) {
+        parts.push(record);
+        centralSize += record.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    parts.push(end.buffer);
+
+    return new Blob(parts, { type: "application/zip" });
+}
+
+/**
+ * Inflates raw deflate data with the browser's DecompressionStream
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array<ArrayBuffer>>} Decompressed bytes
+ */
+async function inflateRaw(data: Uint8Array<ArrayBuffer>): Promise<Uint8Array<ArrayBuffer>> {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads all files from a ZIP archive
+ * @param {Blob} archive - ZIP file
+ * @returns {Promise<Map<string, Uint8Array<ArrayBuffer>>>} File contents keyed by path
+ * @throws {Error} If the file is not a ZIP archive or uses an unsupported compression method
+ */
+export async function readZip(archive: Blob): Promise<Map<string, Uint8Array<ArrayBuffer>>> {
+    const buffer = new Uint8Array(await archive.arrayBuffer());
+    const view = new DataView(buffer.buffer);
+    const decoder = new TextDecoder();
+
+    // The end record sits at the end, possibly followed by a comment of up to 64 KB
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error("Not a ZIP archive");
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const files: Map<string, Uint8Array<ArrayBuffer>> = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(pointer, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error("Corrupt ZIP central directory");
+        }
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(buffer.subarray(pointer + 46, pointer + 46 + nameLength));
+        pointer += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith("/")) continue;
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === METHOD_STORED) {
+            files.set(name, data);
+        } else if (method === METHOD_DEFLATED) {
+            files.set(name, await inflateRaw(data));
+        } else {
+            throw new Error("Unsupported ZIP compression method " + method + " for " + name);
+        }
+    }
+
+    return files;
+}